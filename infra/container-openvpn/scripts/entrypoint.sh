@@ -0,0 +1,64 @@
+#!/bin/bash
+set -euo pipefail
+
+# Entrypoint for OpenVPN VPN container.
+#
+# Required environment variables:
+#   OVPN_SERVER_CREDENTIALS — PEM private key followed by the server's self-signed PEM certificate
+#   OVPN_SERVER_ADDRESS     — Server tunnel IP with CIDR (e.g. 10.8.0.1/24, or "10.8.0.1/24, fd00:8::1/64" dual-stack)
+#   OVPN_PEER_FINGERPRINT   — SHA-256 fingerprint of the client certificate (AB:CD:...)
+#   OVPN_PEER_ADDRESS       — Client tunnel IP with /32, plus its IPv6 /128 on dual-stack sessions
+#
+# Optional environment variables:
+#   OVPN_SERVER_PORT        — UDP listen port (default: 1194)
+#   OVPN_TLS_CRYPT_KEY      — tls-crypt key, if the session uses one
+#   SESSION_ID              — VPN session ID (used by heartbeat.sh)
+#   STORAGE_TABLE_ENDPOINT  — Storage table endpoint (used by heartbeat.sh)
+
+log() {
+  echo "[$(date '+%Y-%m-%d %H:%M:%S')] $*" | tee -a /var/log/openvpn/startup.log
+}
+
+mkdir -p /var/log/openvpn /run/openvpn
+
+for required in OVPN_SERVER_CREDENTIALS OVPN_SERVER_ADDRESS OVPN_PEER_FINGERPRINT OVPN_PEER_ADDRESS; do
+  if [ -z "${!required:-}" ]; then
+    log "ERROR: Required environment variable '$required' is not set"
+    exit 1
+  fi
+done
+
+export OVPN_SERVER_CREDENTIALS OVPN_SERVER_ADDRESS OVPN_PEER_FINGERPRINT OVPN_PEER_ADDRESS
+export OVPN_SERVER_PORT="${OVPN_SERVER_PORT:-1194}"
+export OVPN_TLS_CRYPT_KEY="${OVPN_TLS_CRYPT_KEY:-}"
+
+log "Generating OpenVPN server configuration..."
+/scripts/generate-config.sh
+
+# Forward and NAT client traffic out of eth0, as wg-quick's PostUp does for the WireGuard image
+sysctl -w net.ipv4.ip_forward=1 >/dev/null 2>&1 || log "Could not set net.ipv4.ip_forward — continuing"
+iptables -A FORWARD -i tun0 -j ACCEPT
+iptables -t nat -A POSTROUTING -o eth0 -j MASQUERADE
+if [[ "$OVPN_SERVER_ADDRESS" == *:* ]]; then
+  sysctl -w net.ipv6.conf.all.forwarding=1 >/dev/null 2>&1 \
+    || log "Could not set net.ipv6.conf.all.forwarding — continuing"
+  ip6tables -A FORWARD -i tun0 -j ACCEPT
+  ip6tables -t nat -A POSTROUTING -o eth0 -j MASQUERADE
+fi
+
+log "Starting OpenVPN on UDP port ${OVPN_SERVER_PORT}..."
+openvpn --config /etc/openvpn/server.conf &
+OPENVPN_PID=$!
+log "Server tunnel address: ${OVPN_SERVER_ADDRESS}"
+
+# Start heartbeat in background (writes the last time the client was connected to Storage Table)
+/scripts/heartbeat.sh &
+HEARTBEAT_PID=$!
+log "Heartbeat started (PID ${HEARTBEAT_PID})."
+
+# Block until stopped; handle shutdown signals. The container exits if OpenVPN does.
+trap 'log "Received shutdown signal — stopping..."; kill $HEARTBEAT_PID $OPENVPN_PID 2>/dev/null; exit 0' SIGTERM SIGINT
+wait "$OPENVPN_PID" || true
+log "OpenVPN exited — stopping."
+kill "$HEARTBEAT_PID" 2>/dev/null || true
+exit 1
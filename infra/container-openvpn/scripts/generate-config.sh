@@ -0,0 +1,97 @@
+#!/bin/bash
+# Generates /etc/openvpn/server.conf for one session from the OVPN_* environment variables
+# (see entrypoint.sh). There is no CA: the server presents its self-signed certificate and
+# accepts only the client certificate whose SHA-256 fingerprint is OVPN_PEER_FINGERPRINT.
+# The client's tunnel address is the only one in the pool, so it always gets the address
+# the Function App allocated; routes and DNS stay in the client profile (route-nopull).
+
+set -euo pipefail
+
+CONFIG_FILE="/etc/openvpn/server.conf"
+
+log() {
+  echo "[$(date '+%Y-%m-%d %H:%M:%S')] $*" | tee -a /var/log/openvpn/config.log
+}
+
+# "10.8.0.1/24, fd00:8::1/64" -> one family's part, or nothing
+ipv4_part() { tr ',' '\n' <<<"$1" | tr -d ' ' | grep -v ':' | head -n 1 || true; }
+ipv6_part() { tr ',' '\n' <<<"$1" | tr -d ' ' | grep ':' | head -n 1 || true; }
+
+prefix_to_netmask() {
+  local mask=$(( (0xffffffff << (32 - $1)) & 0xffffffff ))
+  printf '%d.%d.%d.%d' $(( mask >> 24 & 255 )) $(( mask >> 16 & 255 )) $(( mask >> 8 & 255 )) $(( mask & 255 ))
+}
+
+pem_block() {
+  sed -n "/-----BEGIN $1-----/,/-----END $1-----/p" <<<"$OVPN_SERVER_CREDENTIALS"
+}
+
+server_v4=$(ipv4_part "$OVPN_SERVER_ADDRESS")
+peer_v4=$(ipv4_part "$OVPN_PEER_ADDRESS")
+server_ip=${server_v4%/*}
+netmask=$(prefix_to_netmask "${server_v4#*/}")
+peer_ip=${peer_v4%/*}
+
+key=$(pem_block 'PRIVATE KEY')
+cert=$(pem_block 'CERTIFICATE')
+if [ -z "$key" ] || [ -z "$cert" ]; then
+  log "ERROR: OVPN_SERVER_CREDENTIALS must hold a PEM private key and certificate"
+  exit 1
+fi
+
+# Dual-stack sessions also carry an IPv6 server and peer address
+ipv6_config=""
+server_v6=$(ipv6_part "$OVPN_SERVER_ADDRESS")
+peer_v6=$(ipv6_part "$OVPN_PEER_ADDRESS")
+if [ -n "$server_v6" ] && [ -n "$peer_v6" ]; then
+  ipv6_config="ifconfig-ipv6 ${server_v6} ${peer_v6%/*}
+ifconfig-ipv6-pool ${peer_v6%/*}/${server_v6#*/}"
+fi
+
+tls_crypt=""
+if [ -n "${OVPN_TLS_CRYPT_KEY:-}" ]; then
+  tls_crypt="<tls-crypt>
+${OVPN_TLS_CRYPT_KEY}
+</tls-crypt>"
+fi
+
+cat > "$CONFIG_FILE" << EOF
+# OpenVPN Server Configuration
+# Generated on $(date)
+
+mode server
+tls-server
+proto udp
+port ${OVPN_SERVER_PORT}
+dev tun0
+topology subnet
+max-clients 1
+
+ifconfig ${server_ip} ${netmask}
+ifconfig-pool ${peer_ip} ${peer_ip} ${netmask}
+push "topology subnet"
+push "route-gateway ${server_ip}"
+${ipv6_config}
+
+dh none
+peer-fingerprint ${OVPN_PEER_FINGERPRINT}
+keepalive 10 60
+persist-key
+persist-tun
+
+# Read by heartbeat.sh
+status /run/openvpn/status.log 10
+status-version 2
+verb 3
+
+<cert>
+${cert}
+</cert>
+<key>
+${key}
+</key>
+${tls_crypt}
+EOF
+chmod 600 "$CONFIG_FILE"
+
+log "Server configuration generated at ${CONFIG_FILE} for client ${peer_ip}"
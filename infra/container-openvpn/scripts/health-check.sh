@@ -0,0 +1,3 @@
+#!/bin/bash
+# Health check: exits 0 if OpenVPN has brought up the tun0 interface, non-zero otherwise.
+ip link show tun0 > /dev/null 2>&1
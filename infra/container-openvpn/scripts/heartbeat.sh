@@ -0,0 +1,68 @@
+#!/bin/bash
+# Writes lastHandshakeAt to Azure Table Storage while the session's client is connected, so
+# idle detection treats OpenVPN sessions like WireGuard ones. OpenVPN has no handshake
+# timestamp to report, but the server's keepalive drops a silent client within two minutes,
+# so a client listed in the status file counts as active now.
+# Runs in a background loop launched by entrypoint.sh.
+#
+# Required environment variables:
+#   SESSION_ID             — VPN session ID
+#   STORAGE_TABLE_ENDPOINT — Full table service endpoint URL
+
+set -euo pipefail
+
+SESSION_ID="${SESSION_ID:-}"
+STORAGE_TABLE_ENDPOINT="${STORAGE_TABLE_ENDPOINT:-}"
+STATUS_FILE="/run/openvpn/status.log"
+
+if [ -z "$SESSION_ID" ] || [ -z "$STORAGE_TABLE_ENDPOINT" ]; then
+  echo "[heartbeat] Missing SESSION_ID or STORAGE_TABLE_ENDPOINT — heartbeat disabled" >&2
+  exit 0
+fi
+
+# Fetch an IMDS-issued managed identity token for the Storage resource.
+# Token is cached for 1 hour (well within the 24-hour validity window).
+TOKEN=""
+TOKEN_FETCHED_AT=0
+
+fetch_token() {
+  curl -s -H "Metadata: true" \
+    "http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01&resource=https://storage.azure.com/" \
+    | grep -o '"access_token":"[^"]*"' | cut -d'"' -f4
+}
+
+# Refreshes TOKEN in place — call it directly, not in $(...), or the cache is lost with the subshell
+get_token() {
+  local now
+  now=$(date +%s)
+  if [ -z "$TOKEN" ] || [ $(( now - TOKEN_FETCHED_AT )) -gt 3600 ]; then
+    TOKEN=$(fetch_token)
+    TOKEN_FETCHED_AT=$now
+  fi
+}
+
+while true; do
+  sleep 60
+
+  # status-version 2 lists each connected client on a CLIENT_LIST line
+  if grep -q '^CLIENT_LIST,' "$STATUS_FILE" 2>/dev/null; then
+    ts=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
+
+    get_token
+    body="{\"lastHandshakeAt\":{\"type\":\"Edm.String\",\"value\":\"${ts}\"}}"
+
+    http_status=$(curl -s -o /dev/null -w "%{http_code}" -X MERGE \
+      -H "Authorization: Bearer ${TOKEN}" \
+      -H "Content-Type: application/json" \
+      -H "Accept: application/json;odata=nometadata" \
+      "${STORAGE_TABLE_ENDPOINT}/vpn-sessions(PartitionKey='sessions',RowKey='${SESSION_ID}')" \
+      -d "$body")
+
+    if [ "$http_status" = "401" ]; then
+      TOKEN=""  # Force refresh on next iteration
+      echo "[heartbeat] Got 401 — will refresh token next iteration" >&2
+    elif [ "$http_status" != "204" ]; then
+      echo "[heartbeat] Unexpected HTTP ${http_status} — non-fatal" >&2
+    fi
+  fi
+done
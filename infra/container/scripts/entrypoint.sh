@@ -5,12 +5,16 @@ set -euo pipefail
 #
 # Required environment variables:
 #   WG_SERVER_PRIVATE_KEY  — WireGuard server private key (base64)
-#   WG_SERVER_ADDRESS      — Server tunnel IP with CIDR (e.g. 10.8.0.1/24)
+#   WG_SERVER_ADDRESS      — Server tunnel IP with CIDR (e.g. 10.8.0.1/24, or "10.8.0.1/24, fd00:8::1/64" dual-stack)
 #
 # Optional environment variables:
 #   WG_SERVER_PORT         — UDP listen port (default: 51820)
-#   SESSION_ID             — VPN session ID (used by heartbeat.sh)
-#   STORAGE_TABLE_ENDPOINT — Storage table endpoint (used by heartbeat.sh)
+#   WG_PEER_PUBLIC_KEY     — Client peer public key (base64) registered on wg0
+#   WG_PEER_ADDRESS        — Client peer tunnel IP with /32, plus its IPv6 /128 on dual-stack sessions
+#                            (required with WG_PEER_PUBLIC_KEY)
+#   WG_PEER_PRESHARED_KEY  — Client peer preshared key (base64), if the session uses one
+#   SESSION_ID             — VPN session ID (used by heartbeat.sh and peer-sync.sh)
+#   STORAGE_TABLE_ENDPOINT — Storage table endpoint (used by heartbeat.sh and peer-sync.sh)
 
 log() {
   echo "[$(date '+%Y-%m-%d %H:%M:%S')] $*" | tee -a /var/log/wireguard/startup.log
@@ -30,6 +34,14 @@ export WG_SERVER_PORT="${WG_SERVER_PORT:-51820}"
 # WG_SERVER_ADDRESS is passed with CIDR (e.g. 10.8.0.1/24) — used as-is by generate-config.sh
 export WG_SERVER_ADDRESS
 
+if [ -n "${WG_PEER_PUBLIC_KEY:-}" ] && [ -z "${WG_PEER_ADDRESS:-}" ]; then
+  log "ERROR: WG_PEER_ADDRESS must be set when WG_PEER_PUBLIC_KEY is set"
+  exit 1
+fi
+export WG_PEER_PUBLIC_KEY="${WG_PEER_PUBLIC_KEY:-}"
+export WG_PEER_ADDRESS="${WG_PEER_ADDRESS:-}"
+export WG_PEER_PRESHARED_KEY="${WG_PEER_PRESHARED_KEY:-}"
+
 log "Generating WireGuard server configuration..."
 /scripts/generate-config.sh
 
@@ -44,8 +56,13 @@ log "Server tunnel address: ${WG_SERVER_ADDRESS}"
 HEARTBEAT_PID=$!
 log "Heartbeat started (PID ${HEARTBEAT_PID})."
 
+# Start peer sync in background (applies AddPeer/RemovePeer changes from Storage Table)
+/scripts/peer-sync.sh &
+PEER_SYNC_PID=$!
+log "Peer sync started (PID ${PEER_SYNC_PID})."
+
 # Block until stopped; handle shutdown signals
-trap 'log "Received shutdown signal — stopping..."; kill $HEARTBEAT_PID 2>/dev/null; wg-quick down wg0; exit 0' SIGTERM SIGINT
+trap 'log "Received shutdown signal — stopping..."; kill $HEARTBEAT_PID $PEER_SYNC_PID 2>/dev/null; wg-quick down wg0; exit 0' SIGTERM SIGINT
 while true; do
   sleep 30
 done
@@ -21,6 +21,13 @@ generate_server_config() {
     log "Generating WireGuard server configuration..."
     
     local server_config="/etc/wireguard/wg0.conf"
+
+    # Dual-stack sessions also carry an IPv6 server address — forward and NAT that family too
+    local ipv6_forwarding=""
+    if [[ "$WG_SERVER_ADDRESS" == *:* ]]; then
+        ipv6_forwarding="PostUp = sysctl -w net.ipv6.conf.all.forwarding=1; ip6tables -A FORWARD -i wg0 -j ACCEPT; ip6tables -t nat -A POSTROUTING -o eth0 -j MASQUERADE
+PostDown = ip6tables -D FORWARD -i wg0 -j ACCEPT; ip6tables -t nat -D POSTROUTING -o eth0 -j MASQUERADE"
+    fi
     
     # Create server configuration file
     cat > "$server_config" << EOF
@@ -29,13 +36,14 @@ generate_server_config() {
 
 [Interface]
 PrivateKey = $WG_SERVER_PRIVATE_KEY
-Address = $WG_SERVER_ADDRESS/24
+Address = $WG_SERVER_ADDRESS
 ListenPort = $WG_SERVER_PORT
 SaveConfig = false
 
 # Enable IP forwarding
 PostUp = iptables -A FORWARD -i wg0 -j ACCEPT; iptables -t nat -A POSTROUTING -o eth0 -j MASQUERADE
 PostDown = iptables -D FORWARD -i wg0 -j ACCEPT; iptables -t nat -D POSTROUTING -o eth0 -j MASQUERADE
+$ipv6_forwarding
 
 # DNS configuration
 PostUp = echo "nameserver 8.8.8.8" > /etc/resolv.conf
@@ -46,6 +54,20 @@ PostUp = ip link set mtu 1420 dev wg0
 
 EOF
 
+    # Register the session's client peer (public key only — the private key stays with the client)
+    if [[ -n "${WG_PEER_PUBLIC_KEY:-}" ]]; then
+        cat >> "$server_config" << EOF
+[Peer]
+PublicKey = $WG_PEER_PUBLIC_KEY
+AllowedIPs = $WG_PEER_ADDRESS
+EOF
+        if [[ -n "${WG_PEER_PRESHARED_KEY:-}" ]]; then
+            echo "PresharedKey = $WG_PEER_PRESHARED_KEY" >> "$server_config"
+        fi
+        echo "" >> "$server_config"
+        log "Client peer registered with allowed IPs $WG_PEER_ADDRESS"
+    fi
+
     log "Server configuration generated at $server_config"
 }
 
@@ -0,0 +1,110 @@
+#!/bin/bash
+# Reconciles wg0 peers with the session's rows in the 'peers' partition of Azure Table Storage,
+# so devices added or removed via AddPeer/RemovePeer take effect without a container restart.
+# Runs in a background loop launched by entrypoint.sh.
+#
+# Required environment variables:
+#   SESSION_ID             — VPN session ID
+#   STORAGE_TABLE_ENDPOINT — Full table service endpoint URL
+#   WG_SERVER_PRIVATE_KEY  — Server private key; device preshared keys are derived from it
+#
+# Optional environment variables:
+#   WG_PEER_PUBLIC_KEY     — Primary peer public key; never removed by the sync
+#   PEER_SYNC_INTERVAL     — Seconds between syncs (default: 15)
+
+set -euo pipefail
+
+SESSION_ID="${SESSION_ID:-}"
+STORAGE_TABLE_ENDPOINT="${STORAGE_TABLE_ENDPOINT:-}"
+WG_SERVER_PRIVATE_KEY="${WG_SERVER_PRIVATE_KEY:-}"
+WG_PEER_PUBLIC_KEY="${WG_PEER_PUBLIC_KEY:-}"
+PEER_SYNC_INTERVAL="${PEER_SYNC_INTERVAL:-15}"
+
+if [ -z "$SESSION_ID" ] || [ -z "$STORAGE_TABLE_ENDPOINT" ]; then
+  echo "[peer-sync] Missing SESSION_ID or STORAGE_TABLE_ENDPOINT — peer sync disabled" >&2
+  exit 0
+fi
+
+TOKEN=""
+TOKEN_FETCHED_AT=0
+
+fetch_token() {
+  curl -s -H "Metadata: true" \
+    "http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01&resource=https://storage.azure.com/" \
+    | grep -o '"access_token":"[^"]*"' | cut -d'"' -f4
+}
+
+# Refreshes TOKEN in place — call it directly, not in $(...), or the cache is lost with the subshell
+get_token() {
+  local now
+  now=$(date +%s)
+  if [ -z "$TOKEN" ] || [ $(( now - TOKEN_FETCHED_AT )) -gt 3600 ]; then
+    TOKEN=$(fetch_token)
+    TOKEN_FETCHED_AT=$now
+  fi
+}
+
+# A device's preshared key: HMAC-SHA256 of 'wg-device-psk:<peerId>' keyed with the raw server
+# private key — the same derivation as deriveDevicePresharedKey in src/functions/shared/wireguard.js
+device_psk() {
+  local key_hex
+  key_hex=$(printf '%s' "$WG_SERVER_PRIVATE_KEY" | base64 -d | od -An -v -tx1 | tr -d ' \n')
+  printf 'wg-device-psk:%s' "$1" | openssl dgst -sha256 -mac HMAC -macopt "hexkey:${key_hex}" -binary | base64
+}
+
+while true; do
+  sleep "$PEER_SYNC_INTERVAL"
+
+  get_token
+  response=$(mktemp)
+  http_status=$(curl -s -G -o "$response" -w "%{http_code}" \
+    -H "Authorization: Bearer ${TOKEN}" \
+    -H "x-ms-version: 2020-12-06" \
+    -H "x-ms-date: $(date -u '+%a, %d %b %Y %H:%M:%S GMT')" \
+    -H "Accept: application/json;odata=nometadata" \
+    --data-urlencode "\$filter=PartitionKey eq 'peers' and sessionId eq '${SESSION_ID}'" \
+    --data-urlencode "\$select=peerId,publicKey,peerAddress,peerAddressV6,usesPresharedKey" \
+    "${STORAGE_TABLE_ENDPOINT}/vpn-sessions()" || echo "000")
+
+  if [ "$http_status" != "200" ]; then
+    # Never prune peers on a failed read — keep the current set until the table is reachable
+    [ "$http_status" = "401" ] && TOKEN=""
+    echo "[peer-sync] Unexpected HTTP ${http_status} — skipping this sync" >&2
+    rm -f "$response"
+    continue
+  fi
+
+  # Allowed IPs per peer: its IPv4 address, plus its IPv6 one on dual-stack sessions.
+  # Peers on sessions with preshared keys also get their peerId, to derive theirs from
+  declare -A desired=()
+  declare -A psk_peer=()
+  while IFS=$'\t' read -r pubkey allowed peer_id; do
+    [ -n "$pubkey" ] || continue
+    desired["$pubkey"]="$allowed"
+    [ -n "$peer_id" ] && psk_peer["$pubkey"]="$peer_id"
+  done < <(jq -r '.value[]
+    | "\(.publicKey)\t\(.peerAddress)/32\(if .peerAddressV6 then ",\(.peerAddressV6)/128" else "" end)"
+      + "\t\(if .usesPresharedKey then .peerId else "" end)"' "$response")
+  rm -f "$response"
+
+  for pubkey in "${!desired[@]}"; do
+    if [ -n "${psk_peer[$pubkey]+set}" ]; then
+      wg set wg0 peer "$pubkey" allowed-ips "${desired[$pubkey]}" \
+        preshared-key <(device_psk "${psk_peer[$pubkey]}") \
+        || echo "[peer-sync] Could not apply peer ${pubkey}" >&2
+    else
+      wg set wg0 peer "$pubkey" allowed-ips "${desired[$pubkey]}" \
+        || echo "[peer-sync] Could not apply peer ${pubkey}" >&2
+    fi
+  done
+
+  while read -r pubkey; do
+    [ -z "$pubkey" ] || [ "$pubkey" = "$WG_PEER_PUBLIC_KEY" ] && continue
+    if [ -z "${desired[$pubkey]+set}" ]; then
+      wg set wg0 peer "$pubkey" remove && echo "[peer-sync] Removed peer ${pubkey}" \
+        || echo "[peer-sync] Could not remove peer ${pubkey}" >&2
+    fi
+  done < <(wg show wg0 peers 2>/dev/null || true)
+
+  unset desired psk_peer
+done
@@ -0,0 +1,169 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { generateWireGuardKeyPair, isValidKey } = require('../shared/wireguard');
+const { parseTunnelSubnet, pairedAddressV6, allocatePeerAddress } = require('../shared/addressPool');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+const {
+  newPeerId, peerRowKey, peerConfigSecretName, peerPresharedKeySecretName, listSessionPeers, releasePeer,
+} = require('../shared/peers');
+const { isLive } = require('../shared/sessionState');
+const { sessionRoutingProfile } = require('../shared/routing');
+const { resourceGroupFor } = require('../shared/regions');
+const { sealForSession, clientConfigFields } = require('../shared/sealedBox');
+const { protocolDriver } = require('../shared/protocols');
+
+const MAX_PEERS_PER_SESSION = parseInt(process.env.VPN_MAX_PEERS_PER_SESSION || '10', 10);
+
+// Fail fast — the peer address pool cannot be derived without the tunnel subnet
+if (!process.env.VPN_TUNNEL_SUBNET) throw new Error('Missing required environment variables: VPN_TUNNEL_SUBNET');
+
+const TUNNEL_POOL = parseTunnelSubnet(process.env.VPN_TUNNEL_SUBNET, {
+  reserved: process.env.VPN_TUNNEL_RESERVED,
+  tunnelSubnetV6: process.env.VPN_TUNNEL_SUBNET_V6,
+});
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * AddPeer — registers an additional device on a running session. The peer gets its own
+ * tunnel address, key pair (or the caller's public key) and client config secret, and on
+ * sessions started with a preshared key its own PSK (see wireguard.deriveDevicePresharedKey).
+ * The container picks up new peers from the 'peers' partition within seconds.
+ * On sessions started with a configRecipientKey the config is sealed to that key and
+ * returned as encryptedClientConfig. WireGuard sessions only; others answer 400.
+ * POST /api/AddPeer
+ * Body: { sessionId: string, name?: string, publicKey?: string }
+ */
+app.http('AddPeer', {
+  methods: ['POST'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const body = await request.json().catch(() => ({}));
+    const { sessionId, name = null, publicKey } = body;
+
+    if (!sessionId) {
+      return { status: 400, body: JSON.stringify({ error: 'sessionId is required' }) };
+    }
+    if (name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      return { status: 400, body: JSON.stringify({ error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` }) };
+    }
+    if (publicKey !== undefined && !isValidKey(publicKey)) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: 'publicKey must be a base64-encoded 32-byte WireGuard public key' }),
+      };
+    }
+
+    const compute = getComputeProvider();
+    const secretClient = getSecretClient();
+    const tableClient = getTableClient();
+
+    try {
+      let sessionRow;
+      try {
+        sessionRow = await tableClient.getEntity('sessions', sessionId);
+      } catch (err) {
+        if (err.statusCode === 404) {
+          return notFoundResponse();
+        }
+        throw err;
+      }
+
+      if (!canAccessSession(caller, sessionRow)) return notFoundResponse();
+
+      const driver = protocolDriver(sessionRow);
+      if (!driver.supportsPeers) {
+        return { status: 400, body: JSON.stringify({ error: `${driver.name} sessions do not support additional peers` }) };
+      }
+
+      // The endpoint IP is only known once the session is Running
+      if (!isLive(sessionRow.status)) {
+        return {
+          status: 409,
+          body: JSON.stringify({ error: 'VPN session is not running yet; retry once CheckVPNStatus reports Running' }),
+        };
+      }
+
+      const existingPeers = await listSessionPeers(tableClient, sessionId);
+      if (existingPeers.length >= MAX_PEERS_PER_SESSION) {
+        return {
+          status: 409,
+          body: JSON.stringify({ error: `VPN session already has the maximum of ${MAX_PEERS_PER_SESSION} peers` }),
+        };
+      }
+
+      const group = await compute.get(resourceGroupFor(sessionRow.location), `vpn-${sessionId}`);
+      const ip = group.properties?.ipAddress?.ip;
+
+      const peerId = newPeerId();
+      const peerAddress = await allocatePeerAddress(tableClient, TUNNEL_POOL, sessionId, peerId);
+      if (!peerAddress) {
+        return { status: 503, body: JSON.stringify({ error: 'VPN address pool exhausted' }) };
+      }
+      // # Reason: a session started before IPv6 was enabled has no IPv6 server address to route to
+      const peerAddressV6 = sessionRow.peerAddressV6 ? pairedAddressV6(TUNNEL_POOL, peerAddress) : null;
+      const usesPresharedKey = !!sessionRow.usesPresharedKey;
+
+      try {
+        const keys = publicKey
+          ? { privateKey: null, publicKey, source: 'caller' }
+          : { ...generateWireGuardKeyPair(), source: 'generated' };
+
+        const serverKeySecret = await secretClient.getSecret(`wg-server-key-${sessionId}`);
+        const presharedKey = usesPresharedKey ? driver.devicePresharedKey(serverKeySecret.value, peerId) : null;
+        if (presharedKey) {
+          await secretClient.setSecret(peerPresharedKeySecretName(sessionId, peerId), presharedKey, {
+            contentType: 'text/plain',
+          });
+        }
+        const clientConfig = sealForSession(sessionRow, driver.renderClientConfig({
+          privateKey: keys.privateKey,
+          address: peerAddress,
+          addressV6: peerAddressV6,
+          serverPublicKey: driver.serverPublicKey(serverKeySecret.value),
+          presharedKey,
+          endpoint: `${ip}:${driver.port}`,
+          // Every device on a session shares the routing profile chosen at StartVPN
+          routing: sessionRoutingProfile(sessionRow),
+        }));
+
+        await secretClient.setSecret(peerConfigSecretName(sessionId, peerId), clientConfig, {
+          contentType: 'text/plain',
+        });
+
+        await tableClient.createEntity({
+          partitionKey: 'peers',
+          rowKey: peerRowKey(sessionId, peerId),
+          sessionId,
+          peerId,
+          name,
+          peerAddress,
+          ...(peerAddressV6 ? { peerAddressV6 } : {}),
+          publicKey: keys.publicKey,
+          keySource: keys.source,
+          // # Reason: peer sync applies the derived PSK only to rows carrying this flag
+          ...(usesPresharedKey ? { usesPresharedKey } : {}),
+          createdAt: new Date().toISOString(),
+        });
+
+        return {
+          status: 201,
+          jsonBody: { sessionId, peerId, name, peerAddress, peerAddressV6, ...clientConfigFields(sessionRow, clientConfig) },
+        };
+      } catch (err) {
+        // Return the address and drop any half-written peer state
+        await releasePeer(tableClient, secretClient, { sessionId, peerId, peerAddress, usesPresharedKey }, context.warn);
+        throw err;
+      }
+    } catch (err) {
+      context.error('AddPeer failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to add peer', details: err.message }) };
+    }
+  },
+});
@@ -1,92 +1,152 @@
 'use strict';
 
 const { app } = require('@azure/functions');
-const { getContainerClient, getSecretClient, getTableClient, RESOURCE_GROUP } = require('../shared/azureClient');
-
-const IDLE_TIMEOUT_MINUTES = parseInt(process.env.VPN_IDLE_TIMEOUT_MINUTES || '30', 10);
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { releaseSession } = require('../shared/sessionCleanup');
+const { recordUsage } = require('../shared/usage');
+const { listVpnContainerGroups } = require('../shared/regions');
+const {
+  IDLE_TIMEOUT_MINUTES,
+  MAX_LIFETIME_MINUTES,
+  EXPIRY_WARNING_MINUTES,
+  sessionDeadline,
+  reapReason,
+  isExpiringSoon,
+} = require('../shared/sessionLimits');
+const {
+  isLive,
+  transitionSession,
+  detectFailure,
+  markFailed,
+  markStopping,
+  failedRetentionElapsed,
+} = require('../shared/sessionState');
+const { emitEvent } = require('../shared/webhooks');
 
 /**
- * Returns true if the container group should be reaped.
- * Uses lastHandshakeAt from the sessions table row when available (heartbeat-based).
- * Falls back to container start time for legacy sessions with no table row.
- * @param {object} group - ACI container group resource
+ * Moves a live session between 'Running' and 'ExpiringSoon' as its deadline approaches
+ * or recedes (new handshakes, ExtendSession). Provisioning sessions are left alone.
  * @param {import('@azure/data-tables').TableClient} tableClient
- * @returns {Promise<boolean>}
+ * @param {object} sessionRow
+ * @returns {Promise<string|null>} the new status, or null if unchanged
  */
-const isIdle = async (group, tableClient) => {
-  if (group.properties?.provisioningState !== 'Succeeded') return false;
-
-  const sessionId = group.name.replace(/^vpn-/, '');
-
-  try {
-    const entity = await tableClient.getEntity('sessions', sessionId);
-
-    // Prefer lastHandshakeAt (actual peer activity); fall back to createdAt
-    const lastActivity = entity.lastHandshakeAt || entity.createdAt;
-    if (!lastActivity) return false;
-
-    const idleMinutes = (Date.now() - new Date(lastActivity).getTime()) / 1000 / 60;
-    return idleMinutes >= IDLE_TIMEOUT_MINUTES;
-  } catch (err) {
-    if (err.statusCode === 404) {
-      // # Reason: no table row = legacy session created before this change; use start time
-      const startTime = group.properties?.containers?.[0]?.properties?.instanceView?.currentState?.startTime;
-      if (!startTime) return false;
-      const runningMinutes = (Date.now() - new Date(startTime).getTime()) / 1000 / 60;
-      return runningMinutes >= IDLE_TIMEOUT_MINUTES;
-    }
-    throw err;
-  }
+const syncExpiryStatus = async (tableClient, sessionRow) => {
+  if (!isLive(sessionRow.status)) return null;
+
+  const status = isExpiringSoon(sessionDeadline(sessionRow).expiresAt) ? 'ExpiringSoon' : 'Running';
+  if (status === sessionRow.status) return null;
+
+  // false = row changed since read (heartbeat or ExtendSession); the next run re-evaluates
+  return await transitionSession(tableClient, sessionRow, status) ? status : null;
 };
 
 /**
- * AutoShutdown — timer-triggered function that reaps idle VPN container groups.
+ * AutoShutdown — timer-triggered function that reaps idle VPN container groups and
+ * sessions past their maximum lifetime, honoring per-session overrides and extensions.
+ * Sessions within the warning window of their deadline are marked 'ExpiringSoon'.
+ * Failed containers and provisioning timeouts are marked 'Failed' and cleaned up once
+ * the failure has been readable through CheckVPNStatus for the retention window.
+ * Webhook subscribers are notified of each warning, failure and reap.
  * Runs every 5 minutes.
  */
 app.timer('AutoShutdown', {
   schedule: '0 */5 * * * *',
   handler: async (_timer, context) => {
-    const containerClient = getContainerClient();
+    const compute = getComputeProvider();
     const secretClient = getSecretClient();
     const tableClient = getTableClient();
 
-    context.log(`AutoShutdown running. Idle timeout: ${IDLE_TIMEOUT_MINUTES} minutes.`);
+    context.log(
+      `AutoShutdown running. Default idle timeout: ${IDLE_TIMEOUT_MINUTES} minutes, `
+      + `max lifetime: ${MAX_LIFETIME_MINUTES} minutes, warning window: ${EXPIRY_WARNING_MINUTES} minutes.`
+    );
 
     let reaped = 0;
+    let warned = 0;
+    let failed = 0;
     let errors = 0;
 
     try {
-      const groups = containerClient.containerGroups.listByResourceGroup(RESOURCE_GROUP);
+      for await (const { resourceGroup, group } of listVpnContainerGroups(compute)) {
+        const sessionId = group.name.replace(/^vpn-/, '');
+        let sessionRow = null;
+        try {
+          sessionRow = await tableClient.getEntity('sessions', sessionId);
+        } catch (err) {
+          if (err.statusCode !== 404) throw err;
+          // No row — legacy session; reapReason falls back to the container start time
+        }
 
-      for await (const group of groups) {
-        if (!group.name?.startsWith('vpn-')) continue;
+        // StopVPN is tearing this one down right now
+        if (sessionRow?.status === 'Stopping') continue;
+
+        let reason;
+        if (sessionRow?.status === 'Failed') {
+          if (!failedRetentionElapsed(sessionRow)) continue;
+          reason = 'error';
+        } else {
+          const failure = detectFailure(group, sessionRow);
+          if (failure && sessionRow) {
+            context.warn(`Session ${sessionId} failed: ${failure.reason} — ${failure.message}`);
+            try {
+              if (await markFailed(tableClient, sessionRow, failure)) {
+                failed++;
+                await emitEvent(tableClient, secretClient, {
+                  type: 'session.failed', sessionId, sessionRow, data: failure,
+                }, context.warn);
+              }
+            } catch (err) {
+              context.error(`Failed to mark ${group.name} as Failed:`, err.message);
+              errors++;
+            }
+            continue;
+          }
+          // # Reason: legacy sessions have no row to report a failure through — clean up straight away
+          reason = failure ? 'error' : reapReason(group, sessionRow);
+        }
 
-        if (!await isIdle(group, tableClient)) continue;
+        if (!reason) {
+          if (!sessionRow) continue;
+          try {
+            const status = await syncExpiryStatus(tableClient, sessionRow);
+            if (status === 'ExpiringSoon') {
+              warned++;
+              await emitEvent(tableClient, secretClient, {
+                type: 'session.expiring_soon',
+                sessionId,
+                sessionRow,
+                data: { expiresAt: new Date(sessionDeadline(sessionRow).expiresAt).toISOString() },
+              }, context.warn);
+            }
+          } catch (err) {
+            context.error(`Failed to update expiry status for ${group.name}:`, err.message);
+            errors++;
+          }
+          continue;
+        }
 
-        const sessionId = group.name.replace(/^vpn-/, '');
-        context.log(`Reaping idle container group: ${group.name}`);
+        context.log(`Reaping container group ${group.name}: ${reason}`);
 
         try {
-          const poller = await containerClient.containerGroups.beginDelete(RESOURCE_GROUP, group.name);
-          await poller.pollUntilDone();
+          if (sessionRow) await markStopping(tableClient, sessionRow, context.warn);
 
-          // Read peerAddress before cleaning up table rows
-          let peerAddress = null;
-          try {
-            const sessionRow = await tableClient.getEntity('sessions', sessionId);
-            peerAddress = sessionRow.peerAddress;
-          } catch (_) { /* no row — skip address cleanup */ }
-
-          // Clean up secrets and table rows
-          const cleanupTasks = [
-            secretClient.beginDeleteSecret(`wg-peer-config-${sessionId}`).catch(() => {}),
-            secretClient.beginDeleteSecret(`wg-server-key-${sessionId}`).catch(() => {}),
-            tableClient.deleteEntity('sessions', sessionId).catch(() => {}),
-          ];
-          if (peerAddress) {
-            cleanupTasks.push(tableClient.deleteEntity('addresses', peerAddress).catch(() => {}));
-          }
-          await Promise.allSettled(cleanupTasks);
+          await compute.delete(resourceGroup, group.name);
+
+          await recordUsage(tableClient, {
+            sessionId,
+            sessionRow,
+            reason,
+            startedAt: group.properties?.containers?.[0]?.properties?.instanceView?.currentState?.startTime,
+            location: group.location,
+          }, context.warn);
+
+          // Clean up secrets, table rows and every peer on the session
+          await releaseSession(tableClient, secretClient, sessionId, sessionRow?.peerAddress || null, context.warn);
+
+          await emitEvent(tableClient, secretClient, {
+            type: 'session.reaped', sessionId, sessionRow, data: { reason },
+          }, context.warn);
 
           reaped++;
         } catch (err) {
@@ -100,6 +160,8 @@ app.timer('AutoShutdown', {
       return;
     }
 
-    context.log(`AutoShutdown complete. Reaped: ${reaped}, Errors: ${errors}.`);
+    context.log(
+      `AutoShutdown complete. Reaped: ${reaped}, Expiring soon: ${warned}, Failed: ${failed}, Errors: ${errors}.`
+    );
   },
 });
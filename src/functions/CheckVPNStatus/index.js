@@ -1,127 +1,313 @@
 'use strict';
 
-const { createPublicKey } = require('crypto');
 const { app } = require('@azure/functions');
-const { getContainerClient, getSecretClient, getTableClient, RESOURCE_GROUP } = require('../shared/azureClient');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { authenticate, canAccessSession } = require('../shared/auth');
+const { estimateSessionCost } = require('../shared/cost');
+const { sessionDeadline } = require('../shared/sessionLimits');
+const { isLive, transitionSession, detectFailure, markFailed } = require('../shared/sessionState');
+const { sessionRoutingProfile } = require('../shared/routing');
+const { resourceGroupFor } = require('../shared/regions');
+const { QR_FORMATS } = require('../shared/qr');
+const { clientConfigResponse, tunnelName } = require('../shared/clientConfigFormats');
+const { emitEvent } = require('../shared/webhooks');
+const { rotationApplied, refreshPeerConfigs } = require('../shared/keyRotation');
+const { clientConfigFields } = require('../shared/sealedBox');
+const { protocolDriver } = require('../shared/protocols');
 
-const WIREGUARD_PORT = parseInt(process.env.VPN_WIREGUARD_PORT || '51820', 10);
-const VPN_DNS_SERVER = process.env.VPN_DNS_SERVER || '1.1.1.1';
+// Cap on wait= — well inside the 230-second limit Azure's front end puts on an HTTP response
+const MAX_WAIT_SECONDS = parseInt(process.env.VPN_STATUS_MAX_WAIT_SECONDS || '60', 10);
+// Re-check delays while waiting: ACI groups usually come up in 30-90 seconds
+const WAIT_FIRST_POLL_MS = 1000;
+const WAIT_MAX_POLL_MS = 5000;
+// States wait= keeps re-checking; everything else is settled
+const PENDING_STATUSES = new Set(['Provisioning', 'Rotating']);
 
 /**
- * Derives a base64 WireGuard public key from a base64 private key.
- * @param {string} privateKeyBase64
- * @returns {string}
+ * Returns when AutoShutdown will reap the session, as an ISO string.
+ * @param {object|null} sessionRow
+ * @param {object} group - ACI container group resource
+ * @returns {string|null}
  */
-const derivePublicKey = (privateKeyBase64) => {
-  // Reconstruct PKCS8 DER from raw 32-byte private key
-  const rawPriv = Buffer.from(privateKeyBase64, 'base64');
-  const pkcs8Header = Buffer.from('302e020100300506032b656e04220420', 'hex');
-  const pkcs8Der = Buffer.concat([pkcs8Header, rawPriv]);
-  const privKeyObj = require('crypto').createPrivateKey({ key: pkcs8Der, format: 'der', type: 'pkcs8' });
-  const pubKeyObj = createPublicKey(privKeyObj);
-  const pubDer = pubKeyObj.export({ type: 'spki', format: 'der' });
-  return pubDer.slice(-32).toString('base64');
+const expiresAtOf = (sessionRow, group) => {
+  const { expiresAt } = sessionDeadline(sessionRow, group);
+  return expiresAt === null ? null : new Date(expiresAt).toISOString();
+};
+
+/**
+ * Which generation of keys the session's config was built from, so callers can tell
+ * when RotateKeys has replaced the config they hold.
+ * @param {object|null} sessionRow
+ * @returns {{ keyVersion: number, keysRotatedAt: string|null }}
+ */
+const keyGenerationOf = (sessionRow) => ({
+  keyVersion: sessionRow?.keyVersion || 1,
+  keysRotatedAt: sessionRow?.keysRotatedAt || null,
+});
+
+/**
+ * Builds the client config of a session whose container has come up and caches it in
+ * Key Vault. Sealed sessions got theirs, complete, from StartVPN or RotateKeys — the
+ * backend holds no key to rebuild them with — so the stored one is returned instead.
+ * @param {import('@azure/keyvault-secrets').SecretClient} secretClient
+ * @param {string} sessionId
+ * @param {object|null} sessionRow
+ * @param {import('../shared/protocols').ProtocolDriver} driver
+ * @param {string} serverPublicKey
+ * @param {string} ip - the container group's public IP
+ * @returns {Promise<string>} the config as stored
+ */
+const finalizeClientConfig = async (secretClient, sessionId, sessionRow, driver, serverPublicKey, ip) => {
+  if (sessionRow?.configRecipientKey) {
+    return (await secretClient.getSecret(`wg-peer-config-${sessionId}`)).value;
+  }
+
+  // Generated keys are rendered in so the config imports as-is; bring-your-own-key
+  // callers hold the private key themselves and must add it on their side
+  let clientPrivateKey = null;
+  if (sessionRow?.clientKeySource === 'generated') {
+    const clientKeySecret = await secretClient.getSecret(`wg-client-key-${sessionId}`);
+    clientPrivateKey = clientKeySecret.value;
+  }
+  const presharedKey = sessionRow?.usesPresharedKey
+    ? (await secretClient.getSecret(`wg-psk-${sessionId}`)).value
+    : null;
+
+  const clientConfig = driver.renderClientConfig({
+    privateKey: clientPrivateKey,
+    address: sessionRow?.peerAddress || '10.8.0.2', // fallback for legacy sessions
+    addressV6: sessionRow?.peerAddressV6 || null,
+    serverPublicKey,
+    presharedKey,
+    endpoint: `${ip}:${driver.port}`,
+    routing: sessionRoutingProfile(sessionRow),
+  });
+
+  await secretClient.setSecret(`wg-peer-config-${sessionId}`, clientConfig, {
+    contentType: 'text/plain',
+  });
+  return clientConfig;
+};
+
+/**
+ * Reads a session's state once, moving it on to 'Failed' or 'Running' (finalizing the
+ * client config) when the container group shows it has got there.
+ * @param {object} clients - compute provider, secret and table clients
+ * @param {{ callerId: string, isAdmin: boolean }} caller
+ * @param {string} sessionId
+ * @param {string} format - 'json' or a QR_FORMATS key
+ * @param {import('@azure/functions').InvocationContext} context
+ * @returns {Promise<object>} HTTP response
+ */
+const readSessionStatus = async ({ compute, secretClient, tableClient }, caller, sessionId, format, context) => {
+  const containerGroupName = `vpn-${sessionId}`;
+  // Also the answer for a session the caller may not access, so the two cannot be told apart
+  const notFound = { status: 404, jsonBody: { status: 'NotFound', sessionId } };
+
+  // Read sessions table row for canonical status, and the region the session runs in
+  let sessionRow = null;
+  try {
+    sessionRow = await tableClient.getEntity('sessions', sessionId);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+    // No table row — legacy session or race; fall through to ACI state only
+  }
+
+  // Read ACI state
+  let group;
+  try {
+    group = await compute.get(resourceGroupFor(sessionRow?.location), containerGroupName);
+  } catch (err) {
+    if (err.statusCode === 404) return notFound;
+    throw err;
+  }
+
+  const provisioningState = group.properties?.provisioningState;
+  const ip = group.properties?.ipAddress?.ip || null;
+
+  if (!canAccessSession(caller, sessionRow)) return notFound;
+
+  const driver = protocolDriver(sessionRow);
+  if (format !== 'json' && !driver.configFormats.includes(format)) {
+    return { status: 400, body: JSON.stringify({ error: `format ${format} is not available for ${driver.name} sessions` }) };
+  }
+
+  // A sealed config is opaque to the backend — it can only be handed over as it is
+  if (sessionRow?.configRecipientKey && format !== 'json') {
+    return {
+      status: 400,
+      body: JSON.stringify({ error: `format ${format} is not available for sessions with an encrypted client config` }),
+    };
+  }
+
+  if (sessionRow?.status === 'Stopping') {
+    return { status: 200, jsonBody: { status: 'Stopping', ip: null, port: null, sessionId } };
+  }
+
+  // Already Failed, or failing now — persist the reason so later reads and AutoShutdown see it
+  let failure = sessionRow?.status === 'Failed'
+    ? { reason: sessionRow.failureReason, message: sessionRow.failureMessage }
+    : null;
+  if (!failure) {
+    failure = detectFailure(group, sessionRow);
+    if (failure && sessionRow) {
+      context.warn(`Session ${sessionId} failed: ${failure.reason} — ${failure.message}`);
+      // # Reason: only the caller whose write landed notifies — concurrent pollers get a 412
+      if (await markFailed(tableClient, sessionRow, failure)) {
+        await emitEvent(tableClient, secretClient, {
+          type: 'session.failed', sessionId, sessionRow, data: failure,
+        }, context.warn);
+      }
+    }
+  }
+  if (failure) {
+    return {
+      status: 200,
+      jsonBody: {
+        status: 'Failed', ip: null, port: null, sessionId, failureReason: failure.reason, failureMessage: failure.message,
+      },
+    };
+  }
+
+  // The recreated container is not up yet, and the previous config no longer connects
+  const rotating = sessionRow?.status === 'Rotating';
+  if (rotating && !rotationApplied(group, sessionRow)) {
+    return {
+      status: 200,
+      jsonBody: { status: 'Rotating', ip: null, port: null, sessionId, keyVersion: sessionRow.keyVersion },
+    };
+  }
+
+  // If sessions row exists and already marked Running, return cached config
+  if (isLive(sessionRow?.status)) {
+    const secret = await secretClient.getSecret(`wg-peer-config-${sessionId}`).catch(() => null);
+    if (format !== 'json' && secret?.value) {
+      return clientConfigResponse(secret.value, format, tunnelName(sessionId), driver.configFile);
+    }
+    return {
+      status: 200,
+      jsonBody: {
+        status: sessionRow.status,
+        ip,
+        port: driver.port,
+        ...clientConfigFields(sessionRow, secret?.value || null),
+        sessionId,
+        expiresAt: expiresAtOf(sessionRow, group),
+        estimatedCost: estimateSessionCost(sessionRow),
+        ...keyGenerationOf(sessionRow),
+      },
+    };
+  }
+
+  // Not yet running
+  if (provisioningState !== 'Succeeded') {
+    return {
+      status: 200,
+      jsonBody: { status: 'Provisioning', ip: null, port: null, sessionId, estimatedCost: estimateSessionCost(sessionRow) },
+    };
+  }
+
+  // ACI is Succeeded — finalize: derive public key, build config, cache in KV
+  const serverKeySecret = await secretClient.getSecret(`wg-server-key-${sessionId}`);
+  const serverPublicKey = driver.serverPublicKey(serverKeySecret.value);
+  const clientConfig = await finalizeClientConfig(secretClient, sessionId, sessionRow, driver, serverPublicKey, ip);
+
+  // Update sessions row status to 'Running' with ETag conditional update
+  // If a concurrent CheckVPNStatus already did this, the 412 is non-fatal
+  if (sessionRow && await transitionSession(tableClient, sessionRow, 'Running')) {
+    if (rotating) {
+      // # Reason: only the poller that finished the rotation re-keys devices, so no two race on a peer
+      await refreshPeerConfigs({ secretClient, tableClient }, sessionRow, {
+        serverPrivateKey: serverKeySecret.value, endpoint: `${ip}:${driver.port}`,
+      }, context.warn);
+    } else {
+      await emitEvent(tableClient, secretClient, {
+        type: 'session.running', sessionId, sessionRow, data: { endpoint: `${ip}:${driver.port}` },
+      }, context.warn);
+    }
+  }
+
+  if (format !== 'json') return clientConfigResponse(clientConfig, format, tunnelName(sessionId), driver.configFile);
+
+  return {
+    status: 200,
+    jsonBody: {
+      status: 'Running',
+      ip,
+      port: driver.port,
+      ...clientConfigFields(sessionRow, clientConfig),
+      sessionId,
+      expiresAt: expiresAtOf(sessionRow, group),
+      estimatedCost: estimateSessionCost(sessionRow),
+      ...keyGenerationOf(sessionRow),
+    },
+  };
 };
 
 /**
  * CheckVPNStatus — returns current state of the ACI container group for a session.
- * On first 'Running' read, finalizes the client config from the stored server key.
- * GET /api/CheckVPNStatus?sessionId=<id>
+ * On first 'Running' read, finalizes the client config (a wg-quick config, or a .ovpn
+ * profile on OpenVPN sessions) from the stored server key and, on sessions started
+ * with one, the preshared key. Sessions started with a configRecipientKey return the
+ * config sealed to it as encryptedClientConfig instead, with clientConfig null, and
+ * offer no QR formats.
+ * Running sessions report their shutdown deadline as expiresAt; within the warning
+ * window the status is 'ExpiringSoon' and ExtendSession can push the deadline out.
+ * A failed container or a provisioning timeout moves the session to 'Failed', with the
+ * reason persisted on the sessions row; AutoShutdown cleans failed sessions up.
+ * Only the session owner or an admin may read it.
+ * With format=qr-svg or qr-png a running WireGuard session's config comes back as a QR
+ * image instead of JSON; until then the JSON status is returned as usual.
+ * After RotateKeys the status is 'Rotating' until the recreated container is up; the
+ * config is then rebuilt and live responses carry the new keyVersion and keysRotatedAt.
+ * With wait=<seconds> a Provisioning or Rotating session is re-checked, backing off from
+ * one second to five, until it settles or the wait (capped at MAX_WAIT_SECONDS) ends.
+ * GET /api/CheckVPNStatus?sessionId=<id>&format=json|qr-svg|qr-png&wait=<seconds>
  */
 app.http('CheckVPNStatus', {
   methods: ['GET'],
-  authLevel: 'function',
+  authLevel: 'anonymous',
   handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
     const sessionId = request.query.get('sessionId');
 
     if (!sessionId) {
       return { status: 400, body: JSON.stringify({ error: 'sessionId query parameter is required' }) };
     }
 
-    const containerClient = getContainerClient();
-    const secretClient = getSecretClient();
-    const tableClient = getTableClient();
-    const containerGroupName = `vpn-${sessionId}`;
-
-    try {
-      // Read ACI state
-      let group;
-      try {
-        group = await containerClient.containerGroups.get(RESOURCE_GROUP, containerGroupName);
-      } catch (err) {
-        if (err.statusCode === 404) {
-          return { status: 404, jsonBody: { status: 'NotFound', sessionId } };
-        }
-        throw err;
-      }
-
-      const provisioningState = group.properties?.provisioningState;
-      const ip = group.properties?.ipAddress?.ip || null;
+    const format = request.query.get('format') || 'json';
+    if (format !== 'json' && !QR_FORMATS[format]) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: `format must be one of: json, ${Object.keys(QR_FORMATS).join(', ')}` }),
+      };
+    }
 
-      // Read sessions table row for canonical status
-      let sessionRow = null;
-      try {
-        sessionRow = await tableClient.getEntity('sessions', sessionId);
-      } catch (err) {
-        if (err.statusCode !== 404) throw err;
-        // No table row — legacy session or race; fall through to ACI state only
-      }
+    const waitParam = request.query.get('wait');
+    if (waitParam !== null && !/^\d+$/.test(waitParam)) {
+      return { status: 400, body: JSON.stringify({ error: 'wait must be a whole number of seconds' }) };
+    }
+    const deadline = Date.now() + Math.min(Number(waitParam || 0), MAX_WAIT_SECONDS) * 1000;
 
-      // If sessions row exists and already marked Running, return cached config
-      if (sessionRow?.status === 'Running') {
-        const secret = await secretClient.getSecret(`wg-peer-config-${sessionId}`).catch(() => null);
-        return {
-          status: 200,
-          jsonBody: { status: 'Running', ip, port: WIREGUARD_PORT, clientConfig: secret?.value || null, sessionId },
-        };
-      }
+    const clients = {
+      compute: getComputeProvider(),
+      secretClient: getSecretClient(),
+      tableClient: getTableClient(),
+    };
 
-      // Not yet running
-      if (provisioningState !== 'Succeeded') {
-        return { status: 200, jsonBody: { status: 'Provisioning', ip: null, port: null, sessionId } };
-      }
+    try {
+      let delayMs = WAIT_FIRST_POLL_MS;
+      for (;;) {
+        const response = await readSessionStatus(clients, caller, sessionId, format, context);
+        const remainingMs = deadline - Date.now();
+        if (!PENDING_STATUSES.has(response.jsonBody?.status) || remainingMs <= 0) return response;
 
-      // ACI is Succeeded — finalize: derive public key, build config, cache in KV
-      const peerAddress = sessionRow?.peerAddress || '10.8.0.2'; // fallback for legacy sessions
-
-      const serverKeySecret = await secretClient.getSecret(`wg-server-key-${sessionId}`);
-      const serverPublicKey = derivePublicKey(serverKeySecret.value);
-
-      const clientConfig = [
-        '[Interface]',
-        `Address = ${peerAddress}/32`,
-        `DNS = ${VPN_DNS_SERVER}`,
-        '',
-        '[Peer]',
-        `PublicKey = ${serverPublicKey}`,
-        `Endpoint = ${ip}:${WIREGUARD_PORT}`,
-        'AllowedIPs = 0.0.0.0/0, ::/0',
-        'PersistentKeepalive = 25',
-      ].join('\n');
-
-      await secretClient.setSecret(`wg-peer-config-${sessionId}`, clientConfig, {
-        contentType: 'text/plain',
-      });
-
-      // Update sessions row status to 'Running' with ETag conditional update
-      // If a concurrent CheckVPNStatus already did this, the 412 is non-fatal
-      if (sessionRow) {
-        try {
-          await tableClient.updateEntity(
-            { partitionKey: 'sessions', rowKey: sessionId, status: 'Running' },
-            'Merge',
-            { etag: sessionRow.etag }
-          );
-        } catch (err) {
-          if (err.statusCode !== 412) throw err;
-          // 412 = concurrent finalization already completed; safe to continue
-        }
+        await new Promise((resolve) => setTimeout(resolve, Math.min(delayMs, remainingMs)));
+        delayMs = Math.min(delayMs * 2, WAIT_MAX_POLL_MS);
       }
-
-      return {
-        status: 200,
-        jsonBody: { status: 'Running', ip, port: WIREGUARD_PORT, clientConfig, sessionId },
-      };
     } catch (err) {
       context.error('CheckVPNStatus failed:', err);
       return {
@@ -0,0 +1,94 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+const { PEER_ID_RE, peerConfigSecretName } = require('../shared/peers');
+const { CONFIG_FORMATS, clientConfigResponse, sealedConfigResponse, tunnelName } = require('../shared/clientConfigFormats');
+const { protocolDriver } = require('../shared/protocols');
+
+/**
+ * ClientConfig — downloads a session's client config, or an additional device's with
+ * peerId, in the requested format: a wg-quick .conf attachment (default), the parsed
+ * [Interface]/[Peer] fields as JSON, a NetworkManager keyfile, or a QR image.
+ * OpenVPN sessions only offer format=conf, which downloads the .ovpn profile.
+ * Responses are marked uncacheable since they carry the client private key.
+ * Sessions started with a configRecipientKey only have the sealed config: format=conf
+ * returns the sealed box as a binary .conf.sealed attachment, format=json returns it
+ * base64-encoded as encryptedClientConfig, and the other formats answer 400.
+ * Only the session owner or an admin may download it.
+ * GET /api/ClientConfig?sessionId=<id>&peerId=<id>&format=conf|json|nmconnection|qr-svg|qr-png
+ */
+app.http('ClientConfig', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const sessionId = request.query.get('sessionId');
+    const peerId = request.query.get('peerId') || 'primary';
+    const format = request.query.get('format') || 'conf';
+
+    if (!sessionId) {
+      return { status: 400, body: JSON.stringify({ error: 'sessionId query parameter is required' }) };
+    }
+    if (peerId !== 'primary' && !PEER_ID_RE.test(peerId)) {
+      return { status: 400, body: JSON.stringify({ error: "peerId must be 'primary' or an ID returned by AddPeer" }) };
+    }
+    if (!Object.prototype.hasOwnProperty.call(CONFIG_FORMATS, format)) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: `format must be one of: ${Object.keys(CONFIG_FORMATS).join(', ')}` }),
+      };
+    }
+
+    const secretClient = getSecretClient();
+    const tableClient = getTableClient();
+
+    try {
+      let sessionRow;
+      try {
+        sessionRow = await tableClient.getEntity('sessions', sessionId);
+      } catch (err) {
+        if (err.statusCode === 404) {
+          return notFoundResponse();
+        }
+        throw err;
+      }
+
+      if (!canAccessSession(caller, sessionRow)) return notFoundResponse();
+
+      const driver = protocolDriver(sessionRow);
+      if (!driver.configFormats.includes(format)) {
+        return {
+          status: 400,
+          body: JSON.stringify({ error: `format ${format} is not available for ${driver.name} sessions` }),
+        };
+      }
+
+      const isPrimary = peerId === 'primary';
+      const secretName = isPrimary ? `wg-peer-config-${sessionId}` : peerConfigSecretName(sessionId, peerId);
+      let secret;
+      try {
+        secret = await secretClient.getSecret(secretName);
+      } catch (err) {
+        if (err.statusCode === 404) {
+          // # Reason: the primary config is only written once CheckVPNStatus sees the container running
+          const details = isPrimary ? 'poll CheckVPNStatus until the session is Running' : 'no such peer on this session';
+          return { status: 404, body: JSON.stringify({ error: 'Client config not found', details }) };
+        }
+        throw err;
+      }
+
+      const name = tunnelName(sessionId, isPrimary ? undefined : peerId);
+      if (sessionRow.configRecipientKey) {
+        return sealedConfigResponse(sessionRow, secret.value, format, name, driver.configFile);
+      }
+      return clientConfigResponse(secret.value, format, name, driver.configFile);
+    } catch (err) {
+      context.error('ClientConfig failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to read client config', details: err.message }) };
+    }
+  },
+});
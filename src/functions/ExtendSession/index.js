@@ -0,0 +1,102 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../shared/azureClient');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+const { sessionDeadline, extensionCap, isExpiringSoon } = require('../shared/sessionLimits');
+const { isLive } = require('../shared/sessionState');
+
+const DEFAULT_EXTENSION_MINUTES = parseInt(process.env.VPN_EXTEND_DEFAULT_MINUTES || '30', 10);
+// Heartbeats merge into the same row, so an ETag conflict is expected now and then
+const MAX_ATTEMPTS = 3;
+
+/**
+ * ExtendSession — pushes a running session's shutdown deadline out by `minutes`
+ * (from the current deadline, or from now if that has passed), holding off both the
+ * idle and lifetime rules. Extensions stop at the session's lifetime plus the
+ * deployment's extension cap; a request past the cap is granted up to it.
+ * POST /api/ExtendSession
+ * Body: { sessionId: string, minutes?: number }
+ */
+app.http('ExtendSession', {
+  methods: ['POST'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const body = await request.json().catch(() => ({}));
+    const { sessionId, minutes = DEFAULT_EXTENSION_MINUTES } = body;
+
+    if (!sessionId) {
+      return { status: 400, body: JSON.stringify({ error: 'sessionId is required' }) };
+    }
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return { status: 400, body: JSON.stringify({ error: 'minutes must be a positive integer' }) };
+    }
+
+    const tableClient = getTableClient();
+
+    try {
+      for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let sessionRow;
+        try {
+          sessionRow = await tableClient.getEntity('sessions', sessionId);
+        } catch (err) {
+          if (err.statusCode === 404) {
+            return notFoundResponse();
+          }
+          throw err;
+        }
+
+        if (!canAccessSession(caller, sessionRow)) return notFoundResponse();
+
+        if (!isLive(sessionRow.status)) {
+          return { status: 409, body: JSON.stringify({ error: 'Only running VPN sessions can be extended' }) };
+        }
+
+        const now = Date.now();
+        const { expiresAt } = sessionDeadline(sessionRow);
+        const cap = extensionCap(sessionRow);
+        if (expiresAt >= cap) {
+          return {
+            status: 409,
+            body: JSON.stringify({
+              error: 'VPN session has reached its maximum extension',
+              expiresAt: new Date(expiresAt).toISOString(),
+            }),
+          };
+        }
+
+        const extendedUntil = Math.min(Math.max(expiresAt, now) + minutes * 60000, cap);
+        const status = isExpiringSoon(extendedUntil, now) ? 'ExpiringSoon' : 'Running';
+
+        try {
+          await tableClient.updateEntity(
+            { partitionKey: 'sessions', rowKey: sessionId, extendedUntil: new Date(extendedUntil).toISOString(), status },
+            'Merge',
+            { etag: sessionRow.etag }
+          );
+        } catch (err) {
+          if (err.statusCode === 412) continue; // row changed since read — re-read and retry
+          throw err;
+        }
+
+        return {
+          status: 200,
+          jsonBody: {
+            sessionId,
+            status,
+            expiresAt: new Date(extendedUntil).toISOString(),
+            capped: extendedUntil === cap,
+          },
+        };
+      }
+
+      return { status: 409, body: JSON.stringify({ error: 'VPN session was updated concurrently; retry' }) };
+    } catch (err) {
+      context.error('ExtendSession failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to extend session', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { isLive } = require('../shared/sessionState');
+const {
+  GRACE_MINUTES,
+  INTERVAL_HOURS,
+  rotateSessionKeys,
+  graceElapsed,
+  retirePreviousVersions,
+  rotationDue,
+} = require('../shared/keyRotation');
+
+/**
+ * KeyRotation — timer-triggered function that disables secret versions superseded by a
+ * rotation once the grace period has passed and, when VPN_KEY_ROTATION_INTERVAL_HOURS is
+ * set, rotates the keys of live sessions that have held them that long.
+ * Runs every 15 minutes.
+ */
+app.timer('KeyRotation', {
+  schedule: '0 */15 * * * *',
+  handler: async (_timer, context) => {
+    const clients = {
+      compute: getComputeProvider(),
+      secretClient: getSecretClient(),
+      tableClient: getTableClient(),
+    };
+
+    context.log(
+      `KeyRotation running. Grace period: ${GRACE_MINUTES} minutes, `
+      + `rotation interval: ${INTERVAL_HOURS > 0 ? `${INTERVAL_HOURS} hours` : 'off'}.`
+    );
+
+    let rotated = 0;
+    let retired = 0;
+    let errors = 0;
+
+    try {
+      const sessions = clients.tableClient.listEntities({ queryOptions: { filter: "PartitionKey eq 'sessions'" } });
+      for await (const sessionRow of sessions) {
+        try {
+          if (graceElapsed(sessionRow)) {
+            retired += await retirePreviousVersions(clients, sessionRow);
+          } else if (isLive(sessionRow.status) && rotationDue(sessionRow)) {
+            // A conflict (heartbeat merged since the read) is picked up again next run
+            const { keyVersion } = await rotateSessionKeys(clients, sessionRow, {}, context.warn);
+            if (keyVersion) {
+              context.log(`Rotating keys for session ${sessionRow.rowKey} (key version ${keyVersion})`);
+              rotated++;
+            }
+          }
+        } catch (err) {
+          // # Reason: one failure must not halt the batch — other sessions should still be handled
+          context.error(`KeyRotation failed for ${sessionRow.rowKey}:`, err.message);
+          errors++;
+        }
+      }
+    } catch (err) {
+      context.error('KeyRotation listing failed:', err);
+      return;
+    }
+
+    context.log(`KeyRotation complete. Rotated: ${rotated}, Versions retired: ${retired}, Errors: ${errors}.`);
+  },
+});
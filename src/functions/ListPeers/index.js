@@ -0,0 +1,72 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../shared/azureClient');
+const { listSessionPeers } = require('../shared/peers');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+
+/**
+ * ListPeers — lists the devices registered on a session, starting with the primary peer
+ * created by StartVPN. Key material and configs are never included.
+ * GET /api/ListPeers?sessionId=<id>
+ */
+app.http('ListPeers', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const sessionId = request.query.get('sessionId');
+
+    if (!sessionId) {
+      return { status: 400, body: JSON.stringify({ error: 'sessionId query parameter is required' }) };
+    }
+
+    const tableClient = getTableClient();
+
+    try {
+      let sessionRow;
+      try {
+        sessionRow = await tableClient.getEntity('sessions', sessionId);
+      } catch (err) {
+        if (err.statusCode === 404) {
+          return notFoundResponse();
+        }
+        throw err;
+      }
+
+      if (!canAccessSession(caller, sessionRow)) return notFoundResponse();
+
+      const peers = await listSessionPeers(tableClient, sessionId);
+
+      return {
+        status: 200,
+        jsonBody: {
+          sessionId,
+          peers: [
+            {
+              peerId: 'primary',
+              name: null,
+              peerAddress: sessionRow.peerAddress,
+              peerAddressV6: sessionRow.peerAddressV6 || null,
+              publicKey: sessionRow.clientPublicKey || null,
+              createdAt: sessionRow.createdAt,
+            },
+            ...peers.map((peer) => ({
+              peerId: peer.peerId,
+              name: peer.name || null,
+              peerAddress: peer.peerAddress,
+              peerAddressV6: peer.peerAddressV6 || null,
+              publicKey: peer.publicKey,
+              createdAt: peer.createdAt,
+            })),
+          ],
+        },
+      };
+    } catch (err) {
+      context.error('ListPeers failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to list peers', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { authenticate } = require('../shared/auth');
+const { odataString } = require('../shared/odata');
+const { estimateSessionCost } = require('../shared/cost');
+const { sessionDeadline } = require('../shared/sessionLimits');
+const { listVpnContainerGroups } = require('../shared/regions');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Query parameter → sessions row column
+const FILTERS = { status: 'status', owner: 'callerId', location: 'location' };
+
+/**
+ * Builds the OData filter for the sessions partition from the request's query parameters.
+ * @param {URLSearchParams} query
+ * @returns {string}
+ */
+const buildFilter = (query) => {
+  const clauses = ["PartitionKey eq 'sessions'"];
+  for (const [param, column] of Object.entries(FILTERS)) {
+    const value = query.get(param);
+    if (value) clauses.push(`${column} eq ${odataString(value)}`);
+  }
+  return clauses.join(' and ');
+};
+
+/**
+ * ListSessions — admin view of every session, joining sessions rows with live ACI groups.
+ * Filters apply to the sessions rows; paging follows the table's continuation tokens.
+ * GET /api/ListSessions?status=&owner=&location=&pageSize=&continuationToken=
+ */
+app.http('ListSessions', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    if (!caller.isAdmin) {
+      return { status: 403, body: JSON.stringify({ error: 'ListSessions requires the admin role' }) };
+    }
+
+    const pageSize = parseInt(request.query.get('pageSize') || String(DEFAULT_PAGE_SIZE), 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return { status: 400, body: JSON.stringify({ error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` }) };
+    }
+
+    const compute = getComputeProvider();
+    const tableClient = getTableClient();
+
+    try {
+      const pages = tableClient
+        .listEntities({ queryOptions: { filter: buildFilter(request.query) } })
+        .byPage({ maxPageSize: pageSize, continuationToken: request.query.get('continuationToken') || undefined });
+      const { value: page = [] } = await pages.next();
+
+      // One ACI listing per resource group — cheaper than a get per session on the page
+      const groups = new Map();
+      for await (const { group } of listVpnContainerGroups(compute)) {
+        groups.set(group.name, group);
+      }
+
+      const now = Date.now();
+      const sessions = page.map((row) => {
+        const group = groups.get(`vpn-${row.rowKey}`);
+        const lastActivity = row.lastHandshakeAt || row.createdAt;
+        const { expiresAt } = sessionDeadline(row, group);
+        return {
+          sessionId: row.rowKey,
+          status: row.status,
+          containerState: group?.properties?.provisioningState || 'Missing',
+          ip: group?.properties?.ipAddress?.ip || null,
+          peerAddress: row.peerAddress,
+          peerAddressV6: row.peerAddressV6 || null,
+          location: row.location || group?.location || null,
+          sizeProfile: row.sizeProfile || null,
+          owner: row.callerId || null,
+          createdAt: row.createdAt,
+          lastHandshakeAt: row.lastHandshakeAt || null,
+          idleMinutes: lastActivity ? Math.floor((now - new Date(lastActivity).getTime()) / 60000) : null,
+          expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+          estimatedCost: estimateSessionCost(row, now),
+        };
+      });
+
+      return {
+        status: 200,
+        jsonBody: { sessions, continuationToken: page.continuationToken || null },
+      };
+    } catch (err) {
+      context.error('ListSessions failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to list sessions', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,242 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { peerRowKey } = require('../shared/peers');
+const { readPoolBitmap, bitmapAddresses, syncPoolBitmap } = require('../shared/addressPool');
+const { listVpnContainerGroups } = require('../shared/regions');
+
+// Report what would change without changing anything
+const DRY_RUN = process.env.VPN_RECONCILE_DRY_RUN === 'true';
+// Anything younger than this may belong to a StartVPN/AddPeer still in flight — leave it alone
+const GRACE_MINUTES = parseInt(process.env.VPN_RECONCILE_GRACE_MINUTES || '30', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+const SESSION_SECRET_RE = /^wg-(?:server-key|client-key|peer-config|psk)-(.+)$/;
+const DEVICE_SECRET_RE = /^wg-device-(?:config|psk)-(.+)-([0-9a-f]{8})$/;
+
+/**
+ * Reads every row in a table partition.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} partition
+ * @returns {Promise<object[]>}
+ */
+const listPartition = async (tableClient, partition) => {
+  const rows = [];
+  for await (const row of tableClient.listEntities({ queryOptions: { filter: `PartitionKey eq '${partition}'` } })) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Diffs ACI groups, table partitions and Key Vault secret names into a list of repairs.
+ * Pure — all state is passed in, nothing is changed.
+ * @param {object} state
+ * @param {Map<string, string>} state.groups - session ID -> resource group, for each vpn-* container group
+ * @param {object[]} state.sessions - 'sessions' rows
+ * @param {object[]} state.addresses - 'addresses' rows
+ * @param {object|null} state.pool - address pool bitmap row, if one has been written
+ * @param {object[]} state.peers - 'peers' rows
+ * @param {object[]} state.starts - 'starts' rows
+ * @param {{ name: string, createdOn?: Date }[]} state.secrets - wg-* secret properties
+ * @param {number} now
+ * @returns {{ type: string, target: string, detail: string, sessionId?: string, addresses?: string[],
+ *   resourceGroup?: string }[]}
+ */
+const planReconciliation = ({ groups, sessions, addresses, peers, pool, starts, secrets }, now) => {
+  const actions = [];
+  const settled = (when) => !when || now - new Date(when).getTime() >= GRACE_MINUTES * 60000;
+
+  // Sessions kept after this run: rows with a container, plus legacy containers with no row
+  const kept = new Set(groups.keys());
+  for (const row of sessions) {
+    const sessionId = row.rowKey;
+    if (!groups.has(sessionId)) {
+      // StartVPN writes the row just before creating the group
+      if (!settled(row.createdAt)) {
+        kept.add(sessionId);
+        continue;
+      }
+      actions.push({ type: 'delete_session_row', target: sessionId, detail: `no container group (status ${row.status})` });
+    } else if (row.status === 'Stopping' && settled(row.timestamp)) {
+      kept.delete(sessionId);
+      actions.push({
+        type: 'delete_container_group',
+        target: `vpn-${sessionId}`,
+        detail: 'teardown stuck in Stopping',
+        resourceGroup: groups.get(sessionId),
+      });
+      actions.push({ type: 'delete_session_row', target: sessionId, detail: 'teardown stuck in Stopping' });
+    } else {
+      kept.add(sessionId);
+    }
+  }
+
+  const keptPeers = new Set();
+  for (const row of peers) {
+    if (kept.has(row.sessionId) || !settled(row.timestamp)) {
+      keptPeers.add(row.rowKey);
+    } else {
+      actions.push({ type: 'delete_peer_row', target: row.rowKey, detail: `session ${row.sessionId} is gone` });
+    }
+  }
+
+  // Leaked addresses are lost pool capacity; missing ones risk a double allocation
+  const allocated = new Set();
+  const held = new Set();
+  for (const row of addresses) {
+    allocated.add(row.rowKey);
+    held.add(row.rowKey);
+    if (!settled(row.timestamp)) continue;
+    if (!kept.has(row.sessionId)) {
+      held.delete(row.rowKey);
+      actions.push({ type: 'delete_address_row', target: row.rowKey, detail: `session ${row.sessionId} is gone` });
+    } else if (row.peerId && !keptPeers.has(peerRowKey(row.sessionId, row.peerId))) {
+      held.delete(row.rowKey);
+      actions.push({ type: 'delete_address_row', target: row.rowKey, detail: `peer ${row.peerId} is gone` });
+    }
+  }
+  for (const row of sessions) {
+    if (kept.has(row.rowKey) && row.peerAddress && !allocated.has(row.peerAddress)) {
+      held.add(row.peerAddress);
+      actions.push({
+        type: 'restore_address_row', target: row.peerAddress, detail: `held by session ${row.rowKey}`, sessionId: row.rowKey,
+      });
+    }
+  }
+
+  // The pool bitmap should mark exactly the addresses still held once the row repairs land
+  if (pool) {
+    const marked = new Set(bitmapAddresses(pool));
+    const stale = [...marked].filter((a) => !held.has(a)).length;
+    const unmarked = [...held].filter((a) => !marked.has(a)).length;
+    if (stale || unmarked) {
+      actions.push({
+        type: 'sync_address_bitmap', target: pool.subnet, detail: `${stale} stale, ${unmarked} unmarked`, addresses: [...held],
+      });
+    }
+  }
+
+  for (const row of starts) {
+    if (now - new Date(row.startedAt).getTime() > HOUR_MS) {
+      actions.push({ type: 'delete_start_row', target: row.rowKey, detail: 'outside the rate-limit window' });
+    }
+  }
+
+  for (const { name, createdOn } of secrets) {
+    if (!settled(createdOn)) continue;
+    const device = DEVICE_SECRET_RE.exec(name);
+    if (device) {
+      if (!keptPeers.has(peerRowKey(device[1], device[2]))) {
+        actions.push({ type: 'delete_secret', target: name, detail: 'peer is gone' });
+      }
+      continue;
+    }
+    const session = SESSION_SECRET_RE.exec(name);
+    if (session && !kept.has(session[1])) {
+      actions.push({ type: 'delete_secret', target: name, detail: 'session is gone' });
+    }
+  }
+
+  return actions;
+};
+
+/**
+ * Carries out one planned repair.
+ * @param {object} clients
+ * @param {{ type: string, target: string, detail: string, sessionId?: string, addresses?: string[],
+ *   resourceGroup?: string }} action
+ * @param {object|null} pool - address pool bitmap row as read with the inventory
+ * @returns {Promise<void>}
+ */
+const applyAction = async ({ compute, secretClient, tableClient }, action, pool) => {
+  switch (action.type) {
+    case 'delete_container_group':
+      return compute.delete(action.resourceGroup, action.target);
+    case 'delete_session_row':
+      return tableClient.deleteEntity('sessions', action.target);
+    case 'delete_peer_row':
+      return tableClient.deleteEntity('peers', action.target);
+    case 'delete_address_row':
+      return tableClient.deleteEntity('addresses', action.target);
+    case 'delete_start_row':
+      return tableClient.deleteEntity('starts', action.target);
+    case 'delete_secret':
+      return secretClient.beginDeleteSecret(action.target);
+    case 'restore_address_row':
+      return tableClient.createEntity({ partitionKey: 'addresses', rowKey: action.target, sessionId: action.sessionId });
+    case 'sync_address_bitmap':
+      // ETag-conditional — an allocation since the inventory wins, and the next run retries
+      return syncPoolBitmap(tableClient, pool, action.addresses);
+    default:
+      throw new Error(`Unknown reconcile action ${action.type}`);
+  }
+};
+
+/**
+ * Reconcile — timer-triggered garbage collector for drift left by best-effort cleanup.
+ * Diffs vpn-* ACI groups, the sessions/addresses/peers/starts partitions and wg-* Key Vault
+ * secrets; deletes orphans, restores missing address reservations, re-syncs the address pool
+ * bitmap and finishes teardowns stuck in Stopping. Set VPN_RECONCILE_DRY_RUN=true to log the plan without acting on it.
+ * Runs every 30 minutes.
+ */
+app.timer('Reconcile', {
+  schedule: '0 */30 * * * *',
+  handler: async (_timer, context) => {
+    const compute = getComputeProvider();
+    const secretClient = getSecretClient();
+    const tableClient = getTableClient();
+
+    context.log(`Reconcile running${DRY_RUN ? ' (dry run)' : ''}. Grace period: ${GRACE_MINUTES} minutes.`);
+
+    let state;
+    try {
+      const groups = new Map();
+      for await (const { resourceGroup, group } of listVpnContainerGroups(compute)) {
+        groups.set(group.name.replace(/^vpn-/, ''), resourceGroup);
+      }
+      const secrets = [];
+      for await (const secret of secretClient.listPropertiesOfSecrets()) {
+        if (secret.name?.startsWith('wg-')) secrets.push(secret);
+      }
+      state = {
+        groups,
+        secrets,
+        sessions: await listPartition(tableClient, 'sessions'),
+        // Bitmap first, so any allocation after this read changes its ETag and voids the sync
+        pool: await readPoolBitmap(tableClient),
+        addresses: await listPartition(tableClient, 'addresses'),
+        peers: await listPartition(tableClient, 'peers'),
+        starts: await listPartition(tableClient, 'starts'),
+      };
+    } catch (err) {
+      // # Reason: acting on a partial inventory would delete live state — skip the whole run
+      context.error('Reconcile inventory failed:', err);
+      return;
+    }
+
+    const actions = planReconciliation(state, Date.now());
+    const summary = {};
+    let errors = 0;
+
+    for (const action of actions) {
+      summary[action.type] = (summary[action.type] || 0) + 1;
+      if (DRY_RUN) {
+        context.log(`[dry run] Would ${action.type} ${action.target}: ${action.detail}`);
+        continue;
+      }
+      try {
+        await applyAction({ compute, secretClient, tableClient }, action, state.pool);
+        context.log(`${action.type} ${action.target}: ${action.detail}`);
+      } catch (err) {
+        context.error(`Failed to ${action.type} ${action.target}:`, err.message);
+        errors++;
+      }
+    }
+
+    const counts = Object.entries(summary).map(([type, n]) => `${type}=${n}`).join(', ') || 'no drift';
+    context.log(`Reconcile complete${DRY_RUN ? ' (dry run)' : ''}. Actions: ${counts}. Errors: ${errors}.`);
+  },
+});
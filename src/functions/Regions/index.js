@@ -0,0 +1,51 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { authenticate } = require('../shared/auth');
+const { DEFAULT_LOCATION, hintCoordinates, listRegions } = require('../shared/regions');
+
+/**
+ * Builds a location hint from query parameters, mirroring StartVPN's `locationHint` body field.
+ * @param {URLSearchParams} query
+ * @returns {object|undefined} undefined when the caller gave no hint
+ */
+const queryHint = (query) => {
+  const country = query.get('country');
+  if (country !== null) return { country };
+  const latitude = query.get('latitude');
+  const longitude = query.get('longitude');
+  if (latitude === null && longitude === null) return undefined;
+  // # Reason: Number('') is 0 — keep blanks invalid rather than pointing at the equator
+  const toNumber = (value) => (value === null || value.trim() === '' ? undefined : Number(value));
+  return { latitude: toNumber(latitude), longitude: toNumber(longitude) };
+};
+
+/**
+ * Regions — lists the regions StartVPN can deploy to. With a hint the list is ordered
+ * nearest first and `recommended` is the region `location: "auto"` would pick.
+ * GET /api/Regions?country=DE or ?latitude=52.5&longitude=13.4
+ */
+app.http('Regions', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  handler: async (request) => {
+    const { response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const hint = queryHint(request.query);
+    if (hint === undefined) {
+      return { status: 200, jsonBody: { default: DEFAULT_LOCATION, regions: listRegions() } };
+    }
+
+    const { point, error } = hintCoordinates(hint);
+    if (error) {
+      return { status: 400, body: JSON.stringify({ error: 'Invalid location hint', details: error }) };
+    }
+
+    const regions = listRegions(point);
+    return {
+      status: 200,
+      jsonBody: { default: DEFAULT_LOCATION, recommended: regions[0].name, regions },
+    };
+  },
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { PEER_ID_RE, peerRowKey, releasePeer } = require('../shared/peers');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+
+/**
+ * RemovePeer — revokes an additional device from a session and returns its address to
+ * the pool. The container drops the peer on its next sync.
+ * The primary peer cannot be removed; stop the session instead.
+ * DELETE /api/RemovePeer
+ * Body: { sessionId: string, peerId: string }
+ */
+app.http('RemovePeer', {
+  methods: ['DELETE'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const body = await request.json().catch(() => ({}));
+    const { sessionId, peerId } = body;
+
+    if (!sessionId || !peerId) {
+      return { status: 400, body: JSON.stringify({ error: 'sessionId and peerId are required' }) };
+    }
+    if (!PEER_ID_RE.test(peerId)) {
+      return { status: 400, body: JSON.stringify({ error: 'peerId is not a removable peer; use StopVPN to end the session' }) };
+    }
+
+    const secretClient = getSecretClient();
+    const tableClient = getTableClient();
+
+    try {
+      let peerRow;
+      try {
+        peerRow = await tableClient.getEntity('peers', peerRowKey(sessionId, peerId));
+      } catch (err) {
+        if (err.statusCode === 404) {
+          return notFoundResponse('Peer not found');
+        }
+        throw err;
+      }
+
+      // Ownership lives on the sessions row; a peer outliving its session is admin-only
+      const sessionRow = await tableClient.getEntity('sessions', sessionId).catch((err) => {
+        if (err.statusCode === 404) return null;
+        throw err;
+      });
+      if (!canAccessSession(caller, sessionRow)) return notFoundResponse('Peer not found');
+
+      await releasePeer(tableClient, secretClient, peerRow, context.warn);
+
+      return { status: 200, jsonBody: { status: 'Removed', sessionId, peerId } };
+    } catch (err) {
+      context.error('RemovePeer failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to remove peer', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { isValidKey } = require('../shared/wireguard');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+const { isLive } = require('../shared/sessionState');
+const { rotateSessionKeys } = require('../shared/keyRotation');
+const { protocolDriver } = require('../shared/protocols');
+
+// Heartbeats merge into the same row, so an ETag conflict is expected now and then
+const MAX_ATTEMPTS = 3;
+
+/**
+ * RotateKeys — replaces a running session's WireGuard keys: a new server key and, unless
+ * the caller brings their own, a new client key; the container group is recreated in
+ * place with them. Returns 202 — the tunnel drops while the container restarts, and
+ * CheckVPNStatus reports 'Rotating' until the new client config is ready, then 'Running'
+ * with the incremented keyVersion. Bring-your-own-key callers may pass a new public key.
+ * Additional devices get new configs (and new keys where the backend generated them).
+ * Only the session owner or an admin may rotate it. WireGuard sessions only; others answer 400.
+ * POST /api/RotateKeys
+ * Body: { sessionId: string, clientPublicKey?: string }
+ */
+app.http('RotateKeys', {
+  methods: ['POST'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const body = await request.json().catch(() => ({}));
+    const { sessionId, clientPublicKey } = body;
+
+    if (!sessionId) {
+      return { status: 400, body: JSON.stringify({ error: 'sessionId is required' }) };
+    }
+    if (clientPublicKey !== undefined && !isValidKey(clientPublicKey)) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: 'clientPublicKey must be a base64-encoded 32-byte WireGuard public key' }),
+      };
+    }
+
+    const clients = {
+      compute: getComputeProvider(),
+      secretClient: getSecretClient(),
+      tableClient: getTableClient(),
+    };
+
+    try {
+      for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let sessionRow;
+        try {
+          sessionRow = await clients.tableClient.getEntity('sessions', sessionId);
+        } catch (err) {
+          if (err.statusCode === 404) {
+            return notFoundResponse();
+          }
+          throw err;
+        }
+
+        if (!canAccessSession(caller, sessionRow)) return notFoundResponse();
+
+        const driver = protocolDriver(sessionRow);
+        if (!driver.supportsKeyRotation) {
+          return { status: 400, body: JSON.stringify({ error: `${driver.name} sessions do not support key rotation` }) };
+        }
+        if (!isLive(sessionRow.status)) {
+          return {
+            status: 409,
+            body: JSON.stringify({ error: `Only running VPN sessions can rotate keys (status ${sessionRow.status})` }),
+          };
+        }
+        if (clientPublicKey !== undefined && sessionRow.clientKeySource === 'generated') {
+          return {
+            status: 400,
+            body: JSON.stringify({ error: 'clientPublicKey is only accepted for bring-your-own-key sessions' }),
+          };
+        }
+
+        const { keyVersion, conflict } = await rotateSessionKeys(clients, sessionRow, { clientPublicKey }, context.warn);
+        if (conflict) continue; // row changed since read — re-read and retry
+
+        context.log(`Rotating keys for session ${sessionId} (key version ${keyVersion})`);
+        return { status: 202, jsonBody: { status: 'Rotating', sessionId, keyVersion } };
+      }
+
+      return { status: 409, body: JSON.stringify({ error: 'VPN session was updated concurrently; retry' }) };
+    } catch (err) {
+      context.error('RotateKeys failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to rotate keys', details: err.message }) };
+    }
+  },
+});
@@ -1,106 +1,107 @@
 'use strict';
 
-const { generateKeyPairSync, createPublicKey } = require('crypto');
 const { app } = require('@azure/functions');
-const { getContainerClient, getSecretClient, getTableClient, RESOURCE_GROUP } = require('../shared/azureClient');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { isValidKey } = require('../shared/wireguard');
+const { parseTunnelSubnet, pairedAddressV6, allocatePeerAddress, releasePeerAddress } = require('../shared/addressPool');
+const { authenticate, canAccessSession, forbiddenResponse } = require('../shared/auth');
+const { checkStartQuota, recordStart, quotaExceededResponse } = require('../shared/quotas');
+const { recordUsage } = require('../shared/usage');
+const { checkBudget } = require('../shared/cost');
+const { resolveSessionLimits } = require('../shared/sessionLimits');
+const { resolveRoutingProfile } = require('../shared/routing');
+const { regionConfig, resourceGroupFor, containerFqdn, resolveLocation } = require('../shared/regions');
+const { resolveSizeProfile } = require('../shared/sizeProfiles');
+const { emitEvent } = require('../shared/webhooks');
+const { SEALED_BOX_ALGORITHM, isValidRecipientKey, sealToRecipient, clientConfigFields } = require('../shared/sealedBox');
+const { resolveProtocol, protocolDriver } = require('../shared/protocols');
 
-const WIREGUARD_PORT = parseInt(process.env.VPN_WIREGUARD_PORT || '51820', 10);
-const IDLE_TIMEOUT_MINUTES = parseInt(process.env.VPN_IDLE_TIMEOUT_MINUTES || '30', 10);
+// Every session gets a preshared key, whatever the request asks for
+const REQUIRE_PSK = process.env.VPN_REQUIRE_PSK === 'true';
 
 // Fail fast — these are required and set by Bicep; no sensible fallback exists
 const REQUIRED = ['VPN_CONTAINER_IMAGE', 'StorageAccountName', 'VPN_SUBNET_ID', 'VPN_TUNNEL_SUBNET', 'VPN_CONTAINER_IDENTITY_ID'];
 const missing = REQUIRED.filter((k) => !process.env[k]);
 if (missing.length > 0) throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
 
-const CONTAINER_IMAGE = process.env.VPN_CONTAINER_IMAGE;
 const STORAGE_ACCOUNT_NAME = process.env.StorageAccountName;
-const VPN_SUBNET_ID = process.env.VPN_SUBNET_ID;
 const CONTAINER_IDENTITY_ID = process.env.VPN_CONTAINER_IDENTITY_ID;
-const VPN_DNS_SERVER = process.env.VPN_DNS_SERVER || '1.1.1.1';
 
-// Derive tunnel addressing from VPN_TUNNEL_SUBNET (e.g. '10.8.0.0/24')
-const VPN_TUNNEL_SUBNET = process.env.VPN_TUNNEL_SUBNET;
-const [subnetBase, cidr] = VPN_TUNNEL_SUBNET.split('/');
-const subnetOctets = subnetBase.split('.');
-const SERVER_ADDRESS = `${subnetOctets.slice(0, 3).join('.')}.1/${cidr}`;
-const POOL_BASE = subnetOctets.slice(0, 3).join('.');
+// Derive tunnel addressing from VPN_TUNNEL_SUBNET (e.g. '10.8.0.0/24'), minus VPN_TUNNEL_RESERVED.
+// Sessions are dual-stack when VPN_TUNNEL_SUBNET_V6 (e.g. 'fd00:8::/64') is also set
+const TUNNEL_POOL = parseTunnelSubnet(process.env.VPN_TUNNEL_SUBNET, {
+  reserved: process.env.VPN_TUNNEL_RESERVED,
+  tunnelSubnetV6: process.env.VPN_TUNNEL_SUBNET_V6,
+});
+const SERVER_ADDRESS = TUNNEL_POOL.serverAddress;
 
 // ACI container group name rules: lowercase alphanumeric + hyphens, start with letter, 1-63 chars
 const SESSION_ID_RE = /^[a-z][a-z0-9-]{0,61}[a-z0-9]$|^[a-z]$/;
 
-/**
- * Generates a valid WireGuard key pair using Node.js built-in X25519 (Curve25519).
- * Returns base64-encoded raw 32-byte keys compatible with wg(8).
- * @returns {{ privateKey: string, publicKey: string }}
- */
-const generateWireGuardKeyPair = () => {
-  const { privateKey: privKeyObj } = generateKeyPairSync('x25519');
-  const pubKeyObj = createPublicKey(privKeyObj);
-  // PKCS8 DER: 16-byte header + 32-byte raw key; SPKI DER: 12-byte header + 32-byte raw key
-  const privDer = privKeyObj.export({ type: 'pkcs8', format: 'der' });
-  const pubDer = pubKeyObj.export({ type: 'spki', format: 'der' });
-  return {
-    privateKey: privDer.slice(-32).toString('base64'),
-    publicKey: pubDer.slice(-32).toString('base64'),
-  };
-};
-
-/**
- * Allocates the next free peer address from the tunnel pool using the 'addresses'
- * partition as an atomic lock. Retries on 409 (lost race to concurrent caller).
- * @param {import('@azure/data-tables').TableClient} tableClient
- * @param {string} poolBase - e.g. '10.8.0'
- * @param {string} sessionId
- * @returns {Promise<string|null>} allocated address (without CIDR), or null if pool exhausted
- */
-const allocatePeerAddress = async (tableClient, poolBase, sessionId) => {
-  const entities = tableClient.listEntities({
-    queryOptions: { filter: "PartitionKey eq 'addresses'" },
-  });
-  const used = new Set();
-  for await (const entity of entities) {
-    used.add(entity.rowKey);
-  }
-
-  for (let i = 2; i <= 254; i++) {
-    const addr = `${poolBase}.${i}`;
-    if (used.has(addr)) continue;
-    try {
-      await tableClient.createEntity({ partitionKey: 'addresses', rowKey: addr, sessionId });
-      return addr;
-    } catch (err) {
-      if (err.statusCode === 409) continue; // lost race — try next address
-      throw err;
-    }
-  }
-  return null; // pool exhausted
-};
-
 /**
  * Writes the sessions table row with status 'Provisioning'.
  * @param {import('@azure/data-tables').TableClient} tableClient
  * @param {string} sessionId
- * @param {string} peerAddress
+ * @param {object} session
+ * @param {string} session.peerAddress
+ * @param {string|null} session.peerAddressV6 - null on IPv4-only deployments
+ * @param {{ publicKey: string, source: 'generated'|'caller' }} session.clientKey
+ * @param {string} session.callerId - authenticated owner of the session
+ * @param {string} session.location - Azure region the container group runs in
+ * @param {string} session.protocol - name of the session's protocol driver
+ * @param {{ idleTimeoutMinutes: number, maxLifetimeMinutes: number }} session.limits - enforced by AutoShutdown
+ * @param {object} session.routing - client routing profile, rendered by CheckVPNStatus and AddPeer
+ * @param {{ name: string, cpu: number, memoryInGB: number }} session.size - container size profile
+ * @param {boolean} session.usesPresharedKey - a PSK is held in Key Vault for CheckVPNStatus to render
+ * @param {string|undefined} session.configRecipientKey - client configs are sealed to this key
+ * @returns {Promise<object>} the written row
  */
-const writeSessionRow = async (tableClient, sessionId, peerAddress) => {
-  await tableClient.createEntity({
+const writeSessionRow = async (tableClient, sessionId, {
+  peerAddress, peerAddressV6, clientKey, callerId, location, protocol, limits, routing, size, usesPresharedKey,
+  configRecipientKey,
+}) => {
+  const row = {
     partitionKey: 'sessions',
     rowKey: sessionId,
+    callerId,
+    location,
+    protocol,
     peerAddress,
+    ...(peerAddressV6 ? { peerAddressV6 } : {}),
+    clientPublicKey: clientKey.publicKey,
+    clientKeySource: clientKey.source,
+    usesPresharedKey,
+    ...(configRecipientKey ? { configRecipientKey } : {}),
+    // Recorded so usage metering stays correct if the profile's definition changes
+    sizeProfile: size.name,
+    cpu: size.cpu,
+    memoryInGB: size.memoryInGB,
+    idleTimeoutMinutes: limits.idleTimeoutMinutes,
+    maxLifetimeMinutes: limits.maxLifetimeMinutes,
+    // Entity properties are scalars; sessionRoutingProfile parses this back
+    routing: JSON.stringify(routing),
     status: 'Provisioning',
     createdAt: new Date().toISOString(),
-  });
+  };
+  await tableClient.createEntity(row);
+  return row;
 };
 
 /**
- * Builds the ACI container group spec for a WireGuard VPN session.
+ * Builds the ACI container group spec for a VPN session. The protocol driver supplies
+ * the image, port and the environment that registers the client peer on the server.
  * @param {string} sessionId
- * @param {string} location
+ * @param {ReturnType<typeof regionConfig>} region - catalog region: location, images and subnet
+ * @param {import('../shared/protocols').ProtocolDriver} driver
  * @param {string} serverPrivateKey
+ * @param {{ publicKey: string, address: string, addressV6: string|null, presharedKey: string|null }} peer
+ * @param {{ cpu: number, memoryInGB: number }} size - ACI resource requests
+ * @param {number} idleTimeoutMinutes
  * @returns {object}
  */
-const buildContainerGroupSpec = (sessionId, location, serverPrivateKey) => ({
-  location,
+const buildContainerGroupSpec = (sessionId, region, driver, serverPrivateKey, peer, size, idleTimeoutMinutes) => ({
+  location: region.name,
   identity: {
     type: 'UserAssigned',
     userAssignedIdentities: { [CONTAINER_IDENTITY_ID]: {} },
@@ -110,17 +111,15 @@ const buildContainerGroupSpec = (sessionId, location, serverPrivateKey) => ({
       {
         name: 'vpn-server',
         properties: {
-          image: CONTAINER_IMAGE,
-          resources: { requests: { cpu: 1, memoryInGB: 2 } },
-          ports: [{ port: WIREGUARD_PORT, protocol: 'UDP' }],
+          image: driver.image(region),
+          resources: { requests: { cpu: size.cpu, memoryInGB: size.memoryInGB } },
+          ports: [{ port: driver.port, protocol: driver.transport }],
           environmentVariables: [
-            { name: 'WG_SERVER_PRIVATE_KEY', secureValue: serverPrivateKey },
-            { name: 'WG_SERVER_ADDRESS', value: SERVER_ADDRESS },
-            { name: 'WG_SERVER_PORT', value: String(WIREGUARD_PORT) },
+            ...driver.containerEnvironment({ serverPrivateKey, serverAddress: SERVER_ADDRESS, peer }),
             { name: 'SESSION_ID', value: sessionId },
             { name: 'STORAGE_ACCOUNT', value: STORAGE_ACCOUNT_NAME },
             { name: 'STORAGE_TABLE_ENDPOINT', value: process.env.STORAGE_TABLE_ENDPOINT },
-            { name: 'IDLE_TIMEOUT_MINUTES', value: String(IDLE_TIMEOUT_MINUTES) },
+            { name: 'IDLE_TIMEOUT_MINUTES', value: String(idleTimeoutMinutes) },
           ],
         },
       },
@@ -129,25 +128,54 @@ const buildContainerGroupSpec = (sessionId, location, serverPrivateKey) => ({
     restartPolicy: 'Never',
     ipAddress: {
       type: 'Public',
-      ports: [{ protocol: 'UDP', port: WIREGUARD_PORT }],
+      ports: [{ protocol: driver.transport, port: driver.port }],
       dnsNameLabel: `vpn-${sessionId}`,
     },
-    subnetIds: VPN_SUBNET_ID ? [{ id: VPN_SUBNET_ID }] : [],
+    subnetIds: region.subnetId ? [{ id: region.subnetId }] : [],
   },
 });
 
 /**
- * StartVPN — provisions an on-demand ACI WireGuard container asynchronously.
+ * StartVPN — provisions an on-demand ACI VPN container asynchronously.
  * Returns 202 Accepted immediately; caller polls CheckVPNStatus for readiness.
+ * `protocol` picks the VPN: 'wireguard' (the default) or 'openvpn', offered in regions
+ * with an OpenVPN image, whose client config is a .ovpn profile (see shared/protocols.js).
+ * A client key pair is generated unless the caller supplies its own public key, in
+ * which case the client private key never reaches the backend (WireGuard only).
+ * Requires a bearer token; the caller is recorded as the session owner.
+ * Returns 429 with Retry-After when a session, start-rate, capacity or budget limit is hit.
+ * A sessionId whose row outlived its container group returns 409 until Reconcile clears the row.
+ * Optional idle timeout and lifetime overrides are clamped to the deployment's bounds.
+ * An optional routing profile selects full or split tunnel (preset names and/or CIDRs),
+ * MTU, keepalive and DNS servers for the client config; the default is full tunnel.
+ * `location` must be a catalog region (see GET /api/Regions), or 'auto' to pick the one
+ * nearest `locationHint`; it defaults to the deployment's region.
+ * `sizeProfile` names a configured container size; adminOnly profiles return 403 to others.
+ * `presharedKey: true` adds a WireGuard preshared key (an OpenVPN tls-crypt key) to the
+ * tunnel; VPN_REQUIRE_PSK=true adds one to every session.
+ * With `configRecipientKey` (an X25519 public key) every client config of the session is
+ * sealed to that key (see shared/sealedBox.js) and only ever stored and returned sealed;
+ * a generated client private key is sealed here and never stored.
  * POST /api/StartVPN
- * Body: { sessionId: string, location?: string }
+ * Body: { sessionId: string, location?: string, locationHint?: { country?: string,
+ *         latitude?: number, longitude?: number }, clientPublicKey?: string,
+ *         idleTimeoutMinutes?: number, maxLifetimeMinutes?: number,
+ *         routing?: { routes?: string[], mtu?: number, persistentKeepalive?: number, dns?: string[] },
+ *         sizeProfile?: string, presharedKey?: boolean, configRecipientKey?: string,
+ *         protocol?: 'wireguard'|'openvpn' }
  */
 app.http('StartVPN', {
   methods: ['POST'],
-  authLevel: 'function',
+  authLevel: 'anonymous',
   handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
     const body = await request.json().catch(() => ({}));
-    const { sessionId, location = 'eastus2' } = body;
+    const {
+      sessionId, location: requestedLocation, locationHint, clientPublicKey, idleTimeoutMinutes, maxLifetimeMinutes, routing,
+      sizeProfile, presharedKey, configRecipientKey, protocol,
+    } = body;
 
     if (!sessionId || !SESSION_ID_RE.test(sessionId)) {
       return {
@@ -158,63 +186,240 @@ app.http('StartVPN', {
       };
     }
 
-    const containerClient = getContainerClient();
+    if (clientPublicKey !== undefined && !isValidKey(clientPublicKey)) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: 'clientPublicKey must be a base64-encoded 32-byte WireGuard public key' }),
+      };
+    }
+
+    if (configRecipientKey !== undefined && !isValidRecipientKey(configRecipientKey)) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: 'configRecipientKey must be a base64-encoded 32-byte X25519 public key' }),
+      };
+    }
+
+    if (presharedKey !== undefined && typeof presharedKey !== 'boolean') {
+      return { status: 400, body: JSON.stringify({ error: 'presharedKey must be a boolean' }) };
+    }
+    const usesPresharedKey = REQUIRE_PSK || presharedKey === true;
+
+    const { limits, error: limitsError } = resolveSessionLimits({ idleTimeoutMinutes, maxLifetimeMinutes });
+    if (limitsError) {
+      return { status: 400, body: JSON.stringify({ error: limitsError }) };
+    }
+
+    const { profile: routingProfile, error: routingError } = resolveRoutingProfile(routing);
+    if (routingError) {
+      return { status: 400, body: JSON.stringify({ error: routingError }) };
+    }
+
+    const { location, error: locationError } = resolveLocation(requestedLocation, locationHint);
+    if (locationError) {
+      return { status: 400, body: JSON.stringify({ error: locationError }) };
+    }
+    const region = regionConfig(location);
+
+    const { driver, error: protocolError } = resolveProtocol(protocol, region);
+    if (protocolError) {
+      return { status: 400, body: JSON.stringify({ error: protocolError }) };
+    }
+    if (clientPublicKey !== undefined && !driver.supportsCallerKeys) {
+      return {
+        status: 400,
+        body: JSON.stringify({ error: `clientPublicKey is not supported for protocol ${driver.name}` }),
+      };
+    }
+
+    const { profile: size, error: sizeError, forbidden } = resolveSizeProfile(sizeProfile, caller);
+    if (sizeError) {
+      return { status: forbidden ? 403 : 400, body: JSON.stringify({ error: sizeError }) };
+    }
+
+    const compute = getComputeProvider();
     const secretClient = getSecretClient();
     const tableClient = getTableClient();
     const containerGroupName = `vpn-${sessionId}`;
 
     try {
-      // Return existing session without creating a new container (idempotent)
+      // Return existing session without creating a new container (idempotent).
+      // An existing row says which region's resource group the container lives in
+      const existingRow = await tableClient.getEntity('sessions', sessionId).catch((err) => {
+        if (err.statusCode === 404) return null;
+        throw err;
+      });
       let existing = null;
       try {
-        existing = await containerClient.containerGroups.get(RESOURCE_GROUP, containerGroupName);
+        existing = await compute.get(resourceGroupFor(existingRow ? existingRow.location : location), containerGroupName);
       } catch (err) {
         if (err.statusCode !== 404) throw err;
       }
 
       if (existing) {
+        // Never hand another caller's config back — the sessionId is simply taken
+        const sessionRow = existingRow;
+        if (!canAccessSession(caller, sessionRow)) {
+          return { status: 409, body: JSON.stringify({ error: 'sessionId is already in use' }) };
+        }
+
         const ip = existing.properties?.ipAddress?.ip;
         const secret = await secretClient.getSecret(`wg-peer-config-${sessionId}`).catch(() => null);
         return {
           status: 200,
-          jsonBody: { status: 'Running', ip, port: WIREGUARD_PORT, clientConfig: secret?.value || null },
+          jsonBody: {
+            status: sessionRow?.status || 'Running',
+            ip,
+            port: protocolDriver(sessionRow).port,
+            ...clientConfigFields(sessionRow, secret?.value || null),
+          },
         };
       }
 
+      // A row without its container group is a session still being torn down, or one whose group
+      // was deleted out from under it. Its secrets and address are not this request's to overwrite
+      if (existingRow) {
+        if (!canAccessSession(caller, existingRow)) return forbiddenResponse();
+        return {
+          status: 409,
+          body: JSON.stringify({
+            error: 'sessionId belongs to a session without a container until Reconcile clears it; choose another sessionId',
+            details: `session status is ${existingRow.status || 'unknown'}`,
+          }),
+        };
+      }
+
+      // Enforce per-caller and global limits before taking any pool capacity
+      // Budgets are projected over the idle timeout — what the session costs if it is never used
+      const violation = await checkStartQuota(tableClient, caller.callerId)
+        || await checkBudget(tableClient, caller.callerId, {
+          location,
+          cpu: size.cpu,
+          memoryInGB: size.memoryInGB,
+          projectedSeconds: limits.idleTimeoutMinutes * 60,
+        });
+      if (violation) {
+        context.warn(`StartVPN refused for ${caller.callerId}: ${violation.reason}`);
+        return quotaExceededResponse(violation);
+      }
+
       // Allocate a unique peer address from the tunnel pool
-      const peerAddress = await allocatePeerAddress(tableClient, POOL_BASE, sessionId);
+      const peerAddress = await allocatePeerAddress(tableClient, TUNNEL_POOL, sessionId);
       if (!peerAddress) {
         return { status: 503, body: JSON.stringify({ error: 'VPN address pool exhausted' }) };
       }
+      // Counted once the start can go ahead — a refused start is not one of the caller's starts
+      const startKey = await recordStart(tableClient, caller.callerId, sessionId);
+      const peerAddressV6 = pairedAddressV6(TUNNEL_POOL, peerAddress);
 
-      // Generate a fresh Curve25519 key pair for this session's server
-      const { privateKey: serverPrivateKey } = generateWireGuardKeyPair();
+      // Generate fresh credentials for this session's server
+      const { privateKey: serverPrivateKey, publicKey: serverPublicKey } = driver.generateServerCredentials(sessionId);
 
       await secretClient.setSecret(`wg-server-key-${sessionId}`, serverPrivateKey, {
         contentType: 'text/plain',
       });
 
+      // Bring-your-own-key callers keep their private key; otherwise generate one and hold it
+      // in Key Vault until CheckVPNStatus renders it into the finalized client config
+      let clientKey;
+      if (clientPublicKey) {
+        clientKey = { publicKey: clientPublicKey, privateKey: null, source: 'caller' };
+      } else {
+        const { privateKey: clientPrivateKey, publicKey } = driver.generateClientCredentials(sessionId);
+        if (!configRecipientKey) {
+          await secretClient.setSecret(`wg-client-key-${sessionId}`, clientPrivateKey, {
+            contentType: 'text/plain',
+          });
+        }
+        clientKey = { publicKey, privateKey: clientPrivateKey, source: 'generated' };
+      }
+
+      // Held in Key Vault for CheckVPNStatus to render into the client config
+      let psk = null;
+      if (usesPresharedKey) {
+        psk = driver.generatePresharedKey();
+        await secretClient.setSecret(`wg-psk-${sessionId}`, psk, { contentType: 'text/plain' });
+      }
+
+      // Sealed delivery: the config is complete now — its endpoint is the group's DNS name —
+      // so the generated private key leaves memory only inside the sealed box
+      if (configRecipientKey) {
+        const clientConfig = driver.renderClientConfig({
+          privateKey: clientKey.privateKey,
+          address: peerAddress,
+          addressV6: peerAddressV6,
+          serverPublicKey,
+          presharedKey: psk,
+          endpoint: `${containerFqdn(sessionId, location)}:${driver.port}`,
+          routing: routingProfile,
+        });
+        await secretClient.setSecret(`wg-peer-config-${sessionId}`, sealToRecipient(configRecipientKey, clientConfig), {
+          contentType: 'text/plain',
+        });
+      }
+
       // Write sessions row before launching ACI so CheckVPNStatus can find it
-      await writeSessionRow(tableClient, sessionId, peerAddress);
+      const sessionRow = await writeSessionRow(tableClient, sessionId, {
+        peerAddress,
+        peerAddressV6,
+        clientKey,
+        callerId: caller.callerId,
+        location,
+        protocol: driver.name,
+        limits,
+        routing: routingProfile,
+        size,
+        usesPresharedKey,
+        configRecipientKey,
+      });
 
       try {
-        // Fire-and-forget: do NOT await pollUntilDone — return 202 immediately
-        await containerClient.containerGroups.beginCreateOrUpdate(
-          RESOURCE_GROUP,
+        // Fire-and-forget: resolves once accepted — return 202 immediately
+        await compute.create(
+          region.resourceGroup,
           containerGroupName,
-          buildContainerGroupSpec(sessionId, location, serverPrivateKey)
+          buildContainerGroupSpec(sessionId, region, driver, serverPrivateKey, {
+            publicKey: clientKey.publicKey,
+            address: peerAddress,
+            addressV6: peerAddressV6,
+            presharedKey: psk,
+          }, size, limits.idleTimeoutMinutes)
         );
       } catch (err) {
-        // Clean up all three artifacts on ACI launch failure
+        // Clean up all artifacts on ACI launch failure
+        await recordUsage(tableClient, { sessionId, sessionRow, reason: 'error' }, context.warn);
         await Promise.allSettled([
           secretClient.beginDeleteSecret(`wg-server-key-${sessionId}`),
+          secretClient.beginDeleteSecret(`wg-client-key-${sessionId}`),
+          secretClient.beginDeleteSecret(`wg-psk-${sessionId}`),
+          secretClient.beginDeleteSecret(`wg-peer-config-${sessionId}`),
           tableClient.deleteEntity('sessions', sessionId),
-          tableClient.deleteEntity('addresses', peerAddress),
+          tableClient.deleteEntity('starts', startKey),
+          releasePeerAddress(tableClient, peerAddress),
         ]);
         throw err;
       }
 
-      return { status: 202, jsonBody: { status: 'Provisioning', sessionId } };
+      await emitEvent(tableClient, secretClient, {
+        type: 'session.provisioning',
+        sessionId,
+        sessionRow,
+        data: { sizeProfile: size.name },
+      }, context.warn);
+
+      return {
+        status: 202,
+        jsonBody: {
+          status: 'Provisioning',
+          sessionId,
+          protocol: driver.name,
+          ...limits,
+          routing: routingProfile,
+          sizeProfile: size.name,
+          presharedKey: usesPresharedKey,
+          configEncryption: configRecipientKey ? SEALED_BOX_ALGORITHM : null,
+        },
+      };
     } catch (err) {
       context.error('StartVPN failed:', err);
       return { status: 503, body: JSON.stringify({ error: 'Failed to start VPN', details: err.message }) };
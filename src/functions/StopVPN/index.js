@@ -1,17 +1,29 @@
 'use strict';
 
 const { app } = require('@azure/functions');
-const { getContainerClient, getSecretClient, getTableClient, RESOURCE_GROUP } = require('../shared/azureClient');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { getComputeProvider } = require('../shared/compute');
+const { releaseSession } = require('../shared/sessionCleanup');
+const { recordUsage } = require('../shared/usage');
+const { authenticate, canAccessSession, notFoundResponse } = require('../shared/auth');
+const { markStopping } = require('../shared/sessionState');
+const { resourceGroupFor } = require('../shared/regions');
+const { emitEvent } = require('../shared/webhooks');
 
 /**
  * StopVPN — deletes the ACI container group and removes session state.
+ * The session reads as 'Stopping' while the group is deleted, then 'Stopped'.
+ * Only the session owner or an admin may stop it.
  * DELETE /api/StopVPN
  * Body: { sessionId: string }
  */
 app.http('StopVPN', {
   methods: ['DELETE'],
-  authLevel: 'function',
+  authLevel: 'anonymous',
   handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
     const body = await request.json().catch(() => ({}));
     const { sessionId } = body;
 
@@ -19,16 +31,17 @@ app.http('StopVPN', {
       return { status: 400, body: JSON.stringify({ error: 'sessionId is required' }) };
     }
 
-    const containerClient = getContainerClient();
+    const compute = getComputeProvider();
     const secretClient = getSecretClient();
     const tableClient = getTableClient();
     const containerGroupName = `vpn-${sessionId}`;
 
     try {
       // Read sessions row to get peerAddress before deletion
+      let sessionRow = null;
       let peerAddress = null;
       try {
-        const sessionRow = await tableClient.getEntity('sessions', sessionId);
+        sessionRow = await tableClient.getEntity('sessions', sessionId);
         peerAddress = sessionRow.peerAddress;
       } catch (err) {
         if (err.statusCode !== 404) throw err;
@@ -36,41 +49,38 @@ app.http('StopVPN', {
       }
 
       // Verify the container group exists
+      const resourceGroup = resourceGroupFor(sessionRow?.location);
+      let group;
       try {
-        await containerClient.containerGroups.get(RESOURCE_GROUP, containerGroupName);
+        group = await compute.get(resourceGroup, containerGroupName);
       } catch (err) {
         if (err.statusCode === 404) {
-          return { status: 404, body: JSON.stringify({ error: 'VPN session not found' }) };
+          return notFoundResponse();
         }
         throw err;
       }
 
+      if (!canAccessSession(caller, sessionRow)) return notFoundResponse();
+
+      if (sessionRow) await markStopping(tableClient, sessionRow, context.warn);
+
       // Delete the container group
-      const poller = await containerClient.containerGroups.beginDelete(RESOURCE_GROUP, containerGroupName);
-      await poller.pollUntilDone();
+      await compute.delete(resourceGroup, containerGroupName);
 
-      // Clean up Key Vault secrets and table rows (best-effort — don't fail stop if cleanup fails)
-      const cleanupTasks = [
-        secretClient.beginDeleteSecret(`wg-peer-config-${sessionId}`).catch((err) => {
-          context.warn(`Could not delete secret wg-peer-config-${sessionId}:`, err.message);
-        }),
-        secretClient.beginDeleteSecret(`wg-server-key-${sessionId}`).catch((err) => {
-          context.warn(`Could not delete secret wg-server-key-${sessionId}:`, err.message);
-        }),
-        tableClient.deleteEntity('sessions', sessionId).catch((err) => {
-          context.warn(`Could not delete sessions row ${sessionId}:`, err.message);
-        }),
-      ];
+      await recordUsage(tableClient, {
+        sessionId,
+        sessionRow,
+        reason: 'manual',
+        startedAt: group?.properties?.containers?.[0]?.properties?.instanceView?.currentState?.startTime,
+        location: group?.location,
+      }, context.warn);
 
-      if (peerAddress) {
-        cleanupTasks.push(
-          tableClient.deleteEntity('addresses', peerAddress).catch((err) => {
-            context.warn(`Could not delete addresses row ${peerAddress}:`, err.message);
-          })
-        );
-      }
+      // Clean up Key Vault secrets, table rows and every peer (best-effort — don't fail stop if cleanup fails)
+      await releaseSession(tableClient, secretClient, sessionId, peerAddress, context.warn);
 
-      await Promise.allSettled(cleanupTasks);
+      await emitEvent(tableClient, secretClient, {
+        type: 'session.stopped', sessionId, sessionRow, data: { stoppedBy: caller.callerId },
+      }, context.warn);
 
       return { status: 200, jsonBody: { status: 'Stopped', sessionId } };
     } catch (err) {
@@ -0,0 +1,87 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../shared/azureClient');
+const { authenticate } = require('../shared/auth');
+const { odataString } = require('../shared/odata');
+const { aggregateUsage } = require('../shared/usage');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a 'YYYY-MM-DD' query value as a UTC midnight.
+ * @param {string} value
+ * @returns {Date|null} null if the value is not a real calendar date
+ */
+const parseDate = (value) => {
+  if (!DATE_RE.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+};
+
+/**
+ * Usage — aggregates teardown usage records by caller and by day or month for chargeback.
+ * Admins see every caller (optionally narrowed by owner); everyone else sees only their own.
+ * The range is inclusive and defaults to the current UTC month.
+ * GET /api/Usage?groupBy=day|month&from=YYYY-MM-DD&to=YYYY-MM-DD&owner=
+ */
+app.http('Usage', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    const groupBy = request.query.get('groupBy') || 'day';
+    if (groupBy !== 'day' && groupBy !== 'month') {
+      return { status: 400, body: JSON.stringify({ error: "groupBy must be 'day' or 'month'" }) };
+    }
+
+    const owner = request.query.get('owner');
+    if (owner && !caller.isAdmin && owner !== caller.callerId) {
+      return { status: 403, body: JSON.stringify({ error: 'Only admins can read usage for other callers' }) };
+    }
+
+    const today = new Date();
+    const fromParam = request.query.get('from');
+    const toParam = request.query.get('to');
+    const from = fromParam
+      ? parseDate(fromParam)
+      : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+    const to = toParam ? parseDate(toParam) : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+    if (!from || !to) {
+      return { status: 400, body: JSON.stringify({ error: 'from and to must be dates in YYYY-MM-DD format' }) };
+    }
+    if (from > to) {
+      return { status: 400, body: JSON.stringify({ error: 'from must not be after to' }) };
+    }
+
+    // Row keys start with the ISO end time, so the range is a RowKey scan
+    const clauses = [
+      "PartitionKey eq 'usage'",
+      `RowKey ge ${odataString(from.toISOString())}`,
+      `RowKey lt ${odataString(new Date(to.getTime() + DAY_MS).toISOString())}`,
+    ];
+    const scope = caller.isAdmin ? owner : caller.callerId;
+    if (scope) clauses.push(`callerId eq ${odataString(scope)}`);
+
+    try {
+      const records = getTableClient().listEntities({ queryOptions: { filter: clauses.join(' and ') } });
+      const usage = await aggregateUsage(records, groupBy);
+
+      return {
+        status: 200,
+        jsonBody: {
+          groupBy,
+          from: from.toISOString().slice(0, 10),
+          to: to.toISOString().slice(0, 10),
+          usage,
+        },
+      };
+    } catch (err) {
+      context.error('Usage failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to read usage records', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../shared/azureClient');
+const { authenticate } = require('../shared/auth');
+const { odataString } = require('../shared/odata');
+const { WEBHOOK_ID_RE } = require('../shared/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * WebhookDeliveries — reads the webhook delivery log, newest first: one entry per event
+ * per webhook with its payload, attempt count and the outcome of the last attempt.
+ * Admin only.
+ * GET /api/WebhookDeliveries?webhookId=&sessionId=&status=pending|delivered|failed&limit=
+ */
+app.http('WebhookDeliveries', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    if (!caller.isAdmin) {
+      return { status: 403, body: JSON.stringify({ error: 'Only admins can read webhook deliveries' }) };
+    }
+
+    const webhookId = request.query.get('webhookId');
+    const sessionId = request.query.get('sessionId');
+    const status = request.query.get('status');
+    const limitParam = request.query.get('limit');
+    const limit = limitParam === null ? DEFAULT_LIMIT : Number(limitParam);
+
+    if (webhookId && !WEBHOOK_ID_RE.test(webhookId)) {
+      return { status: 400, body: JSON.stringify({ error: 'webhookId must be a webhook ID returned by Webhooks' }) };
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return { status: 400, body: JSON.stringify({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` }) };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { status: 400, body: JSON.stringify({ error: `limit must be an integer from 1 to ${MAX_LIMIT}` }) };
+    }
+
+    const clauses = ["PartitionKey eq 'deliveries'"];
+    if (webhookId) clauses.push(`webhookId eq ${odataString(webhookId)}`);
+    if (sessionId) clauses.push(`sessionId eq ${odataString(sessionId)}`);
+    if (status) clauses.push(`status eq ${odataString(status)}`);
+
+    try {
+      const rows = [];
+      const entities = getTableClient().listEntities({ queryOptions: { filter: clauses.join(' and ') } });
+      for await (const row of entities) rows.push(row);
+
+      // Row keys start with the event time; the log is small enough to sort in memory
+      rows.sort((a, b) => b.rowKey.localeCompare(a.rowKey));
+
+      return {
+        status: 200,
+        jsonBody: {
+          deliveries: rows.slice(0, limit).map((row) => ({
+            id: row.rowKey,
+            webhookId: row.webhookId,
+            event: row.event,
+            sessionId: row.sessionId,
+            status: row.status,
+            attempts: row.attempts,
+            createdAt: row.createdAt,
+            lastAttemptAt: row.lastAttemptAt || null,
+            lastStatusCode: row.lastStatusCode ?? null,
+            lastError: row.lastError || null,
+            nextAttemptAt: row.status === 'pending' ? row.nextAttemptAt : null,
+            payload: JSON.parse(row.payload),
+          })),
+        },
+      };
+    } catch (err) {
+      context.error('WebhookDeliveries failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to read webhook deliveries', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { listWebhooks, attemptDelivery, listDueDeliveries, pruneDeliveryLog } = require('../shared/webhooks');
+
+/**
+ * WebhookRetry — timer-triggered function that retries webhook deliveries whose first
+ * attempt failed, backing off exponentially until the receiver accepts or the attempts
+ * run out, then prunes finished deliveries past the log retention window.
+ * Deliveries for deleted webhooks are marked 'failed' without another attempt.
+ * Runs every minute.
+ */
+app.timer('WebhookRetry', {
+  schedule: '0 * * * * *',
+  handler: async (_timer, context) => {
+    const secretClient = getSecretClient();
+    const tableClient = getTableClient();
+
+    let delivered = 0;
+    let pending = 0;
+    let failed = 0;
+    let errors = 0;
+    let pruned = 0;
+
+    try {
+      const due = await listDueDeliveries(tableClient);
+      const webhooks = due.length > 0 ? new Map((await listWebhooks(tableClient)).map((w) => [w.id, w])) : new Map();
+
+      for (const delivery of due) {
+        try {
+          const webhook = webhooks.get(delivery.webhookId);
+          if (!webhook) {
+            await tableClient.updateEntity({
+              partitionKey: 'deliveries',
+              rowKey: delivery.rowKey,
+              status: 'failed',
+              lastError: 'Webhook was deleted',
+            }, 'Merge');
+            failed++;
+            continue;
+          }
+
+          const result = await attemptDelivery(tableClient, secretClient, delivery, webhook);
+          if (result.status === 'delivered') delivered++;
+          else if (result.status === 'failed') failed++;
+          else pending++;
+        } catch (err) {
+          // # Reason: one failure must not halt the batch — other deliveries should still be retried
+          context.error(`Failed to retry delivery ${delivery.rowKey}:`, err.message);
+          errors++;
+        }
+      }
+
+      pruned = await pruneDeliveryLog(tableClient);
+    } catch (err) {
+      context.error('WebhookRetry failed:', err);
+      return;
+    }
+
+    context.log(
+      `WebhookRetry complete. Delivered: ${delivered}, Pending: ${pending}, Failed: ${failed}, `
+      + `Errors: ${errors}, Pruned: ${pruned}.`
+    );
+  },
+});
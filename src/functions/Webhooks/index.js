@@ -0,0 +1,112 @@
+'use strict';
+
+const { randomBytes } = require('crypto');
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../shared/azureClient');
+const { authenticate } = require('../shared/auth');
+const { EVENT_TYPES, WEBHOOK_ID_RE, newWebhookId, webhookSecretName, listWebhooks } = require('../shared/webhooks');
+
+// Shorter caller-chosen secrets are too easy to brute-force from a captured signature
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Validates a POST body and returns the subscription to create.
+ * @param {object} body
+ * @returns {{ webhook?: { url: string, events: string[], secret: string|undefined }, error?: string }}
+ */
+const parseSubscription = ({ url, events = EVENT_TYPES, secret }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'url must be an absolute https URL' };
+  }
+  // # Reason: payloads name callers and regions — never send them in clear text
+  if (parsed.protocol !== 'https:') return { error: 'url must be an absolute https URL' };
+  if (!Array.isArray(events) || events.length === 0 || !events.every((event) => EVENT_TYPES.includes(event))) {
+    return { error: `events must be a non-empty list of: ${EVENT_TYPES.join(', ')}` };
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+    return { error: `secret must be a string of at least ${MIN_SECRET_LENGTH} characters` };
+  }
+  return { webhook: { url: parsed.href, events: [...new Set(events)], secret } };
+};
+
+/**
+ * Webhooks — manages lifecycle webhook subscriptions. Admin only.
+ * GET lists subscriptions; POST creates one and returns its signing secret (generated
+ * unless supplied) — the only time the secret is shown; DELETE removes one.
+ * Receivers verify X-VPN-Signature: sha256=HMAC(secret, `${X-VPN-Timestamp}.${body}`).
+ * GET|POST|DELETE /api/Webhooks
+ * POST body: { url: string, events?: string[], secret?: string }
+ * DELETE body: { id: string }
+ */
+app.http('Webhooks', {
+  methods: ['GET', 'POST', 'DELETE'],
+  authLevel: 'anonymous',
+  handler: async (request, context) => {
+    const { caller, response: authFailure } = await authenticate(request);
+    if (authFailure) return authFailure;
+
+    if (!caller.isAdmin) {
+      return { status: 403, body: JSON.stringify({ error: 'Only admins can manage webhooks' }) };
+    }
+
+    const secretClient = getSecretClient();
+    const tableClient = getTableClient();
+
+    try {
+      if (request.method === 'GET') {
+        return { status: 200, jsonBody: { webhooks: await listWebhooks(tableClient) } };
+      }
+
+      const body = await request.json().catch(() => ({}));
+
+      if (request.method === 'DELETE') {
+        const { id } = body;
+        if (typeof id !== 'string' || !WEBHOOK_ID_RE.test(id)) {
+          return { status: 400, body: JSON.stringify({ error: 'id must be a webhook ID returned by POST' }) };
+        }
+        try {
+          await tableClient.deleteEntity('webhooks', id);
+        } catch (err) {
+          if (err.statusCode === 404) {
+            return { status: 404, body: JSON.stringify({ error: 'Webhook not found' }) };
+          }
+          throw err;
+        }
+        // Pending deliveries for this webhook fail on their next attempt once the secret is gone
+        await secretClient.beginDeleteSecret(webhookSecretName(id)).catch((err) => {
+          context.warn(`Could not delete secret ${webhookSecretName(id)}:`, err.message);
+        });
+        return { status: 200, jsonBody: { id, status: 'Deleted' } };
+      }
+
+      const { webhook, error } = parseSubscription(body);
+      if (error) return { status: 400, body: JSON.stringify({ error }) };
+
+      const id = newWebhookId();
+      const secret = webhook.secret || randomBytes(32).toString('base64url');
+      const createdAt = new Date().toISOString();
+      // Secret first — a row without one could never be signed for
+      await secretClient.setSecret(webhookSecretName(id), secret, { contentType: 'text/plain' });
+      await tableClient.createEntity({
+        partitionKey: 'webhooks',
+        rowKey: id,
+        url: webhook.url,
+        // Stored as a JSON array; listWebhooks parses it back
+        events: JSON.stringify(webhook.events),
+        createdBy: caller.callerId,
+        createdAt,
+      });
+
+      return {
+        status: 201,
+        jsonBody: { id, url: webhook.url, events: webhook.events, secret, createdBy: caller.callerId, createdAt },
+      };
+    } catch (err) {
+      context.error('Webhooks failed:', err);
+      return { status: 503, body: JSON.stringify({ error: 'Failed to manage webhooks', details: err.message }) };
+    }
+  },
+});
@@ -0,0 +1,422 @@
+'use strict';
+
+// Allocation index: one row whose bitmap marks every address handed out from the pool.
+// The per-address 'addresses' rows stay the ownership lock; the bitmap only saves
+// allocators from scanning that partition, so drift in it costs capacity, never uniqueness.
+const POOL_PARTITION = 'pool';
+const POOL_ROW = 'ipv4';
+
+// Smallest pool: server + one peer. Largest: /16, whose bitmap (8 KiB) fits in one property
+const MIN_PREFIX = 16;
+const MAX_PREFIX = 30;
+// Concurrent StartVPN/AddPeer calls race on the bitmap ETag; each loss costs one re-read
+const MAX_ATTEMPTS = 10;
+
+const IPV4_RE = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * @param {string} address - dotted quad
+ * @returns {number} unsigned 32-bit value
+ * @throws {Error} if the address is not a valid IPv4 address
+ */
+const ipToInt = (address) => {
+  const match = IPV4_RE.exec(String(address).trim());
+  const octets = match ? match.slice(1).map(Number) : [];
+  if (octets.length !== 4 || octets.some((o) => o > 255)) {
+    throw new Error(`Invalid IPv4 address: ${address}`);
+  }
+  return ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+};
+
+/**
+ * @param {number} value - unsigned 32-bit value
+ * @returns {string} dotted quad
+ */
+const intToIp = (value) => [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join('.');
+
+// Peers get the IPv6 address at the same host offset as their IPv4 one, so the IPv4
+// allocation (and its lock row) covers both and no second allocator is needed
+const IPV6_GROUPS = 8;
+
+/**
+ * @param {string} address - IPv6 address, '::' compression allowed (no embedded IPv4)
+ * @returns {bigint}
+ * @throws {Error} if the address is not a valid IPv6 address
+ */
+const ipv6ToBigInt = (address) => {
+  const text = String(address).trim().toLowerCase();
+  const halves = text.split('::');
+  const groups = (half) => (half ? half.split(':') : []);
+  const head = groups(halves[0]);
+  const tail = groups(halves[1]);
+  const fill = IPV6_GROUPS - head.length - tail.length;
+  const all = halves.length === 2 ? [...head, ...Array(fill).fill('0'), ...tail] : head;
+  if (halves.length > 2 || (halves.length === 2 && fill < 1) || all.length !== IPV6_GROUPS
+    || all.some((g) => !/^[0-9a-f]{1,4}$/.test(g))) {
+    throw new Error(`Invalid IPv6 address: ${address}`);
+  }
+  return all.reduce((value, g) => (value << 16n) | BigInt(parseInt(g, 16)), 0n);
+};
+
+/**
+ * Formats an IPv6 address in RFC 5952 canonical form (lowercase, longest zero run as '::').
+ * @param {bigint} value
+ * @returns {string}
+ */
+const bigIntToIpv6 = (value) => {
+  const groups = [];
+  for (let i = IPV6_GROUPS - 1; i >= 0; i--) groups.push(Number((value >> BigInt(i * 16)) & 0xffffn));
+
+  let best = { start: -1, length: 1 }; // a single zero group is never compressed
+  for (let i = 0; i < IPV6_GROUPS; i++) {
+    let j = i;
+    while (j < IPV6_GROUPS && groups[j] === 0) j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+    i = j;
+  }
+  const hex = groups.map((g) => g.toString(16));
+  if (best.start < 0) return hex.join(':');
+  return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+};
+
+/**
+ * Parses VPN_TUNNEL_SUBNET_V6. The prefix must leave enough host bits to mirror every
+ * offset in the IPv4 pool.
+ * @param {string} tunnelSubnetV6 - e.g. 'fd00:8::/64'
+ * @param {number} v4Size - number of addresses in the IPv4 pool
+ * @returns {{ subnet: string, network: bigint, prefix: number, serverAddress: string }}
+ * @throws {Error} if the subnet is invalid or too small
+ */
+const parseTunnelSubnetV6 = (tunnelSubnetV6, v4Size) => {
+  const [base, bits, extra] = String(tunnelSubnetV6).split('/');
+  const prefix = Number(bits);
+  if (extra !== undefined || !Number.isInteger(prefix) || prefix < 0 || 2 ** (128 - prefix) < v4Size) {
+    throw new Error(`VPN_TUNNEL_SUBNET_V6 must be an IPv6 CIDR at least as large as the IPv4 pool: ${tunnelSubnetV6}`);
+  }
+  const hostBits = BigInt(128 - prefix);
+  const network = (ipv6ToBigInt(base) >> hostBits) << hostBits;
+  return {
+    subnet: `${bigIntToIpv6(network)}/${prefix}`,
+    network,
+    prefix,
+    serverAddress: `${bigIntToIpv6(network + 1n)}/${prefix}`,
+  };
+};
+
+/**
+ * Parses a comma-separated list of reserved addresses, CIDR blocks and 'first-last' ranges
+ * into offsets from the network address.
+ * @param {string} spec - e.g. '10.8.0.10-10.8.0.19, 10.8.1.0/28'
+ * @param {number} network
+ * @param {number} size
+ * @returns {[number, number][]} inclusive offset ranges
+ * @throws {Error} on malformed entries or entries outside the subnet
+ */
+const parseReservedRanges = (spec, network, size) =>
+  String(spec || '').split(',').map((s) => s.trim()).filter(Boolean).map((entry) => {
+    let first;
+    let last;
+    if (entry.includes('/')) {
+      const [base, bits] = entry.split('/');
+      const prefix = Number(bits);
+      if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) throw new Error(`Invalid reserved range: ${entry}`);
+      const blockSize = 2 ** (32 - prefix);
+      first = ipToInt(base) - (ipToInt(base) % blockSize);
+      last = first + blockSize - 1;
+    } else if (entry.includes('-')) {
+      [first, last] = entry.split('-').map(ipToInt);
+    } else {
+      first = last = ipToInt(entry);
+    }
+    if (first > last || first < network || last >= network + size) {
+      throw new Error(`Reserved range ${entry} is not inside the tunnel subnet`);
+    }
+    return [first - network, last - network];
+  });
+
+/**
+ * Derives tunnel addressing from VPN_TUNNEL_SUBNET (e.g. '10.8.0.0/22'). The first host
+ * address belongs to the server; peers are drawn from the rest, excluding the network
+ * and broadcast addresses and any reserved ranges. With an IPv6 subnet the pool is
+ * dual-stack: `v6` describes it and the server gets its first host address too.
+ * @param {string} tunnelSubnet - IPv4 CIDR, /16 to /30
+ * @param {object} [options]
+ * @param {string} [options.reserved] - VPN_TUNNEL_RESERVED, see parseReservedRanges
+ * @param {string} [options.tunnelSubnetV6] - VPN_TUNNEL_SUBNET_V6; omit for IPv4-only
+ * @returns {{ subnet: string, network: number, prefix: number, size: number, serverAddress: string,
+ *   reserved: [number, number][], v6: ReturnType<typeof parseTunnelSubnetV6>|null }}
+ *   serverAddress includes the CIDR suffix, and the IPv6 one when dual-stack
+ * @throws {Error} if the subnets or reserved ranges are invalid
+ */
+const parseTunnelSubnet = (tunnelSubnet, { reserved, tunnelSubnetV6 } = {}) => {
+  const [base, bits, extra] = String(tunnelSubnet).split('/');
+  const prefix = Number(bits);
+  if (extra !== undefined || !Number.isInteger(prefix) || prefix < MIN_PREFIX || prefix > MAX_PREFIX) {
+    throw new Error(`VPN_TUNNEL_SUBNET must be an IPv4 CIDR between /${MIN_PREFIX} and /${MAX_PREFIX}: ${tunnelSubnet}`);
+  }
+  const size = 2 ** (32 - prefix);
+  // # Reason: tolerate host bits in the configured base ('10.8.0.1/24' means 10.8.0.0/24)
+  const network = ipToInt(base) - (ipToInt(base) % size);
+  const v6 = tunnelSubnetV6 ? parseTunnelSubnetV6(tunnelSubnetV6, size) : null;
+  const serverAddress = `${intToIp(network + 1)}/${prefix}`;
+  return {
+    subnet: `${intToIp(network)}/${prefix}`,
+    network,
+    prefix,
+    size,
+    serverAddress: v6 ? `${serverAddress}, ${v6.serverAddress}` : serverAddress,
+    reserved: parseReservedRanges(reserved, network, size),
+    v6,
+  };
+};
+
+/**
+ * The IPv6 address paired with an allocated IPv4 peer address.
+ * @param {ReturnType<typeof parseTunnelSubnet>} pool
+ * @param {string} address - IPv4 address from allocatePeerAddress
+ * @returns {string|null} null when the pool is IPv4-only
+ */
+const pairedAddressV6 = (pool, address) =>
+  (pool.v6 ? bigIntToIpv6(pool.v6.network + BigInt(ipToInt(address) - pool.network)) : null);
+
+/**
+ * True if an offset may be handed to a peer.
+ * @param {ReturnType<typeof parseTunnelSubnet>} pool
+ * @param {number} offset
+ * @returns {boolean}
+ */
+const isAllocatable = (pool, offset) =>
+  offset >= 2 && offset < pool.size - 1 && !pool.reserved.some(([first, last]) => offset >= first && offset <= last);
+
+const testBit = (bits, offset) => (bits[offset >> 3] & (1 << (offset & 7))) !== 0;
+const setBit = (bits, offset) => { bits[offset >> 3] |= 1 << (offset & 7); };
+const clearBit = (bits, offset) => { bits[offset >> 3] &= ~(1 << (offset & 7)); };
+
+/**
+ * Builds a bitmap for `pool` with a bit set for every address in `addresses` inside it.
+ * @param {{ network: number, size: number }} pool
+ * @param {Iterable<string>} addresses
+ * @returns {Buffer}
+ */
+const buildBitmap = (pool, addresses) => {
+  const bits = Buffer.alloc(Math.ceil(pool.size / 8));
+  for (const address of addresses) {
+    const offset = ipToInt(address) - pool.network;
+    if (offset >= 0 && offset < pool.size) setBit(bits, offset);
+  }
+  return bits;
+};
+
+/**
+ * Lowest allocatable offset whose bit is clear.
+ * @param {ReturnType<typeof parseTunnelSubnet>} pool
+ * @param {Buffer} bits
+ * @returns {number} -1 if the pool is exhausted
+ */
+const firstFreeOffset = (pool, bits) => {
+  for (let offset = 2; offset < pool.size - 1; offset++) {
+    // Skip whole bytes of allocated addresses — keeps a /20 scan to ~500 iterations when full
+    if ((offset & 7) === 0 && bits[offset >> 3] === 0xff) {
+      offset += 7;
+      continue;
+    }
+    if (!testBit(bits, offset) && isAllocatable(pool, offset)) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Reads the allocation index row.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @returns {Promise<object|null>} null if it has not been created yet
+ */
+const readPoolBitmap = async (tableClient) => {
+  try {
+    return await tableClient.getEntity(POOL_PARTITION, POOL_ROW);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+};
+
+/**
+ * Pool geometry recorded on an index row, or null for rows this module did not write.
+ * @param {object|null} entity
+ * @returns {{ network: number, size: number }|null}
+ */
+const bitmapPool = (entity) => {
+  if (!entity?.subnet || typeof entity.bitmap !== 'string') return null;
+  const [base, prefix] = entity.subnet.split('/');
+  return { network: ipToInt(base), size: 2 ** (32 - Number(prefix)) };
+};
+
+/**
+ * Addresses marked allocated on an index row.
+ * @param {object} entity
+ * @returns {string[]}
+ */
+const bitmapAddresses = (entity) => {
+  const pool = bitmapPool(entity);
+  if (!pool) return [];
+  const bits = Buffer.from(entity.bitmap, 'base64');
+  const addresses = [];
+  for (let offset = 0; offset < pool.size; offset++) {
+    if (testBit(bits, offset)) addresses.push(intToIp(pool.network + offset));
+  }
+  return addresses;
+};
+
+/**
+ * Writes the index row: Replace against `etag` if the row was read, otherwise create it.
+ * Conflicts (412/409) propagate for the caller to re-read and retry.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} subnet
+ * @param {Buffer} bits
+ * @param {string} [etag]
+ * @returns {Promise<void>}
+ */
+const writePoolBitmap = async (tableClient, subnet, bits, etag) => {
+  const entity = { partitionKey: POOL_PARTITION, rowKey: POOL_ROW, subnet, bitmap: bits.toString('base64') };
+  if (etag) {
+    await tableClient.updateEntity(entity, 'Replace', { etag });
+  } else {
+    await tableClient.createEntity(entity);
+  }
+};
+
+/**
+ * Rebuilds a pool's bitmap from the 'addresses' partition. Only needed when the index
+ * row is missing, was written for a different subnet, or claims the pool is full.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {ReturnType<typeof parseTunnelSubnet>} pool
+ * @returns {Promise<Buffer>}
+ */
+const scanAllocations = async (tableClient, pool) => {
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: "PartitionKey eq 'addresses'" },
+  });
+  const used = [];
+  for await (const entity of entities) {
+    used.push(entity.rowKey);
+  }
+  return buildBitmap(pool, used);
+};
+
+/**
+ * Clears an address's bit in the index, retrying on ETag conflicts.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} address
+ * @returns {Promise<void>}
+ */
+const releasePoolBit = async (tableClient, address) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const entity = await readPoolBitmap(tableClient);
+    const pool = bitmapPool(entity);
+    const offset = pool ? ipToInt(address) - pool.network : -1;
+    if (offset < 0 || offset >= pool.size) return; // no index, or address from an old subnet
+
+    const bits = Buffer.from(entity.bitmap, 'base64');
+    if (!testBit(bits, offset)) return;
+    clearBit(bits, offset);
+    try {
+      await writePoolBitmap(tableClient, entity.subnet, bits, entity.etag);
+      return;
+    } catch (err) {
+      if (err.statusCode !== 412) throw err;
+    }
+  }
+  throw new Error(`Address pool contention: could not release ${address}`);
+};
+
+/**
+ * Allocates the lowest free peer address in the tunnel pool. The address is marked in
+ * the bitmap index under its ETag, then locked with an 'addresses' row; losing either
+ * race re-reads the index and tries again.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {ReturnType<typeof parseTunnelSubnet>} pool
+ * @param {string} sessionId
+ * @param {string} [peerId] - set for additional peers added to a running session
+ * @returns {Promise<string|null>} allocated address (without CIDR), or null if pool exhausted
+ * @throws {Error} if contention outlasts the retry budget
+ */
+const allocatePeerAddress = async (tableClient, pool, sessionId, peerId) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const entity = await readPoolBitmap(tableClient);
+    const current = entity?.subnet === pool.subnet && typeof entity.bitmap === 'string';
+    let bits = current ? Buffer.from(entity.bitmap, 'base64') : await scanAllocations(tableClient, pool);
+    let offset = firstFreeOffset(pool, bits);
+    if (offset < 0 && current) {
+      // # Reason: a full index may only be stale (best-effort releases) — confirm before refusing
+      bits = await scanAllocations(tableClient, pool);
+      offset = firstFreeOffset(pool, bits);
+    }
+    if (offset < 0) return null; // pool exhausted
+
+    setBit(bits, offset);
+    try {
+      await writePoolBitmap(tableClient, pool.subnet, bits, entity?.etag);
+    } catch (err) {
+      if (err.statusCode === 412 || err.statusCode === 409) continue; // index changed since read
+      throw err;
+    }
+
+    const address = intToIp(pool.network + offset);
+    try {
+      await tableClient.createEntity({
+        partitionKey: 'addresses',
+        rowKey: address,
+        sessionId,
+        ...(peerId ? { peerId } : {}),
+      });
+      return address;
+    } catch (err) {
+      // 409: held but missing from the index — the bit stays set and the next pass moves on
+      if (err.statusCode === 409) continue;
+      await releasePoolBit(tableClient, address).catch(() => {});
+      throw err;
+    }
+  }
+  throw new Error('Address pool contention: allocation retries exhausted');
+};
+
+/**
+ * Returns an address to the pool: drops its 'addresses' lock row, then its index bit.
+ * A lock row that is already gone still has its bit cleared. A bit left set by a
+ * failure here is recovered by the Reconcile timer.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} address
+ * @returns {Promise<void>}
+ */
+const releasePeerAddress = async (tableClient, address) => {
+  try {
+    await tableClient.deleteEntity('addresses', address);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+  await releasePoolBit(tableClient, address);
+};
+
+/**
+ * Overwrites the index so it marks exactly `addresses`, provided it has not changed
+ * since it was read. Used by Reconcile to repair drift.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {object} entity - index row as read
+ * @param {string[]} addresses
+ * @returns {Promise<void>}
+ */
+const syncPoolBitmap = (tableClient, entity, addresses) =>
+  writePoolBitmap(tableClient, entity.subnet, buildBitmap(bitmapPool(entity), addresses), entity.etag);
+
+module.exports = {
+  ipToInt,
+  intToIp,
+  ipv6ToBigInt,
+  bigIntToIpv6,
+  parseTunnelSubnet,
+  pairedAddressV6,
+  allocatePeerAddress,
+  releasePeerAddress,
+  readPoolBitmap,
+  bitmapAddresses,
+  syncPoolBitmap,
+};
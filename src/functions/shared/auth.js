@@ -0,0 +1,200 @@
+'use strict';
+
+const { createPublicKey, verify } = require('crypto');
+const { readFile } = require('fs/promises');
+
+// Fail fast — every HTTP function depends on these; no anonymous fallback exists
+const REQUIRED = ['AUTH_ISSUER', 'AUTH_AUDIENCE', 'AUTH_JWKS_URI'];
+const missing = REQUIRED.filter((key) => !process.env[key]);
+if (missing.length > 0) {
+  throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+}
+
+const ISSUER = process.env.AUTH_ISSUER;
+const AUDIENCE = process.env.AUTH_AUDIENCE;
+// https:// URL (e.g. Entra ID discovery keys) or a local file path / file:// URL for tests
+const JWKS_URI = process.env.AUTH_JWKS_URI;
+const ADMIN_ROLE = process.env.AUTH_ADMIN_ROLE || 'VPN.Admin';
+
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+// Unknown kid triggers a refresh (key rotation), but no more often than this
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+// JWS alg → Node digest and signature encoding
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+};
+
+/** Raised for any token that fails validation — always maps to 401. */
+class AuthError extends Error {}
+
+let jwksCache = { keys: null, fetchedAt: 0 };
+
+/**
+ * Loads the JWKS document from an https URL or a local file.
+ * @returns {Promise<object[]>}
+ */
+const loadJwks = async () => {
+  let doc;
+  if (/^https?:\/\//.test(JWKS_URI)) {
+    const res = await fetch(JWKS_URI);
+    if (!res.ok) throw new Error(`JWKS fetch failed with HTTP ${res.status}`);
+    doc = await res.json();
+  } else {
+    const path = JWKS_URI.startsWith('file://') ? new URL(JWKS_URI) : JWKS_URI;
+    doc = JSON.parse(await readFile(path, 'utf8'));
+  }
+  return Array.isArray(doc.keys) ? doc.keys : [];
+};
+
+/**
+ * Returns the signing key for a kid, refreshing the cached JWKS when it is stale or
+ * does not contain the kid.
+ * @param {string} kid
+ * @returns {Promise<import('crypto').KeyObject|null>}
+ */
+const getSigningKey = async (kid) => {
+  const now = Date.now();
+  const find = () => jwksCache.keys?.find((key) => key.kid === kid);
+
+  const stale = !jwksCache.keys || now - jwksCache.fetchedAt > JWKS_CACHE_MS;
+  if (stale || (!find() && now - jwksCache.fetchedAt > JWKS_MIN_REFRESH_MS)) {
+    jwksCache = { keys: await loadJwks(), fetchedAt: now };
+  }
+
+  const jwk = find();
+  return jwk ? createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Decodes one base64url JWT segment as a JSON object.
+ * @param {string} segment
+ * @returns {object}
+ * @throws {AuthError} if it is not one — `null` or a bare number would otherwise fail later as a TypeError
+ */
+const decodeSegment = (segment) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthError('Malformed token');
+  }
+  if (decoded === null || typeof decoded !== 'object') throw new AuthError('Malformed token');
+  return decoded;
+};
+
+/**
+ * Validates a compact JWS: signature against the JWKS, then issuer, audience and lifetime.
+ * @param {string} token
+ * @returns {Promise<object>} verified claims
+ */
+const verifyToken = async (token) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed token');
+
+  const header = decodeSegment(parts[0]);
+  const claims = decodeSegment(parts[1]);
+
+  const alg = ALGORITHMS[header.alg];
+  // # Reason: the message goes into WWW-Authenticate — never echo token content into a header
+  if (!alg) throw new AuthError('Unsupported token algorithm');
+
+  const key = await getSigningKey(header.kid);
+  if (!key) throw new AuthError('Token signing key not found');
+
+  const valid = verify(
+    alg.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    alg.dsaEncoding ? { key, dsaEncoding: alg.dsaEncoding } : key,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) throw new AuthError('Invalid token signature');
+
+  const nowSeconds = Date.now() / 1000;
+  if (claims.iss !== ISSUER) throw new AuthError('Invalid token issuer');
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(AUDIENCE)) throw new AuthError('Invalid token audience');
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new AuthError('Token not yet valid');
+  }
+
+  return claims;
+};
+
+/**
+ * Authenticates the bearer token on an HTTP request.
+ * Never throws — failures come back as a ready-to-return response.
+ * @param {import('@azure/functions').HttpRequest} request
+ * @returns {Promise<{ caller?: { callerId: string, isAdmin: boolean }, response?: object }>}
+ */
+const authenticate = async (request) => {
+  const header = request.headers?.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+
+  try {
+    if (!match) throw new AuthError('Bearer token required');
+
+    const claims = await verifyToken(match[1]);
+    // Entra ID: oid is the stable object ID across apps; sub is the generic JWT fallback
+    const callerId = claims.oid || claims.sub;
+    if (!callerId) throw new AuthError('Token has no subject');
+
+    const roles = Array.isArray(claims.roles) ? claims.roles : [];
+    return { caller: { callerId, isAdmin: roles.includes(ADMIN_ROLE) } };
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return {
+        response: {
+          status: 401,
+          headers: { 'WWW-Authenticate': `Bearer error="invalid_token", error_description="${err.message}"` },
+          body: JSON.stringify({ error: err.message }),
+        },
+      };
+    }
+    return {
+      response: { status: 503, body: JSON.stringify({ error: 'Authentication unavailable', details: err.message }) },
+    };
+  }
+};
+
+/**
+ * Returns true if the caller owns the session or holds the admin role.
+ * Sessions without a recorded owner (created before auth) are admin-only.
+ * @param {{ callerId: string, isAdmin: boolean }} caller
+ * @param {object|null} sessionRow
+ * @returns {boolean}
+ */
+const canAccessSession = (caller, sessionRow) =>
+  caller.isAdmin || (!!sessionRow?.callerId && sessionRow.callerId === caller.callerId);
+
+/** Standard 403 for callers acting on a session they do not own. */
+const forbiddenResponse = () => ({
+  status: 403,
+  body: JSON.stringify({ error: 'Not authorized for this VPN session' }),
+});
+
+/**
+ * Standard 404 for a session, or a resource under one, that is missing or that the caller
+ * may not access. Both cases answer alike so session IDs cannot be probed for existence.
+ * @param {string} [error]
+ * @returns {object} HTTP response
+ */
+const notFoundResponse = (error = 'VPN session not found') => ({
+  status: 404,
+  body: JSON.stringify({ error }),
+});
+
+module.exports = {
+  authenticate,
+  canAccessSession,
+  forbiddenResponse,
+  notFoundResponse,
+};
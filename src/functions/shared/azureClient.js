@@ -4,25 +4,44 @@ const { DefaultAzureCredential } = require('@azure/identity');
 const { ContainerInstanceManagementClient } = require('@azure/arm-containerinstance');
 const { SecretClient } = require('@azure/keyvault-secrets');
 const { TableClient } = require('@azure/data-tables');
+const { createMemorySecretClient } = require('./memorySecrets');
+const { createTableOnFirstUse } = require('./localTable');
+
+// VPN_COMPUTE_PROVIDER=memory runs the function app with no Azure subscription (see compute.js):
+// secrets are held in process memory and the sessions table lives in the storage account
+// AzureWebJobsStorage points at — Azurite with the default UseDevelopmentStorage=true
+const LOCAL = process.env.VPN_COMPUTE_PROVIDER === 'memory';
 
 // Validate required env vars at module load — fail fast rather than at first API call
-const REQUIRED = ['AZURE_SUBSCRIPTION_ID', 'AZURE_RESOURCE_GROUP', 'KeyVaultUri', 'STORAGE_TABLE_ENDPOINT'];
+const REQUIRED = LOCAL ? [] : ['AZURE_SUBSCRIPTION_ID', 'AZURE_RESOURCE_GROUP', 'KeyVaultUri', 'STORAGE_TABLE_ENDPOINT'];
 const missing = REQUIRED.filter((key) => !process.env[key]);
 if (missing.length > 0) {
   throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
 }
 
 const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
+const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP || 'local';
 const KEY_VAULT_URI = process.env.KeyVaultUri;
 const STORAGE_TABLE_ENDPOINT = process.env.STORAGE_TABLE_ENDPOINT;
 
 const credential = new DefaultAzureCredential();
 
 // Singleton clients — created once per cold start, reused across invocations
-const containerClient = new ContainerInstanceManagementClient(credential, SUBSCRIPTION_ID);
-const secretClient = new SecretClient(KEY_VAULT_URI, credential);
-const tableClient = new TableClient(STORAGE_TABLE_ENDPOINT, 'vpn-sessions', credential);
+let containerClient = null;
+let secretClient;
+let tableClient;
+if (LOCAL) {
+  secretClient = createMemorySecretClient();
+  tableClient = createTableOnFirstUse(TableClient.fromConnectionString(
+    process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true',
+    'vpn-sessions',
+    { allowInsecureConnection: true }
+  ));
+} else {
+  containerClient = new ContainerInstanceManagementClient(credential, SUBSCRIPTION_ID);
+  secretClient = new SecretClient(KEY_VAULT_URI, credential);
+  tableClient = new TableClient(STORAGE_TABLE_ENDPOINT, 'vpn-sessions', credential);
+}
 
 module.exports = {
   credential,
@@ -0,0 +1,193 @@
+'use strict';
+
+const { QR_FORMATS, encodeQr } = require('./qr');
+const { clientConfigFields } = require('./sealedBox');
+
+// Client configs carry the client private key — no browser or proxy may keep a copy
+const NO_STORE_HEADERS = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+  Pragma: 'no-cache',
+  Expires: '0',
+};
+
+// wg-quick key -> [JSON field, list-valued]
+const INTERFACE_FIELDS = {
+  PrivateKey: ['privateKey', false],
+  Address: ['addresses', true],
+  DNS: ['dns', true],
+  MTU: ['mtu', false],
+};
+const PEER_FIELDS = {
+  PublicKey: ['publicKey', false],
+  PresharedKey: ['presharedKey', false],
+  Endpoint: ['endpoint', false],
+  AllowedIPs: ['allowedIps', true],
+  PersistentKeepalive: ['persistentKeepalive', false],
+};
+const NUMERIC_FIELDS = new Set(['mtu', 'persistentKeepalive']);
+
+/**
+ * Parses a wg-quick config into its [Interface] and [Peer] fields. Comment lines and
+ * keys this service never writes are skipped.
+ * @param {string} text
+ * @returns {{ interface: object, peers: object[] }}
+ */
+const parseClientConfig = (text) => {
+  const parsed = { interface: {}, peers: [] };
+  let section = null;
+  let fields = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    if (line === '[Interface]') {
+      [section, fields] = [parsed.interface, INTERFACE_FIELDS];
+    } else if (line === '[Peer]') {
+      section = {};
+      fields = PEER_FIELDS;
+      parsed.peers.push(section);
+    } else if (section && line.includes('=')) {
+      const key = line.slice(0, line.indexOf('=')).trim();
+      const value = line.slice(line.indexOf('=') + 1).trim();
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) continue;
+      const [name, isList] = fields[key];
+      if (isList) section[name] = value.split(',').map((item) => item.trim()).filter(Boolean);
+      else section[name] = NUMERIC_FIELDS.has(name) ? Number(value) : value;
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Renders a parsed config as a NetworkManager keyfile (`nmcli connection import` or a
+ * drop-in under /etc/NetworkManager/system-connections/).
+ * @param {ReturnType<typeof parseClientConfig>} parsed
+ * @param {string} name - connection id and interface name
+ * @returns {string}
+ */
+const renderNetworkManagerKeyfile = ({ interface: iface, peers }, name) => {
+  const isV6 = (value) => value.includes(':');
+  const addresses = iface.addresses || [];
+  const dns = iface.dns || [];
+  const ipSection = (family, matches) => {
+    const familyAddresses = addresses.filter(matches);
+    if (familyAddresses.length === 0) return [`[${family}]`, 'method=disabled', ''];
+    const familyDns = dns.filter(matches);
+    return [
+      `[${family}]`,
+      ...familyAddresses.map((address, i) => `address${i + 1}=${address}`),
+      ...(familyDns.length > 0 ? [`dns=${familyDns.join(';')};`] : []),
+      'method=manual',
+      '',
+    ];
+  };
+
+  return [
+    '[connection]',
+    `id=${name}`,
+    'type=wireguard',
+    `interface-name=${name}`,
+    'autoconnect=false',
+    '',
+    '[wireguard]',
+    iface.privateKey ? `private-key=${iface.privateKey}` : '# private-key=<private key matching your public key>',
+    ...(iface.mtu ? [`mtu=${iface.mtu}`] : []),
+    '',
+    ...peers.flatMap((peer) => [
+      `[wireguard-peer.${peer.publicKey}]`,
+      // # Reason: flags=0 stores the PSK in the profile, as with private-key, instead of asking an agent
+      ...(peer.presharedKey ? [`preshared-key=${peer.presharedKey}`, 'preshared-key-flags=0'] : []),
+      ...(peer.endpoint ? [`endpoint=${peer.endpoint}`] : []),
+      `allowed-ips=${(peer.allowedIps || []).join(';')};`,
+      ...(peer.persistentKeepalive ? [`persistent-keepalive=${peer.persistentKeepalive}`] : []),
+      '',
+    ]),
+    ...ipSection('ipv4', (value) => !isV6(value)),
+    ...ipSection('ipv6', isV6),
+  ].join('\n');
+};
+
+/**
+ * A tunnel name the WireGuard apps accept (they derive it from the file name):
+ * at most 15 characters from [a-zA-Z0-9_=+.-]. Also a valid Linux interface name.
+ * @param {string} sessionId
+ * @param {string} [peerId] - additional device, if not the primary peer
+ * @returns {string}
+ */
+const tunnelName = (sessionId, peerId) => {
+  const trim = (value) => value.replace(/-+$/, '');
+  return peerId ? `${trim(sessionId.slice(0, 6))}-${peerId}` : trim(sessionId.slice(0, 15));
+};
+
+// format=conf for sessions started before protocols could be chosen, and for WireGuard ones
+const WG_QUICK_FILE = { extension: 'conf', contentType: 'text/plain; charset=utf-8' };
+
+const attachment = (body, contentType, filename) => ({
+  status: 200,
+  headers: {
+    ...NO_STORE_HEADERS,
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  },
+  body,
+});
+
+// Output formats for a stored client config, keyed by the `format` query value
+const CONFIG_FORMATS = {
+  conf: (text, name, file = WG_QUICK_FILE) => attachment(`${text}\n`, file.contentType, `${name}.${file.extension}`),
+  json: (text) => ({ status: 200, headers: NO_STORE_HEADERS, jsonBody: parseClientConfig(text) }),
+  nmconnection: (text, name) => attachment(
+    renderNetworkManagerKeyfile(parseClientConfig(text), name),
+    'text/plain; charset=utf-8',
+    `${name}.nmconnection`
+  ),
+  ...Object.fromEntries(Object.entries(QR_FORMATS).map(([format, { contentType, render }]) => [
+    format,
+    (text) => ({
+      status: 200,
+      headers: { ...NO_STORE_HEADERS, 'Content-Type': contentType },
+      body: render(encodeQr(text)),
+    }),
+  ])),
+};
+
+/**
+ * Builds the HTTP response carrying a client config in the requested format.
+ * @param {string} text - client config as stored in Key Vault
+ * @param {string} format - a CONFIG_FORMATS key the session's protocol offers
+ * @param {string} name - tunnel name, see tunnelName
+ * @param {{ extension: string, contentType: string }} [file] - the protocol's config file, for format=conf
+ * @returns {object}
+ */
+const clientConfigResponse = (text, format, name, file) => CONFIG_FORMATS[format](text, name, file);
+
+/**
+ * Builds the HTTP response carrying a sealed client config. Only the formats that hand
+ * the sealed box over as it is are available; the rest need the plaintext.
+ * @param {object} sessionRow
+ * @param {string} sealed - base64 sealed box as stored in Key Vault
+ * @param {string} format - a CONFIG_FORMATS key
+ * @param {string} name - tunnel name, see tunnelName
+ * @param {{ extension: string }} [file] - the protocol's config file, named in the download
+ * @returns {object}
+ */
+const sealedConfigResponse = (sessionRow, sealed, format, name, file = WG_QUICK_FILE) => {
+  if (format === 'conf') {
+    return attachment(Buffer.from(sealed, 'base64'), 'application/octet-stream', `${name}.${file.extension}.sealed`);
+  }
+  if (format === 'json') {
+    return { status: 200, headers: NO_STORE_HEADERS, jsonBody: clientConfigFields(sessionRow, sealed) };
+  }
+  return {
+    status: 400,
+    body: JSON.stringify({ error: `format ${format} is not available for sessions with an encrypted client config` }),
+  };
+};
+
+module.exports = {
+  CONFIG_FORMATS,
+  parseClientConfig,
+  renderNetworkManagerKeyfile,
+  tunnelName,
+  clientConfigResponse,
+  sealedConfigResponse,
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+const { getContainerClient } = require('./azureClient');
+
+// 'aci' runs sessions in Azure Container Instances; 'memory' simulates them in-process so the
+// Start/Check/Stop/AutoShutdown flow runs locally with no Azure subscription (see azureClient.js)
+const PROVIDERS = ['aci', 'memory'];
+const PROVIDER = process.env.VPN_COMPUTE_PROVIDER || 'aci';
+// How long a simulated container group takes to come up, and the share that fail instead
+const LOCAL_PROVISIONING_SECONDS = Number(process.env.VPN_LOCAL_PROVISIONING_SECONDS || '20');
+const LOCAL_FAILURE_RATE = Number(process.env.VPN_LOCAL_FAILURE_RATE || '0');
+
+// Fail fast — a typo here would otherwise send a local run to Azure, or the reverse
+if (!PROVIDERS.includes(PROVIDER)) {
+  throw new Error(`VPN_COMPUTE_PROVIDER must be one of: ${PROVIDERS.join(', ')}`);
+}
+if (!Number.isFinite(LOCAL_PROVISIONING_SECONDS) || LOCAL_PROVISIONING_SECONDS < 0) {
+  throw new Error('VPN_LOCAL_PROVISIONING_SECONDS must be a non-negative number');
+}
+if (!Number.isFinite(LOCAL_FAILURE_RATE) || LOCAL_FAILURE_RATE < 0 || LOCAL_FAILURE_RATE > 1) {
+  throw new Error('VPN_LOCAL_FAILURE_RATE must be a number from 0 to 1');
+}
+
+/**
+ * Where session containers run. Resources are ACI-shaped whatever the backend — a container
+ * group spec goes in, a container group resource (provisioning state, instance view, IP)
+ * comes out — so failure detection and usage metering read them the same way.
+ * @typedef {object} ComputeProvider
+ * @property {(resourceGroup: string, name: string, spec: object) => Promise<void>} create - creates or
+ *   replaces a container group; resolves once the request is accepted, not when it is running
+ * @property {(resourceGroup: string, name: string) => Promise<object>} get - rejects with statusCode 404
+ *   if there is no such group
+ * @property {(resourceGroup: string, name: string) => Promise<void>} delete - resolves once the group is gone
+ * @property {(resourceGroup: string) => AsyncIterable<object>} list - every container group in the resource group
+ */
+
+/**
+ * Container groups in Azure Container Instances.
+ * @param {import('@azure/arm-containerinstance').ContainerInstanceManagementClient} containerClient
+ * @returns {ComputeProvider}
+ */
+const createAciProvider = (containerClient) => ({
+  create: async (resourceGroup, name, spec) => {
+    // # Reason: do NOT await pollUntilDone — callers return 202 and CheckVPNStatus watches the rollout
+    await containerClient.containerGroups.beginCreateOrUpdate(resourceGroup, name, spec);
+  },
+  get: (resourceGroup, name) => containerClient.containerGroups.get(resourceGroup, name),
+  delete: async (resourceGroup, name) => {
+    const poller = await containerClient.containerGroups.beginDelete(resourceGroup, name);
+    await poller.pollUntilDone();
+  },
+  list: (resourceGroup) => containerClient.containerGroups.listByResourceGroup(resourceGroup),
+});
+
+/**
+ * Shaped like the RestError the Azure SDK throws, so callers' 404 handling applies unchanged.
+ * @param {string} name
+ * @returns {Error}
+ */
+const notFound = (name) =>
+  Object.assign(new Error(`Container group ${name} not found`), { statusCode: 404, code: 'ResourceNotFound' });
+
+/**
+ * Container groups simulated in process memory, for local runs and tests. A group reads
+ * 'Creating' for `provisioningSeconds` after each create, then either 'Succeeded' with a
+ * running container and a documentation-range IP (203.0.113.0/24), or — for the share
+ * drawn by `failureRate` — 'Failed' with a warning event, as ACI reports a group that
+ * never came up. Like ACI, secure environment values are never read back.
+ * @param {object} [options]
+ * @param {number} [options.provisioningSeconds] - defaults to VPN_LOCAL_PROVISIONING_SECONDS
+ * @param {number} [options.failureRate] - 0..1, defaults to VPN_LOCAL_FAILURE_RATE
+ * @param {() => number} [options.random]
+ * @param {() => number} [options.now]
+ * @returns {ComputeProvider}
+ */
+const createMemoryProvider = ({
+  provisioningSeconds = LOCAL_PROVISIONING_SECONDS, failureRate = LOCAL_FAILURE_RATE, random = Math.random,
+  now = Date.now,
+} = {}) => {
+  const groups = new Map();
+  let hosts = 0;
+  const keyOf = (resourceGroup, name) => `${resourceGroup.toLowerCase()}/${name}`;
+
+  // State is derived on read from when the create was accepted — there is no background work
+  const view = ({ name, spec, acceptedAt, ip, fails }) => {
+    const readyAt = acceptedAt + provisioningSeconds * 1000;
+    const ready = now() >= readyAt;
+    const stamp = new Date(readyAt).toISOString();
+    let provisioningState = 'Creating';
+    let currentState = { state: 'Waiting', detailStatus: 'ContainerCreating' };
+    let events = [];
+    if (ready && fails) {
+      provisioningState = 'Failed';
+      events = [{
+        type: 'Warning', name: 'Failed', lastTimestamp: stamp,
+        message: 'Simulated provisioning failure (VPN_LOCAL_FAILURE_RATE)',
+      }];
+    } else if (ready) {
+      provisioningState = 'Succeeded';
+      currentState = { state: 'Running', startTime: stamp, detailStatus: '' };
+    }
+    const running = provisioningState === 'Succeeded';
+
+    const group = structuredClone(spec);
+    group.name = name;
+    group.properties.provisioningState = provisioningState;
+    group.properties.instanceView = { state: running ? 'Running' : 'Pending', events };
+    for (const container of group.properties.containers) {
+      container.properties.environmentVariables = (container.properties.environmentVariables || [])
+        .map((variable) => (variable.secureValue === undefined ? variable : { name: variable.name }));
+      container.properties.instanceView = { currentState, events: [] };
+    }
+    const dnsNameLabel = group.properties.ipAddress?.dnsNameLabel;
+    group.properties.ipAddress = {
+      ...group.properties.ipAddress,
+      ip: running ? ip : undefined,
+      fqdn: running && dnsNameLabel ? `${dnsNameLabel}.${group.location}.azurecontainer.io` : undefined,
+    };
+    return group;
+  };
+
+  return {
+    create: async (resourceGroup, name, spec) => {
+      const key = keyOf(resourceGroup, name);
+      // A recreate (key rotation) keeps the group's IP, but goes through provisioning again
+      const ip = groups.get(key)?.ip || `203.0.113.${(hosts++ % 254) + 1}`;
+      groups.set(key, {
+        resourceGroup, name, spec: structuredClone(spec), acceptedAt: now(), ip, fails: random() < failureRate,
+      });
+    },
+    get: async (resourceGroup, name) => {
+      const group = groups.get(keyOf(resourceGroup, name));
+      if (!group) throw notFound(name);
+      return view(group);
+    },
+    // Deleting a group that is already gone succeeds, as it does in ARM
+    delete: async (resourceGroup, name) => {
+      groups.delete(keyOf(resourceGroup, name));
+    },
+    list: async function* list(resourceGroup) {
+      for (const group of [...groups.values()]) {
+        if (group.resourceGroup.toLowerCase() === resourceGroup.toLowerCase()) yield view(group);
+      }
+    },
+  };
+};
+
+// Simulated groups must outlive a single invocation, so every function shares one provider
+let memoryProvider = null;
+
+/**
+ * The deployment's compute provider, chosen by VPN_COMPUTE_PROVIDER.
+ * @returns {ComputeProvider}
+ */
+const getComputeProvider = () => {
+  if (PROVIDER === 'memory') {
+    memoryProvider = memoryProvider || createMemoryProvider();
+    return memoryProvider;
+  }
+  return createAciProvider(getContainerClient());
+};
+
+module.exports = {
+  createAciProvider,
+  createMemoryProvider,
+  getComputeProvider,
+};
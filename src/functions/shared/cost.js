@@ -0,0 +1,156 @@
+'use strict';
+
+const { DEFAULT_CPU, DEFAULT_MEMORY_GB } = require('./usage');
+
+// ACI Linux pay-as-you-go list prices; override per deployment, and per region where they differ
+const DEFAULT_RATES = {
+  vcpuSecond: parseFloat(process.env.VPN_COST_VCPU_SECOND || '0.0000113'),
+  gbSecond: parseFloat(process.env.VPN_COST_GB_SECOND || '0.0000012'),
+};
+const CURRENCY = process.env.VPN_COST_CURRENCY || 'USD';
+
+// Fail fast — a malformed rate table would silently price every session at the defaults
+let REGION_RATES;
+try {
+  REGION_RATES = JSON.parse(process.env.VPN_COST_REGION_RATES || '{}');
+} catch (err) {
+  throw new Error(`VPN_COST_REGION_RATES is not valid JSON: ${err.message}`);
+}
+
+// Monthly budgets; 0 or unset means no limit
+const MONTHLY_BUDGET_PER_CALLER = parseFloat(process.env.VPN_MONTHLY_BUDGET_PER_CALLER || '0');
+const MONTHLY_BUDGET_TOTAL = parseFloat(process.env.VPN_MONTHLY_BUDGET_TOTAL || '0');
+
+/**
+ * Returns the per-second rates for a region, falling back to the defaults
+ * for any rate the region does not override.
+ * @param {string} [location]
+ * @returns {{ vcpuSecond: number, gbSecond: number }}
+ */
+const ratesFor = (location) => ({ ...DEFAULT_RATES, ...(REGION_RATES[location] || {}) });
+
+/**
+ * Prices a container's resource requests over a duration.
+ * @param {object} params
+ * @param {string} [params.location]
+ * @param {number} [params.cpu]
+ * @param {number} [params.memoryInGB]
+ * @param {number} params.durationSeconds
+ * @returns {number} cost in CURRENCY
+ */
+const estimateCost = ({ location, cpu = DEFAULT_CPU, memoryInGB = DEFAULT_MEMORY_GB, durationSeconds }) => {
+  const { vcpuSecond, gbSecond } = ratesFor(location);
+  return durationSeconds * (cpu * vcpuSecond + memoryInGB * gbSecond);
+};
+
+/**
+ * Estimates what a live session has cost so far, from its sessions row.
+ * @param {object} sessionRow
+ * @param {number} [now]
+ * @returns {{ amount: number, currency: string }|null} null if the start time is unknown
+ */
+const estimateSessionCost = (sessionRow, now = Date.now()) => {
+  if (!sessionRow?.createdAt) return null;
+  const durationSeconds = Math.max(0, (now - new Date(sessionRow.createdAt).getTime()) / 1000);
+  const amount = estimateCost({
+    location: sessionRow.location,
+    cpu: sessionRow.cpu ?? undefined,
+    memoryInGB: sessionRow.memoryInGB ?? undefined,
+    durationSeconds,
+  });
+  return { amount: Math.round(amount * 10000) / 10000, currency: CURRENCY };
+};
+
+/**
+ * Seconds of [start, end] that fall on or after monthStart.
+ * @param {string} start - ISO start time
+ * @param {number} end - end time in ms
+ * @param {number} monthStart - start of the current month in ms
+ * @returns {number}
+ */
+const secondsThisMonth = (start, end, monthStart) =>
+  Math.max(0, (end - Math.max(new Date(start).getTime(), monthStart)) / 1000);
+
+/**
+ * Checks whether starting a session would push the caller or the whole deployment past its
+ * monthly budget. Month-to-date spend is finished sessions from the 'usage' partition plus
+ * what live sessions have accrued so far; the new session is projected to run for
+ * `projectedSeconds`, the least it can cost before AutoShutdown reaps it unused.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} callerId
+ * @param {object} session
+ * @param {string} session.location
+ * @param {number} session.cpu
+ * @param {number} session.memoryInGB
+ * @param {number} session.projectedSeconds
+ * @param {number} [now]
+ * @returns {Promise<{ reason: string, error: string, retryAfterSeconds: number }|null>}
+ *   the exceeded budget, or null if the start is allowed
+ */
+const checkBudget = async (tableClient, callerId, { location, cpu, memoryInGB, projectedSeconds }, now = Date.now()) => {
+  if (!(MONTHLY_BUDGET_PER_CALLER > 0) && !(MONTHLY_BUDGET_TOTAL > 0)) return null;
+
+  const today = new Date(now);
+  const monthStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1);
+  const nextMonthStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1);
+
+  let total = 0;
+  let mine = 0;
+  const add = (row, cost) => {
+    total += cost;
+    if (row.callerId === callerId) mine += cost;
+  };
+
+  // Usage row keys start with the ISO end time — anything ended this month
+  const usage = tableClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq 'usage' and RowKey ge '${new Date(monthStart).toISOString()}'` },
+  });
+  for await (const row of usage) {
+    add(row, estimateCost({
+      location: row.location,
+      cpu: row.cpu,
+      memoryInGB: row.memoryInGB,
+      durationSeconds: secondsThisMonth(row.startedAt, new Date(row.endedAt).getTime(), monthStart),
+    }));
+  }
+
+  const sessions = tableClient.listEntities({ queryOptions: { filter: "PartitionKey eq 'sessions'" } });
+  for await (const row of sessions) {
+    if (!row.createdAt) continue;
+    add(row, estimateCost({
+      location: row.location,
+      cpu: row.cpu ?? undefined,
+      memoryInGB: row.memoryInGB ?? undefined,
+      durationSeconds: secondsThisMonth(row.createdAt, now, monthStart),
+    }));
+  }
+
+  const projected = estimateCost({ location, cpu, memoryInGB, durationSeconds: projectedSeconds });
+  const retryAfterSeconds = Math.max(1, Math.ceil((nextMonthStart - now) / 1000));
+
+  if (MONTHLY_BUDGET_TOTAL > 0 && total + projected > MONTHLY_BUDGET_TOTAL) {
+    return {
+      reason: 'deployment_budget',
+      error: `Starting this session would exceed the deployment's monthly budget of ${MONTHLY_BUDGET_TOTAL} ${CURRENCY}`
+        + ` (${total.toFixed(2)} ${CURRENCY} spent this month)`,
+      retryAfterSeconds,
+    };
+  }
+  if (MONTHLY_BUDGET_PER_CALLER > 0 && mine + projected > MONTHLY_BUDGET_PER_CALLER) {
+    return {
+      reason: 'caller_budget',
+      error: `Starting this session would exceed the caller's monthly budget of ${MONTHLY_BUDGET_PER_CALLER} ${CURRENCY}`
+        + ` (${mine.toFixed(2)} ${CURRENCY} spent this month)`,
+      retryAfterSeconds,
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  ratesFor,
+  estimateCost,
+  estimateSessionCost,
+  checkBudget,
+};
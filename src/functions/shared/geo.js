@@ -0,0 +1,125 @@
+'use strict';
+
+// Azure public regions that offer Container Instances: display name and datacenter
+// coordinates as published by `az account list-locations`
+const AZURE_REGIONS = {
+  eastus: { displayName: 'East US', latitude: 37.3719, longitude: -79.8164 },
+  eastus2: { displayName: 'East US 2', latitude: 36.6681, longitude: -78.3889 },
+  centralus: { displayName: 'Central US', latitude: 41.5908, longitude: -93.6208 },
+  northcentralus: { displayName: 'North Central US', latitude: 41.8819, longitude: -87.6278 },
+  southcentralus: { displayName: 'South Central US', latitude: 29.4167, longitude: -98.5 },
+  westcentralus: { displayName: 'West Central US', latitude: 40.89, longitude: -110.234 },
+  westus: { displayName: 'West US', latitude: 37.783, longitude: -122.417 },
+  westus2: { displayName: 'West US 2', latitude: 47.233, longitude: -119.852 },
+  westus3: { displayName: 'West US 3', latitude: 33.448376, longitude: -112.074036 },
+  canadacentral: { displayName: 'Canada Central', latitude: 43.653, longitude: -79.383 },
+  canadaeast: { displayName: 'Canada East', latitude: 46.817, longitude: -71.217 },
+  mexicocentral: { displayName: 'Mexico Central', latitude: 20.588818, longitude: -100.389888 },
+  brazilsouth: { displayName: 'Brazil South', latitude: -23.55, longitude: -46.633 },
+  northeurope: { displayName: 'North Europe', latitude: 53.3478, longitude: -6.2597 },
+  westeurope: { displayName: 'West Europe', latitude: 52.3667, longitude: 4.9 },
+  uksouth: { displayName: 'UK South', latitude: 50.941, longitude: -0.799 },
+  ukwest: { displayName: 'UK West', latitude: 53.427, longitude: -3.084 },
+  francecentral: { displayName: 'France Central', latitude: 46.3772, longitude: 2.373 },
+  germanywestcentral: { displayName: 'Germany West Central', latitude: 50.110924, longitude: 8.682127 },
+  switzerlandnorth: { displayName: 'Switzerland North', latitude: 47.451542, longitude: 8.564572 },
+  norwayeast: { displayName: 'Norway East', latitude: 59.913868, longitude: 10.752245 },
+  swedencentral: { displayName: 'Sweden Central', latitude: 60.67488, longitude: 17.14127 },
+  polandcentral: { displayName: 'Poland Central', latitude: 52.23334, longitude: 21.01666 },
+  italynorth: { displayName: 'Italy North', latitude: 45.46888, longitude: 9.18109 },
+  spaincentral: { displayName: 'Spain Central', latitude: 40.4259, longitude: -3.4209 },
+  uaenorth: { displayName: 'UAE North', latitude: 25.266666, longitude: 55.316666 },
+  qatarcentral: { displayName: 'Qatar Central', latitude: 25.551462, longitude: 51.439256 },
+  israelcentral: { displayName: 'Israel Central', latitude: 31.2655698, longitude: 33.4506633 },
+  southafricanorth: { displayName: 'South Africa North', latitude: -25.73134, longitude: 28.21837 },
+  centralindia: { displayName: 'Central India', latitude: 18.5822, longitude: 73.9197 },
+  southindia: { displayName: 'South India', latitude: 12.9822, longitude: 80.1636 },
+  westindia: { displayName: 'West India', latitude: 19.088, longitude: 72.868 },
+  eastasia: { displayName: 'East Asia', latitude: 22.267, longitude: 114.188 },
+  southeastasia: { displayName: 'Southeast Asia', latitude: 1.283, longitude: 103.833 },
+  japaneast: { displayName: 'Japan East', latitude: 35.68, longitude: 139.77 },
+  japanwest: { displayName: 'Japan West', latitude: 34.6939, longitude: 135.5022 },
+  koreacentral: { displayName: 'Korea Central', latitude: 37.5665, longitude: 126.978 },
+  koreasouth: { displayName: 'Korea South', latitude: 35.1796, longitude: 129.0756 },
+  australiaeast: { displayName: 'Australia East', latitude: -33.86, longitude: 151.2094 },
+  australiasoutheast: { displayName: 'Australia Southeast', latitude: -37.8136, longitude: 144.9631 },
+  australiacentral: { displayName: 'Australia Central', latitude: -35.3075, longitude: 149.1244 },
+  newzealandnorth: { displayName: 'New Zealand North', latitude: -36.84853, longitude: 174.76349 },
+};
+
+// Approximate population-weighted centre of each country (ISO 3166-1 alpha-2) as
+// [latitude, longitude]. Only needs to be good enough to rank regions by distance.
+const COUNTRY_COORDINATES = {
+  AD: [42.5, 1.5], AE: [24.4, 54.4], AF: [34.5, 69.2], AG: [17.1, -61.8], AL: [41.3, 19.8],
+  AM: [40.2, 44.5], AO: [-8.8, 13.2], AR: [-34.6, -58.4], AT: [48.2, 16.4], AU: [-33.0, 147.0],
+  AZ: [40.4, 49.9], BA: [43.9, 18.4], BB: [13.1, -59.6], BD: [23.8, 90.4], BE: [50.8, 4.4],
+  BF: [12.4, -1.5], BG: [42.7, 23.3], BH: [26.2, 50.6], BI: [-3.4, 29.4], BJ: [6.4, 2.4],
+  BN: [4.9, 114.9], BO: [-16.5, -68.1], BR: [-19.0, -46.0], BS: [25.0, -77.4], BT: [27.5, 89.6],
+  BW: [-24.7, 25.9], BY: [53.9, 27.6], BZ: [17.3, -88.8], CA: [45.4, -77.0], CD: [-4.3, 15.3],
+  CF: [4.4, 18.6], CG: [-4.3, 15.2], CH: [47.1, 8.2], CI: [5.4, -4.0], CL: [-33.4, -70.6],
+  CM: [3.9, 11.5], CN: [32.0, 114.0], CO: [4.7, -74.1], CR: [9.9, -84.1], CU: [23.1, -82.4],
+  CV: [14.9, -23.5], CY: [35.2, 33.4], CZ: [50.0, 15.0], DE: [51.0, 9.5], DJ: [11.6, 43.1],
+  DK: [55.7, 11.0], DM: [15.3, -61.4], DO: [18.5, -69.9], DZ: [36.0, 3.5], EC: [-1.5, -78.8],
+  EE: [59.0, 25.5], EG: [30.0, 31.2], ER: [15.3, 38.9], ES: [40.4, -3.7], ET: [9.0, 38.7],
+  FI: [61.5, 24.5], FJ: [-18.1, 178.4], FM: [6.9, 158.2], FR: [47.0, 2.5], GA: [0.4, 9.5],
+  GB: [52.5, -1.5], GD: [12.1, -61.7], GE: [41.7, 44.8], GH: [6.2, -1.2], GM: [13.5, -16.6],
+  GN: [9.6, -13.6], GQ: [3.8, 8.8], GR: [38.5, 23.5], GT: [14.6, -90.5], GW: [11.9, -15.6],
+  GY: [6.8, -58.2], HK: [22.3, 114.2], HN: [14.6, -87.2], HR: [45.5, 16.0], HT: [18.5, -72.3],
+  HU: [47.3, 19.3], ID: [-6.5, 108.0], IE: [53.3, -7.5], IL: [32.0, 34.9], IN: [22.0, 79.0],
+  IQ: [33.3, 44.4], IR: [35.7, 51.4], IS: [64.1, -21.9], IT: [42.5, 12.5], JM: [18.0, -76.8],
+  JO: [31.9, 35.9], JP: [35.5, 137.5], KE: [-1.3, 36.8], KG: [42.9, 74.6], KH: [11.6, 104.9],
+  KI: [1.3, 173.0], KM: [-11.7, 43.3], KN: [17.3, -62.7], KP: [39.0, 125.8], KR: [36.5, 127.5],
+  KW: [29.4, 48.0], KZ: [47.0, 70.0], LA: [18.0, 102.6], LB: [33.9, 35.5], LC: [14.0, -61.0],
+  LI: [47.1, 9.5], LK: [7.3, 80.6], LR: [6.3, -10.8], LS: [-29.3, 27.5], LT: [55.0, 24.0],
+  LU: [49.6, 6.1], LV: [56.9, 24.6], LY: [32.9, 13.2], MA: [33.0, -6.8], MC: [43.7, 7.4],
+  MD: [47.0, 28.9], ME: [42.4, 19.3], MG: [-18.9, 47.5], MH: [7.1, 171.4], MK: [41.6, 21.4],
+  ML: [12.6, -8.0], MM: [19.0, 96.0], MN: [47.9, 106.9], MO: [22.2, 113.5], MR: [18.1, -15.9],
+  MT: [35.9, 14.5], MU: [-20.2, 57.5], MV: [4.2, 73.5], MW: [-13.9, 33.8], MX: [21.0, -100.0],
+  MY: [3.5, 102.0], MZ: [-19.0, 35.0], NA: [-22.6, 17.1], NE: [13.5, 2.1], NG: [8.0, 6.5],
+  NI: [12.1, -86.3], NL: [52.2, 5.3], NO: [60.5, 9.5], NP: [27.7, 85.3], NR: [-0.5, 166.9],
+  NZ: [-39.0, 175.0], OM: [23.6, 58.4], PA: [9.0, -79.5], PE: [-12.0, -77.0], PG: [-6.0, 147.0],
+  PH: [13.0, 122.0], PK: [30.0, 71.0], PL: [52.0, 19.5], PR: [18.4, -66.1], PS: [31.9, 35.2],
+  PT: [39.5, -8.5], PW: [7.5, 134.6], PY: [-25.3, -57.6], QA: [25.3, 51.5], RO: [45.5, 25.0],
+  RS: [44.5, 20.6], RU: [55.8, 42.0], RW: [-1.9, 30.1], SA: [24.0, 45.0], SB: [-9.4, 160.0],
+  SC: [-4.6, 55.5], SD: [15.5, 32.5], SE: [59.3, 16.0], SG: [1.35, 103.8], SI: [46.1, 14.8],
+  SK: [48.7, 19.5], SL: [8.5, -13.2], SM: [43.9, 12.4], SN: [14.7, -17.4], SO: [2.0, 45.3],
+  SR: [5.8, -55.2], SS: [4.9, 31.6], ST: [0.3, 6.7], SV: [13.7, -89.2], SY: [34.8, 37.0],
+  SZ: [-26.3, 31.1], TD: [12.1, 15.0], TG: [6.1, 1.2], TH: [14.0, 100.6], TJ: [38.6, 68.8],
+  TL: [-8.6, 125.6], TM: [37.9, 58.4], TN: [36.0, 10.0], TO: [-21.1, -175.2], TR: [39.5, 32.0],
+  TT: [10.6, -61.4], TV: [-8.5, 179.2], TW: [24.0, 121.0], TZ: [-6.5, 37.0], UA: [49.0, 31.0],
+  UG: [0.3, 32.6], US: [38.0, -89.0], UY: [-34.9, -56.2], UZ: [41.0, 68.0], VA: [41.9, 12.5],
+  VC: [13.2, -61.2], VE: [10.0, -67.0], VN: [16.0, 106.0], VU: [-17.7, 168.3], WS: [-13.8, -171.8],
+  YE: [15.4, 44.2], ZA: [-27.0, 28.0], ZM: [-14.5, 28.3], ZW: [-18.5, 30.5],
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle (haversine) distance between two points.
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number} kilometres
+ */
+const distanceKm = (a, b) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Coordinates for a country code.
+ * @param {string} country - ISO 3166-1 alpha-2, any case
+ * @returns {{ latitude: number, longitude: number }|null}
+ */
+const countryCoordinates = (country) => {
+  const entry = COUNTRY_COORDINATES[String(country).toUpperCase()];
+  return entry ? { latitude: entry[0], longitude: entry[1] } : null;
+};
+
+module.exports = {
+  AZURE_REGIONS,
+  distanceKm,
+  countryCoordinates,
+};
@@ -0,0 +1,293 @@
+'use strict';
+
+const { listSessionPeers, peerRowKey, peerConfigSecretName, peerPresharedKeySecretName } = require('./peers');
+const { transitionSession } = require('./sessionState');
+const { sessionRoutingProfile } = require('./routing');
+const { resourceGroupFor, containerFqdn } = require('./regions');
+const { sealToRecipient, sealForSession } = require('./sealedBox');
+const { protocolDriver } = require('./protocols');
+
+// Superseded secret versions stay enabled this long after a rotation, for readers mid-download
+const GRACE_MINUTES = parseInt(process.env.VPN_KEY_ROTATION_GRACE_MINUTES || '60', 10);
+// Scheduled rotation of live sessions; 0 leaves rotation to RotateKeys
+const INTERVAL_HOURS = parseInt(process.env.VPN_KEY_ROTATION_INTERVAL_HOURS || '0', 10);
+
+/**
+ * Reads a secret, or null if it does not exist.
+ * @param {import('@azure/keyvault-secrets').SecretClient} secretClient
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+const readSecret = (secretClient, name) =>
+  secretClient.getSecret(name).catch((err) => {
+    if (err.statusCode === 404) return null;
+    throw err;
+  });
+
+/**
+ * Copies a container group resource with the server private key, the primary peer's
+ * public key and its preshared key replaced, for a PUT that recreates the group in place.
+ * Everything else — image, size, network, the other environment variables — is kept.
+ * @param {object} group - ACI container group resource, as read
+ * @param {string} serverPrivateKey
+ * @param {string} peerPublicKey
+ * @param {string|null} [presharedKey] - required if the group was started with one
+ * @returns {object}
+ */
+const withRotatedKeys = (group, serverPrivateKey, peerPublicKey, presharedKey = null) => ({
+  location: group.location,
+  identity: group.identity,
+  tags: group.tags,
+  properties: {
+    ...group.properties,
+    containers: group.properties.containers.map((container) => ({
+      ...container,
+      properties: {
+        ...container.properties,
+        // # Reason: ACI never returns secure values, so the server key and PSK must be supplied afresh anyway
+        environmentVariables: container.properties.environmentVariables.map((variable) => {
+          if (variable.name === 'WG_SERVER_PRIVATE_KEY') return { name: variable.name, secureValue: serverPrivateKey };
+          if (variable.name === 'WG_PEER_PUBLIC_KEY') return { name: variable.name, value: peerPublicKey };
+          if (variable.name === 'WG_PEER_PRESHARED_KEY') return { name: variable.name, secureValue: presharedKey };
+          return variable;
+        }),
+      },
+    })),
+  },
+});
+
+/**
+ * Starts a key rotation on a live session: new server key, a new client key for sessions
+ * whose key was generated (bring-your-own-key sessions keep theirs unless a new public
+ * key is supplied), a new preshared key for sessions that have one, and the container
+ * group recreated in place with them. The session reads 'Rotating' until CheckVPNStatus
+ * sees the new container running and rewrites the client configs; sessions with sealed
+ * delivery get their sealed config here instead, as the new client private key is not
+ * stored. The secret versions being replaced are recorded for the grace period.
+ * If the recreate fails, the old secrets are restored and the session returns to Running.
+ * @param {object} clients - compute provider, secret and table clients
+ * @param {object} sessionRow - as read, including rowKey and etag
+ * @param {{ clientPublicKey?: string }} options
+ * @param {(message: string, detail: string) => void} warn
+ * @param {number} [now]
+ * @returns {Promise<{ keyVersion?: number, conflict?: boolean }>} conflict if the row changed since read
+ */
+const rotateSessionKeys = async ({ compute, secretClient, tableClient }, sessionRow, { clientPublicKey } = {},
+  warn, now = Date.now()) => {
+  const sessionId = sessionRow.rowKey;
+  const driver = protocolDriver(sessionRow);
+  const serverKey = driver.generateServerCredentials(sessionId);
+  const clientKey = sessionRow.clientKeySource === 'generated' ? driver.generateClientCredentials(sessionId) : null;
+  const peerPublicKey = clientKey?.publicKey || clientPublicKey || sessionRow.clientPublicKey;
+  const presharedKey = sessionRow.usesPresharedKey ? driver.generatePresharedKey() : null;
+  const sealed = !!sessionRow.configRecipientKey;
+
+  // Written in this order, each paired with its new value
+  const newSecrets = [
+    [`wg-server-key-${sessionId}`, serverKey.privateKey],
+    ...(clientKey && !sealed ? [[`wg-client-key-${sessionId}`, clientKey.privateKey]] : []),
+    ...(presharedKey ? [[`wg-psk-${sessionId}`, presharedKey]] : []),
+  ];
+  if (sealed) {
+    // # Reason: like StartVPN, seal the whole config while the new client private key is only in memory
+    const clientConfig = driver.renderClientConfig({
+      privateKey: clientKey?.privateKey || null,
+      address: sessionRow.peerAddress,
+      addressV6: sessionRow.peerAddressV6 || null,
+      serverPublicKey: serverKey.publicKey,
+      presharedKey,
+      endpoint: `${containerFqdn(sessionId, sessionRow.location)}:${driver.port}`,
+      routing: sessionRoutingProfile(sessionRow),
+    });
+    newSecrets.push([`wg-peer-config-${sessionId}`, sealToRecipient(sessionRow.configRecipientKey, clientConfig)]);
+  }
+
+  const peers = await listSessionPeers(tableClient, sessionId);
+  const superseded = new Set([
+    ...newSecrets.map(([name]) => name),
+    `wg-peer-config-${sessionId}`,
+    ...peers.map((peer) => peerConfigSecretName(sessionId, peer.peerId)),
+    ...peers.filter((peer) => peer.usesPresharedKey)
+      .map((peer) => peerPresharedKeySecretName(sessionId, peer.peerId)),
+  ]);
+  const current = (await Promise.all([...superseded].map((name) => readSecret(secretClient, name)))).filter(Boolean);
+
+  const keyVersion = (sessionRow.keyVersion || 1) + 1;
+  const claimed = await transitionSession(tableClient, sessionRow, 'Rotating', {
+    keyVersion,
+    keysRotatedAt: new Date(now).toISOString(),
+    clientPublicKey: peerPublicKey,
+    // A list, so serialized; retirePreviousVersions reads it once the grace period ends
+    previousSecretVersions: JSON.stringify(current.map((secret) => ({
+      name: secret.name, version: secret.properties.version,
+    }))),
+  });
+  if (!claimed) return { conflict: true };
+
+  const written = [];
+  try {
+    for (const [name, value] of newSecrets) {
+      await secretClient.setSecret(name, value, { contentType: 'text/plain' });
+      written.push(name);
+    }
+
+    const resourceGroup = resourceGroupFor(sessionRow.location);
+    const group = await compute.get(resourceGroup, `vpn-${sessionId}`);
+    // Fire-and-forget like StartVPN — CheckVPNStatus finishes the rotation once the group is back
+    await compute.create(
+      resourceGroup,
+      `vpn-${sessionId}`,
+      withRotatedKeys(group, serverKey.privateKey, peerPublicKey, presharedKey)
+    );
+  } catch (err) {
+    await Promise.allSettled(current.filter((secret) => written.includes(secret.name)).map((secret) =>
+      secretClient.setSecret(secret.name, secret.value, { contentType: 'text/plain' })
+        .catch((restoreErr) => warn(`Could not restore secret ${secret.name}:`, restoreErr.message))));
+    try {
+      const rotatingRow = await tableClient.getEntity('sessions', sessionId);
+      await transitionSession(tableClient, rotatingRow, 'Running', {
+        keyVersion: sessionRow.keyVersion || 1,
+        keysRotatedAt: sessionRow.keysRotatedAt || '',
+        clientPublicKey: sessionRow.clientPublicKey,
+        previousSecretVersions: '',
+      });
+    } catch (rollbackErr) {
+      warn(`Could not return session ${sessionId} to Running:`, rollbackErr.message);
+    }
+    throw err;
+  }
+
+  return { keyVersion };
+};
+
+/**
+ * True once a Rotating session's group has been recreated: provisioned, with a container
+ * started after the rotation began.
+ * @param {object} group - ACI container group resource
+ * @param {object} sessionRow
+ * @returns {boolean}
+ */
+const rotationApplied = (group, sessionRow) => {
+  const state = group.properties?.containers?.[0]?.properties?.instanceView?.currentState;
+  return group.properties?.provisioningState === 'Succeeded'
+    && state?.state === 'Running'
+    && !!state.startTime && new Date(state.startTime) >= new Date(sessionRow.keysRotatedAt);
+};
+
+/**
+ * Rewrites every additional device's client config for the rotated server key and
+ * endpoint. Devices whose key was generated get a new key pair; the container's peer
+ * sync swaps the public key on wg0 from the updated 'peers' row. Bring-your-own-key
+ * devices keep their key. Device preshared keys are derived from the server key, so every
+ * one changes and is stored again. The row update is ETag-guarded, so a device removed or changed
+ * meanwhile is skipped rather than recreated. Best-effort per device — failures go to `warn`.
+ * @param {object} clients - secret and table clients
+ * @param {object} sessionRow
+ * @param {{ serverPrivateKey: string, endpoint: string }} server
+ * @param {(message: string, detail: string) => void} warn
+ * @returns {Promise<void>}
+ */
+const refreshPeerConfigs = async ({ secretClient, tableClient }, sessionRow, { serverPrivateKey, endpoint }, warn) => {
+  const sessionId = sessionRow.rowKey;
+  const driver = protocolDriver(sessionRow);
+  const serverPublicKey = driver.serverPublicKey(serverPrivateKey);
+  const peers = await listSessionPeers(tableClient, sessionId);
+  await Promise.allSettled(peers.map(async (peer) => {
+    try {
+      const keys = peer.keySource === 'generated' ? driver.generateClientCredentials(sessionId) : { privateKey: null };
+      if (keys.publicKey) {
+        try {
+          await tableClient.updateEntity(
+            { partitionKey: 'peers', rowKey: peerRowKey(sessionId, peer.peerId), publicKey: keys.publicKey },
+            'Merge',
+            { etag: peer.etag }
+          );
+        } catch (err) {
+          // # Reason: 404/412 — RemovePeer got there first; a Merge without the ETag would bring the row back
+          if (err.statusCode === 404 || err.statusCode === 412) return;
+          throw err;
+        }
+      }
+      const presharedKey = peer.usesPresharedKey ? driver.devicePresharedKey(serverPrivateKey, peer.peerId) : null;
+      if (presharedKey) {
+        await secretClient.setSecret(peerPresharedKeySecretName(sessionId, peer.peerId), presharedKey, {
+          contentType: 'text/plain',
+        });
+      }
+      const clientConfig = sealForSession(sessionRow, driver.renderClientConfig({
+        privateKey: keys.privateKey,
+        address: peer.peerAddress,
+        addressV6: peer.peerAddressV6 || null,
+        serverPublicKey,
+        presharedKey,
+        endpoint,
+        routing: sessionRoutingProfile(sessionRow),
+      }));
+      await secretClient.setSecret(peerConfigSecretName(sessionId, peer.peerId), clientConfig, {
+        contentType: 'text/plain',
+      });
+    } catch (err) {
+      warn(`Could not refresh config for peer ${peer.peerId} on ${sessionId}:`, err.message);
+    }
+  }));
+};
+
+/**
+ * True when a session's superseded secret versions are past the grace period.
+ * @param {object} sessionRow
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+const graceElapsed = (sessionRow, now = Date.now()) =>
+  !!sessionRow.previousSecretVersions && sessionRow.status !== 'Rotating'
+  && now - new Date(sessionRow.keysRotatedAt).getTime() >= GRACE_MINUTES * 60000;
+
+/**
+ * Disables the secret versions a rotation superseded and clears them from the row.
+ * Versions already gone (the session was torn down) are skipped.
+ * @param {object} clients - secret and table clients
+ * @param {object} sessionRow
+ * @returns {Promise<number>} versions disabled
+ */
+const retirePreviousVersions = async ({ secretClient, tableClient }, sessionRow) => {
+  const versions = JSON.parse(sessionRow.previousSecretVersions);
+  let disabled = 0;
+  for (const { name, version } of versions) {
+    try {
+      await secretClient.updateSecretProperties(name, version, { enabled: false });
+      disabled++;
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+  }
+  await tableClient.updateEntity(
+    { partitionKey: 'sessions', rowKey: sessionRow.rowKey, previousSecretVersions: '' },
+    'Merge',
+    { etag: sessionRow.etag }
+  );
+  return disabled;
+};
+
+/**
+ * True when the scheduled policy is on and a live session's keys are older than it allows.
+ * Sessions on a protocol without key rotation are never due.
+ * @param {object} sessionRow
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+const rotationDue = (sessionRow, now = Date.now()) =>
+  INTERVAL_HOURS > 0
+  && protocolDriver(sessionRow).supportsKeyRotation
+  && now - new Date(sessionRow.keysRotatedAt || sessionRow.createdAt).getTime() >= INTERVAL_HOURS * 60 * 60000;
+
+module.exports = {
+  GRACE_MINUTES,
+  INTERVAL_HOURS,
+  withRotatedKeys,
+  rotateSessionKeys,
+  rotationApplied,
+  refreshPeerConfigs,
+  graceElapsed,
+  retirePreviousVersions,
+  rotationDue,
+};
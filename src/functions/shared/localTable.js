@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Wraps a TableClient so its table is created before the first call that needs it, for
+ * local runs against a fresh Azurite (VPN_COMPUTE_PROVIDER=memory) — in Azure, Bicep
+ * creates the table. Concurrent first calls share one createTable, which resolves when
+ * the table already exists; a failed one is retried by the next call rather than cached.
+ * Covers the TableClient calls the functions make.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @returns {object} TableClient-compatible subset
+ */
+const createTableOnFirstUse = (tableClient) => {
+  let created = null;
+  const ensureTable = () => {
+    created = created || tableClient.createTable().catch((err) => {
+      created = null;
+      throw err;
+    });
+    return created;
+  };
+  const afterCreate = (method) => async (...args) => {
+    await ensureTable();
+    return tableClient[method](...args);
+  };
+
+  return {
+    getEntity: afterCreate('getEntity'),
+    createEntity: afterCreate('createEntity'),
+    updateEntity: afterCreate('updateEntity'),
+    deleteEntity: afterCreate('deleteEntity'),
+    // Iterated with for await, or page by page through byPage, as the SDK's result is
+    listEntities: (...args) => ({
+      [Symbol.asyncIterator]: async function* entities() {
+        await ensureTable();
+        yield* tableClient.listEntities(...args);
+      },
+      byPage: async function* pages(settings) {
+        await ensureTable();
+        yield* tableClient.listEntities(...args).byPage(settings);
+      },
+    }),
+  };
+};
+
+module.exports = { createTableOnFirstUse };
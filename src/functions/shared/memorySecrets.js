@@ -0,0 +1,74 @@
+'use strict';
+
+const { randomBytes } = require('crypto');
+
+/**
+ * Shaped like the RestError the Key Vault SDK throws, so callers' 404 handling applies unchanged.
+ * @param {string} name
+ * @returns {Error}
+ */
+const notFound = (name) =>
+  Object.assign(new Error(`A secret with (name/id) ${name} was not found in this key vault`), {
+    statusCode: 404, code: 'SecretNotFound',
+  });
+
+/**
+ * A Key Vault stand-in held in process memory, for local runs without an Azure
+ * subscription (VPN_COMPUTE_PROVIDER=memory). It covers the SecretClient calls the
+ * functions make: every set adds a version, reads return the latest version, and a
+ * delete removes the secret with all its versions (there is no soft-delete to purge).
+ * @param {{ now?: () => number }} [options]
+ * @returns {object} SecretClient-compatible subset
+ */
+const createMemorySecretClient = ({ now = Date.now } = {}) => {
+  // name -> versions, oldest first
+  const secrets = new Map();
+
+  const latest = (name) => {
+    const versions = secrets.get(name);
+    if (!versions) throw notFound(name);
+    return versions[versions.length - 1];
+  };
+  const copy = ({ value, properties }) => ({ name: properties.name, value, properties: { ...properties } });
+
+  return {
+    getSecret: async (name, { version } = {}) => {
+      const secret = version ? (secrets.get(name) || []).find((v) => v.properties.version === version) : latest(name);
+      if (!secret) throw notFound(name);
+      return copy(secret);
+    },
+    setSecret: async (name, value, { contentType, enabled = true, tags } = {}) => {
+      const stamp = new Date(now());
+      const secret = {
+        value,
+        properties: {
+          name, version: randomBytes(16).toString('hex'), contentType, enabled, tags, createdOn: stamp, updatedOn: stamp,
+        },
+      };
+      secrets.set(name, [...(secrets.get(name) || []), secret]);
+      return copy(secret);
+    },
+    updateSecretProperties: async (name, version, options = {}) => {
+      const secret = (secrets.get(name) || []).find((v) => v.properties.version === version);
+      if (!secret) throw notFound(name);
+      for (const key of ['enabled', 'contentType', 'tags']) {
+        if (options[key] !== undefined) secret.properties[key] = options[key];
+      }
+      secret.properties.updatedOn = new Date(now());
+      return { ...secret.properties };
+    },
+    // Key Vault deletes are long-running operations; this one is already done
+    beginDeleteSecret: async (name) => {
+      const { properties } = latest(name);
+      secrets.delete(name);
+      return { pollUntilDone: async () => ({ name, properties: { ...properties } }) };
+    },
+    listPropertiesOfSecrets: async function* listPropertiesOfSecrets() {
+      for (const name of [...secrets.keys()]) {
+        if (secrets.has(name)) yield { ...latest(name).properties };
+      }
+    },
+  };
+};
+
+module.exports = { createMemorySecretClient };
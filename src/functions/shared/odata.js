@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * Quotes a value for use in an OData filter string literal.
+ * @param {string} value
+ * @returns {string}
+ */
+const odataString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+module.exports = {
+  odataString,
+};
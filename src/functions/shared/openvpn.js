@@ -0,0 +1,215 @@
+'use strict';
+
+const { createHash, generateKeyPairSync, randomBytes, sign } = require('crypto');
+const { intToIp } = require('./addressPool');
+
+// Self-signed certificates pinned by fingerprint (peer-fingerprint, OpenVPN 2.6+) stand
+// in for a CA: each session's server and client trust exactly the other's certificate
+const CERT_VALIDITY_DAYS = 365;
+// # Reason: tolerate clients whose clock runs a little behind the Function App's
+const CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+const OID = {
+  commonName: '2.5.4.3',
+  basicConstraints: '2.5.29.19',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+};
+
+/**
+ * Encodes one DER element.
+ * @param {number} tag
+ * @param {...Buffer} contents
+ * @returns {Buffer}
+ */
+const der = (tag, ...contents) => {
+  const body = Buffer.concat(contents);
+  if (body.length < 0x80) return Buffer.concat([Buffer.from([tag, body.length]), body]);
+  const lengthBytes = [];
+  for (let n = body.length; n > 0; n >>>= 8) lengthBytes.unshift(n & 0xff);
+  return Buffer.concat([Buffer.from([tag, 0x80 | lengthBytes.length, ...lengthBytes]), body]);
+};
+
+const sequence = (...items) => der(0x30, ...items);
+
+/**
+ * @param {string} dotted - e.g. '2.5.4.3'
+ * @returns {Buffer} DER OBJECT IDENTIFIER
+ */
+const objectId = (dotted) => {
+  const [first, second, ...arcs] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const arc of arcs) {
+    const chunk = [arc & 0x7f];
+    for (let n = arc >>> 7; n > 0; n >>>= 7) chunk.unshift(0x80 | (n & 0x7f));
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+};
+
+// UTCTime, YYMMDDHHMMSSZ — valid for dates before 2050
+const utcTime = (date) => der(0x17, Buffer.from(`${date.toISOString().slice(2, 19).replace(/[-:T]/g, '')}Z`));
+
+const distinguishedName = (commonName) =>
+  sequence(der(0x31, sequence(objectId(OID.commonName), der(0x0c, Buffer.from(commonName, 'utf8')))));
+
+const toPem = (label, body) =>
+  `-----BEGIN ${label}-----\n${body.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+
+const PEM_RE = (label) => new RegExp(`-----BEGIN ${label}-----[\\s\\S]+?-----END ${label}-----`);
+
+/**
+ * SHA-256 fingerprint of a DER certificate, colon-separated as peer-fingerprint expects.
+ * @param {Buffer} certificateDer
+ * @returns {string}
+ */
+const fingerprintOf = (certificateDer) =>
+  createHash('sha256').update(certificateDer).digest('hex').toUpperCase().match(/../g).join(':');
+
+/**
+ * Generates an ECDSA P-256 key and a self-signed X.509 v3 certificate for it. Node can
+ * parse certificates but not issue them, so the DER is assembled here; the only
+ * extension is a critical basicConstraints CA:FALSE.
+ * @param {string} commonName
+ * @param {number} [now]
+ * @returns {{ privateKey: string, publicKey: string }} privateKey: PEM key followed by PEM
+ *   certificate; publicKey: the certificate's SHA-256 fingerprint
+ */
+const generateOpenVpnCredentials = (commonName, now = Date.now()) => {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const serial = randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x40; // positive, and no leading zero byte to strip
+  const signatureAlgorithm = sequence(objectId(OID.ecdsaWithSha256));
+  const name = distinguishedName(commonName);
+
+  const tbsCertificate = sequence(
+    der(0xa0, der(0x02, Buffer.from([2]))), // v3
+    der(0x02, serial),
+    signatureAlgorithm,
+    name,
+    sequence(utcTime(new Date(now - CLOCK_SKEW_MS)), utcTime(new Date(now + CERT_VALIDITY_DAYS * 86400000))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    der(0xa3, sequence(sequence(
+      objectId(OID.basicConstraints),
+      der(0x01, Buffer.from([0xff])), // critical
+      der(0x04, sequence())
+    )))
+  );
+  const signature = sign('sha256', tbsCertificate, privateKey); // DER ECDSA-Sig-Value, as X.509 wants it
+  const certificate = sequence(tbsCertificate, signatureAlgorithm, der(0x03, Buffer.from([0]), signature));
+
+  return {
+    privateKey: `${privateKey.export({ type: 'pkcs8', format: 'pem' })}${toPem('CERTIFICATE', certificate)}`,
+    publicKey: fingerprintOf(certificate),
+  };
+};
+
+/**
+ * Splits a credential bundle from generateOpenVpnCredentials into its PEM parts.
+ * @param {string} credentials
+ * @returns {{ key: string, certificate: string }}
+ * @throws {Error} if either part is missing
+ */
+const splitCredentials = (credentials) => {
+  const key = PEM_RE('PRIVATE KEY').exec(credentials);
+  const certificate = PEM_RE('CERTIFICATE').exec(credentials);
+  if (!key || !certificate) throw new Error('OpenVPN credentials must hold a PEM private key and certificate');
+  return { key: key[0], certificate: certificate[0] };
+};
+
+/**
+ * The fingerprint the other side pins for a credential bundle.
+ * @param {string} credentials - see generateOpenVpnCredentials
+ * @returns {string}
+ */
+const credentialFingerprint = (credentials) => {
+  const { certificate } = splitCredentials(credentials);
+  const body = certificate.replace(/-----(BEGIN|END) CERTIFICATE-----|\s/g, '');
+  return fingerprintOf(Buffer.from(body, 'base64'));
+};
+
+/**
+ * Generates a tls-crypt key (2048 random bits, as openvpn --genkey writes it). Shared by
+ * both sides, it encrypts and authenticates the TLS handshake itself — the OpenVPN
+ * counterpart of a WireGuard preshared key.
+ * @returns {string}
+ */
+const generateTlsCryptKey = () => [
+  '-----BEGIN OpenVPN Static key V1-----',
+  ...randomBytes(256).toString('hex').match(/.{32}/g),
+  '-----END OpenVPN Static key V1-----',
+].join('\n');
+
+/**
+ * OpenVPN route directives for a routing profile's allowed IPs: a default route becomes
+ * redirect-gateway, anything else a route or route-ipv6.
+ * @param {string[]} allowedIps - normalized CIDRs, see shared/routing.js
+ * @returns {string[]}
+ */
+const routeDirectives = (allowedIps) => {
+  const redirectV4 = allowedIps.includes('0.0.0.0/0');
+  const redirectV6 = allowedIps.includes('::/0');
+  const directives = [];
+  if (redirectV4 || redirectV6) {
+    directives.push(`redirect-gateway${redirectV4 ? ' def1' : ' !ipv4'}${redirectV6 ? ' ipv6' : ''}`);
+  }
+  for (const cidr of allowedIps) {
+    if (cidr === '0.0.0.0/0' || cidr === '::/0') continue;
+    const [address, bits] = cidr.split('/');
+    if (address.includes(':')) {
+      directives.push(`route-ipv6 ${cidr}`);
+    } else {
+      const prefix = Number(bits);
+      directives.push(`route ${address} ${intToIp(prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0)}`);
+    }
+  }
+  return directives;
+};
+
+/**
+ * Renders a single-file .ovpn client profile. The tunnel address is pushed by the
+ * server, but routes, DNS and MTU come from the session's routing profile — pushed
+ * routes are refused so the profile means the same as the WireGuard one would.
+ * @param {object} params
+ * @param {string} params.privateKey - client credentials, see generateOpenVpnCredentials
+ * @param {string} params.serverPublicKey - server certificate fingerprint
+ * @param {string|null} [params.presharedKey] - tls-crypt key, on sessions started with one
+ * @param {string} params.endpoint - 'host:port'
+ * @param {{ allowedIps: string[], mtu: number|null, persistentKeepalive: number, dns: string[] }} params.routing
+ *   see shared/routing.js
+ * @returns {string}
+ */
+const buildOpenVpnProfile = ({ privateKey, serverPublicKey, presharedKey, endpoint, routing }) => {
+  const { key, certificate } = splitCredentials(privateKey);
+  const portAt = endpoint.lastIndexOf(':');
+  return [
+    'client',
+    'dev tun',
+    'proto udp',
+    `remote ${endpoint.slice(0, portAt)} ${endpoint.slice(portAt + 1)}`,
+    'nobind',
+    'persist-key',
+    'persist-tun',
+    `peer-fingerprint ${serverPublicKey}`,
+    'route-nopull',
+    ...routeDirectives(routing.allowedIps),
+    ...routing.dns.map((server) => `dhcp-option ${server.includes(':') ? 'DNS6' : 'DNS'} ${server}`),
+    ...(routing.mtu ? [`tun-mtu ${routing.mtu}`] : []),
+    ...(routing.persistentKeepalive ? [`ping ${routing.persistentKeepalive}`] : []),
+    'verb 3',
+    '<cert>',
+    certificate,
+    '</cert>',
+    '<key>',
+    key,
+    '</key>',
+    ...(presharedKey ? ['<tls-crypt>', presharedKey, '</tls-crypt>'] : []),
+  ].join('\n');
+};
+
+module.exports = {
+  generateOpenVpnCredentials,
+  credentialFingerprint,
+  generateTlsCryptKey,
+  buildOpenVpnProfile,
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const { randomBytes } = require('crypto');
+const { releasePeerAddress } = require('./addressPool');
+const { odataString } = require('./odata');
+
+// Peer IDs are fixed-length hex so '<sessionId>-<peerId>' secret names parse unambiguously
+const PEER_ID_RE = /^[0-9a-f]{8}$/;
+
+/**
+ * Generates a new peer ID.
+ * @returns {string}
+ */
+const newPeerId = () => randomBytes(4).toString('hex');
+
+/**
+ * Row key for a peer in the 'peers' partition. '_' cannot appear in a sessionId.
+ * @param {string} sessionId
+ * @param {string} peerId
+ * @returns {string}
+ */
+const peerRowKey = (sessionId, peerId) => `${sessionId}_${peerId}`;
+
+/**
+ * Key Vault secret name holding a peer's client config.
+ * @param {string} sessionId
+ * @param {string} peerId
+ * @returns {string}
+ */
+const peerConfigSecretName = (sessionId, peerId) => `wg-device-config-${sessionId}-${peerId}`;
+
+/**
+ * Key Vault secret name holding a peer's preshared key, on sessions started with one.
+ * @param {string} sessionId
+ * @param {string} peerId
+ * @returns {string}
+ */
+const peerPresharedKeySecretName = (sessionId, peerId) => `wg-device-psk-${sessionId}-${peerId}`;
+
+/**
+ * Lists the additional peers registered on a session.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} sessionId
+ * @returns {Promise<object[]>}
+ */
+const listSessionPeers = async (tableClient, sessionId) => {
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq 'peers' and sessionId eq ${odataString(sessionId)}` },
+  });
+  const peers = [];
+  for await (const entity of entities) {
+    peers.push(entity);
+  }
+  return peers;
+};
+
+/**
+ * Releases a peer's config secret, preshared key, address and table row (best-effort).
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {import('@azure/keyvault-secrets').SecretClient} secretClient
+ * @param {{ sessionId: string, peerId: string, peerAddress?: string, usesPresharedKey?: boolean }} peer
+ * @param {(message: string, detail: string) => void} warn
+ * @returns {Promise<void>}
+ */
+const releasePeer = async (tableClient, secretClient, peer, warn) => {
+  const { sessionId, peerId, peerAddress, usesPresharedKey } = peer;
+  const secretNames = [
+    peerConfigSecretName(sessionId, peerId),
+    ...(usesPresharedKey ? [peerPresharedKeySecretName(sessionId, peerId)] : []),
+  ];
+  const rowKey = peerRowKey(sessionId, peerId);
+
+  const tasks = [
+    ...secretNames.map((secretName) => secretClient.beginDeleteSecret(secretName).catch((err) => {
+      warn(`Could not delete secret ${secretName}:`, err.message);
+    })),
+    tableClient.deleteEntity('peers', rowKey).catch((err) => {
+      warn(`Could not delete peers row ${rowKey}:`, err.message);
+    }),
+  ];
+  if (peerAddress) {
+    tasks.push(
+      releasePeerAddress(tableClient, peerAddress).catch((err) => {
+        warn(`Could not release addresses row ${peerAddress}:`, err.message);
+      })
+    );
+  }
+  await Promise.allSettled(tasks);
+};
+
+module.exports = {
+  PEER_ID_RE,
+  newPeerId,
+  peerRowKey,
+  peerConfigSecretName,
+  peerPresharedKeySecretName,
+  listSessionPeers,
+  releasePeer,
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+const {
+  generateWireGuardKeyPair, generatePresharedKey, deriveDevicePresharedKey, derivePublicKey, tunnelAddresses,
+  buildClientConfig,
+} = require('./wireguard');
+const {
+  generateOpenVpnCredentials, credentialFingerprint, generateTlsCryptKey, buildOpenVpnProfile,
+} = require('./openvpn');
+const { CONFIG_FORMATS } = require('./clientConfigFormats');
+
+const WIREGUARD_PORT = parseInt(process.env.VPN_WIREGUARD_PORT || '51820', 10);
+const OPENVPN_PORT = parseInt(process.env.VPN_OPENVPN_PORT || '1194', 10);
+
+/**
+ * What StartVPN, CheckVPNStatus and ClientConfig need to know about a VPN protocol.
+ * Credentials are opaque strings to callers: `privateKey` is stored in Key Vault under
+ * the session's wg-* secret names (kept for every protocol, so cleanup and Reconcile
+ * find them) and `publicKey` is what the other side pins.
+ * @typedef {object} ProtocolDriver
+ * @property {string} name - the StartVPN `protocol` value, recorded on the sessions row
+ * @property {number} port
+ * @property {'UDP'|'TCP'} transport
+ * @property {(region: object) => string|undefined} image - container image in a catalog region, if offered there
+ * @property {{ extension: string, contentType: string }} configFile - ClientConfig's format=conf download
+ * @property {string[]} configFormats - CONFIG_FORMATS keys the rendered config can be served as
+ * @property {boolean} supportsCallerKeys - StartVPN accepts a clientPublicKey
+ * @property {boolean} supportsPeers - AddPeer can register additional devices
+ * @property {boolean} supportsKeyRotation - RotateKeys and KeyRotation can re-key the session
+ * @property {(sessionId: string) => { privateKey: string, publicKey: string }} generateServerCredentials
+ * @property {(sessionId: string) => { privateKey: string, publicKey: string }} generateClientCredentials
+ * @property {() => string} generatePresharedKey - the session's optional shared secret
+ * @property {((serverPrivateKey: string, peerId: string) => string)|null} devicePresharedKey - an
+ *   additional device's preshared key; null where supportsPeers is false
+ * @property {(serverPrivateKey: string) => string} serverPublicKey
+ * @property {(params: { serverPrivateKey: string, serverAddress: string,
+ *   peer: { publicKey: string, address: string, addressV6: string|null, presharedKey: string|null } })
+ *   => object[]} containerEnvironment - protocol-specific ACI environment variables
+ * @property {(params: object) => string} renderClientConfig - see wireguard.buildClientConfig
+ */
+
+/** @type {ProtocolDriver} */
+const wireguard = {
+  name: 'wireguard',
+  port: WIREGUARD_PORT,
+  transport: 'UDP',
+  image: (region) => region.image,
+  configFile: { extension: 'conf', contentType: 'text/plain; charset=utf-8' },
+  configFormats: Object.keys(CONFIG_FORMATS),
+  supportsCallerKeys: true,
+  supportsPeers: true,
+  supportsKeyRotation: true,
+  generateServerCredentials: generateWireGuardKeyPair,
+  generateClientCredentials: generateWireGuardKeyPair,
+  generatePresharedKey,
+  devicePresharedKey: deriveDevicePresharedKey,
+  serverPublicKey: derivePublicKey,
+  // The client peer is registered on the server at startup via WG_PEER_* env vars
+  containerEnvironment: ({ serverPrivateKey, serverAddress, peer }) => [
+    { name: 'WG_SERVER_PRIVATE_KEY', secureValue: serverPrivateKey },
+    { name: 'WG_SERVER_ADDRESS', value: serverAddress },
+    { name: 'WG_SERVER_PORT', value: String(WIREGUARD_PORT) },
+    { name: 'WG_PEER_PUBLIC_KEY', value: peer.publicKey },
+    { name: 'WG_PEER_ADDRESS', value: tunnelAddresses(peer.address, peer.addressV6) },
+    ...(peer.presharedKey ? [{ name: 'WG_PEER_PRESHARED_KEY', secureValue: peer.presharedKey }] : []),
+  ],
+  renderClientConfig: buildClientConfig,
+};
+
+/** @type {ProtocolDriver} */
+const openvpn = {
+  name: 'openvpn',
+  port: OPENVPN_PORT,
+  transport: 'UDP',
+  image: (region) => region.openvpnImage,
+  configFile: { extension: 'ovpn', contentType: 'application/x-openvpn-profile' },
+  // # Reason: the parsed-field, NetworkManager and QR formats all read wg-quick syntax
+  configFormats: ['conf'],
+  supportsCallerKeys: false,
+  supportsPeers: false,
+  supportsKeyRotation: false,
+  generateServerCredentials: (sessionId) => generateOpenVpnCredentials(`vpn-${sessionId}-server`),
+  generateClientCredentials: (sessionId) => generateOpenVpnCredentials(`vpn-${sessionId}-client`),
+  generatePresharedKey: generateTlsCryptKey,
+  devicePresharedKey: null,
+  serverPublicKey: credentialFingerprint,
+  // The server (infra/container-openvpn) pins the client certificate and pushes it the peer address
+  containerEnvironment: ({ serverPrivateKey, serverAddress, peer }) => [
+    { name: 'OVPN_SERVER_CREDENTIALS', secureValue: serverPrivateKey },
+    { name: 'OVPN_SERVER_ADDRESS', value: serverAddress },
+    { name: 'OVPN_SERVER_PORT', value: String(OPENVPN_PORT) },
+    { name: 'OVPN_PEER_FINGERPRINT', value: peer.publicKey },
+    { name: 'OVPN_PEER_ADDRESS', value: tunnelAddresses(peer.address, peer.addressV6) },
+    ...(peer.presharedKey ? [{ name: 'OVPN_TLS_CRYPT_KEY', secureValue: peer.presharedKey }] : []),
+  ],
+  renderClientConfig: buildOpenVpnProfile,
+};
+
+const PROTOCOLS = { wireguard, openvpn };
+const DEFAULT_PROTOCOL = 'wireguard';
+
+/**
+ * Resolves StartVPN's `protocol` against the drivers offered in the session's region.
+ * @param {string} [name] - omitted means WireGuard
+ * @param {object} region - catalog region, see shared/regions.js
+ * @returns {{ driver?: ProtocolDriver, error?: string }}
+ */
+const resolveProtocol = (name, region) => {
+  if (name === undefined) return { driver: PROTOCOLS[DEFAULT_PROTOCOL] };
+  if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(PROTOCOLS, name)) {
+    return { error: `protocol must be one of: ${Object.keys(PROTOCOLS).join(', ')}` };
+  }
+  const driver = PROTOCOLS[name];
+  if (!driver.image(region)) return { error: `protocol ${name} is not available in ${region.name}` };
+  return { driver };
+};
+
+/**
+ * The driver a session was started with. Rows written before protocols could be chosen
+ * are WireGuard.
+ * @param {object|null} sessionRow
+ * @returns {ProtocolDriver}
+ */
+const protocolDriver = (sessionRow) => PROTOCOLS[sessionRow?.protocol] || PROTOCOLS[DEFAULT_PROTOCOL];
+
+module.exports = {
+  PROTOCOLS,
+  DEFAULT_PROTOCOL,
+  resolveProtocol,
+  protocolDriver,
+};
@@ -0,0 +1,504 @@
+'use strict';
+
+const { deflateSync } = require('zlib');
+
+// ISO/IEC 18004 tables, indexed by version (1-40; index 0 unused).
+// formatBits is the level's 2-bit code in the format information
+const ERROR_CORRECTION = {
+  L: {
+    formatBits: 1,
+    eccPerBlock: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28,
+      30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18,
+      19, 19, 20, 21, 22, 24, 25],
+  },
+  M: {
+    formatBits: 0,
+    eccPerBlock: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28,
+      28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31,
+      33, 35, 37, 38, 40, 43, 45, 47, 49],
+  },
+  Q: {
+    formatBits: 3,
+    eccPerBlock: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28,
+      30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40,
+      43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  },
+  H: {
+    formatBits: 2,
+    eccPerBlock: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30,
+      30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48,
+      51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  },
+};
+
+const MAX_VERSION = 40;
+const BYTE_MODE = 0x4;
+// Penalty weights for mask selection (ISO/IEC 18004 section 7.8.3)
+const PENALTY = { run: 3, block: 3, finderLike: 40, balance: 10 };
+const FINDER_LIKE = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+/**
+ * Multiplies two elements of GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Coefficients of the Reed-Solomon generator polynomial of the given degree, highest
+ * power first with the leading 1 omitted.
+ * @param {number} degree
+ * @returns {number[]}
+ */
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Error correction codewords for one block of data codewords.
+ * @param {number[]} data
+ * @param {number[]} divisor - from reedSolomonDivisor
+ * @returns {number[]}
+ */
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+};
+
+/**
+ * Modules available for data and error correction once function patterns are placed.
+ * @param {number} version
+ * @returns {number}
+ */
+const rawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (version, level) =>
+  Math.floor(rawDataModules(version) / 8) - level.eccPerBlock[version] * level.blocks[version];
+
+/**
+ * Centre coordinates of the alignment patterns, shared by rows and columns.
+ * @param {number} version
+ * @returns {number[]}
+ */
+const alignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+};
+
+/**
+ * Packs the text as a single byte-mode segment, padded to the version's capacity.
+ * @param {Buffer} bytes
+ * @param {number} version
+ * @param {object} level
+ * @returns {number[]} data codewords
+ */
+const buildDataCodewords = (bytes, version, level) => {
+  const capacityBits = dataCodewords(version, level) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(BYTE_MODE, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  for (const byte of bytes) append(byte, 8);
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+};
+
+/**
+ * Splits data codewords into blocks, appends each block's error correction and
+ * interleaves the result in transmission order.
+ * @param {number[]} data
+ * @param {number} version
+ * @param {object} level
+ * @returns {number[]}
+ */
+const addErrorCorrection = (data, version, level) => {
+  const blockCount = level.blocks[version];
+  const eccLength = level.eccPerBlock[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    // Placeholder so every block has the same length while interleaving
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+/**
+ * Module grid under construction, with the function-pattern mask alongside.
+ * @param {number} version
+ * @returns {{ size: number, modules: boolean[][], reserved: boolean[][], set: Function }}
+ */
+const createGrid = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { size, modules, reserved, set };
+};
+
+/**
+ * Writes the 15-bit format information (level and mask, BCH-protected) in both copies.
+ * @param {ReturnType<typeof createGrid>} grid
+ * @param {object} level
+ * @param {number} mask
+ */
+const drawFormatBits = ({ size, set }, level, mask) => {
+  const data = (level.formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  // Always dark
+  set(8, size - 8, true);
+};
+
+/**
+ * Places finder, separator, timing, alignment and version patterns, and reserves
+ * the format areas.
+ * @param {ReturnType<typeof createGrid>} grid
+ * @param {number} version
+ * @param {object} level
+ */
+const drawFunctionPatterns = (grid, version, level) => {
+  const { size, set } = grid;
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    // The three corners are taken by finder patterns
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  drawFormatBits(grid, level, 0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+};
+
+/**
+ * Fills the non-function modules with codeword bits in the standard two-column zigzag.
+ * @param {ReturnType<typeof createGrid>} grid
+ * @param {number[]} codewords
+ */
+const drawCodewords = ({ size, modules, reserved }, codewords) => {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // Skip the vertical timing pattern
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * XORs a data mask over the non-function modules; applying it twice undoes it.
+ * @param {ReturnType<typeof createGrid>} grid
+ * @param {number} mask
+ */
+const applyMask = ({ size, modules, reserved }, mask) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+};
+
+/**
+ * Scores a masked symbol; lower is easier for scanners to read.
+ * @param {boolean[][]} modules
+ * @returns {number}
+ */
+const penaltyScore = (modules) => {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  let score = 0;
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += PENALTY.run + run - 5;
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (FINDER_LIKE.some((pattern) => pattern.every((bit, k) => line[i + k] === (bit === 1)))) score += PENALTY.finderLike;
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const colour = modules[y][x];
+        if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+          score += PENALTY.block;
+        }
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY.balance;
+  return score;
+};
+
+/**
+ * Encodes text as a QR code symbol in byte mode (UTF-8), using the smallest version
+ * that fits and the mask with the lowest penalty.
+ * @param {string} text
+ * @param {{ errorCorrection?: 'L'|'M'|'Q'|'H' }} [options]
+ * @returns {{ version: number, size: number, modules: boolean[][] }} modules[y][x], true = dark
+ * @throws {Error} if the text does not fit in a version 40 symbol
+ */
+const encodeQr = (text, { errorCorrection = 'M' } = {}) => {
+  const level = ERROR_CORRECTION[errorCorrection];
+  if (!level) throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+  const bytes = Buffer.from(text, 'utf8');
+
+  let version = 1;
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+    if (++version > MAX_VERSION) throw new Error(`Text of ${bytes.length} bytes is too long for a QR code`);
+  }
+
+  const codewords = addErrorCorrection(buildDataCodewords(bytes, version, level), version, level);
+  const grid = createGrid(version);
+  drawFunctionPatterns(grid, version, level);
+  drawCodewords(grid, codewords);
+
+  let best = { mask: 0, score: Infinity };
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(grid, mask);
+    drawFormatBits(grid, level, mask);
+    const score = penaltyScore(grid.modules);
+    if (score < best.score) best = { mask, score };
+    applyMask(grid, mask);
+  }
+  applyMask(grid, best.mask);
+  drawFormatBits(grid, level, best.mask);
+
+  return { version, size: grid.size, modules: grid.modules };
+};
+
+/**
+ * Renders a symbol as a standalone SVG document.
+ * @param {ReturnType<typeof encodeQr>} qr
+ * @param {{ scale?: number, margin?: number }} [options] - pixels per module; quiet zone in modules
+ * @returns {string}
+ */
+const renderSvg = ({ size, modules }, { scale = 8, margin = 4 } = {}) => {
+  const dimension = size + margin * 2;
+  const path = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+  }));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${dimension * scale}" height="${dimension * scale}"`
+      + ` viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`,
+    `<rect width="${dimension}" height="${dimension}" fill="#ffffff"/>`,
+    `<path d="${path.join('')}" fill="#000000"/>`,
+    '</svg>',
+    '',
+  ].join('\n');
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Renders a symbol as a 1-bit greyscale PNG.
+ * @param {ReturnType<typeof encodeQr>} qr
+ * @param {{ scale?: number, margin?: number }} [options] - pixels per module; quiet zone in modules
+ * @returns {Buffer}
+ */
+const renderPng = ({ size, modules }, { scale = 8, margin = 4 } = {}) => {
+  const width = (size + margin * 2) * scale;
+  const rowBytes = Math.ceil(width / 8);
+  const raw = Buffer.alloc((rowBytes + 1) * width);
+  for (let py = 0; py < width; py++) {
+    const offset = py * (rowBytes + 1);
+    // Filter type 0, then pixels where a set bit is white
+    raw[offset] = 0;
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < width; px++) {
+      const x = Math.floor(px / scale) - margin;
+      const dark = y >= 0 && y < size && x >= 0 && x < size && modules[y][x];
+      if (!dark) raw[offset + 1 + (px >>> 3)] |= 0x80 >>> (px & 7);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(width, 4);
+  header[8] = 1; // bit depth
+  header[9] = 0; // greyscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// Image formats the config endpoints accept as `format`
+const QR_FORMATS = {
+  'qr-svg': { contentType: 'image/svg+xml', render: renderSvg },
+  'qr-png': { contentType: 'image/png', render: renderPng },
+};
+
+module.exports = {
+  QR_FORMATS,
+  encodeQr,
+  renderSvg,
+  renderPng,
+};
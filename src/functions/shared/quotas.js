@@ -0,0 +1,108 @@
+'use strict';
+
+const { odataString } = require('./odata');
+
+const MAX_SESSIONS_PER_CALLER = parseInt(process.env.VPN_MAX_SESSIONS_PER_CALLER || '3', 10);
+const MAX_STARTS_PER_HOUR = parseInt(process.env.VPN_MAX_STARTS_PER_HOUR || '10', 10);
+const MAX_CONTAINER_GROUPS = parseInt(process.env.VPN_MAX_CONTAINER_GROUPS || '50', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+// Concurrency limits free up when some session ends — no exact time to give, so suggest a poll
+const CONCURRENCY_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Checks the caller against the concurrent-session, hourly-start and global container
+ * limits. Counts come from the 'sessions' and 'starts' partitions; two concurrent
+ * starts can both pass, so limits may overshoot by the number of racing requests.
+ * Expired 'starts' rows are skipped here; Reconcile prunes them.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} callerId
+ * @param {number} [now]
+ * @returns {Promise<{ reason: string, error: string, retryAfterSeconds: number }|null>}
+ *   the violated limit, or null if the start is allowed
+ */
+const checkStartQuota = async (tableClient, callerId, now = Date.now()) => {
+  let total = 0;
+  let mine = 0;
+  const sessions = tableClient.listEntities({
+    queryOptions: { filter: "PartitionKey eq 'sessions'", select: ['callerId'] },
+  });
+  for await (const session of sessions) {
+    total++;
+    if (session.callerId === callerId) mine++;
+  }
+
+  if (total >= MAX_CONTAINER_GROUPS) {
+    return {
+      reason: 'global_capacity',
+      error: `Deployment is at its limit of ${MAX_CONTAINER_GROUPS} concurrent VPN sessions`,
+      retryAfterSeconds: CONCURRENCY_RETRY_AFTER_SECONDS,
+    };
+  }
+  if (mine >= MAX_SESSIONS_PER_CALLER) {
+    return {
+      reason: 'caller_concurrent_sessions',
+      error: `Caller already has the maximum of ${MAX_SESSIONS_PER_CALLER} concurrent VPN sessions`,
+      retryAfterSeconds: CONCURRENCY_RETRY_AFTER_SECONDS,
+    };
+  }
+
+  const windowStart = now - HOUR_MS;
+  const recent = [];
+  const starts = tableClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq 'starts' and callerId eq ${odataString(callerId)}` },
+  });
+  for await (const start of starts) {
+    const startedAt = new Date(start.startedAt).getTime();
+    if (startedAt > windowStart) recent.push(startedAt);
+  }
+
+  if (recent.length >= MAX_STARTS_PER_HOUR) {
+    // The window reopens when the oldest start in it ages out
+    const oldest = Math.min(...recent);
+    return {
+      reason: 'caller_start_rate',
+      error: `Caller has reached the limit of ${MAX_STARTS_PER_HOUR} VPN starts per hour`,
+      retryAfterSeconds: Math.max(1, Math.ceil((oldest + HOUR_MS - now) / 1000)),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Records a start against the caller's hourly rate limit.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {string} callerId
+ * @param {string} sessionId
+ * @param {number} [now]
+ * @returns {Promise<string>} the 'starts' row key, for deleting the start if the launch fails
+ */
+const recordStart = async (tableClient, callerId, sessionId, now = Date.now()) => {
+  const rowKey = `${sessionId}-${now}`;
+  await tableClient.createEntity({
+    partitionKey: 'starts',
+    rowKey,
+    callerId,
+    sessionId,
+    startedAt: new Date(now).toISOString(),
+  });
+  return rowKey;
+};
+
+/**
+ * Builds the 429 response for a violated limit.
+ * @param {{ reason: string, error: string, retryAfterSeconds: number }} violation
+ * @returns {object}
+ */
+const quotaExceededResponse = ({ reason, error, retryAfterSeconds }) => ({
+  status: 429,
+  headers: { 'Retry-After': String(retryAfterSeconds) },
+  jsonBody: { error, reason, retryAfterSeconds },
+});
+
+module.exports = {
+  checkStartQuota,
+  recordStart,
+  quotaExceededResponse,
+};
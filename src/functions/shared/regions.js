@@ -0,0 +1,168 @@
+'use strict';
+
+const { RESOURCE_GROUP } = require('./azureClient');
+const { AZURE_REGIONS, distanceKm, countryCoordinates } = require('./geo');
+
+/**
+ * Normalizes a region name the way ARM does ('East US 2' -> 'eastus2').
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeRegion = (name) => String(name).toLowerCase().replace(/\s+/g, '');
+
+// The deployment's own region — its VNet subnet is the only one StartVPN knows by default
+const DEFAULT_LOCATION = normalizeRegion(process.env.VPN_DEFAULT_LOCATION || 'eastus2');
+
+// Fail fast — a malformed catalog would otherwise turn every StartVPN into a 400
+let CATALOG;
+try {
+  const configured = JSON.parse(process.env.VPN_REGIONS || '{}');
+  const entries = Object.keys(configured).length > 0 ? Object.entries(configured) : [[DEFAULT_LOCATION, {}]];
+  CATALOG = new Map();
+  for (const [rawName, settings] of entries) {
+    const name = normalizeRegion(rawName);
+    const known = AZURE_REGIONS[name] || {};
+    const region = {
+      name,
+      displayName: settings.displayName || known.displayName || name,
+      latitude: settings.latitude ?? known.latitude,
+      longitude: settings.longitude ?? known.longitude,
+      resourceGroup: settings.resourceGroup || RESOURCE_GROUP,
+      image: settings.image || process.env.VPN_CONTAINER_IMAGE,
+      // Regions without an OpenVPN image only offer WireGuard
+      openvpnImage: settings.openvpnImage || process.env.VPN_OPENVPN_IMAGE,
+      // # Reason: a subnet is regional — only the deployment's own region inherits VPN_SUBNET_ID
+      subnetId: settings.subnetId ?? (name === DEFAULT_LOCATION ? process.env.VPN_SUBNET_ID : undefined),
+    };
+    if (!Number.isFinite(region.latitude) || !Number.isFinite(region.longitude)) {
+      throw new Error(`region ${name} is not in the bundled region table; set its latitude and longitude`);
+    }
+    CATALOG.set(name, region);
+  }
+  if (!CATALOG.has(DEFAULT_LOCATION)) {
+    throw new Error(`default region ${DEFAULT_LOCATION} (VPN_DEFAULT_LOCATION) is not in the catalog`);
+  }
+} catch (err) {
+  throw new Error(`VPN_REGIONS is invalid: ${err.message}`);
+}
+
+/**
+ * Settings for a catalog region.
+ * @param {string} location
+ * @returns {{ name: string, displayName: string, latitude: number, longitude: number,
+ *   resourceGroup: string, image?: string, openvpnImage?: string, subnetId?: string }|null} null if not in the catalog
+ */
+const regionConfig = (location) => (location ? CATALOG.get(normalizeRegion(location)) || null : null);
+
+/**
+ * Resource group holding a session's container group. Sessions without a known region
+ * (legacy rows, or no row at all) live in the deployment's resource group.
+ * @param {string} [location] - from the sessions row
+ * @returns {string}
+ */
+const resourceGroupFor = (location) => regionConfig(location)?.resourceGroup || RESOURCE_GROUP;
+
+/**
+ * Public DNS name ACI gives a session's container group from its `vpn-<sessionId>` DNS
+ * label. Unlike the IP address it is known before the group exists and survives a recreate.
+ * @param {string} sessionId
+ * @param {string} [location] - from the sessions row
+ * @returns {string}
+ */
+const containerFqdn = (sessionId, location) =>
+  `vpn-${sessionId}.${normalizeRegion(location || DEFAULT_LOCATION)}.azurecontainer.io`;
+
+/**
+ * Every resource group that may hold VPN container groups, deployment's own first.
+ * @returns {string[]}
+ */
+const resourceGroups = () => [...new Set([RESOURCE_GROUP, ...[...CATALOG.values()].map((r) => r.resourceGroup)])];
+
+/**
+ * Lists vpn-* container groups across every catalog resource group.
+ * @param {import('./compute').ComputeProvider} compute
+ * @returns {AsyncGenerator<{ resourceGroup: string, group: object }>}
+ */
+async function* listVpnContainerGroups(compute) {
+  for (const resourceGroup of resourceGroups()) {
+    for await (const group of compute.list(resourceGroup)) {
+      if (group.name?.startsWith('vpn-')) yield { resourceGroup, group };
+    }
+  }
+}
+
+/**
+ * Turns a caller's location hint into coordinates.
+ * @param {{ country?: string, latitude?: number, longitude?: number }} hint
+ * @returns {{ point?: { latitude: number, longitude: number }, error?: string }}
+ */
+const hintCoordinates = (hint) => {
+  if (!hint || typeof hint !== 'object') {
+    return { error: 'locationHint must be an object with a country code or latitude and longitude' };
+  }
+  if (hint.country !== undefined) {
+    const point = countryCoordinates(hint.country);
+    return point ? { point } : { error: `locationHint.country ${JSON.stringify(hint.country)} is not a known ISO 3166 country code` };
+  }
+  const { latitude, longitude } = hint;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { error: 'locationHint needs a country code, or a latitude (-90..90) and longitude (-180..180)' };
+  }
+  return { point: { latitude, longitude } };
+};
+
+/**
+ * Public view of the catalog, nearest first when a reference point is given.
+ * @param {{ latitude: number, longitude: number }} [point]
+ * @returns {{ name: string, displayName: string, latitude: number, longitude: number,
+ *   default: boolean, distanceKm?: number }[]}
+ */
+const listRegions = (point) => {
+  const regions = [...CATALOG.values()].map(({ name, displayName, latitude, longitude }) => ({
+    name,
+    displayName,
+    latitude,
+    longitude,
+    default: name === DEFAULT_LOCATION,
+    ...(point ? { distanceKm: Math.round(distanceKm(point, { latitude, longitude })) } : {}),
+  }));
+  return point ? regions.sort((a, b) => a.distanceKm - b.distanceKm) : regions;
+};
+
+/**
+ * Resolves StartVPN's `location`: omitted means the default region, 'auto' picks the
+ * catalog region nearest the caller's hint (the default if there is none), anything
+ * else must name a catalog region.
+ * @param {string} [location]
+ * @param {object} [hint] - see hintCoordinates
+ * @returns {{ location?: string, error?: string }}
+ */
+const resolveLocation = (location, hint) => {
+  if (location === undefined) return { location: DEFAULT_LOCATION };
+  if (typeof location !== 'string') return { error: 'location must be a string' };
+
+  if (location.toLowerCase() === 'auto') {
+    if (hint === undefined) return { location: DEFAULT_LOCATION };
+    const { point, error } = hintCoordinates(hint);
+    if (error) return { error };
+    return { location: listRegions(point)[0].name };
+  }
+
+  const region = regionConfig(location);
+  if (!region) {
+    return { error: `location ${JSON.stringify(location)} is not offered; choose one of: auto, ${[...CATALOG.keys()].join(', ')}` };
+  }
+  return { location: region.name };
+};
+
+module.exports = {
+  DEFAULT_LOCATION,
+  regionConfig,
+  resourceGroupFor,
+  containerFqdn,
+  resourceGroups,
+  listVpnContainerGroups,
+  hintCoordinates,
+  listRegions,
+  resolveLocation,
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+const { ipToInt, intToIp, ipv6ToBigInt, bigIntToIpv6 } = require('./addressPool');
+
+const VPN_DNS_SERVER = process.env.VPN_DNS_SERVER || '1.1.1.1';
+// wg-quick's historical default; keeps NAT mappings alive for clients behind a router
+const DEFAULT_PERSISTENT_KEEPALIVE = 25;
+
+const MTU_BOUNDS = { min: 1280, max: 1500 }; // 1280 is the IPv6 minimum link MTU
+const KEEPALIVE_BOUNDS = { min: 0, max: 3600 }; // 0 turns keepalives off
+const MAX_ROUTES = 32;
+const MAX_DNS_SERVERS = 4;
+
+const BUILTIN_PRESETS = {
+  full: ['0.0.0.0/0', '::/0'],
+  // The deployment's own VNet — set by Bicep from the network module's address space
+  'azure-vnet': (process.env.VPN_VNET_ADDRESS_SPACE || '10.0.0.0/16').split(',').map((s) => s.trim()).filter(Boolean),
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'],
+};
+
+/**
+ * Normalizes an IPv4 or IPv6 CIDR to its network address (host bits cleared).
+ * @param {string} cidr
+ * @returns {string}
+ * @throws {Error} if the value is not a valid CIDR
+ */
+const normalizeCidr = (cidr) => {
+  const [base, bits, extra] = String(cidr).split('/');
+  const prefix = Number(bits);
+  const isV6 = base.includes(':');
+  if (extra !== undefined || bits === undefined || !Number.isInteger(prefix) || prefix < 0 || prefix > (isV6 ? 128 : 32)) {
+    throw new Error(`Invalid CIDR: ${cidr}`);
+  }
+  if (isV6) {
+    const hostBits = BigInt(128 - prefix);
+    return `${bigIntToIpv6((ipv6ToBigInt(base) >> hostBits) << hostBits)}/${prefix}`;
+  }
+  const size = 2 ** (32 - prefix);
+  return `${intToIp(ipToInt(base) - (ipToInt(base) % size))}/${prefix}`;
+};
+
+/**
+ * True if the value is a plain IPv4 or IPv6 address.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isIpAddress = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    if (value.includes(':')) ipv6ToBigInt(value);
+    else ipToInt(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Fail fast — a malformed preset table would surface only when a caller picks it
+let PRESETS;
+try {
+  const custom = JSON.parse(process.env.VPN_ROUTING_PRESETS || '{}');
+  PRESETS = { ...BUILTIN_PRESETS };
+  for (const [name, cidrs] of Object.entries(custom)) {
+    if (!Array.isArray(cidrs) || cidrs.length === 0) throw new Error(`preset ${name} must be a non-empty array of CIDRs`);
+    PRESETS[name] = cidrs;
+  }
+  for (const [name, cidrs] of Object.entries(PRESETS)) PRESETS[name] = cidrs.map(normalizeCidr);
+} catch (err) {
+  throw new Error(`VPN_ROUTING_PRESETS is invalid: ${err.message}`);
+}
+
+/**
+ * The profile sessions get when StartVPN is called without one, and that sessions
+ * created before routing profiles existed are rendered with.
+ * @returns {{ routes: string[], allowedIps: string[], mtu: number|null, persistentKeepalive: number, dns: string[] }}
+ */
+const defaultRoutingProfile = () => ({
+  routes: ['full'],
+  allowedIps: [...PRESETS.full],
+  mtu: null,
+  persistentKeepalive: DEFAULT_PERSISTENT_KEEPALIVE,
+  dns: [VPN_DNS_SERVER],
+});
+
+/**
+ * Resolves a client routing profile from the optional `routing` object in a StartVPN body.
+ * Routes are preset names or CIDRs; 'full' (the default) sends all traffic through the
+ * tunnel, anything else is a split tunnel. Presets are expanded here, so a later change
+ * to a preset does not alter the configs of sessions already running.
+ * @param {{ routes?: string[], mtu?: number, persistentKeepalive?: number, dns?: string[] }} [requested]
+ * @returns {{ profile?: ReturnType<typeof defaultRoutingProfile>, error?: string }}
+ */
+const resolveRoutingProfile = (requested) => {
+  const profile = defaultRoutingProfile();
+  if (requested === undefined) return { profile };
+  if (requested === null || typeof requested !== 'object' || Array.isArray(requested)) {
+    return { error: 'routing must be an object' };
+  }
+  const { routes, mtu, persistentKeepalive, dns } = requested;
+
+  if (routes !== undefined) {
+    if (!Array.isArray(routes) || routes.length === 0 || routes.length > MAX_ROUTES) {
+      return { error: `routing.routes must be a list of 1-${MAX_ROUTES} preset names or CIDRs` };
+    }
+    const allowedIps = new Set();
+    for (const route of routes) {
+      if (typeof route === 'string' && Object.prototype.hasOwnProperty.call(PRESETS, route)) {
+        PRESETS[route].forEach((cidr) => allowedIps.add(cidr));
+        continue;
+      }
+      try {
+        allowedIps.add(normalizeCidr(route));
+      } catch {
+        return {
+          error: `routing.routes entry ${JSON.stringify(route)} is neither a CIDR nor one of: ${Object.keys(PRESETS).join(', ')}`,
+        };
+      }
+    }
+    profile.routes = routes;
+    profile.allowedIps = [...allowedIps];
+  }
+
+  if (mtu !== undefined) {
+    if (!Number.isInteger(mtu) || mtu < MTU_BOUNDS.min || mtu > MTU_BOUNDS.max) {
+      return { error: `routing.mtu must be an integer between ${MTU_BOUNDS.min} and ${MTU_BOUNDS.max}` };
+    }
+    profile.mtu = mtu;
+  }
+
+  if (persistentKeepalive !== undefined) {
+    if (!Number.isInteger(persistentKeepalive)
+      || persistentKeepalive < KEEPALIVE_BOUNDS.min || persistentKeepalive > KEEPALIVE_BOUNDS.max) {
+      return {
+        error: `routing.persistentKeepalive must be an integer between ${KEEPALIVE_BOUNDS.min} and ${KEEPALIVE_BOUNDS.max} seconds`,
+      };
+    }
+    profile.persistentKeepalive = persistentKeepalive;
+  }
+
+  if (dns !== undefined) {
+    if (!Array.isArray(dns) || dns.length === 0 || dns.length > MAX_DNS_SERVERS || !dns.every(isIpAddress)) {
+      return { error: `routing.dns must be a list of 1-${MAX_DNS_SERVERS} IP addresses` };
+    }
+    profile.dns = dns;
+  }
+
+  return { profile };
+};
+
+/**
+ * Reads the routing profile stored on a sessions row (JSON in the `routing` column).
+ * @param {object|null} sessionRow
+ * @returns {ReturnType<typeof defaultRoutingProfile>} the default profile for legacy rows
+ */
+const sessionRoutingProfile = (sessionRow) => {
+  if (!sessionRow?.routing) return defaultRoutingProfile();
+  try {
+    return { ...defaultRoutingProfile(), ...JSON.parse(sessionRow.routing) };
+  } catch {
+    return defaultRoutingProfile();
+  }
+};
+
+module.exports = {
+  PRESETS,
+  normalizeCidr,
+  defaultRoutingProfile,
+  resolveRoutingProfile,
+  sessionRoutingProfile,
+};
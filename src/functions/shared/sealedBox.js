@@ -0,0 +1,138 @@
+'use strict';
+
+const {
+  createCipheriv, createDecipheriv, createPrivateKey, createPublicKey, diffieHellman, generateKeyPairSync, hkdfSync,
+} = require('crypto');
+const { isValidKey } = require('./wireguard');
+
+/**
+ * Client configs sealed to a caller's X25519 key, in the style of a NaCl sealed box but
+ * NOT byte-compatible with libsodium's crypto_box_seal (that needs XSalsa20 and BLAKE2b,
+ * which Node's crypto lacks). The exact format, for client tooling:
+ *   sealed  = base64(epk (32) || ciphertext || tag (16)), standard alphabet with padding
+ *   epk     = raw X25519 public key, fresh per message
+ *   shared  = X25519(recipient private key, epk) — an all-zero result is rejected
+ *   key     = HKDF-SHA256(ikm: shared, salt: epk || raw recipient public key,
+ *             info: 'az-demand-vpn sealed client config v1', length: 32)
+ *   cipher  = ChaCha20-Poly1305 (RFC 8439), nonce 12 zero bytes, no AAD, 16-byte tag
+ * The key is fresh for every message, so the all-zero nonce is never reused under it.
+ * openSealedBox below is the reference decrypt; docs/wireguard-implementation.md has a
+ * standalone copy for clients.
+ */
+const SEALED_BOX_ALGORITHM = 'x25519-hkdf-sha256-chacha20poly1305';
+
+const HKDF_INFO = Buffer.from('az-demand-vpn sealed client config v1');
+const NONCE = Buffer.alloc(12);
+const TAG_LENGTH = 16;
+
+// DER prefixes for raw X25519 keys (RFC 8410)
+const X25519_SPKI_HEADER = Buffer.from('302a300506032b656e032100', 'hex');
+const X25519_PKCS8_HEADER = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+const publicKeyObject = (raw) =>
+  createPublicKey({ key: Buffer.concat([X25519_SPKI_HEADER, raw]), format: 'der', type: 'spki' });
+
+/**
+ * Derives the ChaCha20-Poly1305 key for one sealed box.
+ * @param {import('crypto').KeyObject} privateKey - ephemeral (sealing) or recipient (opening)
+ * @param {Buffer} peerPublic - raw 32-byte key of the other side
+ * @param {Buffer} ephemeralPublic
+ * @param {Buffer} recipientPublic
+ * @returns {Buffer}
+ */
+const boxKey = (privateKey, peerPublic, ephemeralPublic, recipientPublic) => {
+  let shared;
+  try {
+    shared = diffieHellman({ privateKey, publicKey: publicKeyObject(peerPublic) });
+  } catch {
+    shared = Buffer.alloc(32);
+  }
+  // # Reason: a low-order recipient key gives an all-zero secret that anyone could compute;
+  // OpenSSL refuses the derivation outright, older builds return the zeros
+  if (shared.every((byte) => byte === 0)) throw new Error('Recipient key is not usable for encryption');
+  return Buffer.from(hkdfSync('sha256', shared, Buffer.concat([ephemeralPublic, recipientPublic]), HKDF_INFO, 32));
+};
+
+/**
+ * Encrypts a value so that only the holder of the recipient's private key can read it.
+ * @param {string} recipientPublicKey - base64 X25519 public key
+ * @param {string} plaintext
+ * @returns {string} base64 sealed box
+ */
+const sealToRecipient = (recipientPublicKey, plaintext) => {
+  const recipientPublic = Buffer.from(recipientPublicKey, 'base64');
+  const { privateKey, publicKey } = generateKeyPairSync('x25519');
+  const ephemeralPublic = publicKey.export({ type: 'spki', format: 'der' }).subarray(-32);
+
+  const key = boxKey(privateKey, recipientPublic, ephemeralPublic, recipientPublic);
+  const cipher = createCipheriv('chacha20-poly1305', key, NONCE, { authTagLength: TAG_LENGTH });
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return Buffer.concat([ephemeralPublic, ciphertext, cipher.getAuthTag()]).toString('base64');
+};
+
+/**
+ * Opens a sealed box — the reference for client tooling; the backend never holds the key.
+ * @param {string} recipientPrivateKey - base64 X25519 private key
+ * @param {string} sealed - base64 sealed box
+ * @returns {string} plaintext
+ */
+const openSealedBox = (recipientPrivateKey, sealed) => {
+  const box = Buffer.from(sealed, 'base64');
+  if (box.length < 32 + TAG_LENGTH) throw new Error('Sealed box is truncated');
+  const ephemeralPublic = box.subarray(0, 32);
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_HEADER, Buffer.from(recipientPrivateKey, 'base64')]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  const recipientPublic = createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).subarray(-32);
+
+  const key = boxKey(privateKey, ephemeralPublic, ephemeralPublic, recipientPublic);
+  const decipher = createDecipheriv('chacha20-poly1305', key, NONCE, { authTagLength: TAG_LENGTH });
+  decipher.setAuthTag(box.subarray(-TAG_LENGTH));
+  return Buffer.concat([decipher.update(box.subarray(32, -TAG_LENGTH)), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Returns true if the value is a base64 X25519 public key configs can be sealed to.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isValidRecipientKey = (value) => {
+  if (!isValidKey(value)) return false;
+  try {
+    sealToRecipient(value, '');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Seals a client config if the session asked for encrypted delivery, else returns it as is.
+ * @param {object} sessionRow
+ * @param {string} clientConfig
+ * @returns {string}
+ */
+const sealForSession = (sessionRow, clientConfig) =>
+  (sessionRow.configRecipientKey ? sealToRecipient(sessionRow.configRecipientKey, clientConfig) : clientConfig);
+
+/**
+ * The response fields carrying a stored client config: `clientConfig` for plaintext
+ * sessions, `encryptedClientConfig` (and a null `clientConfig`) for sealed ones.
+ * @param {object|null} sessionRow
+ * @param {string|null} storedConfig - as stored in Key Vault
+ * @returns {object}
+ */
+const clientConfigFields = (sessionRow, storedConfig) => (sessionRow?.configRecipientKey
+  ? { clientConfig: null, encryptedClientConfig: storedConfig, configEncryption: SEALED_BOX_ALGORITHM }
+  : { clientConfig: storedConfig });
+
+module.exports = {
+  SEALED_BOX_ALGORITHM,
+  sealToRecipient,
+  openSealedBox,
+  isValidRecipientKey,
+  sealForSession,
+  clientConfigFields,
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const { releasePeerAddress } = require('./addressPool');
+const { listSessionPeers, releasePeer } = require('./peers');
+
+// Per-session Key Vault secrets written by StartVPN and CheckVPNStatus
+const SESSION_SECRET_PREFIXES = ['wg-peer-config-', 'wg-server-key-', 'wg-client-key-', 'wg-psk-'];
+
+/**
+ * Releases everything a session holds once its container group is gone: Key Vault
+ * secrets, the sessions row, the primary peer address, and every additional peer.
+ * Best-effort — failures are reported through `warn` and never thrown.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {import('@azure/keyvault-secrets').SecretClient} secretClient
+ * @param {string} sessionId
+ * @param {string|null} peerAddress - primary peer address from the sessions row, if known
+ * @param {(message: string, detail: string) => void} warn
+ * @returns {Promise<void>}
+ */
+const releaseSession = async (tableClient, secretClient, sessionId, peerAddress, warn) => {
+  const tasks = SESSION_SECRET_PREFIXES.map((prefix) =>
+    secretClient.beginDeleteSecret(`${prefix}${sessionId}`).catch((err) => {
+      warn(`Could not delete secret ${prefix}${sessionId}:`, err.message);
+    })
+  );
+
+  tasks.push(
+    tableClient.deleteEntity('sessions', sessionId).catch((err) => {
+      warn(`Could not delete sessions row ${sessionId}:`, err.message);
+    })
+  );
+
+  if (peerAddress) {
+    tasks.push(
+      releasePeerAddress(tableClient, peerAddress).catch((err) => {
+        warn(`Could not release addresses row ${peerAddress}:`, err.message);
+      })
+    );
+  }
+
+  tasks.push(
+    listSessionPeers(tableClient, sessionId)
+      .then((peers) => Promise.allSettled(peers.map((peer) => releasePeer(tableClient, secretClient, peer, warn))))
+      .catch((err) => {
+        warn(`Could not list peers for ${sessionId}:`, err.message);
+      })
+  );
+
+  await Promise.allSettled(tasks);
+};
+
+module.exports = {
+  SESSION_SECRET_PREFIXES,
+  releaseSession,
+};
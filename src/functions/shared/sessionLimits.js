@@ -0,0 +1,129 @@
+'use strict';
+
+const IDLE_TIMEOUT_MINUTES = parseInt(process.env.VPN_IDLE_TIMEOUT_MINUTES || '30', 10);
+const MAX_LIFETIME_MINUTES = parseInt(process.env.VPN_MAX_LIFETIME_MINUTES || '480', 10);
+// Sessions are marked ExpiringSoon this long before their deadline
+const EXPIRY_WARNING_MINUTES = parseInt(process.env.VPN_EXPIRY_WARNING_MINUTES || '10', 10);
+// How far past its lifetime ExtendSession may push a session, in total
+const MAX_EXTENSION_MINUTES = parseInt(process.env.VPN_MAX_EXTENSION_MINUTES || '240', 10);
+
+// Bounds callers' overrides are clamped to — set by admins per deployment
+const BOUNDS = {
+  idleTimeoutMinutes: {
+    min: parseInt(process.env.VPN_IDLE_TIMEOUT_MIN_MINUTES || '5', 10),
+    max: parseInt(process.env.VPN_IDLE_TIMEOUT_MAX_MINUTES || '240', 10),
+  },
+  maxLifetimeMinutes: {
+    min: parseInt(process.env.VPN_MAX_LIFETIME_MIN_MINUTES || '15', 10),
+    max: parseInt(process.env.VPN_MAX_LIFETIME_MAX_MINUTES || '1440', 10),
+  },
+};
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Resolves a session's idle timeout and maximum lifetime from the optional values in a
+ * StartVPN body. Requested values are clamped to the configured bounds; omitted ones
+ * take the deployment defaults.
+ * @param {{ idleTimeoutMinutes?: number, maxLifetimeMinutes?: number }} requested
+ * @returns {{ limits?: { idleTimeoutMinutes: number, maxLifetimeMinutes: number }, error?: string }}
+ */
+const resolveSessionLimits = (requested) => {
+  const defaults = { idleTimeoutMinutes: IDLE_TIMEOUT_MINUTES, maxLifetimeMinutes: MAX_LIFETIME_MINUTES };
+  const limits = {};
+  for (const [key, bounds] of Object.entries(BOUNDS)) {
+    const value = requested[key];
+    if (value === undefined) {
+      limits[key] = defaults[key];
+    } else if (!Number.isInteger(value) || value < 1) {
+      return { error: `${key} must be a positive integer` };
+    } else {
+      limits[key] = clamp(value, bounds);
+    }
+  }
+  return { limits };
+};
+
+/**
+ * Computes when a session will be reaped, and by which rule. The lifetime runs from the
+ * session's creation regardless of activity; idleness is measured from the last WireGuard
+ * handshake, falling back to creation. An ExtendSession grant (`extendedUntil`) holds off
+ * both rules until it passes. Legacy sessions with no sessions row use the container
+ * start time and the defaults.
+ * @param {object|null} sessionRow
+ * @param {object} [group] - ACI container group resource, for legacy sessions
+ * @returns {{ expiresAt: number|null, rule: 'max_lifetime'|'idle'|null }}
+ *   deadline in ms since the epoch, or nulls if the start time is unknown
+ */
+const sessionDeadline = (sessionRow, group) => {
+  let startedAt;
+  let lastActivity;
+  if (sessionRow) {
+    startedAt = sessionRow.createdAt;
+    // Prefer lastHandshakeAt (actual peer activity); fall back to createdAt
+    lastActivity = sessionRow.lastHandshakeAt || sessionRow.createdAt;
+  } else {
+    // # Reason: no table row = legacy session created before sessions rows existed; use start time
+    startedAt = group?.properties?.containers?.[0]?.properties?.instanceView?.currentState?.startTime;
+    lastActivity = startedAt;
+  }
+
+  const deadlines = [];
+  if (startedAt) {
+    const minutes = sessionRow?.maxLifetimeMinutes || MAX_LIFETIME_MINUTES;
+    deadlines.push({ rule: 'max_lifetime', at: new Date(startedAt).getTime() + minutes * 60000 });
+  }
+  if (lastActivity) {
+    const minutes = sessionRow?.idleTimeoutMinutes || IDLE_TIMEOUT_MINUTES;
+    deadlines.push({ rule: 'idle', at: new Date(lastActivity).getTime() + minutes * 60000 });
+  }
+  if (deadlines.length === 0) return { expiresAt: null, rule: null };
+
+  // Earliest rule wins; the lifetime wins a tie
+  const { rule, at } = deadlines.reduce((a, b) => (b.at < a.at ? b : a));
+  const extendedUntil = sessionRow?.extendedUntil ? new Date(sessionRow.extendedUntil).getTime() : 0;
+  return { expiresAt: Math.max(at, extendedUntil), rule };
+};
+
+/**
+ * Latest deadline ExtendSession may grant: the session's lifetime plus the extension cap.
+ * @param {object} sessionRow
+ * @returns {number} ms since the epoch
+ */
+const extensionCap = (sessionRow) =>
+  new Date(sessionRow.createdAt).getTime()
+  + ((sessionRow.maxLifetimeMinutes || MAX_LIFETIME_MINUTES) + MAX_EXTENSION_MINUTES) * 60000;
+
+/**
+ * Decides whether AutoShutdown should reap a running container group, and why.
+ * @param {object} group - ACI container group resource
+ * @param {object|null} sessionRow
+ * @param {number} [now]
+ * @returns {'max_lifetime'|'idle'|null} the rule that triggered, or null to keep the session
+ */
+const reapReason = (group, sessionRow, now = Date.now()) => {
+  if (group.properties?.provisioningState !== 'Succeeded') return null;
+
+  const { expiresAt, rule } = sessionDeadline(sessionRow, group);
+  return expiresAt !== null && now >= expiresAt ? rule : null;
+};
+
+/**
+ * True when a session is inside the warning window before its deadline.
+ * @param {number|null} expiresAt
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+const isExpiringSoon = (expiresAt, now = Date.now()) =>
+  expiresAt !== null && now >= expiresAt - EXPIRY_WARNING_MINUTES * 60000;
+
+module.exports = {
+  IDLE_TIMEOUT_MINUTES,
+  MAX_LIFETIME_MINUTES,
+  EXPIRY_WARNING_MINUTES,
+  resolveSessionLimits,
+  sessionDeadline,
+  extensionCap,
+  reapReason,
+  isExpiringSoon,
+};
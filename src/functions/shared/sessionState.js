@@ -0,0 +1,169 @@
+'use strict';
+
+const PROVISIONING_TIMEOUT_MINUTES = parseInt(process.env.VPN_PROVISIONING_TIMEOUT_MINUTES || '15', 10);
+// Failed sessions stay readable this long so callers polling CheckVPNStatus see why
+const FAILED_RETENTION_MINUTES = parseInt(process.env.VPN_FAILED_RETENTION_MINUTES || '15', 10);
+
+/**
+ * Session lifecycle. ExpiringSoon is Running inside the shutdown warning window.
+ * Rotating is a live session whose container is being recreated with new keys.
+ * Stopped is terminal and only ever reported — the sessions row is deleted on teardown.
+ */
+const TRANSITIONS = {
+  Provisioning: ['Running', 'Failed', 'Stopping'],
+  Running: ['ExpiringSoon', 'Rotating', 'Failed', 'Stopping'],
+  ExpiringSoon: ['Running', 'Rotating', 'Failed', 'Stopping'],
+  Rotating: ['Running', 'Failed', 'Stopping'],
+  Failed: ['Stopping'],
+  Stopping: ['Stopped'],
+  Stopped: [],
+};
+
+// ACI container states / detail statuses that mean the container will never come up
+const FATAL_DETAIL_STATUSES = new Set(['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName', 'CrashLoopBackOff']);
+
+/**
+ * True for sessions whose tunnel is up (Running, or Running inside the warning window).
+ * @param {string} [status]
+ * @returns {boolean}
+ */
+const isLive = (status) => status === 'Running' || status === 'ExpiringSoon';
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Moves a sessions row to a new state with an ETag-conditional merge.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {object} sessionRow - as read, including rowKey and etag
+ * @param {string} to
+ * @param {object} [fields] - extra columns to write alongside the status
+ * @returns {Promise<boolean>} false if the row changed since it was read (412)
+ * @throws {Error} if the transition is not allowed from the row's current state
+ */
+const transitionSession = async (tableClient, sessionRow, to, fields = {}) => {
+  const from = sessionRow.status || 'Provisioning';
+  if (!canTransition(from, to)) {
+    throw new Error(`Invalid session transition ${from} -> ${to} for ${sessionRow.rowKey}`);
+  }
+
+  try {
+    await tableClient.updateEntity(
+      { partitionKey: 'sessions', rowKey: sessionRow.rowKey, status: to, ...fields },
+      'Merge',
+      { etag: sessionRow.etag }
+    );
+    return true;
+  } catch (err) {
+    if (err.statusCode !== 412) throw err;
+    return false;
+  }
+};
+
+/**
+ * Looks for evidence that a session's container will never (or no longer) serve traffic:
+ * an ACI Failed provisioning state, a terminated or image-pull-failed container, or a
+ * group still not Succeeded after the provisioning timeout. For a Rotating session the
+ * timeout runs from the rotation, and the container it replaces is not held against it.
+ * @param {object} group - ACI container group resource
+ * @param {object|null} sessionRow
+ * @param {number} [now]
+ * @returns {{ reason: string, message: string }|null}
+ */
+const detectFailure = (group, sessionRow, now = Date.now()) => {
+  const container = group.properties?.containers?.[0]?.properties?.instanceView;
+  const state = container?.currentState;
+  // Latest warning event usually carries the useful text (e.g. the image pull error)
+  const warning = [...(container?.events || []), ...(group.properties?.instanceView?.events || [])]
+    .filter((e) => e.type === 'Warning')
+    .sort((a, b) => String(a.lastTimestamp).localeCompare(String(b.lastTimestamp)))
+    .pop();
+  const eventMessage = warning?.message;
+  const rotating = sessionRow?.status === 'Rotating';
+  // # Reason: until ACI restarts the group, its instance view still shows the container being replaced
+  const replacedInstance = rotating
+    && !(state?.startTime && new Date(state.startTime) >= new Date(sessionRow.keysRotatedAt));
+
+  if (!replacedInstance && state && FATAL_DETAIL_STATUSES.has(state.detailStatus)) {
+    return {
+      reason: state.detailStatus === 'CrashLoopBackOff' ? 'container_crashed' : 'image_pull_failed',
+      message: eventMessage || state.detailStatus,
+    };
+  }
+  if (!replacedInstance && state?.state === 'Terminated') {
+    return {
+      reason: 'container_terminated',
+      message: eventMessage || `Container exited with code ${state.exitCode ?? 'unknown'}`
+        + (state.detailStatus ? ` (${state.detailStatus})` : ''),
+    };
+  }
+  if (group.properties?.provisioningState === 'Failed') {
+    return { reason: 'provisioning_failed', message: eventMessage || 'Container group provisioning failed' };
+  }
+
+  const since = rotating ? sessionRow.keysRotatedAt : sessionRow?.createdAt;
+  const sinceMs = since ? new Date(since).getTime() : null;
+  if (group.properties?.provisioningState !== 'Succeeded' && sinceMs
+    && now - sinceMs >= PROVISIONING_TIMEOUT_MINUTES * 60000) {
+    return {
+      reason: 'provisioning_timeout',
+      message: `Container group not ready after ${PROVISIONING_TIMEOUT_MINUTES} minutes`
+        + (eventMessage ? `: ${eventMessage}` : ''),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Marks a session Failed, persisting the reason for CheckVPNStatus to report.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {object} sessionRow
+ * @param {{ reason: string, message: string }} failure
+ * @param {number} [now]
+ * @returns {Promise<boolean>} false if the row changed since it was read
+ */
+const markFailed = (tableClient, sessionRow, failure, now = Date.now()) =>
+  transitionSession(tableClient, sessionRow, 'Failed', {
+    failureReason: failure.reason,
+    failureMessage: failure.message,
+    failedAt: new Date(now).toISOString(),
+  });
+
+/**
+ * Marks a session Stopping ahead of teardown so concurrent readers see it going away.
+ * Best-effort — teardown proceeds regardless, so failures go to `warn`.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {object} sessionRow
+ * @param {(message: string, detail: string) => void} warn
+ * @returns {Promise<boolean>}
+ */
+const markStopping = (tableClient, sessionRow, warn) =>
+  transitionSession(tableClient, sessionRow, 'Stopping').catch((err) => {
+    warn(`Could not mark session ${sessionRow.rowKey} as Stopping:`, err.message);
+    return false;
+  });
+
+/**
+ * True once a Failed session has been readable for the retention window.
+ * @param {object} sessionRow
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+const failedRetentionElapsed = (sessionRow, now = Date.now()) =>
+  !sessionRow.failedAt || now - new Date(sessionRow.failedAt).getTime() >= FAILED_RETENTION_MINUTES * 60000;
+
+module.exports = {
+  PROVISIONING_TIMEOUT_MINUTES,
+  isLive,
+  canTransition,
+  transitionSession,
+  detectFailure,
+  markFailed,
+  markStopping,
+  failedRetentionElapsed,
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const { DEFAULT_CPU, DEFAULT_MEMORY_GB } = require('./usage');
+
+// ACI's per-container-group ceiling for Linux containers in most regions
+const MAX_CPU = 4;
+const MAX_MEMORY_GB = 16;
+
+const BUILTIN_PROFILES = {
+  small: { cpu: 0.5, memoryInGB: 1 },
+  // What every session ran with before size profiles existed
+  standard: { cpu: DEFAULT_CPU, memoryInGB: DEFAULT_MEMORY_GB },
+  large: { cpu: 2, memoryInGB: 4, adminOnly: true },
+};
+
+/**
+ * Validates one configured profile.
+ * @param {string} name
+ * @param {object} settings
+ * @returns {{ name: string, cpu: number, memoryInGB: number, adminOnly: boolean }}
+ * @throws {Error} if the resource requests are out of ACI's range
+ */
+const parseProfile = (name, settings) => {
+  const { cpu, memoryInGB, adminOnly = false } = settings || {};
+  if (typeof cpu !== 'number' || !(cpu > 0) || cpu > MAX_CPU) {
+    throw new Error(`profile ${name}: cpu must be a number above 0 and at most ${MAX_CPU}`);
+  }
+  if (typeof memoryInGB !== 'number' || !(memoryInGB > 0) || memoryInGB > MAX_MEMORY_GB) {
+    throw new Error(`profile ${name}: memoryInGB must be a number above 0 and at most ${MAX_MEMORY_GB}`);
+  }
+  if (typeof adminOnly !== 'boolean') throw new Error(`profile ${name}: adminOnly must be true or false`);
+  return { name, cpu, memoryInGB, adminOnly };
+};
+
+// Fail fast — a malformed profile table would surface only when a caller picks it.
+// Configured profiles replace built-ins of the same name
+let PROFILES;
+try {
+  const configured = { ...BUILTIN_PROFILES, ...JSON.parse(process.env.VPN_SIZE_PROFILES || '{}') };
+  PROFILES = new Map(Object.entries(configured).map(([name, settings]) => [name, parseProfile(name, settings)]));
+} catch (err) {
+  throw new Error(`VPN_SIZE_PROFILES is invalid: ${err.message}`);
+}
+
+const DEFAULT_SIZE_PROFILE = process.env.VPN_DEFAULT_SIZE_PROFILE || 'standard';
+if (!PROFILES.has(DEFAULT_SIZE_PROFILE)) {
+  throw new Error(`VPN_DEFAULT_SIZE_PROFILE ${DEFAULT_SIZE_PROFILE} is not a configured size profile`);
+}
+
+/**
+ * Resolves the optional `sizeProfile` in a StartVPN body to ACI resource requests.
+ * Profiles marked adminOnly are refused to non-admin callers.
+ * @param {string} [requested]
+ * @param {{ isAdmin: boolean }} caller
+ * @returns {{ profile?: { name: string, cpu: number, memoryInGB: number, adminOnly: boolean },
+ *   error?: string, forbidden?: boolean }}
+ */
+const resolveSizeProfile = (requested, caller) => {
+  const name = requested === undefined ? DEFAULT_SIZE_PROFILE : requested;
+  const profile = typeof name === 'string' ? PROFILES.get(name) : undefined;
+  if (!profile) {
+    return { error: `sizeProfile must be one of: ${[...PROFILES.keys()].join(', ')}` };
+  }
+  if (profile.adminOnly && !caller.isAdmin) {
+    return { error: `sizeProfile ${name} requires the admin role`, forbidden: true };
+  }
+  return { profile };
+};
+
+module.exports = {
+  resolveSizeProfile,
+};
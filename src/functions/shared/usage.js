@@ -0,0 +1,97 @@
+'use strict';
+
+// Resource requests StartVPN has always made — used for rows written before they were recorded
+const DEFAULT_CPU = 1;
+const DEFAULT_MEMORY_GB = 2;
+// The size profile those requests became; sessions from before profiles are reported under it
+const LEGACY_SIZE_PROFILE = 'standard';
+
+/**
+ * Writes a usage record to the 'usage' partition when a session is torn down.
+ * Row keys start with the ISO end time so date ranges are RowKey range scans.
+ * Best-effort — metering must never block teardown, so failures go to `warn`.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {object} params
+ * @param {string} params.sessionId
+ * @param {object|null} params.sessionRow - sessions row, or null for legacy sessions
+ * @param {'manual'|'idle'|'max_lifetime'|'error'} params.reason - what ended the session
+ * @param {string} [params.startedAt] - start time when there is no sessions row
+ * @param {string} [params.location] - region when there is no sessions row
+ * @param {(message: string, detail: string) => void} warn
+ * @param {Date} [endedAt]
+ * @returns {Promise<object|null>} the written record, or null if it could not be written
+ */
+const recordUsage = async (tableClient, { sessionId, sessionRow, reason, startedAt, location }, warn, endedAt = new Date()) => {
+  const start = sessionRow?.createdAt || startedAt || endedAt.toISOString();
+  const durationSeconds = Math.max(0, Math.round((endedAt.getTime() - new Date(start).getTime()) / 1000));
+  const cpu = sessionRow?.cpu ?? DEFAULT_CPU;
+  const memoryInGB = sessionRow?.memoryInGB ?? DEFAULT_MEMORY_GB;
+  const hours = durationSeconds / 3600;
+
+  const record = {
+    partitionKey: 'usage',
+    rowKey: `${endedAt.toISOString()}_${sessionId}`,
+    sessionId,
+    callerId: sessionRow?.callerId || null,
+    location: sessionRow?.location || location || null,
+    startedAt: start,
+    endedAt: endedAt.toISOString(),
+    durationSeconds,
+    sizeProfile: sessionRow?.sizeProfile || LEGACY_SIZE_PROFILE,
+    cpu,
+    memoryInGB,
+    vcpuHours: cpu * hours,
+    gbHours: memoryInGB * hours,
+    reason,
+  };
+
+  try {
+    await tableClient.createEntity(record);
+    return record;
+  } catch (err) {
+    warn(`Could not record usage for ${sessionId}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Aggregates usage records by caller and by day ('YYYY-MM-DD') or month ('YYYY-MM'),
+ * keyed on the session's end time.
+ * @param {AsyncIterable<object>} records
+ * @param {'day'|'month'} granularity
+ * @returns {Promise<object[]>} one entry per caller and period, with session counts by end reason
+ *   and by size profile, sorted by period then caller
+ */
+const aggregateUsage = async (records, granularity) => {
+  const periodLength = granularity === 'month' ? 7 : 10;
+  const buckets = new Map();
+
+  for await (const record of records) {
+    const callerId = record.callerId || null;
+    const period = record.endedAt.slice(0, periodLength);
+    const key = `${period}|${callerId}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        callerId, period, sessions: 0, durationSeconds: 0, vcpuHours: 0, gbHours: 0, byReason: {}, bySizeProfile: {},
+      });
+    }
+    const bucket = buckets.get(key);
+    bucket.sessions++;
+    bucket.durationSeconds += record.durationSeconds || 0;
+    bucket.vcpuHours += record.vcpuHours || 0;
+    bucket.gbHours += record.gbHours || 0;
+    bucket.byReason[record.reason] = (bucket.byReason[record.reason] || 0) + 1;
+    const size = record.sizeProfile || LEGACY_SIZE_PROFILE;
+    bucket.bySizeProfile[size] = (bucket.bySizeProfile[size] || 0) + 1;
+  }
+
+  return [...buckets.values()].sort((a, b) =>
+    a.period.localeCompare(b.period) || String(a.callerId).localeCompare(String(b.callerId)));
+};
+
+module.exports = {
+  DEFAULT_CPU,
+  DEFAULT_MEMORY_GB,
+  recordUsage,
+  aggregateUsage,
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const { createHmac, randomBytes } = require('crypto');
+const { odataString } = require('./odata');
+
+// Session lifecycle events a webhook can subscribe to
+const EVENT_TYPES = [
+  'session.provisioning',
+  'session.running',
+  'session.failed',
+  'session.expiring_soon',
+  'session.reaped',
+  'session.stopped',
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.VPN_WEBHOOK_MAX_ATTEMPTS || '6', 10);
+// Delay before the first retry; doubles after every failed attempt
+const BACKOFF_SECONDS = parseInt(process.env.VPN_WEBHOOK_BACKOFF_SECONDS || '30', 10);
+// Deliveries run inside the request that triggered them, so a slow receiver must not stall it
+const TIMEOUT_MS = parseInt(process.env.VPN_WEBHOOK_TIMEOUT_MS || '5000', 10);
+const LOG_RETENTION_HOURS = parseInt(process.env.VPN_WEBHOOK_LOG_RETENTION_HOURS || '72', 10);
+
+// Webhook IDs are fixed-length hex so they are safe inside Key Vault secret names
+const WEBHOOK_ID_RE = /^[0-9a-f]{16}$/;
+
+/**
+ * Generates a new webhook ID.
+ * @returns {string}
+ */
+const newWebhookId = () => randomBytes(8).toString('hex');
+
+/**
+ * Key Vault secret name holding a webhook's signing secret.
+ * @param {string} webhookId
+ * @returns {string}
+ */
+const webhookSecretName = (webhookId) => `webhook-secret-${webhookId}`;
+
+/**
+ * Signs a delivery the way receivers verify it: HMAC-SHA256 over `<timestamp>.<body>`.
+ * The timestamp is covered so a captured request cannot be replayed later.
+ * @param {string} secret
+ * @param {string} timestamp - Unix seconds, as sent in X-VPN-Timestamp
+ * @param {string} body
+ * @returns {string} X-VPN-Signature header value
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Seconds to wait after a failed attempt before the next one.
+ * @param {number} attempts - attempts made so far
+ * @returns {number}
+ */
+const backoffSeconds = (attempts) => BACKOFF_SECONDS * 2 ** (attempts - 1);
+
+/**
+ * Lists webhook subscriptions with their event lists parsed.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @returns {Promise<{ id: string, url: string, events: string[], createdBy: string, createdAt: string }[]>}
+ */
+const listWebhooks = async (tableClient) => {
+  const webhooks = [];
+  for await (const row of tableClient.listEntities({ queryOptions: { filter: "PartitionKey eq 'webhooks'" } })) {
+    webhooks.push({
+      id: row.rowKey,
+      url: row.url,
+      events: JSON.parse(row.events),
+      createdBy: row.createdBy,
+      createdAt: row.createdAt,
+    });
+  }
+  return webhooks;
+};
+
+/**
+ * Makes one delivery attempt and records the outcome on the delivery row: 'delivered' on a
+ * 2xx, 'failed' once MAX_ATTEMPTS is reached, otherwise 'pending' with the next attempt
+ * time for the WebhookRetry timer. Redirects count as failures.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {import('@azure/keyvault-secrets').SecretClient} secretClient
+ * @param {object} delivery - 'deliveries' row
+ * @param {{ url: string }} webhook
+ * @param {number} [now]
+ * @returns {Promise<object>} the updated delivery row
+ */
+const attemptDelivery = async (tableClient, secretClient, delivery, webhook, now = Date.now()) => {
+  const attempts = (delivery.attempts || 0) + 1;
+  let statusCode = null;
+  let error = null;
+  try {
+    const { value: secret } = await secretClient.getSecret(webhookSecretName(delivery.webhookId));
+    const timestamp = String(Math.floor(now / 1000));
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-VPN-Event': delivery.event,
+        'X-VPN-Delivery': delivery.rowKey,
+        'X-VPN-Timestamp': timestamp,
+        'X-VPN-Signature': signPayload(secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) error = `Receiver responded ${statusCode}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  let status = 'delivered';
+  if (error) status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  const row = {
+    partitionKey: 'deliveries',
+    rowKey: delivery.rowKey,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    sessionId: delivery.sessionId,
+    payload: delivery.payload,
+    createdAt: delivery.createdAt,
+    status,
+    attempts,
+    lastAttemptAt: new Date(now).toISOString(),
+    ...(statusCode !== null ? { lastStatusCode: statusCode } : {}),
+    ...(error ? { lastError: error } : {}),
+    ...(status === 'pending' ? { nextAttemptAt: new Date(now + backoffSeconds(attempts) * 1000).toISOString() } : {}),
+  };
+  // # Reason: Replace, not Merge — a later success must not keep the previous attempt's error
+  await tableClient.updateEntity(row, 'Replace');
+  return row;
+};
+
+/**
+ * Notifies every webhook subscribed to a lifecycle event. Each delivery is logged in the
+ * 'deliveries' partition and attempted once straight away; failures are retried with
+ * backoff by the WebhookRetry timer. Best-effort — failures are reported through
+ * `warn` and never thrown, so a broken receiver cannot fail a session operation.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {import('@azure/keyvault-secrets').SecretClient} secretClient
+ * @param {object} event
+ * @param {string} event.type - one of EVENT_TYPES
+ * @param {string} event.sessionId
+ * @param {object|null} [event.sessionRow] - for the owner and region
+ * @param {object} [event.data] - event-specific fields
+ * @param {(message: string, detail: string) => void} warn
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+const emitEvent = async (tableClient, secretClient, { type, sessionId, sessionRow = null, data = {} }, warn,
+  now = Date.now()) => {
+  try {
+    const webhooks = (await listWebhooks(tableClient)).filter((webhook) => webhook.events.includes(type));
+    const occurredAt = new Date(now).toISOString();
+
+    await Promise.allSettled(webhooks.map(async (webhook) => {
+      // ISO prefix keeps the log in time order and lets the timer prune it with a RowKey scan
+      const deliveryId = `${occurredAt}-${randomBytes(4).toString('hex')}`;
+      const delivery = {
+        partitionKey: 'deliveries',
+        rowKey: deliveryId,
+        webhookId: webhook.id,
+        event: type,
+        sessionId,
+        payload: JSON.stringify({
+          id: deliveryId,
+          type,
+          occurredAt,
+          sessionId,
+          callerId: sessionRow?.callerId || null,
+          location: sessionRow?.location || null,
+          data,
+        }),
+        createdAt: occurredAt,
+        status: 'pending',
+        attempts: 0,
+        // # Reason: keeps the WebhookRetry timer off the row while the first attempt is in flight
+        nextAttemptAt: new Date(now + backoffSeconds(1) * 1000).toISOString(),
+      };
+      try {
+        await tableClient.createEntity(delivery);
+        const result = await attemptDelivery(tableClient, secretClient, delivery, webhook, now);
+        if (result.status !== 'delivered') {
+          warn(`Webhook ${webhook.id} did not accept ${type} for ${sessionId}:`, result.lastError);
+        }
+      } catch (err) {
+        warn(`Could not deliver ${type} for ${sessionId} to webhook ${webhook.id}:`, err.message);
+      }
+    }));
+  } catch (err) {
+    warn(`Could not emit ${type} for ${sessionId}:`, err.message);
+  }
+};
+
+/**
+ * Lists pending deliveries whose next attempt is due.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {number} [now]
+ * @returns {Promise<object[]>}
+ */
+const listDueDeliveries = async (tableClient, now = Date.now()) => {
+  const due = [];
+  const filter = "PartitionKey eq 'deliveries' and status eq 'pending' "
+    + `and nextAttemptAt le ${odataString(new Date(now).toISOString())}`;
+  for await (const row of tableClient.listEntities({ queryOptions: { filter } })) due.push(row);
+  return due;
+};
+
+/**
+ * Deletes finished deliveries older than the log retention window. Pending ones are kept
+ * until they run out of attempts.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ * @param {number} [now]
+ * @returns {Promise<number>} rows deleted
+ */
+const pruneDeliveryLog = async (tableClient, now = Date.now()) => {
+  const cutoff = new Date(now - LOG_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  const filter = `PartitionKey eq 'deliveries' and RowKey lt ${odataString(cutoff)} and status ne 'pending'`;
+  let deleted = 0;
+  for await (const row of tableClient.listEntities({ queryOptions: { filter, select: ['RowKey'] } })) {
+    await tableClient.deleteEntity('deliveries', row.rowKey);
+    deleted++;
+  }
+  return deleted;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  WEBHOOK_ID_RE,
+  newWebhookId,
+  webhookSecretName,
+  signPayload,
+  backoffSeconds,
+  listWebhooks,
+  attemptDelivery,
+  emitEvent,
+  listDueDeliveries,
+  pruneDeliveryLog,
+};
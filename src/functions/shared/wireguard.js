@@ -0,0 +1,115 @@
+'use strict';
+
+const { generateKeyPairSync, createPrivateKey, createPublicKey, createHmac, randomBytes } = require('crypto');
+
+// WireGuard keys are 32 raw bytes, base64-encoded with padding (44 chars)
+const WG_KEY_RE = /^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw048]=$/;
+
+// PKCS8 DER prefix for a raw X25519 private key (RFC 8410)
+const X25519_PKCS8_HEADER = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+/**
+ * Generates a valid WireGuard key pair using Node.js built-in X25519 (Curve25519).
+ * Returns base64-encoded raw 32-byte keys compatible with wg(8).
+ * @returns {{ privateKey: string, publicKey: string }}
+ */
+const generateWireGuardKeyPair = () => {
+  const { privateKey: privKeyObj } = generateKeyPairSync('x25519');
+  const pubKeyObj = createPublicKey(privKeyObj);
+  // PKCS8 DER: 16-byte header + 32-byte raw key; SPKI DER: 12-byte header + 32-byte raw key
+  const privDer = privKeyObj.export({ type: 'pkcs8', format: 'der' });
+  const pubDer = pubKeyObj.export({ type: 'spki', format: 'der' });
+  return {
+    privateKey: privDer.slice(-32).toString('base64'),
+    publicKey: pubDer.slice(-32).toString('base64'),
+  };
+};
+
+/**
+ * Generates a WireGuard preshared key: 32 random bytes, base64-encoded like wg genpsk.
+ * Mixed into the handshake as a symmetric secret, it keeps recorded traffic safe even
+ * if Curve25519 is later broken.
+ * @returns {string}
+ */
+const generatePresharedKey = () => randomBytes(32).toString('base64');
+
+/**
+ * Preshared key for one additional device (AddPeer) on a session: HMAC-SHA256 of
+ * 'wg-device-psk:<peerId>' keyed with the raw server private key. The server container
+ * holds that key, so its peer sync derives the same value without reading Key Vault
+ * (see infra/container/scripts/peer-sync.sh), and a key rotation re-keys every device.
+ * @param {string} serverPrivateKey - base64
+ * @param {string} peerId
+ * @returns {string} base64, like wg genpsk
+ */
+const deriveDevicePresharedKey = (serverPrivateKey, peerId) =>
+  createHmac('sha256', Buffer.from(serverPrivateKey, 'base64')).update(`wg-device-psk:${peerId}`).digest('base64');
+
+/**
+ * Derives a base64 WireGuard public key from a base64 private key.
+ * @param {string} privateKeyBase64
+ * @returns {string}
+ */
+const derivePublicKey = (privateKeyBase64) => {
+  // Reconstruct PKCS8 DER from raw 32-byte private key
+  const rawPriv = Buffer.from(privateKeyBase64, 'base64');
+  const pkcs8Der = Buffer.concat([X25519_PKCS8_HEADER, rawPriv]);
+  const privKeyObj = createPrivateKey({ key: pkcs8Der, format: 'der', type: 'pkcs8' });
+  const pubDer = createPublicKey(privKeyObj).export({ type: 'spki', format: 'der' });
+  return pubDer.slice(-32).toString('base64');
+};
+
+/**
+ * Returns true if the value is a well-formed base64 WireGuard key.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isValidKey = (value) => typeof value === 'string' && WG_KEY_RE.test(value);
+
+/**
+ * A peer's tunnel addresses as a wg-quick list of host routes.
+ * @param {string} address - IPv4 tunnel address (without CIDR)
+ * @param {string|null} [addressV6] - IPv6 tunnel address, if dual-stack
+ * @returns {string} e.g. '10.8.0.2/32, fd00:8::2/128'
+ */
+const tunnelAddresses = (address, addressV6) => (addressV6 ? `${address}/32, ${addressV6}/128` : `${address}/32`);
+
+/**
+ * Renders a wg-quick client config for a session's routing profile. Without a private
+ * key (bring-your-own-key peers) a commented placeholder is emitted for the caller to
+ * fill in locally.
+ * @param {object} params
+ * @param {string|null} params.privateKey - client private key, or null if held by the caller
+ * @param {string} params.address - client tunnel address (without CIDR)
+ * @param {string|null} [params.addressV6] - client IPv6 tunnel address on dual-stack sessions
+ * @param {string} params.serverPublicKey
+ * @param {string|null} [params.presharedKey] - on sessions started with a PSK
+ * @param {string} params.endpoint - 'host:port'
+ * @param {{ allowedIps: string[], mtu: number|null, persistentKeepalive: number, dns: string[] }} params.routing
+ *   see shared/routing.js
+ * @returns {string}
+ */
+const buildClientConfig = ({ privateKey, address, addressV6, serverPublicKey, presharedKey, endpoint, routing }) => [
+  '[Interface]',
+  privateKey ? `PrivateKey = ${privateKey}` : '# PrivateKey = <private key matching your public key>',
+  `Address = ${tunnelAddresses(address, addressV6)}`,
+  `DNS = ${routing.dns.join(', ')}`,
+  ...(routing.mtu ? [`MTU = ${routing.mtu}`] : []),
+  '',
+  '[Peer]',
+  `PublicKey = ${serverPublicKey}`,
+  ...(presharedKey ? [`PresharedKey = ${presharedKey}`] : []),
+  `Endpoint = ${endpoint}`,
+  `AllowedIPs = ${routing.allowedIps.join(', ')}`,
+  ...(routing.persistentKeepalive ? [`PersistentKeepalive = ${routing.persistentKeepalive}`] : []),
+].join('\n');
+
+module.exports = {
+  generateWireGuardKeyPair,
+  generatePresharedKey,
+  deriveDevicePresharedKey,
+  derivePublicKey,
+  isValidKey,
+  tunnelAddresses,
+  buildClientConfig,
+};
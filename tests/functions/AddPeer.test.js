@@ -0,0 +1,254 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.VPN_TUNNEL_SUBNET = '10.8.0.0/24';
+process.env.VPN_TUNNEL_SUBNET_V6 = 'fd00:8::/64';
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { generateKeyPairSync } = require('crypto');
+const { app } = require('@azure/functions');
+const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { openSealedBox } = require('../../src/functions/shared/sealedBox');
+const { generateWireGuardKeyPair, deriveDevicePresharedKey } = require('../../src/functions/shared/wireguard');
+require('../../src/functions/AddPeer/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (body) => ({
+  json: () => Promise.resolve(body),
+  query: { get: () => null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const serverPrivateKey = generateKeyPairSync('x25519').privateKey
+  .export({ type: 'pkcs8', format: 'der' }).slice(-32).toString('base64');
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const makeTableClient = (overrides = {}) => ({
+  getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2' }),
+  listEntities: jest.fn(({ queryOptions }) => rows(
+    queryOptions.filter.includes("'addresses'") ? [{ rowKey: '10.8.0.2' }] : []
+  )),
+  createEntity: jest.fn().mockResolvedValue({}),
+  deleteEntity: jest.fn().mockResolvedValue({}),
+  ...overrides,
+});
+
+describe('AddPeer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue({ properties: { ipAddress: { ip: '1.2.3.4' } } }) },
+    });
+  });
+
+  it('allocates an address, key pair and config secret for a new peer', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }),
+      setSecret,
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session', name: 'phone' }), context);
+
+    expect(response.status).toBe(201);
+    const { peerId, peerAddress, clientConfig } = response.jsonBody;
+    expect(peerId).toMatch(/^[0-9a-f]{8}$/);
+    expect(peerAddress).toBe('10.8.0.3');
+    expect(clientConfig).toMatch(/^PrivateKey = /m);
+    expect(clientConfig).toContain('Address = 10.8.0.3/32\n');
+    // The session predates IPv6, so the peer stays IPv4-only
+    expect(response.jsonBody.peerAddressV6).toBeNull();
+    expect(clientConfig).toContain('Endpoint = 1.2.3.4:51820');
+
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'addresses', rowKey: '10.8.0.3', sessionId: 'multi-session', peerId })
+    );
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'peers',
+      rowKey: `multi-session_${peerId}`,
+      sessionId: 'multi-session',
+      name: 'phone',
+      keySource: 'generated',
+    }));
+    expect(setSecret).toHaveBeenCalledWith(`wg-device-config-multi-session-${peerId}`, clientConfig, expect.any(Object));
+  });
+
+  it('gives peers on a dual-stack session an IPv6 address as well', async () => {
+    const tableClient = makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2', peerAddressV6: 'fd00:8::2',
+      }),
+    });
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }),
+      setSecret: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session' }), context);
+
+    expect(response.status).toBe(201);
+    expect(response.jsonBody.peerAddressV6).toBe('fd00:8::3');
+    expect(response.jsonBody.clientConfig).toContain('Address = 10.8.0.3/32, fd00:8::3/128');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'peers', peerAddress: '10.8.0.3', peerAddressV6: 'fd00:8::3' })
+    );
+  });
+
+  it('registers a caller-supplied public key without rendering a private key', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }),
+      setSecret: jest.fn().mockResolvedValue({}),
+    });
+    const publicKey = Buffer.alloc(32, 3).toString('base64');
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session', publicKey }), context);
+
+    expect(response.status).toBe(201);
+    expect(response.jsonBody.clientConfig).not.toMatch(/^PrivateKey = /m);
+    expect(response.jsonBody.clientConfig).not.toContain('PresharedKey');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'peers', publicKey, keySource: 'caller' })
+    );
+  });
+
+  it('gives each device on a PSK session its own preshared key', async () => {
+    const tableClient = makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2', usesPresharedKey: true,
+      }),
+    });
+    getTableClient.mockReturnValue(tableClient);
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }), setSecret });
+
+    const response = await handler(makeRequest({ sessionId: 'psk-session' }), context);
+
+    expect(response.status).toBe(201);
+    const { peerId, clientConfig } = response.jsonBody;
+    const psk = deriveDevicePresharedKey(serverPrivateKey, peerId);
+    expect(clientConfig).toContain(`PresharedKey = ${psk}`);
+    expect(setSecret).toHaveBeenCalledWith(`wg-device-psk-psk-session-${peerId}`, psk, expect.any(Object));
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'peers', peerId, usesPresharedKey: true })
+    );
+  });
+
+  it('seals the device config to the recipient key of a sealed session', async () => {
+    const recipient = generateWireGuardKeyPair();
+    getTableClient.mockReturnValue(makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2', configRecipientKey: recipient.publicKey,
+      }),
+    }));
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }), setSecret });
+
+    const response = await handler(makeRequest({ sessionId: 'sealed-session' }), context);
+
+    expect(response.status).toBe(201);
+    expect(response.jsonBody.clientConfig).toBeNull();
+    const { encryptedClientConfig } = response.jsonBody;
+    expect(setSecret).toHaveBeenCalledWith(expect.stringMatching(/^wg-device-config-sealed-session-/), encryptedClientConfig,
+      expect.any(Object));
+    expect(openSealedBox(recipient.privateKey, encryptedClientConfig)).toMatch(/^PrivateKey = /m);
+  });
+
+  it('returns 409 while the session is still provisioning', async () => {
+    getTableClient.mockReturnValue(makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Provisioning' }),
+    }));
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'early-session' }), context);
+
+    expect(response.status).toBe(409);
+  });
+
+  it('returns 400 for an OpenVPN session', async () => {
+    const tableClient = makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Running', protocol: 'openvpn' }),
+    });
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'ovpn-session' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('openvpn sessions do not support additional peers');
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when the session already has the maximum number of peers', async () => {
+    const peers = Array.from({ length: 10 }, (_, i) => ({ peerId: `0000000${i}` }));
+    getTableClient.mockReturnValue(makeTableClient({
+      listEntities: jest.fn().mockReturnValue(rows(peers)),
+    }));
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'full-session' }), context);
+
+    expect(response.status).toBe(409);
+    expect(JSON.parse(response.body).error).toMatch(/maximum of 10 peers/);
+  });
+
+  it('returns 404 when the session does not exist', async () => {
+    getTableClient.mockReturnValue(makeTableClient({
+      getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }),
+    }));
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'ghost-session' }), context);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('returns 400 for a malformed publicKey', async () => {
+    const response = await handler(makeRequest({ sessionId: 'multi-session', publicKey: 'abc' }), context);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('releases the allocated address when the config secret cannot be written', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }),
+      setSecret: jest.fn().mockRejectedValue(new Error('Forbidden')),
+      beginDeleteSecret: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session' }), context);
+
+    expect(response.status).toBe(503);
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.3');
+  });
+});
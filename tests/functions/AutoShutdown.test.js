@@ -11,8 +11,14 @@ jest.mock('@azure/functions', () => ({
   app: { timer: jest.fn() },
 }));
 
+jest.mock('../../src/functions/shared/webhooks', () => ({
+  ...jest.requireActual('../../src/functions/shared/webhooks'),
+  emitEvent: jest.fn().mockResolvedValue(),
+}));
+
 const { app } = require('@azure/functions');
 const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { emitEvent } = require('../../src/functions/shared/webhooks');
 require('../../src/functions/AutoShutdown/index');
 
 const handler = app.timer.mock.calls[0][1].handler;
@@ -48,20 +54,36 @@ describe('AutoShutdown', () => {
         beginDelete: jest.fn().mockResolvedValue(deletePoller),
       },
     });
+    async function* peerRows() {
+      yield { sessionId: 'old-session', peerId: 'ab12cd34', peerAddress: '10.8.0.7' };
+    }
     const tableClient = {
       getEntity: jest.fn().mockResolvedValue({ lastHandshakeAt: oldTime, peerAddress: '10.8.0.2' }),
+      listEntities: jest.fn().mockReturnValue(peerRows()),
+      createEntity: jest.fn().mockResolvedValue({}),
       deleteEntity: jest.fn().mockResolvedValue({}),
     };
     getTableClient.mockReturnValue(tableClient);
-    getSecretClient.mockReturnValue({
+    const secretClient = {
       beginDeleteSecret: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn().mockResolvedValue({}) }),
-    });
+    };
+    getSecretClient.mockReturnValue(secretClient);
 
     await handler({}, context);
 
     expect(getContainerClient().containerGroups.beginDelete).toHaveBeenCalledWith('test-rg', 'vpn-old-session');
     expect(tableClient.deleteEntity).toHaveBeenCalledWith('sessions', 'old-session');
     expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.2');
+    // Additional peers are released alongside the session
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.7');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-device-config-old-session-ab12cd34');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-psk-old-session');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'usage', sessionId: 'old-session', reason: 'idle',
+    }));
+    expect(emitEvent).toHaveBeenCalledWith(tableClient, secretClient, expect.objectContaining({
+      type: 'session.reaped', sessionId: 'old-session', data: { reason: 'idle' },
+    }), context.warn);
   });
 
   it('spares container when lastHandshakeAt is within the idle timeout', async () => {
@@ -104,6 +126,214 @@ describe('AutoShutdown', () => {
     expect(getContainerClient().containerGroups.beginDelete).toHaveBeenCalledWith('test-rg', 'vpn-legacy-session');
   });
 
+  it('honors a per-session idle timeout longer than the default', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([makeGroup('vpn-patient-session', oldTime)])),
+        beginDelete: jest.fn(),
+      },
+    });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ createdAt: oldTime, lastHandshakeAt: oldTime, idleTimeoutMinutes: 90 }),
+    });
+    getSecretClient.mockReturnValue({});
+
+    await handler({}, context);
+
+    expect(getContainerClient().containerGroups.beginDelete).not.toHaveBeenCalled();
+  });
+
+  it('reaps an active session past its max lifetime and records the rule that triggered', async () => {
+    const deletePoller = { pollUntilDone: jest.fn().mockResolvedValue({}) };
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([makeGroup('vpn-chatty-session', oldTime)])),
+        beginDelete: jest.fn().mockResolvedValue(deletePoller),
+      },
+    });
+    async function* noPeers() {}
+    const tableClient = {
+      // Handshaking constantly, but created an hour ago with a 45-minute lifetime
+      getEntity: jest.fn().mockResolvedValue({
+        createdAt: oldTime, lastHandshakeAt: recentTime, maxLifetimeMinutes: 45, peerAddress: '10.8.0.4',
+      }),
+      listEntities: jest.fn().mockReturnValue(noPeers()),
+      createEntity: jest.fn().mockResolvedValue({}),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({
+      beginDeleteSecret: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn().mockResolvedValue({}) }),
+    });
+
+    await handler({}, context);
+
+    expect(getContainerClient().containerGroups.beginDelete).toHaveBeenCalledWith('test-rg', 'vpn-chatty-session');
+    expect(context.log).toHaveBeenCalledWith('Reaping container group vpn-chatty-session: max_lifetime');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'usage', sessionId: 'chatty-session', reason: 'max_lifetime',
+    }));
+  });
+
+  it('marks a session ExpiringSoon inside the warning window before its deadline', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([makeGroup('vpn-fading-session', oldTime)])),
+        beginDelete: jest.fn(),
+      },
+    });
+    // Idle deadline in 5 minutes; default warning window is 10
+    const tableClient = {
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'fading-session', status: 'Running', etag: 'e1',
+        createdAt: oldTime, lastHandshakeAt: new Date(Date.now() - 25 * 60 * 1000).toISOString(),
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({});
+
+    await handler({}, context);
+
+    expect(getContainerClient().containerGroups.beginDelete).not.toHaveBeenCalled();
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(
+      { partitionKey: 'sessions', rowKey: 'fading-session', status: 'ExpiringSoon' },
+      'Merge',
+      { etag: 'e1' }
+    );
+    expect(context.log).toHaveBeenCalledWith(expect.stringContaining('Expiring soon: 1'));
+    expect(emitEvent).toHaveBeenCalledWith(tableClient, getSecretClient(), expect.objectContaining({
+      type: 'session.expiring_soon', sessionId: 'fading-session', data: { expiresAt: expect.any(String) },
+    }), context.warn);
+  });
+
+  it('returns an ExpiringSoon session to Running once its deadline recedes', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([makeGroup('vpn-revived-session', oldTime)])),
+        beginDelete: jest.fn(),
+      },
+    });
+    const tableClient = {
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'revived-session', status: 'ExpiringSoon', etag: 'e1', createdAt: oldTime, lastHandshakeAt: recentTime,
+      }),
+      updateEntity: jest.fn().mockRejectedValue({ statusCode: 412 }),
+    };
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({});
+
+    await handler({}, context);
+
+    // 412 (heartbeat raced) is left for the next run, not counted as an error
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'Running' }), 'Merge', { etag: 'e1' }
+    );
+    expect(context.error).not.toHaveBeenCalled();
+  });
+
+  it('keeps an extended session past its idle deadline until the extension runs out', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([makeGroup('vpn-extended-session', oldTime)])),
+        beginDelete: jest.fn(),
+      },
+    });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'extended-session', status: 'Running', createdAt: oldTime, lastHandshakeAt: oldTime,
+        extendedUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      }),
+      updateEntity: jest.fn(),
+    });
+    getSecretClient.mockReturnValue({});
+
+    await handler({}, context);
+
+    expect(getContainerClient().containerGroups.beginDelete).not.toHaveBeenCalled();
+  });
+
+  it('marks a session with a terminated container Failed and leaves it for the retention window', async () => {
+    const group = makeGroup('vpn-crashed-session', oldTime);
+    group.properties.containers[0].properties.instanceView.currentState = { state: 'Terminated', exitCode: 1 };
+    getContainerClient.mockReturnValue({
+      containerGroups: { listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([group])), beginDelete: jest.fn() },
+    });
+    const tableClient = {
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'crashed-session', status: 'Running', etag: 'e1', createdAt: recentTime, lastHandshakeAt: recentTime,
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({});
+
+    await handler({}, context);
+
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'Failed', failureReason: 'container_terminated', failureMessage: 'Container exited with code 1',
+      }),
+      'Merge',
+      { etag: 'e1' }
+    );
+    expect(getContainerClient().containerGroups.beginDelete).not.toHaveBeenCalled();
+    expect(emitEvent).toHaveBeenCalledWith(tableClient, getSecretClient(), expect.objectContaining({
+      type: 'session.failed', sessionId: 'crashed-session', data: expect.objectContaining({ reason: 'container_terminated' }),
+    }), context.warn);
+  });
+
+  it('cleans up a Failed session once the retention window has passed', async () => {
+    const group = makeGroup('vpn-failed-session', oldTime, 'Failed');
+    const deletePoller = { pollUntilDone: jest.fn().mockResolvedValue({}) };
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([group])),
+        beginDelete: jest.fn().mockResolvedValue(deletePoller),
+      },
+    });
+    async function* noPeers() {}
+    const tableClient = {
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'failed-session', status: 'Failed', etag: 'e1', createdAt: oldTime, failedAt: oldTime,
+        failureReason: 'provisioning_failed', peerAddress: '10.8.0.9',
+      }),
+      listEntities: jest.fn().mockReturnValue(noPeers()),
+      createEntity: jest.fn().mockResolvedValue({}),
+      updateEntity: jest.fn().mockResolvedValue({}),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+    getSecretClient.mockReturnValue({
+      beginDeleteSecret: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn().mockResolvedValue({}) }),
+    });
+
+    await handler({}, context);
+
+    expect(getContainerClient().containerGroups.beginDelete).toHaveBeenCalledWith('test-rg', 'vpn-failed-session');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.9');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'usage', reason: 'error' })
+    );
+  });
+
+  it('skips sessions that StopVPN is already tearing down', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([makeGroup('vpn-leaving-session', oldTime)])),
+        beginDelete: jest.fn(),
+      },
+    });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ status: 'Stopping', createdAt: oldTime, lastHandshakeAt: oldTime }),
+    });
+    getSecretClient.mockReturnValue({});
+
+    await handler({}, context);
+
+    expect(getContainerClient().containerGroups.beginDelete).not.toHaveBeenCalled();
+  });
+
   it('continues processing remaining groups when one delete fails', async () => {
     const deletePoller = { pollUntilDone: jest.fn().mockResolvedValue({}) };
     getContainerClient.mockReturnValue({
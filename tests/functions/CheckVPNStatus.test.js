@@ -11,15 +11,35 @@ jest.mock('@azure/functions', () => ({
   app: { http: jest.fn() },
 }));
 
+jest.mock('../../src/functions/shared/webhooks', () => ({
+  ...jest.requireActual('../../src/functions/shared/webhooks'),
+  emitEvent: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
 const { app } = require('@azure/functions');
 const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { emitEvent } = require('../../src/functions/shared/webhooks');
+const { sealToRecipient } = require('../../src/functions/shared/sealedBox');
+const { generateOpenVpnCredentials } = require('../../src/functions/shared/openvpn');
 require('../../src/functions/CheckVPNStatus/index');
 
 const handler = app.http.mock.calls[0][1].handler;
 
-const makeRequest = (sessionId) => ({
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (sessionId, params = {}) => ({
   json: () => Promise.resolve({}),
-  query: { get: (key) => (key === 'sessionId' ? sessionId : null) },
+  query: { get: (key) => (key === 'sessionId' ? sessionId : params[key] ?? null) },
 });
 const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
 
@@ -38,7 +58,7 @@ describe('CheckVPNStatus', () => {
       containerGroups: { get: jest.fn().mockResolvedValue(provisioningGroup) },
     });
     getTableClient.mockReturnValue({
-      getEntity: jest.fn().mockResolvedValue({ status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'abc' }),
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'abc' }),
     });
     getSecretClient.mockReturnValue({});
 
@@ -68,7 +88,7 @@ describe('CheckVPNStatus', () => {
     });
     getTableClient.mockReturnValue({
       getEntity: jest.fn().mockResolvedValue({
-        status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'abc',
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'abc',
       }),
       updateEntity,
     });
@@ -87,6 +107,223 @@ describe('CheckVPNStatus', () => {
       'Merge',
       { etag: 'abc' }
     );
+    expect(emitEvent).toHaveBeenCalledWith(getTableClient(), getSecretClient(), expect.objectContaining({
+      type: 'session.running', sessionId: 'new-running-session', data: { endpoint: '1.2.3.4:51820' },
+    }), context.warn);
+  });
+
+  it('renders the generated client private key into the finalized config', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+
+    const { generateKeyPairSync } = require('crypto');
+    const { privateKey: privKeyObj } = generateKeyPairSync('x25519');
+    const serverPrivateKey = privKeyObj.export({ type: 'pkcs8', format: 'der' }).slice(-32).toString('base64');
+    const clientPrivateKey = Buffer.alloc(32, 9).toString('base64');
+
+    const getSecret = jest.fn((name) => Promise.resolve({
+      value: name.startsWith('wg-client-key-') ? clientPrivateKey : serverPrivateKey,
+    }));
+    getSecretClient.mockReturnValue({ getSecret, setSecret: jest.fn().mockResolvedValue({}) });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', clientKeySource: 'generated', etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('keyed-session'), context);
+
+    expect(getSecret).toHaveBeenCalledWith('wg-client-key-keyed-session');
+    expect(response.jsonBody.clientConfig).toContain(`PrivateKey = ${clientPrivateKey}`);
+  });
+
+  it('renders the split-tunnel routing profile stored on the session', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: Buffer.alloc(32, 7).toString('base64') }),
+      setSecret: jest.fn().mockResolvedValue({}),
+    });
+    const routing = { routes: ['10.0.0.0/16'], allowedIps: ['10.0.0.0/16'], mtu: 1380, persistentKeepalive: 0, dns: ['10.0.0.4'] };
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', routing: JSON.stringify(routing), etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('split-session'), context);
+
+    const { clientConfig } = response.jsonBody;
+    expect(clientConfig).toContain('AllowedIPs = 10.0.0.0/16');
+    expect(clientConfig).toContain('DNS = 10.0.0.4\nMTU = 1380');
+    expect(clientConfig).not.toContain('PersistentKeepalive');
+  });
+
+  it('puts both tunnel addresses in the config of a dual-stack session', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    const serverPrivateKey = Buffer.alloc(32, 7).toString('base64');
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }),
+      setSecret: jest.fn().mockResolvedValue({}),
+    });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', peerAddressV6: 'fd00:8::2', etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('dual-session'), context);
+
+    expect(response.jsonBody.clientConfig).toContain('Address = 10.8.0.2/32, fd00:8::2/128');
+  });
+
+  it('leaves the private key to the caller for bring-your-own-key sessions', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+
+    const { generateKeyPairSync } = require('crypto');
+    const { privateKey: privKeyObj } = generateKeyPairSync('x25519');
+    const getSecret = jest.fn().mockResolvedValue({
+      value: privKeyObj.export({ type: 'pkcs8', format: 'der' }).slice(-32).toString('base64'),
+    });
+    getSecretClient.mockReturnValue({ getSecret, setSecret: jest.fn().mockResolvedValue({}) });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', clientKeySource: 'caller', etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('byok-session'), context);
+
+    expect(getSecret).not.toHaveBeenCalledWith('wg-client-key-byok-session');
+    expect(response.jsonBody.clientConfig).not.toMatch(/^PrivateKey = /m);
+  });
+
+  it('renders the preshared key of a PSK session into the [Peer] section', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+
+    const { generateKeyPairSync } = require('crypto');
+    const { privateKey: privKeyObj } = generateKeyPairSync('x25519');
+    const serverPrivateKey = privKeyObj.export({ type: 'pkcs8', format: 'der' }).slice(-32).toString('base64');
+    const psk = Buffer.alloc(32, 5).toString('base64');
+    const getSecret = jest.fn((name) => Promise.resolve({ value: name.startsWith('wg-psk-') ? psk : serverPrivateKey }));
+    getSecretClient.mockReturnValue({ getSecret, setSecret: jest.fn().mockResolvedValue({}) });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', clientKeySource: 'caller',
+        usesPresharedKey: true, etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('psk-session'), context);
+
+    expect(getSecret).toHaveBeenCalledWith('wg-psk-psk-session');
+    expect(response.jsonBody.clientConfig).toMatch(/^\[Peer\]\nPublicKey = .+\nPresharedKey = (.+)\n/m);
+    expect(response.jsonBody.clientConfig).toContain(`PresharedKey = ${psk}`);
+  });
+
+  it('hands over the sealed config of a sealed session without rebuilding it', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+
+    const { generateKeyPairSync } = require('crypto');
+    const { privateKey: privKeyObj } = generateKeyPairSync('x25519');
+    const serverPrivateKey = privKeyObj.export({ type: 'pkcs8', format: 'der' }).slice(-32).toString('base64');
+    const recipientKey = Buffer.alloc(32, 9).toString('base64');
+    const sealed = sealToRecipient(recipientKey, '[Interface]\n');
+    const getSecret = jest.fn((name) => Promise.resolve({
+      value: name.startsWith('wg-peer-config-') ? sealed : serverPrivateKey,
+    }));
+    const setSecret = jest.fn();
+    getSecretClient.mockReturnValue({ getSecret, setSecret });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', clientKeySource: 'generated',
+        configRecipientKey: recipientKey, etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('sealed-session'), context);
+
+    expect(response.jsonBody).toMatchObject({
+      status: 'Running',
+      clientConfig: null,
+      encryptedClientConfig: sealed,
+      configEncryption: 'x25519-hkdf-sha256-chacha20poly1305',
+    });
+    expect(getSecret).not.toHaveBeenCalledWith('wg-client-key-sealed-session');
+    expect(setSecret).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for a QR image of a sealed config', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) } });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Running', configRecipientKey: Buffer.alloc(32, 9).toString('base64'),
+      }),
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('sealed-session', { format: 'qr-png' }), context);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('finalizes a .ovpn profile pinned to the server certificate on an OpenVPN session', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    const server = generateOpenVpnCredentials('vpn-ovpn-session-server');
+    const client = generateOpenVpnCredentials('vpn-ovpn-session-client');
+    const secrets = { 'wg-server-key-ovpn-session': server.privateKey, 'wg-client-key-ovpn-session': client.privateKey };
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ getSecret: jest.fn((name) => Promise.resolve({ value: secrets[name] })), setSecret });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', protocol: 'openvpn', peerAddress: '10.8.0.2',
+        clientKeySource: 'generated', etag: 'abc',
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest('ovpn-session'), context);
+
+    expect(response.jsonBody).toMatchObject({ status: 'Running', port: 1194 });
+    const profile = response.jsonBody.clientConfig;
+    expect(profile).toContain('remote 1.2.3.4 1194');
+    expect(profile).toContain(`peer-fingerprint ${server.publicKey}`);
+    expect(profile).toContain(client.privateKey.match(/-----BEGIN CERTIFICATE-----[\s\S]+-----END CERTIFICATE-----/)[0]);
+    expect(setSecret).toHaveBeenCalledWith('wg-peer-config-ovpn-session', profile, expect.any(Object));
+    expect(emitEvent).toHaveBeenCalledWith(getTableClient(), getSecretClient(), expect.objectContaining({
+      type: 'session.running', data: { endpoint: '1.2.3.4:1194' },
+    }), context.warn);
+  });
+
+  it('returns 400 for a QR image of an OpenVPN profile', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) } });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Running', protocol: 'openvpn' }),
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('ovpn-session', { format: 'qr-svg' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('format qr-svg is not available for openvpn sessions');
   });
 
   it('handles concurrent finalization: 412 on ETag conflict is non-fatal', async () => {
@@ -103,7 +340,7 @@ describe('CheckVPNStatus', () => {
       setSecret: jest.fn().mockResolvedValue({}),
     });
     getTableClient.mockReturnValue({
-      getEntity: jest.fn().mockResolvedValue({ status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'stale' }),
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'stale' }),
       updateEntity: jest.fn().mockRejectedValue({ statusCode: 412 }),
     });
 
@@ -112,6 +349,8 @@ describe('CheckVPNStatus', () => {
     // Should still return Running despite 412
     expect(response.status).toBe(200);
     expect(response.jsonBody.status).toBe('Running');
+    // The caller that won the race sends the notification
+    expect(emitEvent).not.toHaveBeenCalled();
   });
 
   it('returns cached config directly when sessions row status is Running', async () => {
@@ -121,7 +360,7 @@ describe('CheckVPNStatus', () => {
     const getSecret = jest.fn().mockResolvedValue({ value: '[Interface]\nAddress=10.8.0.2/32' });
     getSecretClient.mockReturnValue({ getSecret });
     getTableClient.mockReturnValue({
-      getEntity: jest.fn().mockResolvedValue({ status: 'Running', peerAddress: '10.8.0.2', etag: 'xyz' }),
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2', etag: 'xyz' }),
     });
 
     const response = await handler(makeRequest('cached-session'), context);
@@ -132,11 +371,236 @@ describe('CheckVPNStatus', () => {
     expect(getSecret).toHaveBeenCalledTimes(1);
   });
 
+  it('returns the cached config as an uncacheable QR image when asked', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: '[Interface]\nAddress=10.8.0.2/32' }) });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2' }),
+    });
+
+    const noStore = { 'Cache-Control': 'no-store, no-cache, must-revalidate, private', Pragma: 'no-cache', Expires: '0' };
+
+    const svg = await handler(makeRequest('qr-session', { format: 'qr-svg' }), context);
+    const png = await handler(makeRequest('qr-session', { format: 'qr-png' }), context);
+
+    expect(svg.headers).toEqual({ ...noStore, 'Content-Type': 'image/svg+xml' });
+    expect(svg.body).toMatch(/^<\?xml[\s\S]*<svg [\s\S]*<\/svg>\n$/);
+    expect(png.headers).toEqual({ ...noStore, 'Content-Type': 'image/png' });
+    expect(png.body.subarray(1, 4).toString('ascii')).toBe('PNG');
+  });
+
+  it('renders the freshly finalized config as a QR image', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    getSecretClient.mockReturnValue({
+      getSecret: jest.fn().mockResolvedValue({ value: Buffer.alloc(32, 7).toString('base64') }),
+      setSecret: jest.fn().mockResolvedValue({}),
+    });
+    const updateEntity = jest.fn().mockResolvedValue({});
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'abc' }),
+      updateEntity,
+    });
+
+    const response = await handler(makeRequest('fresh-session', { format: 'qr-svg' }), context);
+
+    expect(response.headers['Content-Type']).toBe('image/svg+xml');
+    expect(updateEntity).toHaveBeenCalledWith(expect.objectContaining({ status: 'Running' }), 'Merge', { etag: 'abc' });
+  });
+
+  it('keeps answering with the JSON status until the config exists', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(provisioningGroup) },
+    });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2' }),
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('early-session', { format: 'qr-png' }), context);
+
+    expect(response.jsonBody.status).toBe('Provisioning');
+  });
+
+  it('returns 400 for an unknown format', async () => {
+    const response = await handler(makeRequest('any-session', { format: 'qr-gif' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('format must be one of: json, qr-svg, qr-png');
+  });
+
+  it('surfaces ExpiringSoon and the shutdown deadline', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: '[Interface]' }) });
+    const lastHandshakeAt = new Date(Date.now() - 25 * 60 * 1000).toISOString();
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'ExpiringSoon', createdAt: lastHandshakeAt, lastHandshakeAt, idleTimeoutMinutes: 30,
+      }),
+    });
+
+    const response = await handler(makeRequest('fading-session'), context);
+
+    expect(response.jsonBody.status).toBe('ExpiringSoon');
+    expect(response.jsonBody.clientConfig).toBe('[Interface]');
+    expect(response.jsonBody.expiresAt).toBe(new Date(new Date(lastHandshakeAt).getTime() + 30 * 60 * 1000).toISOString());
+  });
+
+  it('reports the estimated cost accrued since the session was created', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: '[Interface]' }) });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Running', location: 'eastus2', cpu: 1, memoryInGB: 2,
+        createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      }),
+    });
+
+    const response = await handler(makeRequest('costed-session'), context);
+
+    // One hour at the default rates: 1 vCPU x 0.0000113 + 2 GB x 0.0000012 per second
+    expect(response.jsonBody.estimatedCost.currency).toBe('USD');
+    expect(response.jsonBody.estimatedCost.amount).toBeCloseTo(3600 * (0.0000113 + 2 * 0.0000012), 3);
+  });
+
+  it('answers a session the caller does not own as not found', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    const getSecret = jest.fn();
+    getSecretClient.mockReturnValue({ getSecret });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'someone-else', status: 'Running', peerAddress: '10.8.0.2' }),
+    });
+
+    const response = await handler(makeRequest('foreign-session'), context);
+
+    expect(response).toEqual({ status: 404, jsonBody: { status: 'NotFound', sessionId: 'foreign-session' } });
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin read any session', async () => {
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'admin-1', isAdmin: true } });
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) },
+    });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: '[Interface]' }) });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'someone-else', status: 'Running', peerAddress: '10.8.0.2' }),
+    });
+
+    const response = await handler(makeRequest('foreign-session'), context);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('returns the authentication failure response untouched', async () => {
+    authenticate.mockResolvedValueOnce({ response: { status: 401, body: '{"error":"Bearer token required"}' } });
+
+    const response = await handler(makeRequest('any-session'), context);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('marks the session Failed with the image pull error and reports it', async () => {
+    const failedGroup = {
+      properties: {
+        provisioningState: 'Creating',
+        containers: [{
+          properties: {
+            instanceView: {
+              currentState: { state: 'Waiting', detailStatus: 'ErrImagePull' },
+              events: [
+                { type: 'Normal', name: 'Pulling', message: 'pulling image', lastTimestamp: '2026-01-01T00:00:00Z' },
+                { type: 'Warning', name: 'Failed', message: 'Failed to pull image "bad:tag"', lastTimestamp: '2026-01-01T00:00:05Z' },
+              ],
+            },
+          },
+        }],
+      },
+    };
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(failedGroup) } });
+    const updateEntity = jest.fn().mockResolvedValue({});
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'broken-session', callerId: 'owner-1', status: 'Provisioning', etag: 'e1', createdAt: new Date().toISOString(),
+      }),
+      updateEntity,
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('broken-session'), context);
+
+    expect(response.jsonBody).toMatchObject({
+      status: 'Failed', failureReason: 'image_pull_failed', failureMessage: 'Failed to pull image "bad:tag"',
+    });
+    expect(updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'Failed', failureReason: 'image_pull_failed', failedAt: expect.any(String) }),
+      'Merge',
+      { etag: 'e1' }
+    );
+    expect(emitEvent).toHaveBeenCalledWith(getTableClient(), getSecretClient(), expect.objectContaining({
+      type: 'session.failed',
+      sessionId: 'broken-session',
+      data: { reason: 'image_pull_failed', message: 'Failed to pull image "bad:tag"' },
+    }), context.warn);
+  });
+
+  it('fails a session still provisioning after the provisioning timeout', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(provisioningGroup) } });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Provisioning', createdAt: new Date(Date.now() - 20 * 60 * 1000).toISOString(),
+      }),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('stuck-session'), context);
+
+    expect(response.jsonBody.status).toBe('Failed');
+    expect(response.jsonBody.failureReason).toBe('provisioning_timeout');
+  });
+
+  it('reports the persisted reason for a session already marked Failed', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) } });
+    const updateEntity = jest.fn();
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({
+        callerId: 'owner-1', status: 'Failed', failureReason: 'container_terminated', failureMessage: 'exit 1',
+      }),
+      updateEntity,
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('dead-session'), context);
+
+    expect(response.jsonBody).toMatchObject({ status: 'Failed', failureReason: 'container_terminated', failureMessage: 'exit 1' });
+    expect(updateEntity).not.toHaveBeenCalled();
+  });
+
+  it('reports Stopping while StopVPN tears the session down', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) } });
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Stopping' }) });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('leaving-session'), context);
+
+    expect(response.jsonBody.status).toBe('Stopping');
+  });
+
   it('returns 404 when no container group exists', async () => {
     getContainerClient.mockReturnValue({
       containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }) },
     });
-    getTableClient.mockReturnValue({});
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }) });
     getSecretClient.mockReturnValue({});
 
     const response = await handler(makeRequest('missing-session'), context);
@@ -145,3 +609,205 @@ describe('CheckVPNStatus', () => {
     expect(response.jsonBody.status).toBe('NotFound');
   });
 });
+
+describe('CheckVPNStatus rotation', () => {
+  const { generateKeyPairSync } = require('crypto');
+  const serverPrivateKey = generateKeyPairSync('x25519').privateKey
+    .export({ type: 'pkcs8', format: 'der' }).slice(-32).toString('base64');
+  const keysRotatedAt = new Date(Date.now() - 60 * 1000).toISOString();
+  const rotatingRow = () => ({
+    rowKey: 'rotating-session', callerId: 'owner-1', status: 'Rotating', peerAddress: '10.8.0.2', etag: 'r1',
+    keyVersion: 2, keysRotatedAt, createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+  });
+  const groupWith = (currentState, provisioningState = 'Succeeded') => ({
+    properties: {
+      provisioningState,
+      ipAddress: { ip: '5.6.7.8' },
+      containers: [{ properties: { instanceView: { currentState } } }],
+    },
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('reports Rotating while the replaced container is still the one running', async () => {
+    const oldStart = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue(groupWith({ state: 'Running', startTime: oldStart })) },
+    });
+    const updateEntity = jest.fn();
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue(rotatingRow()), updateEntity });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('rotating-session'), context);
+
+    expect(response.jsonBody).toEqual({
+      status: 'Rotating', ip: null, port: null, sessionId: 'rotating-session', keyVersion: 2,
+    });
+    expect(updateEntity).not.toHaveBeenCalled();
+  });
+
+  it('does not fail the session over the container being replaced', async () => {
+    const oldStart = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockResolvedValue(groupWith({ state: 'Terminated', startTime: oldStart, exitCode: 0 }, 'Updating')),
+      },
+    });
+    const updateEntity = jest.fn();
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue(rotatingRow()), updateEntity });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('rotating-session'), context);
+
+    expect(response.jsonBody.status).toBe('Rotating');
+    expect(updateEntity).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds the configs and returns to Running once the new container is up', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockResolvedValue(groupWith({ state: 'Running', startTime: new Date().toISOString() })),
+      },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }), setSecret });
+    const updateEntity = jest.fn().mockResolvedValue({});
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue(rotatingRow()),
+      updateEntity,
+      listEntities: jest.fn(async function* () {
+        yield { sessionId: 'rotating-session', peerId: 'ab12cd34', peerAddress: '10.8.0.3', keySource: 'provided' };
+      }),
+    });
+
+    const response = await handler(makeRequest('rotating-session'), context);
+
+    expect(response.jsonBody).toMatchObject({ status: 'Running', keyVersion: 2, keysRotatedAt });
+    expect(response.jsonBody.clientConfig).toContain('Endpoint = 5.6.7.8:51820');
+    expect(updateEntity).toHaveBeenCalledWith(expect.objectContaining({ status: 'Running' }), 'Merge', { etag: 'r1' });
+    expect(setSecret).toHaveBeenCalledWith('wg-peer-config-rotating-session', expect.any(String), expect.any(Object));
+    expect(setSecret).toHaveBeenCalledWith(
+      'wg-device-config-rotating-session-ab12cd34', expect.stringContaining('Endpoint = 5.6.7.8:51820'), expect.any(Object)
+    );
+    // A rotation is not a new session coming up
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('leaves the device configs to the poller that finished the rotation', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockResolvedValue(groupWith({ state: 'Running', startTime: new Date().toISOString() })),
+      },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: serverPrivateKey }), setSecret });
+    const listEntities = jest.fn();
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue(rotatingRow()),
+      updateEntity: jest.fn().mockRejectedValue({ statusCode: 412 }),
+      listEntities,
+    });
+
+    const response = await handler(makeRequest('rotating-session'), context);
+
+    expect(response.jsonBody.status).toBe('Running');
+    expect(listEntities).not.toHaveBeenCalled();
+  });
+
+  it('reports the key generation of a running session', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(succeededGroup) } });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', status: 'Running', peerAddress: '10.8.0.2' }),
+    });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: '[Interface]\n' }) });
+
+    const response = await handler(makeRequest('steady-session'), context);
+
+    expect(response.jsonBody).toMatchObject({ keyVersion: 1, keysRotatedAt: null });
+  });
+});
+
+describe('CheckVPNStatus wait', () => {
+  const provisioningRow = { callerId: 'owner-1', status: 'Provisioning', peerAddress: '10.8.0.2', etag: 'abc' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('re-checks with backoff and returns as soon as the session is Running', async () => {
+    const get = jest.fn()
+      .mockResolvedValueOnce(provisioningGroup)
+      .mockResolvedValueOnce(provisioningGroup)
+      .mockResolvedValue(succeededGroup);
+    getContainerClient.mockReturnValue({ containerGroups: { get } });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn()
+        .mockResolvedValueOnce(provisioningRow)
+        .mockResolvedValueOnce(provisioningRow)
+        .mockResolvedValue({ ...provisioningRow, status: 'Running' }),
+    });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: '[Interface]' }) });
+    const startedAt = Date.now();
+
+    const pending = handler(makeRequest('waiting-session', { wait: '30' }), context);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(get).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(2000);
+    const response = await pending;
+
+    expect(response.jsonBody).toMatchObject({ status: 'Running', clientConfig: '[Interface]' });
+    expect(get).toHaveBeenCalledTimes(3);
+    expect(Date.now() - startedAt).toBe(3000);
+  });
+
+  it('returns Provisioning once the wait runs out', async () => {
+    const get = jest.fn().mockResolvedValue(provisioningGroup);
+    getContainerClient.mockReturnValue({ containerGroups: { get } });
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue(provisioningRow) });
+    getSecretClient.mockReturnValue({});
+    const startedAt = Date.now();
+
+    const pending = handler(makeRequest('slow-session', { wait: '10' }), context);
+    await jest.runAllTimersAsync();
+    const response = await pending;
+
+    expect(response.jsonBody.status).toBe('Provisioning');
+    expect(Date.now() - startedAt).toBe(10000);
+    // Checks at 0, 1, 3 and 7 seconds, then a last one when the wait ends
+    expect(get).toHaveBeenCalledTimes(5);
+  });
+
+  it('caps the wait at the configured maximum', async () => {
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue(provisioningGroup) } });
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue(provisioningRow) });
+    getSecretClient.mockReturnValue({});
+    const startedAt = Date.now();
+
+    const pending = handler(makeRequest('slow-session', { wait: '3600' }), context);
+    await jest.runAllTimersAsync();
+    await pending;
+
+    expect(Date.now() - startedAt).toBe(60000);
+  });
+
+  it('returns a settled state without waiting', async () => {
+    const get = jest.fn().mockResolvedValue(provisioningGroup);
+    getContainerClient.mockReturnValue({ containerGroups: { get } });
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue({ ...provisioningRow, status: 'Stopping' }) });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest('leaving-session', { wait: '30' }), context);
+
+    expect(response.jsonBody.status).toBe('Stopping');
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([['-1'], ['1.5'], ['soon']])('returns 400 for wait=%s', async (wait) => {
+    const response = await handler(makeRequest('any-session', { wait }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('wait must be a whole number of seconds');
+  });
+});
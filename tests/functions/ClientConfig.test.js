@@ -0,0 +1,219 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { sealToRecipient } = require('../../src/functions/shared/sealedBox');
+const { generateWireGuardKeyPair } = require('../../src/functions/shared/wireguard');
+require('../../src/functions/ClientConfig/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (params) => ({
+  query: { get: (key) => params[key] ?? null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const clientConfig = [
+  '[Interface]',
+  'PrivateKey = client-private',
+  'Address = 10.8.0.2/32',
+  'DNS = 1.1.1.1',
+  '',
+  '[Peer]',
+  'PublicKey = server-public',
+  'Endpoint = 20.0.0.1:51820',
+  'AllowedIPs = 0.0.0.0/0',
+  'PersistentKeepalive = 25',
+].join('\n');
+
+const mockSession = (row = { callerId: 'owner-1', status: 'Running' }, getSecret) => {
+  const secretClient = { getSecret: getSecret || jest.fn().mockResolvedValue({ value: clientConfig }) };
+  getSecretClient.mockReturnValue(secretClient);
+  getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue(row) });
+  return secretClient;
+};
+
+describe('ClientConfig', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('downloads the primary config as a .conf attachment that must not be cached', async () => {
+    const secretClient = mockSession();
+
+    const response = await handler(makeRequest({ sessionId: 'vpn-1718900000000-x1y2z3' }), context);
+
+    expect(response.status).toBe(200);
+    expect(secretClient.getSecret).toHaveBeenCalledWith('wg-peer-config-vpn-1718900000000-x1y2z3');
+    expect(response.headers).toEqual({
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      Pragma: 'no-cache',
+      Expires: '0',
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="vpn-17189000000.conf"',
+    });
+    expect(response.body).toBe(`${clientConfig}\n`);
+  });
+
+  it('returns the parsed fields as JSON', async () => {
+    mockSession();
+
+    const response = await handler(makeRequest({ sessionId: 'json-session', format: 'json' }), context);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['Cache-Control']).toContain('no-store');
+    expect(response.jsonBody.interface).toEqual({ privateKey: 'client-private', addresses: ['10.8.0.2/32'], dns: ['1.1.1.1'] });
+    expect(response.jsonBody.peers[0]).toEqual(expect.objectContaining({ publicKey: 'server-public', persistentKeepalive: 25 }));
+  });
+
+  it('renders a NetworkManager keyfile for an additional device', async () => {
+    const secretClient = mockSession();
+
+    const response = await handler(
+      makeRequest({ sessionId: 'multi-session', peerId: 'ab12cd34', format: 'nmconnection' }),
+      context
+    );
+
+    expect(response.status).toBe(200);
+    expect(secretClient.getSecret).toHaveBeenCalledWith('wg-device-config-multi-session-ab12cd34');
+    expect(response.headers['Content-Disposition']).toBe('attachment; filename="multi-ab12cd34.nmconnection"');
+    expect(response.body).toContain('[wireguard-peer.server-public]\nendpoint=20.0.0.1:51820\nallowed-ips=0.0.0.0/0;\n');
+  });
+
+  it('renders QR images', async () => {
+    mockSession();
+
+    const response = await handler(makeRequest({ sessionId: 'qr-session', format: 'qr-svg' }), context);
+
+    expect(response.headers['Content-Type']).toBe('image/svg+xml');
+    expect(response.body).toContain('<svg ');
+  });
+
+  it('downloads the profile of an OpenVPN session as a .ovpn attachment', async () => {
+    const getSecret = jest.fn().mockResolvedValue({ value: 'client' });
+    mockSession({ callerId: 'owner-1', status: 'Running', protocol: 'openvpn' }, getSecret);
+
+    const response = await handler(makeRequest({ sessionId: 'ovpn-session' }), context);
+
+    expect(response.headers['Content-Type']).toBe('application/x-openvpn-profile');
+    expect(response.headers['Content-Disposition']).toBe('attachment; filename="ovpn-session.ovpn"');
+    expect(response.body).toBe('client\n');
+  });
+
+  it('returns 400 for the wg-quick formats of an OpenVPN session', async () => {
+    const secretClient = mockSession({ callerId: 'owner-1', status: 'Running', protocol: 'openvpn' });
+
+    const response = await handler(makeRequest({ sessionId: 'ovpn-session', format: 'nmconnection' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('format nmconnection is not available for openvpn sessions');
+    expect(secretClient.getSecret).not.toHaveBeenCalled();
+  });
+
+  describe('for a sealed session', () => {
+    const recipient = generateWireGuardKeyPair();
+    const sealed = sealToRecipient(recipient.publicKey, clientConfig);
+    const sealedRow = { callerId: 'owner-1', status: 'Running', configRecipientKey: recipient.publicKey };
+
+    it('downloads the sealed box as a binary attachment', async () => {
+      mockSession(sealedRow, jest.fn().mockResolvedValue({ value: sealed }));
+
+      const response = await handler(makeRequest({ sessionId: 'sealed-session' }), context);
+
+      expect(response.headers['Content-Type']).toBe('application/octet-stream');
+      expect(response.headers['Content-Disposition']).toBe('attachment; filename="sealed-session.conf.sealed"');
+      expect(response.headers['Cache-Control']).toBe('no-store, no-cache, must-revalidate, private');
+      expect(response.body.equals(Buffer.from(sealed, 'base64'))).toBe(true);
+    });
+
+    it('returns it base64-encoded as JSON', async () => {
+      mockSession(sealedRow, jest.fn().mockResolvedValue({ value: sealed }));
+
+      const response = await handler(makeRequest({ sessionId: 'sealed-session', format: 'json' }), context);
+
+      expect(response.jsonBody).toEqual({
+        clientConfig: null, encryptedClientConfig: sealed, configEncryption: 'x25519-hkdf-sha256-chacha20poly1305',
+      });
+    });
+
+    it('returns 400 for formats that need the plaintext', async () => {
+      mockSession(sealedRow, jest.fn().mockResolvedValue({ value: sealed }));
+
+      const response = await handler(makeRequest({ sessionId: 'sealed-session', format: 'qr-svg' }), context);
+
+      expect(response.status).toBe(400);
+      expect(JSON.parse(response.body).error)
+        .toBe('format qr-svg is not available for sessions with an encrypted client config');
+    });
+  });
+
+  it("answers another caller's session as not found", async () => {
+    const secretClient = mockSession({ callerId: 'someone-else' });
+
+    const response = await handler(makeRequest({ sessionId: 'foreign-session' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('VPN session not found');
+    expect(secretClient.getSecret).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown session', async () => {
+    getSecretClient.mockReturnValue({ getSecret: jest.fn() });
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockRejectedValue(Object.assign(new Error('nf'), { statusCode: 404 })) });
+
+    const response = await handler(makeRequest({ sessionId: 'missing-session' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('VPN session not found');
+  });
+
+  it('returns 404 while the config has not been finalized', async () => {
+    mockSession({ callerId: 'owner-1', status: 'Provisioning' },
+      jest.fn().mockRejectedValue(Object.assign(new Error('nf'), { statusCode: 404 })));
+
+    const response = await handler(makeRequest({ sessionId: 'new-session' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).details).toMatch(/CheckVPNStatus/);
+  });
+
+  it('returns 503 when Key Vault fails', async () => {
+    mockSession(undefined, jest.fn().mockRejectedValue(new Error('vault down')));
+
+    const response = await handler(makeRequest({ sessionId: 'any-session' }), context);
+
+    expect(response.status).toBe(503);
+  });
+
+  it.each([
+    [{}, /sessionId query parameter is required/],
+    [{ sessionId: 's', format: 'yaml' }, /format must be one of: conf, json, nmconnection, qr-svg, qr-png/],
+    [{ sessionId: 's', peerId: '../x' }, /peerId must be 'primary'/],
+  ])('rejects %j with 400', async (params, error) => {
+    const response = await handler(makeRequest(params), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(error);
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/ExtendSession/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (body) => ({
+  json: () => Promise.resolve(body),
+  query: { get: () => null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const MINUTE = 60 * 1000;
+const minutesAgo = (m) => new Date(Date.now() - m * MINUTE).toISOString();
+
+// Idle deadline is 5 minutes out — inside the default 10-minute warning window
+const expiringRow = () => ({
+  rowKey: 'sess', callerId: 'owner-1', status: 'ExpiringSoon', etag: 'e1',
+  createdAt: minutesAgo(60), lastHandshakeAt: minutesAgo(25),
+});
+
+describe('ExtendSession', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('pushes the deadline out from the current one and clears ExpiringSoon', async () => {
+    const row = expiringRow();
+    const tableClient = {
+      getEntity: jest.fn().mockResolvedValue(row),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'sess', minutes: 60 }), context);
+
+    expect(response.status).toBe(200);
+    const expected = new Date(row.lastHandshakeAt).getTime() + 30 * MINUTE + 60 * MINUTE;
+    expect(response.jsonBody).toEqual({
+      sessionId: 'sess', status: 'Running', expiresAt: new Date(expected).toISOString(), capped: false,
+    });
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(
+      { partitionKey: 'sessions', rowKey: 'sess', extendedUntil: new Date(expected).toISOString(), status: 'Running' },
+      'Merge',
+      { etag: 'e1' }
+    );
+  });
+
+  it('grants no more than the lifetime plus the extension cap', async () => {
+    // Default 480-minute lifetime + 240-minute cap = 720 minutes after creation
+    const row = { ...expiringRow(), createdAt: minutesAgo(715), extendedUntil: new Date(Date.now() + 2 * MINUTE).toISOString() };
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue(row),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'sess', minutes: 120 }), context);
+
+    expect(response.status).toBe(200);
+    expect(response.jsonBody.capped).toBe(true);
+    expect(response.jsonBody.expiresAt).toBe(new Date(new Date(row.createdAt).getTime() + 720 * MINUTE).toISOString());
+    // The capped deadline is 5 minutes out, so the warning stays up
+    expect(response.jsonBody.status).toBe('ExpiringSoon');
+  });
+
+  it('returns 409 once the cap has been reached', async () => {
+    const createdAt = minutesAgo(715);
+    const row = {
+      ...expiringRow(), createdAt, extendedUntil: new Date(new Date(createdAt).getTime() + 720 * MINUTE).toISOString(),
+    };
+    const tableClient = { getEntity: jest.fn().mockResolvedValue(row), updateEntity: jest.fn() };
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(409);
+    expect(JSON.parse(response.body).error).toMatch(/maximum extension/);
+    expect(tableClient.updateEntity).not.toHaveBeenCalled();
+  });
+
+  it('re-reads and retries when a heartbeat wins the ETag race', async () => {
+    const tableClient = {
+      getEntity: jest.fn()
+        .mockResolvedValueOnce(expiringRow())
+        .mockResolvedValueOnce({ ...expiringRow(), etag: 'e2', lastHandshakeAt: minutesAgo(0) }),
+      updateEntity: jest.fn().mockRejectedValueOnce({ statusCode: 412 }).mockResolvedValueOnce({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(200);
+    expect(tableClient.updateEntity).toHaveBeenCalledTimes(2);
+    expect(tableClient.updateEntity.mock.calls[1][2]).toEqual({ etag: 'e2' });
+  });
+
+  it('returns 409 for a session that is not running yet', async () => {
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ ...expiringRow(), status: 'Provisioning' }),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(409);
+  });
+
+  it('answers a session the caller does not own as not found', async () => {
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'intruder', isAdmin: false } });
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue(expiringRow()) });
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('VPN session not found');
+  });
+
+  it('returns 404 for an unknown session', async () => {
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }) });
+
+    const response = await handler(makeRequest({ sessionId: 'ghost' }), context);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('returns 400 for a non-positive minutes value', async () => {
+    const response = await handler(makeRequest({ sessionId: 'sess', minutes: 0 }), context);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { timer: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/keyRotation', () => ({
+  ...jest.requireActual('../../src/functions/shared/keyRotation'),
+  rotateSessionKeys: jest.fn(),
+  retirePreviousVersions: jest.fn(),
+  rotationDue: jest.fn(),
+}));
+
+const { app } = require('@azure/functions');
+const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { rotateSessionKeys, retirePreviousVersions, rotationDue } = require('../../src/functions/shared/keyRotation');
+require('../../src/functions/KeyRotation/index');
+
+const handler = app.timer.mock.calls[0][1].handler;
+
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const hoursAgo = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+
+describe('KeyRotation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getContainerClient.mockReturnValue({});
+    getSecretClient.mockReturnValue({});
+    rotationDue.mockReturnValue(false);
+    retirePreviousVersions.mockResolvedValue(3);
+    rotateSessionKeys.mockResolvedValue({ keyVersion: 2 });
+  });
+
+  it('retires superseded versions once the grace period has passed', async () => {
+    const rotated = {
+      rowKey: 'old', status: 'Running', keysRotatedAt: hoursAgo(2), previousSecretVersions: '[{"name":"a","version":"1"}]',
+    };
+    const recent = { ...rotated, rowKey: 'recent', keysRotatedAt: new Date().toISOString() };
+    getTableClient.mockReturnValue({ listEntities: jest.fn(() => rows([rotated, recent])) });
+
+    await handler({}, context);
+
+    expect(retirePreviousVersions).toHaveBeenCalledTimes(1);
+    expect(retirePreviousVersions).toHaveBeenCalledWith(expect.any(Object), rotated);
+    expect(context.log).toHaveBeenLastCalledWith('KeyRotation complete. Rotated: 0, Versions retired: 3, Errors: 0.');
+  });
+
+  it('rotates live sessions the schedule says are due', async () => {
+    const due = { rowKey: 'due', status: 'ExpiringSoon' };
+    const provisioning = { rowKey: 'new', status: 'Provisioning' };
+    rotationDue.mockReturnValue(true);
+    getTableClient.mockReturnValue({ listEntities: jest.fn(() => rows([due, provisioning])) });
+
+    await handler({}, context);
+
+    expect(rotateSessionKeys).toHaveBeenCalledTimes(1);
+    expect(rotateSessionKeys).toHaveBeenCalledWith(expect.any(Object), due, {}, context.warn);
+    expect(context.log).toHaveBeenLastCalledWith('KeyRotation complete. Rotated: 1, Versions retired: 0, Errors: 0.');
+  });
+
+  it('leaves a conflicted session for the next run', async () => {
+    rotationDue.mockReturnValue(true);
+    rotateSessionKeys.mockResolvedValue({ conflict: true });
+    getTableClient.mockReturnValue({ listEntities: jest.fn(() => rows([{ rowKey: 'busy', status: 'Running' }])) });
+
+    await handler({}, context);
+
+    expect(context.log).toHaveBeenLastCalledWith('KeyRotation complete. Rotated: 0, Versions retired: 0, Errors: 0.');
+  });
+
+  it('carries on past a session that fails', async () => {
+    rotationDue.mockReturnValue(true);
+    rotateSessionKeys.mockRejectedValueOnce(new Error('quota exceeded'));
+    getTableClient.mockReturnValue({
+      listEntities: jest.fn(() => rows([{ rowKey: 'a', status: 'Running' }, { rowKey: 'b', status: 'Running' }])),
+    });
+
+    await handler({}, context);
+
+    expect(context.error).toHaveBeenCalledWith('KeyRotation failed for a:', 'quota exceeded');
+    expect(context.log).toHaveBeenLastCalledWith('KeyRotation complete. Rotated: 1, Versions retired: 0, Errors: 1.');
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/ListPeers/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (sessionId) => ({
+  json: () => Promise.resolve({}),
+  query: { get: (key) => (key === 'sessionId' ? sessionId : null) },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+describe('ListPeers', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('lists the primary peer followed by added peers, without key material', async () => {
+    const listEntities = jest.fn().mockReturnValue(rows([
+      { sessionId: 'multi-session', peerId: 'ab12cd34', name: 'phone', peerAddress: '10.8.0.5', publicKey: 'pk2' },
+    ]));
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', peerAddress: '10.8.0.2', clientPublicKey: 'pk1' }),
+      listEntities,
+    });
+
+    const response = await handler(makeRequest('multi-session'), context);
+
+    expect(response.status).toBe(200);
+    expect(listEntities).toHaveBeenCalledWith({
+      queryOptions: { filter: "PartitionKey eq 'peers' and sessionId eq 'multi-session'" },
+    });
+    expect(response.jsonBody.peers).toEqual([
+      expect.objectContaining({ peerId: 'primary', peerAddress: '10.8.0.2', publicKey: 'pk1' }),
+      expect.objectContaining({ peerId: 'ab12cd34', name: 'phone', peerAddress: '10.8.0.5', publicKey: 'pk2' }),
+    ]);
+    expect(JSON.stringify(response.jsonBody)).not.toMatch(/clientConfig|PrivateKey/);
+  });
+
+  it('returns 404 when the session does not exist', async () => {
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }) });
+
+    const response = await handler(makeRequest('ghost-session'), context);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('answers a session the caller does not own exactly as a missing one', async () => {
+    const listEntities = jest.fn();
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }) });
+    const missing = await handler(makeRequest('ghost-session'), context);
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockResolvedValue({ callerId: 'someone-else' }), listEntities });
+
+    const foreign = await handler(makeRequest('foreign-session'), context);
+
+    expect(foreign).toEqual(missing);
+    expect(listEntities).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 without a sessionId', async () => {
+    const response = await handler(makeRequest(null), context);
+
+    expect(response.status).toBe(400);
+  });
+});
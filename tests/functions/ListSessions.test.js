@@ -0,0 +1,129 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getContainerClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/ListSessions/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'admin-1', isAdmin: true } });
+
+const makeRequest = (params = {}) => ({
+  json: () => Promise.resolve({}),
+  query: new URLSearchParams(params),
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+// listEntities(...).byPage(...) mock returning a single page with an optional continuation token
+const makeTableClient = (rows, continuationToken) => {
+  const page = Object.assign([...rows], { continuationToken });
+  const byPage = jest.fn().mockReturnValue({ next: () => Promise.resolve({ value: page, done: false }) });
+  return { listEntities: jest.fn().mockReturnValue({ byPage }), byPage };
+};
+
+async function* mockGroupList(groups) {
+  for (const g of groups) yield g;
+}
+
+describe('ListSessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        listByResourceGroup: jest.fn().mockReturnValue(mockGroupList([
+          { name: 'vpn-alpha', location: 'eastus2', properties: { provisioningState: 'Succeeded', ipAddress: { ip: '1.2.3.4' } } },
+          { name: 'unrelated-group', properties: {} },
+        ])),
+      },
+    });
+  });
+
+  it('joins sessions rows with ACI groups and reports idle minutes', async () => {
+    getTableClient.mockReturnValue(makeTableClient([
+      {
+        rowKey: 'alpha', status: 'Running', peerAddress: '10.8.0.2', location: 'eastus2', callerId: 'user-a',
+        sizeProfile: 'small', createdAt: tenMinutesAgo, lastHandshakeAt: tenMinutesAgo,
+      },
+      { rowKey: 'orphan', status: 'Provisioning', peerAddress: '10.8.0.3', createdAt: tenMinutesAgo },
+    ]));
+
+    const response = await handler(makeRequest(), context);
+
+    expect(response.status).toBe(200);
+    expect(response.jsonBody.sessions).toEqual([
+      {
+        sessionId: 'alpha',
+        status: 'Running',
+        containerState: 'Succeeded',
+        ip: '1.2.3.4',
+        peerAddress: '10.8.0.2',
+        peerAddressV6: null,
+        location: 'eastus2',
+        sizeProfile: 'small',
+        owner: 'user-a',
+        createdAt: tenMinutesAgo,
+        lastHandshakeAt: tenMinutesAgo,
+        idleMinutes: 10,
+        // Default 30-minute idle timeout from the last handshake
+        expiresAt: new Date(new Date(tenMinutesAgo).getTime() + 30 * 60 * 1000).toISOString(),
+        estimatedCost: { amount: expect.any(Number), currency: 'USD' },
+      },
+      expect.objectContaining({ sessionId: 'orphan', containerState: 'Missing', ip: null, owner: null }),
+    ]);
+    expect(response.jsonBody.continuationToken).toBeNull();
+  });
+
+  it('translates filters to OData and passes paging through', async () => {
+    const tableClient = makeTableClient([], 'next-page-token');
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({
+      status: 'Running', owner: "o'brien", location: 'westeurope', pageSize: '10', continuationToken: 'this-page',
+    }), context);
+
+    expect(tableClient.listEntities).toHaveBeenCalledWith({
+      queryOptions: {
+        filter: "PartitionKey eq 'sessions' and status eq 'Running' and callerId eq 'o''brien' and location eq 'westeurope'",
+      },
+    });
+    expect(tableClient.byPage).toHaveBeenCalledWith({ maxPageSize: 10, continuationToken: 'this-page' });
+    expect(response.jsonBody.continuationToken).toBe('next-page-token');
+  });
+
+  it('returns 400 for an out-of-range pageSize', async () => {
+    const response = await handler(makeRequest({ pageSize: '1000' }), context);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('returns 403 for callers without the admin role', async () => {
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'user-a', isAdmin: false } });
+
+    const response = await handler(makeRequest(), context);
+
+    expect(response.status).toBe(403);
+  });
+});
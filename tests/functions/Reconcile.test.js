@@ -0,0 +1,190 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { timer: jest.fn() },
+}));
+
+const { app } = require('@azure/functions');
+const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { bitmapAddresses } = require('../../src/functions/shared/addressPool');
+
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const oldTime = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(); // 2 h ago
+const recentTime = new Date(Date.now() - 5 * 60 * 1000).toISOString(); // 5 min ago
+
+// Pool bitmap marking 10.8.0.3-10.8.0.6 (bits 3-6 of the first byte) but not live's 10.8.0.2
+const poolBitmap = () => {
+  const bits = Buffer.alloc(32);
+  bits[0] = 0x78;
+  return bits.toString('base64');
+};
+
+async function* iterate(items) {
+  for (const item of items) yield item;
+}
+
+/**
+ * Wires the mocked clients to one inventory: 'live' has a container and all its state,
+ * 'gone' lost its container long ago, 'fresh' is a StartVPN still in flight.
+ */
+const setup = () => {
+  const partitions = {
+    sessions: [
+      { rowKey: 'live', status: 'Running', createdAt: oldTime, peerAddress: '10.8.0.2' },
+      { rowKey: 'gone', status: 'Running', createdAt: oldTime, peerAddress: '10.8.0.3' },
+      { rowKey: 'fresh', status: 'Provisioning', createdAt: recentTime, peerAddress: '10.8.0.4' },
+      { rowKey: 'stuck', status: 'Stopping', createdAt: oldTime, timestamp: oldTime, peerAddress: '10.8.0.6' },
+    ],
+    addresses: [
+      // live's primary reservation is missing — should be restored
+      { rowKey: '10.8.0.3', sessionId: 'gone', timestamp: oldTime },
+      { rowKey: '10.8.0.4', sessionId: 'fresh', timestamp: recentTime },
+      { rowKey: '10.8.0.5', sessionId: 'live', peerId: 'deadbeef', timestamp: oldTime },
+      { rowKey: '10.8.0.6', sessionId: 'stuck', timestamp: oldTime },
+    ],
+    peers: [
+      { rowKey: 'gone_ab12cd34', sessionId: 'gone', peerId: 'ab12cd34', timestamp: oldTime },
+      { rowKey: 'live_11223344', sessionId: 'live', peerId: '11223344', timestamp: oldTime },
+    ],
+    starts: [
+      { rowKey: 'live-1', startedAt: oldTime },
+      { rowKey: 'fresh-1', startedAt: recentTime },
+    ],
+  };
+  const tableClient = {
+    listEntities: jest.fn(({ queryOptions }) => {
+      const [, partition] = /PartitionKey eq '(\w+)'/.exec(queryOptions.filter);
+      return iterate(partitions[partition] || []);
+    }),
+    getEntity: jest.fn().mockResolvedValue({
+      partitionKey: 'pool', rowKey: 'ipv4', subnet: '10.8.0.0/24', bitmap: poolBitmap(), etag: 'p1',
+    }),
+    createEntity: jest.fn().mockResolvedValue({}),
+    updateEntity: jest.fn().mockResolvedValue({}),
+    deleteEntity: jest.fn().mockResolvedValue({}),
+  };
+  const secretClient = {
+    listPropertiesOfSecrets: jest.fn(() => iterate([
+      { name: 'wg-server-key-live', createdOn: new Date(oldTime) },
+      { name: 'wg-server-key-gone', createdOn: new Date(oldTime) },
+      { name: 'wg-client-key-gone', createdOn: new Date(oldTime) },
+      { name: 'wg-psk-gone', createdOn: new Date(oldTime) },
+      { name: 'wg-server-key-orphan-no-row', createdOn: new Date(recentTime) },
+      { name: 'wg-device-config-live-11223344', createdOn: new Date(oldTime) },
+      { name: 'wg-device-config-live-deadbeef', createdOn: new Date(oldTime) },
+      { name: 'wg-device-psk-live-11223344', createdOn: new Date(oldTime) },
+      { name: 'wg-device-psk-live-deadbeef', createdOn: new Date(oldTime) },
+      { name: 'unrelated-secret', createdOn: new Date(oldTime) },
+    ])),
+    beginDeleteSecret: jest.fn().mockResolvedValue({}),
+  };
+  const containerGroups = {
+    listByResourceGroup: jest.fn(() => iterate([{ name: 'vpn-live' }, { name: 'vpn-stuck' }, { name: 'other-group' }])),
+    beginDelete: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn().mockResolvedValue({}) }),
+  };
+  getTableClient.mockReturnValue(tableClient);
+  getSecretClient.mockReturnValue(secretClient);
+  getContainerClient.mockReturnValue({ containerGroups });
+  return { tableClient, secretClient, containerGroups };
+};
+
+const loadHandler = (env = {}) => {
+  let handler;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    app.timer.mockClear();
+    require('../../src/functions/Reconcile/index');
+    handler = app.timer.mock.calls[0][1].handler;
+  });
+  return handler;
+};
+
+describe('Reconcile', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.VPN_RECONCILE_DRY_RUN;
+  });
+
+  it('deletes orphaned rows and secrets, restores missing reservations and finishes stuck teardowns', async () => {
+    const { tableClient, secretClient, containerGroups } = setup();
+
+    await loadHandler()({}, context);
+
+    expect(tableClient.deleteEntity.mock.calls.sort()).toEqual([
+      ['addresses', '10.8.0.3'],
+      ['addresses', '10.8.0.5'],
+      ['addresses', '10.8.0.6'],
+      ['peers', 'gone_ab12cd34'],
+      ['sessions', 'gone'],
+      ['sessions', 'stuck'],
+      ['starts', 'live-1'],
+    ]);
+    expect(tableClient.createEntity).toHaveBeenCalledWith({ partitionKey: 'addresses', rowKey: '10.8.0.2', sessionId: 'live' });
+    expect(secretClient.beginDeleteSecret.mock.calls.map(([name]) => name).sort()).toEqual([
+      'wg-client-key-gone',
+      'wg-device-config-live-deadbeef',
+      'wg-device-psk-live-deadbeef',
+      'wg-psk-gone',
+      'wg-server-key-gone',
+    ]);
+    expect(containerGroups.beginDelete).toHaveBeenCalledWith('test-rg', 'vpn-stuck');
+    expect(context.log).toHaveBeenCalledWith(expect.stringMatching(/Reconcile complete\. Actions: .*delete_secret=5.*Errors: 0/));
+  });
+
+  it('re-syncs the pool bitmap to the addresses that survive the repairs', async () => {
+    const { tableClient } = setup();
+
+    await loadHandler()({}, context);
+
+    expect(tableClient.updateEntity).toHaveBeenCalledTimes(1);
+    const [entity, mode, options] = tableClient.updateEntity.mock.calls[0];
+    expect(mode).toBe('Replace');
+    expect(options).toEqual({ etag: 'p1' });
+    // fresh's in-flight .4 and live's restored .2 stay; the orphaned .3, .5 and .6 are freed
+    expect(bitmapAddresses(entity)).toEqual(['10.8.0.2', '10.8.0.4']);
+    expect(context.log).toHaveBeenCalledWith('sync_address_bitmap 10.8.0.0/24: 3 stale, 1 unmarked');
+  });
+
+  it('only logs the plan in dry-run mode', async () => {
+    const { tableClient, secretClient, containerGroups } = setup();
+
+    await loadHandler({ VPN_RECONCILE_DRY_RUN: 'true' })({}, context);
+
+    expect(tableClient.deleteEntity).not.toHaveBeenCalled();
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+    expect(tableClient.updateEntity).not.toHaveBeenCalled();
+    expect(secretClient.beginDeleteSecret).not.toHaveBeenCalled();
+    expect(containerGroups.beginDelete).not.toHaveBeenCalled();
+    expect(context.log).toHaveBeenCalledWith('[dry run] Would delete_session_row gone: no container group (status Running)');
+  });
+
+  it('keeps going and counts errors when a repair fails', async () => {
+    const { tableClient } = setup();
+    tableClient.deleteEntity.mockRejectedValueOnce(new Error('throttled'));
+
+    await loadHandler()({}, context);
+
+    expect(context.error).toHaveBeenCalledWith(expect.stringMatching(/^Failed to delete_/), 'throttled');
+    expect(context.log).toHaveBeenCalledWith(expect.stringContaining('Errors: 1.'));
+  });
+
+  it('changes nothing when the inventory cannot be read', async () => {
+    const { tableClient, secretClient } = setup();
+    secretClient.listPropertiesOfSecrets.mockImplementation(() => {
+      throw new Error('Forbidden');
+    });
+
+    await loadHandler()({}, context);
+
+    expect(tableClient.deleteEntity).not.toHaveBeenCalled();
+    expect(context.error).toHaveBeenCalledWith('Reconcile inventory failed:', expect.any(Error));
+  });
+});
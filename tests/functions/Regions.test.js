@@ -0,0 +1,79 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+process.env.VPN_REGIONS = JSON.stringify({ eastus2: {}, westeurope: { resourceGroup: 'weu-rg' } });
+
+const { app } = require('@azure/functions');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/Regions/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+const makeRequest = (params = {}) => ({ query: new URLSearchParams(params) });
+
+describe('Regions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authenticate.mockResolvedValue({ caller: { callerId: 'user-1', isAdmin: false } });
+  });
+
+  it('lists the catalog without deployment details', async () => {
+    const response = await handler(makeRequest());
+
+    expect(response.status).toBe(200);
+    expect(response.jsonBody).toEqual({
+      default: 'eastus2',
+      regions: [
+        { name: 'eastus2', displayName: 'East US 2', latitude: 36.6681, longitude: -78.3889, default: true },
+        { name: 'westeurope', displayName: 'West Europe', latitude: 52.3667, longitude: 4.9, default: false },
+      ],
+    });
+  });
+
+  it('orders regions nearest a country and recommends the closest', async () => {
+    const response = await handler(makeRequest({ country: 'NL' }));
+
+    expect(response.jsonBody.recommended).toBe('westeurope');
+    expect(response.jsonBody.regions.map((r) => r.name)).toEqual(['westeurope', 'eastus2']);
+    expect(response.jsonBody.regions[0].distanceKm).toBeLessThan(200);
+  });
+
+  it('accepts a latitude and longitude hint', async () => {
+    const response = await handler(makeRequest({ latitude: '38.9', longitude: '-77.0' }));
+
+    expect(response.jsonBody.recommended).toBe('eastus2');
+  });
+
+  it.each([
+    [{ country: 'Atlantis' }, /ISO 3166/],
+    [{ latitude: '52.5' }, /latitude .* and longitude/],
+    [{ latitude: '', longitude: '' }, /latitude .* and longitude/],
+    [{ latitude: 'north', longitude: '13.4' }, /latitude .* and longitude/],
+  ])('returns 400 for hint %j', async (params, details) => {
+    const response = await handler(makeRequest(params));
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body)).toEqual({ error: 'Invalid location hint', details: expect.stringMatching(details) });
+  });
+
+  it('returns the auth failure for unauthenticated callers', async () => {
+    authenticate.mockResolvedValue({ response: { status: 401 } });
+
+    expect(await handler(makeRequest())).toEqual({ status: 401 });
+  });
+});
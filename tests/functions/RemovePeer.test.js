@@ -0,0 +1,112 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/RemovePeer/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (body) => ({
+  json: () => Promise.resolve(body),
+  query: { get: () => null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+describe('RemovePeer', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('deletes the peer config secret, peers row and address row', async () => {
+    const secretClient = { beginDeleteSecret: jest.fn().mockResolvedValue({}) };
+    getSecretClient.mockReturnValue(secretClient);
+    const tableClient = {
+      getEntity: jest.fn((partition) => Promise.resolve(partition === 'peers'
+        ? { sessionId: 'multi-session', peerId: 'ab12cd34', peerAddress: '10.8.0.5' }
+        : { callerId: 'owner-1' })),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session', peerId: 'ab12cd34' }), context);
+
+    expect(response.status).toBe(200);
+    expect(tableClient.getEntity).toHaveBeenCalledWith('peers', 'multi-session_ab12cd34');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-device-config-multi-session-ab12cd34');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('peers', 'multi-session_ab12cd34');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.5');
+  });
+
+  it('deletes the preshared key of a device on a PSK session', async () => {
+    const secretClient = { beginDeleteSecret: jest.fn().mockResolvedValue({}) };
+    getSecretClient.mockReturnValue(secretClient);
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn((partition) => Promise.resolve(partition === 'peers'
+        ? { sessionId: 'multi-session', peerId: 'ab12cd34', peerAddress: '10.8.0.5', usesPresharedKey: true }
+        : { callerId: 'owner-1' })),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session', peerId: 'ab12cd34' }), context);
+
+    expect(response.status).toBe(200);
+    expect(secretClient.beginDeleteSecret.mock.calls.map(([name]) => name).sort()).toEqual([
+      'wg-device-config-multi-session-ab12cd34',
+      'wg-device-psk-multi-session-ab12cd34',
+    ]);
+  });
+
+  it('answers a peer in a session the caller does not own as not found', async () => {
+    getSecretClient.mockReturnValue({});
+    const tableClient = {
+      getEntity: jest.fn((partition) => Promise.resolve(partition === 'peers'
+        ? { sessionId: 'multi-session', peerId: 'ab12cd34', peerAddress: '10.8.0.5' }
+        : { callerId: 'someone-else' })),
+      deleteEntity: jest.fn(),
+    };
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session', peerId: 'ab12cd34' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('Peer not found');
+    expect(tableClient.deleteEntity).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown peer', async () => {
+    getSecretClient.mockReturnValue({});
+    getTableClient.mockReturnValue({ getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }) });
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session', peerId: 'deadbeef' }), context);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('refuses to remove the primary peer', async () => {
+    const response = await handler(makeRequest({ sessionId: 'multi-session', peerId: 'primary' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/StopVPN/);
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/keyRotation', () => ({
+  ...jest.requireActual('../../src/functions/shared/keyRotation'),
+  rotateSessionKeys: jest.fn(),
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { rotateSessionKeys } = require('../../src/functions/shared/keyRotation');
+require('../../src/functions/RotateKeys/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (body) => ({
+  json: () => Promise.resolve(body),
+  query: { get: () => null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const runningRow = (fields = {}) => ({
+  rowKey: 'sess', callerId: 'owner-1', status: 'Running', etag: 'e1', clientKeySource: 'generated', ...fields,
+});
+const byokKey = Buffer.alloc(32, 7).toString('base64');
+
+describe('RotateKeys', () => {
+  let tableClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tableClient = { getEntity: jest.fn().mockResolvedValue(runningRow()) };
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({});
+    getSecretClient.mockReturnValue({});
+    rotateSessionKeys.mockResolvedValue({ keyVersion: 2 });
+  });
+
+  it('starts the rotation and answers 202 with the new key version', async () => {
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(202);
+    expect(response.jsonBody).toEqual({ status: 'Rotating', sessionId: 'sess', keyVersion: 2 });
+    expect(rotateSessionKeys).toHaveBeenCalledWith(
+      { compute: expect.objectContaining({ create: expect.any(Function) }), secretClient: getSecretClient(), tableClient },
+      runningRow(),
+      { clientPublicKey: undefined },
+      context.warn
+    );
+  });
+
+  it('passes a new public key through for bring-your-own-key sessions', async () => {
+    tableClient.getEntity.mockResolvedValue(runningRow({ clientKeySource: 'provided' }));
+
+    const response = await handler(makeRequest({ sessionId: 'sess', clientPublicKey: byokKey }), context);
+
+    expect(response.status).toBe(202);
+    expect(rotateSessionKeys.mock.calls[0][2]).toEqual({ clientPublicKey: byokKey });
+  });
+
+  it('rejects a public key for a session whose key the backend generated', async () => {
+    const response = await handler(makeRequest({ sessionId: 'sess', clientPublicKey: byokKey }), context);
+
+    expect(response.status).toBe(400);
+    expect(rotateSessionKeys).not.toHaveBeenCalled();
+  });
+
+  it('rejects a malformed public key', async () => {
+    const response = await handler(makeRequest({ sessionId: 'sess', clientPublicKey: 'nope' }), context);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('requires a sessionId', async () => {
+    const response = await handler(makeRequest({}), context);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('re-reads and retries when the row changed under it', async () => {
+    rotateSessionKeys.mockResolvedValueOnce({ conflict: true });
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(202);
+    expect(tableClient.getEntity).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up with 409 after repeated conflicts', async () => {
+    rotateSessionKeys.mockResolvedValue({ conflict: true });
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(409);
+    expect(rotateSessionKeys).toHaveBeenCalledTimes(3);
+  });
+
+  it('returns 409 for a session that is not running', async () => {
+    tableClient.getEntity.mockResolvedValue(runningRow({ status: 'Rotating' }));
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(409);
+    expect(JSON.parse(response.body).error).toContain('status Rotating');
+  });
+
+  it('returns 400 for an OpenVPN session', async () => {
+    tableClient.getEntity.mockResolvedValue(runningRow({ protocol: 'openvpn' }));
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('openvpn sessions do not support key rotation');
+    expect(rotateSessionKeys).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown session', async () => {
+    tableClient.getEntity.mockRejectedValue({ statusCode: 404 });
+
+    const response = await handler(makeRequest({ sessionId: 'gone' }), context);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('answers a session the caller does not own as not found', async () => {
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'someone-else', isAdmin: false } });
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('VPN session not found');
+    expect(rotateSessionKeys).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin rotate any session', async () => {
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'admin-1', isAdmin: true } });
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(202);
+  });
+
+  it('returns 503 when the rotation fails', async () => {
+    rotateSessionKeys.mockRejectedValue(new Error('quota exceeded'));
+
+    const response = await handler(makeRequest({ sessionId: 'sess' }), context);
+
+    expect(response.status).toBe(503);
+    expect(JSON.parse(response.body)).toEqual({ error: 'Failed to rotate keys', details: 'quota exceeded' });
+  });
+});
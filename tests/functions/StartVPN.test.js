@@ -11,29 +11,59 @@ jest.mock('@azure/functions', () => ({
   app: { http: jest.fn() },
 }));
 
+jest.mock('../../src/functions/shared/webhooks', () => ({
+  ...jest.requireActual('../../src/functions/shared/webhooks'),
+  emitEvent: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
 // Set required env vars before module load (fail-fast check runs at require time)
 process.env.VPN_CONTAINER_IMAGE = 'ghcr.io/test/az-demand-vpn-wg:latest';
+process.env.VPN_OPENVPN_IMAGE = 'ghcr.io/test/az-demand-vpn-ovpn:latest';
 process.env.StorageAccountName = 'teststorage';
 process.env.VPN_SUBNET_ID = '/subscriptions/test/resourceGroups/test-rg/providers/Microsoft.Network/virtualNetworks/vnet/subnets/vpn';
 process.env.VPN_TUNNEL_SUBNET = '10.8.0.0/24';
 process.env.VPN_CONTAINER_IDENTITY_ID = '/subscriptions/test/resourceGroups/test-rg/providers/Microsoft.ManagedIdentity/userAssignedIdentities/vpn-id';
 process.env.STORAGE_TABLE_ENDPOINT = 'https://teststorage.table.core.windows.net';
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+process.env.VPN_MONTHLY_BUDGET_PER_CALLER = '5';
+process.env.VPN_MONTHLY_BUDGET_TOTAL = '50';
+// One CPU-second in this region costs a whole currency unit, so budget tests need no long histories
+process.env.VPN_COST_REGION_RATES = JSON.stringify({ pricey: { vcpuSecond: 1 } });
 
 const { app } = require('@azure/functions');
 const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { emitEvent } = require('../../src/functions/shared/webhooks');
+const { openSealedBox } = require('../../src/functions/shared/sealedBox');
+const { generateWireGuardKeyPair } = require('../../src/functions/shared/wireguard');
 require('../../src/functions/StartVPN/index');
 
 const handler = app.http.mock.calls[0][1].handler;
 
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
 const makeRequest = (body) => ({
   json: () => Promise.resolve(body),
   query: { get: () => null },
 });
 const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
 
+// listEntities mock that serves rows per partition, keyed by the PartitionKey in the filter
+const listByPartition = (partitions = {}) => jest.fn(({ queryOptions }) => {
+  const [, partition] = /PartitionKey eq '(\w+)'/.exec(queryOptions.filter);
+  return (async function* () { yield* partitions[partition] || []; })();
+});
+
 // Reusable table client mock factory
 const makeTableClient = (overrides = {}) => ({
-  listEntities: jest.fn().mockReturnValue((async function* () {})()),
+  listEntities: listByPartition(),
   createEntity: jest.fn().mockResolvedValue({}),
   deleteEntity: jest.fn().mockResolvedValue({}),
   getEntity: jest.fn().mockRejectedValue({ statusCode: 404 }),
@@ -71,20 +101,209 @@ describe('StartVPN', () => {
     );
     // Session row written with Provisioning status
     expect(tableClient.createEntity).toHaveBeenCalledWith(
-      expect.objectContaining({ partitionKey: 'sessions', rowKey: 'test-session', status: 'Provisioning' })
+      expect.objectContaining({ partitionKey: 'sessions', rowKey: 'test-session', status: 'Provisioning', location: 'eastus2' })
     );
     // beginCreateOrUpdate called but NOT pollUntilDone
     expect(containerGroups.beginCreateOrUpdate).toHaveBeenCalledWith(
       'test-rg', 'vpn-test-session', expect.objectContaining({ location: 'eastus2' })
     );
+    expect(emitEvent).toHaveBeenCalledWith(tableClient, secretClient, expect.objectContaining({
+      type: 'session.provisioning', sessionId: 'test-session', data: { sizeProfile: 'standard' },
+    }), context.warn);
+  });
+
+  it('assigns an IPv6 tunnel address alongside the IPv4 one when VPN_TUNNEL_SUBNET_V6 is set', async () => {
+    let dualStackHandler;
+    jest.isolateModules(() => {
+      process.env.VPN_TUNNEL_SUBNET_V6 = 'fd00:8::/64';
+      app.http.mockClear();
+      require('../../src/functions/StartVPN/index');
+      dualStackHandler = app.http.mock.calls[0][1].handler;
+      delete process.env.VPN_TUNNEL_SUBNET_V6;
+    });
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const containerGroups = {
+      get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+      beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+    };
+    getContainerClient.mockReturnValue({ containerGroups });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await dualStackHandler(makeRequest({ sessionId: 'dual-session' }), context);
+
+    expect(response.status).toBe(202);
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'sessions', peerAddress: '10.8.0.2', peerAddressV6: 'fd00:8::2' })
+    );
+    const env = containerGroups.beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.environmentVariables;
+    expect(env).toEqual(expect.arrayContaining([
+      { name: 'WG_SERVER_ADDRESS', value: '10.8.0.1/24, fd00:8::1/64' },
+      { name: 'WG_PEER_ADDRESS', value: '10.8.0.2/32, fd00:8::2/128' },
+    ]));
+  });
+
+  it('stores the requested routing profile on the sessions row', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await handler(makeRequest({
+      sessionId: 'split-session', routing: { routes: ['private', '100.64.0.0/10'], mtu: 1400 },
+    }), context);
+
+    expect(response.status).toBe(202);
+    const expected = {
+      routes: ['private', '100.64.0.0/10'],
+      allowedIps: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10'],
+      mtu: 1400,
+      persistentKeepalive: 25,
+      dns: ['1.1.1.1'],
+    };
+    expect(response.jsonBody.routing).toEqual(expected);
+    const sessionRow = tableClient.createEntity.mock.calls.map(([e]) => e).find((e) => e.partitionKey === 'sessions');
+    expect(JSON.parse(sessionRow.routing)).toEqual(expected);
+  });
+
+  it('returns 400 for an invalid routing profile before taking any capacity', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'bad-routing', routing: { routes: ['nowhere'] } }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/routing.routes/);
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+  });
+
+  it('sizes the container from the requested profile and records it on the sessions row', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const containerGroups = {
+      get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+      beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+    };
+    getContainerClient.mockReturnValue({ containerGroups });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await handler(makeRequest({ sessionId: 'phone-session', sizeProfile: 'small' }), context);
+
+    expect(response.status).toBe(202);
+    expect(response.jsonBody.sizeProfile).toBe('small');
+    expect(containerGroups.beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.resources)
+      .toEqual({ requests: { cpu: 0.5, memoryInGB: 1 } });
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'sessions', sizeProfile: 'small', cpu: 0.5, memoryInGB: 1,
+    }));
+  });
+
+  it('uses the standard profile when none is requested', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    await handler(makeRequest({ sessionId: 'plain-session' }), context);
+
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'sessions', sizeProfile: 'standard', cpu: 1, memoryInGB: 2,
+    }));
+  });
+
+  it('returns 403 for an admin-only size profile unless the caller is an admin', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const containerGroups = {
+      get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+      beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+    };
+    getContainerClient.mockReturnValue({ containerGroups });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const refused = await handler(makeRequest({ sessionId: 'team-session', sizeProfile: 'large' }), context);
+
+    expect(refused.status).toBe(403);
+    expect(JSON.parse(refused.body).error).toBe('sizeProfile large requires the admin role');
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'admin-1', isAdmin: true } });
+    const allowed = await handler(makeRequest({ sessionId: 'team-session', sizeProfile: 'large' }), context);
+
+    expect(allowed.status).toBe(202);
+    expect(containerGroups.beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.resources)
+      .toEqual({ requests: { cpu: 2, memoryInGB: 4 } });
+  });
+
+  it('returns 400 for an unknown size profile', async () => {
+    getTableClient.mockReturnValue(makeTableClient());
+
+    const response = await handler(makeRequest({ sessionId: 'huge-session', sizeProfile: 'xxl' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('sizeProfile must be one of: small, standard, large');
+  });
+
+  it('returns 400 listing the offered regions for a location outside the catalog', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'typo-session', location: 'eastus3' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/"eastus3" is not offered; choose one of: auto, eastus2/);
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+  });
+
+  it("deploys to the catalog region nearest the caller's hint with that region's settings", async () => {
+    let regionalHandler;
+    jest.isolateModules(() => {
+      process.env.VPN_REGIONS = JSON.stringify({
+        eastus2: {},
+        westeurope: { resourceGroup: 'vpn-weu-rg', subnetId: '/subnets/weu', image: 'weu.azurecr.io/wg:1' },
+      });
+      app.http.mockClear();
+      require('../../src/functions/StartVPN/index');
+      regionalHandler = app.http.mock.calls[0][1].handler;
+      delete process.env.VPN_REGIONS;
+    });
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const containerGroups = {
+      get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+      beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+    };
+    getContainerClient.mockReturnValue({ containerGroups });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await regionalHandler(
+      makeRequest({ sessionId: 'nearby-session', location: 'auto', locationHint: { country: 'DE' } }), context
+    );
+
+    expect(response.status).toBe(202);
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'sessions', location: 'westeurope' })
+    );
+    const [resourceGroup, , spec] = containerGroups.beginCreateOrUpdate.mock.calls[0];
+    expect(resourceGroup).toBe('vpn-weu-rg');
+    expect(spec.location).toBe('westeurope');
+    expect(spec.properties.subnetIds).toEqual([{ id: '/subnets/weu' }]);
+    expect(spec.properties.containers[0].properties.image).toBe('weu.azurecr.io/wg:1');
   });
 
   it('retries address allocation on 409 conflict and claims next free address', async () => {
-    async function* usedAddresses() {
-      yield { partitionKey: 'addresses', rowKey: '10.8.0.2' };
-    }
     const tableClient = makeTableClient({
-      listEntities: jest.fn().mockReturnValue(usedAddresses()),
+      listEntities: listByPartition({ addresses: [{ partitionKey: 'addresses', rowKey: '10.8.0.2' }] }),
     });
     getTableClient.mockReturnValue(tableClient);
 
@@ -106,12 +325,12 @@ describe('StartVPN', () => {
   });
 
   it('returns 503 when address pool is exhausted', async () => {
-    async function* allUsed() {
-      for (let i = 2; i <= 254; i++) {
-        yield { partitionKey: 'addresses', rowKey: `10.8.0.${i}` };
-      }
+    const allUsed = [];
+    for (let i = 2; i <= 254; i++) {
+      allUsed.push({ partitionKey: 'addresses', rowKey: `10.8.0.${i}` });
     }
-    getTableClient.mockReturnValue(makeTableClient({ listEntities: jest.fn().mockReturnValue(allUsed()) }));
+    const tableClient = makeTableClient({ listEntities: listByPartition({ addresses: allUsed }) });
+    getTableClient.mockReturnValue(tableClient);
     getContainerClient.mockReturnValue({
       containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }) },
     });
@@ -121,9 +340,11 @@ describe('StartVPN', () => {
 
     expect(response.status).toBe(503);
     expect(JSON.parse(response.body).error).toMatch(/pool exhausted/);
+    // A start that never launched does not count against the hourly rate
+    expect(tableClient.createEntity).not.toHaveBeenCalledWith(expect.objectContaining({ partitionKey: 'starts' }));
   });
 
-  it('cleans up KV secret, sessions row, and addresses row on ACI failure', async () => {
+  it('cleans up KV secret, sessions, addresses and starts rows on ACI failure', async () => {
     const tableClient = makeTableClient();
     getTableClient.mockReturnValue(tableClient);
 
@@ -145,8 +366,127 @@ describe('StartVPN', () => {
 
     expect(response.status).toBe(503);
     expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-server-key-fail-session');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-psk-fail-session');
     expect(tableClient.deleteEntity).toHaveBeenCalledWith('sessions', 'fail-session');
     expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.2');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('starts', expect.stringMatching(/^fail-session-\d+$/));
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'usage', sessionId: 'fail-session', callerId: 'owner-1', reason: 'error',
+    }));
+  });
+
+  it('returns 429 with Retry-After when the caller is at the concurrent session limit', async () => {
+    const tableClient = makeTableClient({
+      listEntities: listByPartition({
+        sessions: [{ callerId: 'owner-1' }, { callerId: 'owner-1' }, { callerId: 'owner-1' }, { callerId: 'other' }],
+      }),
+    });
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate: jest.fn() },
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'fourth-session' }), context);
+
+    expect(response.status).toBe(429);
+    expect(response.headers['Retry-After']).toBe('60');
+    expect(response.jsonBody.reason).toBe('caller_concurrent_sessions');
+    // No pool capacity taken
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+  });
+
+  it('returns 429 with the time until the oldest start ages out when over the hourly start rate', async () => {
+    const now = Date.now();
+    const starts = Array.from({ length: 10 }, (_, i) => ({
+      rowKey: `s${i}`, callerId: 'owner-1', startedAt: new Date(now - (50 - i) * 60 * 1000).toISOString(),
+    }));
+    const expired = { rowKey: 'old', callerId: 'owner-1', startedAt: new Date(now - 2 * 60 * 60 * 1000).toISOString() };
+    const tableClient = makeTableClient({ listEntities: listByPartition({ starts: [expired, ...starts] }) });
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate: jest.fn() },
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'busy-session' }), context);
+
+    expect(response.status).toBe(429);
+    expect(response.jsonBody.reason).toBe('caller_start_rate');
+    // Oldest in-window start was 50 minutes ago — window reopens in ~10 minutes
+    const retryAfter = Number(response.headers['Retry-After']);
+    expect(retryAfter).toBeGreaterThan(9 * 60);
+    expect(retryAfter).toBeLessThanOrEqual(10 * 60);
+  });
+
+  it('returns 429 when the deployment is at its global container cap', async () => {
+    const sessions = Array.from({ length: 50 }, (_, i) => ({ callerId: `caller-${i}` }));
+    getTableClient.mockReturnValue(makeTableClient({ listEntities: listByPartition({ sessions }) }));
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate: jest.fn() },
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'late-session' }), context);
+
+    expect(response.status).toBe(429);
+    expect(response.jsonBody.reason).toBe('global_capacity');
+  });
+
+  it("returns 429 until next month when the caller's monthly budget would be exceeded", async () => {
+    const now = Date.now();
+    const usage = [{
+      callerId: 'owner-1', location: 'pricey', cpu: 1, memoryInGB: 2,
+      startedAt: new Date(now - 10 * 1000).toISOString(), endedAt: new Date(now).toISOString(),
+    }];
+    const tableClient = makeTableClient({ listEntities: listByPartition({ usage }) });
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate: jest.fn() },
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'spendy-session' }), context);
+
+    expect(response.status).toBe(429);
+    expect(response.jsonBody.reason).toBe('caller_budget');
+    expect(response.jsonBody.error).toMatch(/monthly budget of 5 USD/);
+    const today = new Date(now);
+    const nextMonth = Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1);
+    expect(Number(response.headers['Retry-After'])).toBeCloseTo((nextMonth - now) / 1000, -1);
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+  });
+
+  it("returns 429 when the deployment's monthly budget would be exceeded", async () => {
+    const sessions = [{ callerId: 'other', location: 'pricey', cpu: 1, createdAt: new Date(Date.now() - 60 * 1000).toISOString() }];
+    getTableClient.mockReturnValue(makeTableClient({ listEntities: listByPartition({ sessions }) }));
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate: jest.fn() },
+    });
+    getSecretClient.mockReturnValue({});
+
+    const response = await handler(makeRequest({ sessionId: 'crowded-session' }), context);
+
+    expect(response.status).toBe(429);
+    expect(response.jsonBody.reason).toBe('deployment_budget');
+  });
+
+  it('records each start against the caller rate limit', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    await handler(makeRequest({ sessionId: 'counted-session' }), context);
+
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'starts', callerId: 'owner-1', sessionId: 'counted-session' })
+    );
   });
 
   it('uses UserAssigned identity in container spec', async () => {
@@ -168,8 +508,381 @@ describe('StartVPN', () => {
     expect(spec.identity.userAssignedIdentities).toMatchObject({ [process.env.VPN_CONTAINER_IDENTITY_ID]: {} });
   });
 
-  it('returns existing session without creating a new container (idempotent)', async () => {
+  it('clamps requested idle timeout and lifetime to the configured bounds and stores them', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const beginCreateOrUpdate = jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() });
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await handler(
+      makeRequest({ sessionId: 'limited-session', idleTimeoutMinutes: 1, maxLifetimeMinutes: 100000 }),
+      context
+    );
+
+    // Defaults bounds: idle 5-240, lifetime 15-1440
+    expect(response.jsonBody).toMatchObject({ idleTimeoutMinutes: 5, maxLifetimeMinutes: 1440 });
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'sessions', idleTimeoutMinutes: 5, maxLifetimeMinutes: 1440,
+    }));
+    const env = beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.environmentVariables;
+    expect(env).toContainEqual({ name: 'IDLE_TIMEOUT_MINUTES', value: '5' });
+  });
+
+  it('applies the deployment defaults when no overrides are requested', async () => {
+    getTableClient.mockReturnValue(makeTableClient());
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await handler(makeRequest({ sessionId: 'default-session' }), context);
+
+    expect(response.jsonBody).toMatchObject({ idleTimeoutMinutes: 30, maxLifetimeMinutes: 480 });
+  });
+
+  it('returns 400 for a non-integer maxLifetimeMinutes', async () => {
+    const response = await handler(makeRequest({ sessionId: 'bad-limits', maxLifetimeMinutes: '60' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/maxLifetimeMinutes/);
+  });
+
+  it('generates a client key pair and provisions the server with its public key', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const beginCreateOrUpdate = jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() });
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate,
+      },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    await handler(makeRequest({ sessionId: 'keyed-session' }), context);
+
+    expect(setSecret).toHaveBeenCalledWith('wg-client-key-keyed-session', expect.any(String), expect.any(Object));
+    const sessionRow = tableClient.createEntity.mock.calls
+      .map(([entity]) => entity)
+      .find((entity) => entity.partitionKey === 'sessions');
+    expect(sessionRow.clientKeySource).toBe('generated');
+    expect(sessionRow.clientPublicKey).toHaveLength(44);
+
+    const env = beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.environmentVariables;
+    expect(env).toContainEqual({ name: 'WG_PEER_PUBLIC_KEY', value: sessionRow.clientPublicKey });
+    expect(env).toContainEqual({ name: 'WG_PEER_ADDRESS', value: '10.8.0.2/32' });
+  });
+
+  it('registers a caller-supplied public key without storing any client private key', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const beginCreateOrUpdate = jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() });
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate,
+      },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    const clientPublicKey = Buffer.alloc(32, 7).toString('base64');
+    const response = await handler(makeRequest({ sessionId: 'byok-session', clientPublicKey }), context);
+
+    expect(response.status).toBe(202);
+    expect(setSecret).not.toHaveBeenCalledWith('wg-client-key-byok-session', expect.anything(), expect.anything());
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'sessions', clientPublicKey, clientKeySource: 'caller' })
+    );
+    const env = beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.environmentVariables;
+    expect(env).toContainEqual({ name: 'WG_PEER_PUBLIC_KEY', value: clientPublicKey });
+  });
+
+  it('returns 400 for a malformed clientPublicKey', async () => {
+    const response = await handler(
+      makeRequest({ sessionId: 'bad-key-session', clientPublicKey: 'not-a-key' }),
+      context
+    );
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/clientPublicKey/);
+  });
+
+  it('generates a preshared key when asked and hands it to the container', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const beginCreateOrUpdate = jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() });
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    const response = await handler(makeRequest({ sessionId: 'psk-session', presharedKey: true }), context);
+
+    expect(response.jsonBody.presharedKey).toBe(true);
+    const pskCall = setSecret.mock.calls.find(([name]) => name === 'wg-psk-psk-session');
+    expect(Buffer.from(pskCall[1], 'base64')).toHaveLength(32);
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'sessions', usesPresharedKey: true })
+    );
+    const env = beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.environmentVariables;
+    expect(env).toContainEqual({ name: 'WG_PEER_PRESHARED_KEY', secureValue: pskCall[1] });
+  });
+
+  it('leaves the preshared key out unless asked', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const beginCreateOrUpdate = jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() });
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    const response = await handler(makeRequest({ sessionId: 'plain-session' }), context);
+
+    expect(response.jsonBody.presharedKey).toBe(false);
+    expect(setSecret).not.toHaveBeenCalledWith('wg-psk-plain-session', expect.anything(), expect.anything());
+    const env = beginCreateOrUpdate.mock.calls[0][2].properties.containers[0].properties.environmentVariables;
+    expect(env.map(({ name }) => name)).not.toContain('WG_PEER_PRESHARED_KEY');
+  });
+
+  it('adds a preshared key to every session when VPN_REQUIRE_PSK is set', async () => {
+    let requiredHandler;
+    jest.isolateModules(() => {
+      process.env.VPN_REQUIRE_PSK = 'true';
+      app.http.mockClear();
+      require('../../src/functions/StartVPN/index');
+      requiredHandler = app.http.mock.calls[0][1].handler;
+      delete process.env.VPN_REQUIRE_PSK;
+    });
     getTableClient.mockReturnValue(makeTableClient());
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    const response = await requiredHandler(makeRequest({ sessionId: 'policy-session', presharedKey: false }), context);
+
+    expect(response.jsonBody.presharedKey).toBe(true);
+    expect(setSecret).toHaveBeenCalledWith('wg-psk-policy-session', expect.any(String), expect.any(Object));
+  });
+
+  it('returns 400 for a non-boolean presharedKey', async () => {
+    const response = await handler(makeRequest({ sessionId: 'psk-session', presharedKey: 'yes' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('presharedKey must be a boolean');
+  });
+
+  it('seals the complete client config to the recipient key and never stores the private key', async () => {
+    const recipient = generateWireGuardKeyPair();
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    const response = await handler(makeRequest({
+      sessionId: 'sealed-session', location: 'eastus2', presharedKey: true, configRecipientKey: recipient.publicKey,
+    }), context);
+
+    expect(response.status).toBe(202);
+    expect(response.jsonBody.configEncryption).toBe('x25519-hkdf-sha256-chacha20poly1305');
+    const written = Object.fromEntries(setSecret.mock.calls.map(([name, value]) => [name, value]));
+    expect(Object.keys(written).sort()).toEqual([
+      'wg-peer-config-sealed-session', 'wg-psk-sealed-session', 'wg-server-key-sealed-session',
+    ]);
+    const config = openSealedBox(recipient.privateKey, written['wg-peer-config-sealed-session']);
+    expect(config).toMatch(/^PrivateKey = [A-Za-z0-9+/]{43}=$/m);
+    expect(config).toContain('Endpoint = vpn-sealed-session.eastus2.azurecontainer.io:51820');
+    expect(config).toContain(`PresharedKey = ${written['wg-psk-sealed-session']}`);
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'sessions', configRecipientKey: recipient.publicKey, clientKeySource: 'generated',
+    }));
+  });
+
+  it('returns 400 for a configRecipientKey that is not a usable X25519 key', async () => {
+    const response = await handler(makeRequest({
+      sessionId: 'sealed-session', configRecipientKey: Buffer.alloc(32).toString('base64'),
+    }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/configRecipientKey/);
+  });
+
+  it('provisions an OpenVPN server pinned to a generated client certificate', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    const containerGroups = {
+      get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+      beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+    };
+    getContainerClient.mockReturnValue({ containerGroups });
+    const setSecret = jest.fn().mockResolvedValue({});
+    getSecretClient.mockReturnValue({ setSecret });
+
+    const response = await handler(
+      makeRequest({ sessionId: 'ovpn-session', protocol: 'openvpn', presharedKey: true }), context
+    );
+
+    expect(response.status).toBe(202);
+    expect(response.jsonBody.protocol).toBe('openvpn');
+    const written = Object.fromEntries(setSecret.mock.calls.map(([name, value]) => [name, value]));
+    expect(written['wg-server-key-ovpn-session']).toMatch(/BEGIN PRIVATE KEY[\s\S]+BEGIN CERTIFICATE/);
+    expect(written['wg-client-key-ovpn-session']).toMatch(/BEGIN PRIVATE KEY[\s\S]+BEGIN CERTIFICATE/);
+    expect(written['wg-psk-ovpn-session']).toMatch(/^-----BEGIN OpenVPN Static key V1-----/);
+
+    const row = tableClient.createEntity.mock.calls.find(([entity]) => entity.partitionKey === 'sessions')[0];
+    expect(row).toMatchObject({ protocol: 'openvpn', clientKeySource: 'generated' });
+    expect(row.clientPublicKey).toMatch(/^([0-9A-F]{2}:){31}[0-9A-F]{2}$/);
+
+    const { properties } = containerGroups.beginCreateOrUpdate.mock.calls[0][2];
+    const container = properties.containers[0].properties;
+    expect(container.image).toBe('ghcr.io/test/az-demand-vpn-ovpn:latest');
+    expect(container.ports).toEqual([{ port: 1194, protocol: 'UDP' }]);
+    expect(properties.ipAddress.ports).toEqual([{ protocol: 'UDP', port: 1194 }]);
+    expect(container.environmentVariables).toEqual(expect.arrayContaining([
+      { name: 'OVPN_SERVER_CREDENTIALS', secureValue: written['wg-server-key-ovpn-session'] },
+      { name: 'OVPN_PEER_FINGERPRINT', value: row.clientPublicKey },
+      { name: 'OVPN_PEER_ADDRESS', value: '10.8.0.2/32' },
+      { name: 'OVPN_TLS_CRYPT_KEY', secureValue: written['wg-psk-ovpn-session'] },
+      { name: 'SESSION_ID', value: 'ovpn-session' },
+    ]));
+    expect(container.environmentVariables.some(({ name }) => name.startsWith('WG_'))).toBe(false);
+  });
+
+  it('records WireGuard as the protocol when none is requested', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    const response = await handler(makeRequest({ sessionId: 'wg-session' }), context);
+
+    expect(response.jsonBody.protocol).toBe('wireguard');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'sessions', protocol: 'wireguard' })
+    );
+  });
+
+  it('returns 400 for an unknown protocol before taking any capacity', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'ipsec-session', protocol: 'ipsec' }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('protocol must be one of: wireguard, openvpn');
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for a clientPublicKey on an OpenVPN session', async () => {
+    const response = await handler(makeRequest({
+      sessionId: 'ovpn-session', protocol: 'openvpn', clientPublicKey: generateWireGuardKeyPair().publicKey,
+    }), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('clientPublicKey is not supported for protocol openvpn');
+  });
+
+  it('stamps the authenticated caller as the session owner', async () => {
+    const tableClient = makeTableClient();
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockRejectedValue({ statusCode: 404 }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+      },
+    });
+    getSecretClient.mockReturnValue({ setSecret: jest.fn().mockResolvedValue({}) });
+
+    await handler(makeRequest({ sessionId: 'owned-session' }), context);
+
+    expect(tableClient.createEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ partitionKey: 'sessions', rowKey: 'owned-session', callerId: 'owner-1' })
+    );
+  });
+
+  it('returns 409 without the config when another caller owns the sessionId', async () => {
+    getTableClient.mockReturnValue(makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'someone-else' }),
+    }));
+    getContainerClient.mockReturnValue({
+      containerGroups: { get: jest.fn().mockResolvedValue({ properties: { ipAddress: { ip: '5.6.7.8' } } }) },
+    });
+    const getSecret = jest.fn();
+    getSecretClient.mockReturnValue({ getSecret });
+
+    const response = await handler(makeRequest({ sessionId: 'taken-session' }), context);
+
+    expect(response.status).toBe(409);
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 for a sessions row whose container group is gone, before any quota, address or secret', async () => {
+    const tableClient = makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({ rowKey: 'stuck-session', callerId: 'owner-1', status: 'Stopping' }),
+    });
+    getTableClient.mockReturnValue(tableClient);
+    const containerGroups = { get: jest.fn().mockRejectedValue({ statusCode: 404 }), beginCreateOrUpdate: jest.fn() };
+    getContainerClient.mockReturnValue({ containerGroups });
+    const secretClient = { getSecret: jest.fn(), setSecret: jest.fn() };
+    getSecretClient.mockReturnValue(secretClient);
+
+    const response = await handler(makeRequest({ sessionId: 'stuck-session' }), context);
+
+    expect(response.status).toBe(409);
+    expect(JSON.parse(response.body).details).toBe('session status is Stopping');
+    expect(tableClient.listEntities).not.toHaveBeenCalled();
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+    expect(tableClient.updateEntity).not.toHaveBeenCalled();
+    expect(secretClient.setSecret).not.toHaveBeenCalled();
+    expect(containerGroups.beginCreateOrUpdate).not.toHaveBeenCalled();
+  });
+
+  it("returns 403 for another caller's sessions row whose container group is gone", async () => {
+    const tableClient = makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({ rowKey: 'stuck-session', callerId: 'someone-else', status: 'Running' }),
+    });
+    getTableClient.mockReturnValue(tableClient);
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockRejectedValue({ statusCode: 404 }) } });
+    const secretClient = { getSecret: jest.fn(), setSecret: jest.fn() };
+    getSecretClient.mockReturnValue(secretClient);
+
+    const response = await handler(makeRequest({ sessionId: 'stuck-session' }), context);
+
+    expect(response.status).toBe(403);
+    expect(tableClient.createEntity).not.toHaveBeenCalled();
+    expect(secretClient.setSecret).not.toHaveBeenCalled();
+  });
+
+  it('returns existing session without creating a new container (idempotent)', async () => {
+    getTableClient.mockReturnValue(makeTableClient({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1' }),
+    }));
     const containerGroups = {
       get: jest.fn().mockResolvedValue({
         properties: { ipAddress: { ip: '5.6.7.8' }, provisioningState: 'Succeeded' },
@@ -11,12 +11,30 @@ jest.mock('@azure/functions', () => ({
   app: { http: jest.fn() },
 }));
 
+jest.mock('../../src/functions/shared/webhooks', () => ({
+  ...jest.requireActual('../../src/functions/shared/webhooks'),
+  emitEvent: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
 const { app } = require('@azure/functions');
 const { getContainerClient, getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { emitEvent } = require('../../src/functions/shared/webhooks');
 require('../../src/functions/StopVPN/index');
 
 const handler = app.http.mock.calls[0][1].handler;
 
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
 const makeRequest = (body) => ({
   json: () => Promise.resolve(body),
   query: { get: () => null },
@@ -42,7 +60,11 @@ describe('StopVPN', () => {
     getSecretClient.mockReturnValue(secretClient);
 
     const tableClient = {
-      getEntity: jest.fn().mockResolvedValue({ peerAddress: '10.8.0.3' }),
+      getEntity: jest.fn().mockResolvedValue({
+        rowKey: 'stop-session', callerId: 'owner-1', status: 'Running', etag: 'e1', peerAddress: '10.8.0.3',
+      }),
+      createEntity: jest.fn().mockResolvedValue({}),
+      updateEntity: jest.fn().mockResolvedValue({}),
       deleteEntity: jest.fn().mockResolvedValue({}),
     };
     getTableClient.mockReturnValue(tableClient);
@@ -52,8 +74,84 @@ describe('StopVPN', () => {
     expect(response.status).toBe(200);
     expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-peer-config-stop-session');
     expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-server-key-stop-session');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-client-key-stop-session');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-psk-stop-session');
     expect(tableClient.deleteEntity).toHaveBeenCalledWith('sessions', 'stop-session');
     expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.3');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'usage', sessionId: 'stop-session', callerId: 'owner-1', reason: 'manual',
+    }));
+    // Marked Stopping before the group is deleted
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(
+      { partitionKey: 'sessions', rowKey: 'stop-session', status: 'Stopping' },
+      'Merge',
+      { etag: 'e1' }
+    );
+    expect(tableClient.updateEntity.mock.invocationCallOrder[0])
+      .toBeLessThan(getContainerClient().containerGroups.beginDelete.mock.invocationCallOrder[0]);
+    expect(emitEvent).toHaveBeenCalledWith(tableClient, secretClient, expect.objectContaining({
+      type: 'session.stopped', sessionId: 'stop-session', data: { stoppedBy: 'owner-1' },
+    }), context.warn);
+  });
+
+  it('releases every additional peer address and config secret on the session', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockResolvedValue({}),
+        beginDelete: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn().mockResolvedValue({}) }),
+      },
+    });
+    const secretClient = { beginDeleteSecret: jest.fn().mockResolvedValue({}) };
+    getSecretClient.mockReturnValue(secretClient);
+
+    async function* peerRows() {
+      yield { sessionId: 'multi-session', peerId: 'ab12cd34', peerAddress: '10.8.0.5' };
+      yield { sessionId: 'multi-session', peerId: 'ef56ab78', peerAddress: '10.8.0.6' };
+    }
+    const tableClient = {
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', peerAddress: '10.8.0.2' }),
+      listEntities: jest.fn().mockReturnValue(peerRows()),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    };
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ sessionId: 'multi-session' }), context);
+
+    expect(response.status).toBe(200);
+    expect(tableClient.listEntities).toHaveBeenCalledWith({
+      queryOptions: { filter: "PartitionKey eq 'peers' and sessionId eq 'multi-session'" },
+    });
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-device-config-multi-session-ab12cd34');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('wg-device-config-multi-session-ef56ab78');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('peers', 'multi-session_ab12cd34');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.5');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.6');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('addresses', '10.8.0.2');
+  });
+
+  it('still reports Stopped when secret and row cleanup fail', async () => {
+    getContainerClient.mockReturnValue({
+      containerGroups: {
+        get: jest.fn().mockResolvedValue({}),
+        beginDelete: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn().mockResolvedValue({}) }),
+      },
+    });
+    getSecretClient.mockReturnValue({
+      beginDeleteSecret: jest.fn().mockRejectedValue(new Error('Forbidden')),
+    });
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'owner-1', peerAddress: '10.8.0.4' }),
+      deleteEntity: jest.fn().mockRejectedValue(new Error('Table unavailable')),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'flaky-session' }), context);
+
+    expect(response.status).toBe(200);
+    expect(context.warn).toHaveBeenCalledWith(
+      expect.stringContaining('wg-client-key-flaky-session'),
+      'Forbidden'
+    );
+    expect(context.warn).toHaveBeenCalledWith(expect.stringContaining('addresses row 10.8.0.4'), 'Table unavailable');
   });
 
   it('returns 404 when no container group exists', async () => {
@@ -74,7 +172,25 @@ describe('StopVPN', () => {
     expect(response.status).toBe(404);
   });
 
+  it('answers a session the caller does not own as not found and deletes nothing', async () => {
+    const beginDelete = jest.fn();
+    getContainerClient.mockReturnValue({ containerGroups: { get: jest.fn().mockResolvedValue({}), beginDelete } });
+    getSecretClient.mockReturnValue({});
+    getTableClient.mockReturnValue({
+      getEntity: jest.fn().mockResolvedValue({ callerId: 'someone-else', peerAddress: '10.8.0.3' }),
+      deleteEntity: jest.fn(),
+    });
+
+    const response = await handler(makeRequest({ sessionId: 'foreign-session' }), context);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('VPN session not found');
+    expect(beginDelete).not.toHaveBeenCalled();
+  });
+
   it('skips addresses row cleanup when no sessions row exists (legacy session)', async () => {
+    // Legacy sessions have no recorded owner — only an admin may stop them
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'admin-1', isAdmin: true } });
     const deletePoller = { pollUntilDone: jest.fn().mockResolvedValue({}) };
     getContainerClient.mockReturnValue({
       containerGroups: {
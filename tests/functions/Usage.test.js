@@ -0,0 +1,124 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/Usage/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+authenticate.mockResolvedValue({ caller: { callerId: 'owner-1', isAdmin: false } });
+
+const makeRequest = (params = {}) => ({
+  json: () => Promise.resolve({}),
+  query: new URLSearchParams(params),
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+const makeTableClient = (records) => ({
+  listEntities: jest.fn().mockImplementation(async function* () {
+    for (const r of records) yield r;
+  }),
+});
+
+const usageRow = (endedAt, callerId, durationSeconds, reason, sizeProfile) => ({
+  partitionKey: 'usage',
+  rowKey: `${endedAt}_s`,
+  callerId,
+  endedAt,
+  durationSeconds,
+  vcpuHours: durationSeconds / 3600,
+  gbHours: (2 * durationSeconds) / 3600,
+  reason,
+  ...(sizeProfile ? { sizeProfile } : {}),
+});
+
+describe('Usage', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("scopes non-admin callers to their own records and aggregates by day", async () => {
+    const tableClient = makeTableClient([
+      usageRow('2026-03-01T10:00:00.000Z', 'owner-1', 3600, 'manual', 'standard'),
+      // Ended before size profiles were recorded
+      usageRow('2026-03-01T18:00:00.000Z', 'owner-1', 1800, 'idle'),
+      usageRow('2026-03-02T09:00:00.000Z', 'owner-1', 7200, 'idle'),
+    ]);
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ from: '2026-03-01', to: '2026-03-31' }), context);
+
+    expect(response.status).toBe(200);
+    expect(tableClient.listEntities).toHaveBeenCalledWith({
+      queryOptions: {
+        filter: "PartitionKey eq 'usage' and RowKey ge '2026-03-01T00:00:00.000Z' "
+          + "and RowKey lt '2026-04-01T00:00:00.000Z' and callerId eq 'owner-1'",
+      },
+    });
+    expect(response.jsonBody.usage).toEqual([
+      {
+        callerId: 'owner-1', period: '2026-03-01', sessions: 2, durationSeconds: 5400,
+        vcpuHours: 1.5, gbHours: 3, byReason: { manual: 1, idle: 1 }, bySizeProfile: { standard: 2 },
+      },
+      {
+        callerId: 'owner-1', period: '2026-03-02', sessions: 1, durationSeconds: 7200,
+        vcpuHours: 2, gbHours: 4, byReason: { idle: 1 }, bySizeProfile: { standard: 1 },
+      },
+    ]);
+  });
+
+  it('lets admins see every caller grouped by month', async () => {
+    authenticate.mockResolvedValueOnce({ caller: { callerId: 'admin-1', isAdmin: true } });
+    const tableClient = makeTableClient([
+      usageRow('2026-03-01T10:00:00.000Z', 'user-b', 3600, 'manual'),
+      usageRow('2026-03-20T10:00:00.000Z', 'user-a', 3600, 'error', 'large'),
+      usageRow('2026-03-21T10:00:00.000Z', 'user-a', 600, 'idle', 'small'),
+    ]);
+    getTableClient.mockReturnValue(tableClient);
+
+    const response = await handler(makeRequest({ groupBy: 'month', from: '2026-03-01', to: '2026-03-31' }), context);
+
+    expect(tableClient.listEntities.mock.calls[0][0].queryOptions.filter).not.toMatch(/callerId/);
+    expect(response.jsonBody.usage.map((u) => [u.period, u.callerId])).toEqual([
+      ['2026-03', 'user-a'],
+      ['2026-03', 'user-b'],
+    ]);
+    expect(response.jsonBody.usage[0].bySizeProfile).toEqual({ large: 1, small: 1 });
+  });
+
+  it("returns 403 when a non-admin asks for another caller's usage", async () => {
+    const response = await handler(makeRequest({ owner: 'someone-else' }), context);
+
+    expect(response.status).toBe(403);
+  });
+
+  it.each([
+    ['bad groupBy', { groupBy: 'week' }],
+    ['malformed date', { from: '03/01/2026' }],
+    ['impossible date', { to: '2026-02-30' }],
+    ['inverted range', { from: '2026-04-01', to: '2026-03-01' }],
+  ])('returns 400 for %s', async (_label, params) => {
+    const response = await handler(makeRequest(params), context);
+
+    expect(response.status).toBe(400);
+  });
+});
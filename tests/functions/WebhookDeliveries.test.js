@@ -0,0 +1,130 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+require('../../src/functions/WebhookDeliveries/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+const makeRequest = (params = {}) => ({
+  query: { get: (key) => params[key] ?? null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const delivery = (rowKey, fields) => ({
+  rowKey,
+  webhookId: '0123456789abcdef',
+  event: 'session.running',
+  sessionId: 's1',
+  payload: JSON.stringify({ id: rowKey, type: 'session.running' }),
+  createdAt: rowKey.slice(0, 24),
+  ...fields,
+});
+
+describe('WebhookDeliveries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authenticate.mockResolvedValue({ caller: { callerId: 'admin-1', isAdmin: true } });
+  });
+
+  it('lists deliveries newest first with their last outcome', async () => {
+    const listEntities = jest.fn().mockReturnValue(rows([
+      delivery('2026-03-01T10:00:00.000Z-aaaaaaaa', {
+        status: 'delivered', attempts: 1, lastAttemptAt: '2026-03-01T10:00:00.000Z', lastStatusCode: 200,
+      }),
+      delivery('2026-03-01T11:00:00.000Z-bbbbbbbb', {
+        status: 'pending',
+        attempts: 2,
+        lastAttemptAt: '2026-03-01T11:01:00.000Z',
+        lastStatusCode: 503,
+        lastError: 'Receiver responded 503',
+        nextAttemptAt: '2026-03-01T11:02:00.000Z',
+      }),
+    ]));
+    getTableClient.mockReturnValue({ listEntities });
+
+    const response = await handler(makeRequest({ webhookId: '0123456789abcdef', status: 'pending' }), context);
+
+    expect(response.status).toBe(200);
+    expect(listEntities).toHaveBeenCalledWith({
+      queryOptions: { filter: "PartitionKey eq 'deliveries' and webhookId eq '0123456789abcdef' and status eq 'pending'" },
+    });
+    expect(response.jsonBody.deliveries.map((d) => d.id))
+      .toEqual(['2026-03-01T11:00:00.000Z-bbbbbbbb', '2026-03-01T10:00:00.000Z-aaaaaaaa']);
+    expect(response.jsonBody.deliveries[0]).toEqual({
+      id: '2026-03-01T11:00:00.000Z-bbbbbbbb',
+      webhookId: '0123456789abcdef',
+      event: 'session.running',
+      sessionId: 's1',
+      status: 'pending',
+      attempts: 2,
+      createdAt: '2026-03-01T11:00:00.000Z',
+      lastAttemptAt: '2026-03-01T11:01:00.000Z',
+      lastStatusCode: 503,
+      lastError: 'Receiver responded 503',
+      nextAttemptAt: '2026-03-01T11:02:00.000Z',
+      payload: { id: '2026-03-01T11:00:00.000Z-bbbbbbbb', type: 'session.running' },
+    });
+    expect(response.jsonBody.deliveries[1].nextAttemptAt).toBeNull();
+  });
+
+  it('applies the limit after sorting', async () => {
+    getTableClient.mockReturnValue({
+      listEntities: jest.fn().mockReturnValue(rows([
+        delivery('2026-03-01T10:00:00.000Z-aaaaaaaa', { status: 'delivered', attempts: 1 }),
+        delivery('2026-03-01T12:00:00.000Z-cccccccc', { status: 'delivered', attempts: 1 }),
+      ])),
+    });
+
+    const response = await handler(makeRequest({ limit: '1', sessionId: "o'brien" }), context);
+
+    expect(getTableClient().listEntities.mock.calls[0][0].queryOptions.filter)
+      .toBe("PartitionKey eq 'deliveries' and sessionId eq 'o''brien'");
+    expect(response.jsonBody.deliveries.map((d) => d.id)).toEqual(['2026-03-01T12:00:00.000Z-cccccccc']);
+  });
+
+  it('returns 403 for callers without the admin role', async () => {
+    authenticate.mockResolvedValue({ caller: { callerId: 'user-1', isAdmin: false } });
+
+    const response = await handler(makeRequest(), context);
+
+    expect(response.status).toBe(403);
+  });
+
+  it.each([
+    [{ status: 'lost' }, /status must be one of: pending, delivered, failed/],
+    [{ limit: '0' }, /limit must be an integer from 1 to 500/],
+    [{ limit: 'many' }, /limit must be an integer/],
+    [{ webhookId: 'xyz' }, /webhookId must be a webhook ID/],
+  ])('rejects %j with 400', async (params, error) => {
+    const response = await handler(makeRequest(params), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(error);
+  });
+});
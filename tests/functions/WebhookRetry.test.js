@@ -0,0 +1,112 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { timer: jest.fn() },
+}));
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+require('../../src/functions/WebhookRetry/index');
+
+const handler = app.timer.mock.calls[0][1].handler;
+
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const due = (rowKey, webhookId) => ({
+  partitionKey: 'deliveries',
+  rowKey,
+  webhookId,
+  event: 'session.reaped',
+  sessionId: 's1',
+  payload: '{"type":"session.reaped"}',
+  createdAt: '2026-03-01T11:00:00.000Z',
+  status: 'pending',
+  attempts: 1,
+  nextAttemptAt: '2026-03-01T11:00:30.000Z',
+});
+
+// Answers each listEntities call by the partition and status its filter asks for
+const makeTableClient = ({ deliveries = [], webhooks = [], finished = [] }) => ({
+  listEntities: jest.fn(({ queryOptions: { filter } }) => {
+    if (filter.includes("'webhooks'")) return rows(webhooks);
+    if (filter.includes("status eq 'pending'")) return rows(deliveries);
+    return rows(finished);
+  }),
+  updateEntity: jest.fn().mockResolvedValue({}),
+  deleteEntity: jest.fn().mockResolvedValue({}),
+});
+
+describe('WebhookRetry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn().mockResolvedValue({ status: 200 });
+    getSecretClient.mockReturnValue({ getSecret: jest.fn().mockResolvedValue({ value: 'signing-secret-0123456789' }) });
+  });
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  it('retries due deliveries and prunes the old log', async () => {
+    const tableClient = makeTableClient({
+      deliveries: [due('2026-03-01T11:00:00.000Z-aaaaaaaa', '0123456789abcdef')],
+      webhooks: [{ rowKey: '0123456789abcdef', url: 'https://hooks.example.test/vpn', events: '["session.reaped"]' }],
+      finished: [{ rowKey: '2026-02-20T00:00:00.000Z-bbbbbbbb' }],
+    });
+    getTableClient.mockReturnValue(tableClient);
+
+    await handler({}, context);
+
+    expect(fetch).toHaveBeenCalledWith('https://hooks.example.test/vpn', expect.objectContaining({
+      body: '{"type":"session.reaped"}',
+    }));
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ rowKey: '2026-03-01T11:00:00.000Z-aaaaaaaa', status: 'delivered', attempts: 2 }),
+      'Replace'
+    );
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('deliveries', '2026-02-20T00:00:00.000Z-bbbbbbbb');
+    expect(context.log).toHaveBeenCalledWith(
+      expect.stringContaining('Delivered: 1, Pending: 0, Failed: 0, Errors: 0, Pruned: 1')
+    );
+  });
+
+  it('fails deliveries for deleted webhooks without sending them', async () => {
+    const tableClient = makeTableClient({ deliveries: [due('2026-03-01T11:00:00.000Z-aaaaaaaa', 'fedcba9876543210')] });
+    getTableClient.mockReturnValue(tableClient);
+
+    await handler({}, context);
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(tableClient.updateEntity).toHaveBeenCalledWith({
+      partitionKey: 'deliveries',
+      rowKey: '2026-03-01T11:00:00.000Z-aaaaaaaa',
+      status: 'failed',
+      lastError: 'Webhook was deleted',
+    }, 'Merge');
+  });
+
+  it('keeps going when one delivery cannot be recorded', async () => {
+    const tableClient = makeTableClient({
+      deliveries: [due('d-1', '0123456789abcdef'), due('d-2', '0123456789abcdef')],
+      webhooks: [{ rowKey: '0123456789abcdef', url: 'https://hooks.example.test/vpn', events: '["session.reaped"]' }],
+    });
+    tableClient.updateEntity.mockRejectedValueOnce(new Error('table busy'));
+    getTableClient.mockReturnValue(tableClient);
+
+    await handler({}, context);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(context.error).toHaveBeenCalledWith('Failed to retry delivery d-1:', 'table busy');
+    expect(context.log).toHaveBeenCalledWith(expect.stringContaining('Delivered: 1, Pending: 0, Failed: 0, Errors: 1'));
+  });
+});
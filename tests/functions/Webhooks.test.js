@@ -0,0 +1,160 @@
+'use strict';
+
+jest.mock('../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  getSecretClient: jest.fn(),
+  getTableClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+jest.mock('@azure/functions', () => ({
+  app: { http: jest.fn() },
+}));
+
+jest.mock('../../src/functions/shared/auth', () => ({
+  ...jest.requireActual('../../src/functions/shared/auth'),
+  authenticate: jest.fn(),
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = '/nonexistent/jwks.json';
+
+const { app } = require('@azure/functions');
+const { getSecretClient, getTableClient } = require('../../src/functions/shared/azureClient');
+const { authenticate } = require('../../src/functions/shared/auth');
+const { EVENT_TYPES } = require('../../src/functions/shared/webhooks');
+require('../../src/functions/Webhooks/index');
+
+const handler = app.http.mock.calls[0][1].handler;
+
+const makeRequest = (method, body = {}) => ({
+  method,
+  json: () => Promise.resolve(body),
+  query: { get: () => null },
+});
+const context = { error: jest.fn(), warn: jest.fn(), log: jest.fn() };
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+describe('Webhooks', () => {
+  let secretClient;
+  let tableClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authenticate.mockResolvedValue({ caller: { callerId: 'admin-1', isAdmin: true } });
+    secretClient = {
+      setSecret: jest.fn().mockResolvedValue({}),
+      beginDeleteSecret: jest.fn().mockResolvedValue({ pollUntilDone: jest.fn() }),
+    };
+    tableClient = {
+      listEntities: jest.fn().mockReturnValue(rows([{
+        rowKey: '0123456789abcdef',
+        url: 'https://hooks.example.test/vpn',
+        events: '["session.running"]',
+        createdBy: 'admin-1',
+        createdAt: '2026-03-01T00:00:00.000Z',
+      }])),
+      createEntity: jest.fn().mockResolvedValue({}),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    };
+    getSecretClient.mockReturnValue(secretClient);
+    getTableClient.mockReturnValue(tableClient);
+  });
+
+  it('returns 403 for callers without the admin role', async () => {
+    authenticate.mockResolvedValue({ caller: { callerId: 'user-1', isAdmin: false } });
+
+    const response = await handler(makeRequest('GET'), context);
+
+    expect(response.status).toBe(403);
+    expect(tableClient.listEntities).not.toHaveBeenCalled();
+  });
+
+  it('lists subscriptions without their secrets', async () => {
+    const response = await handler(makeRequest('GET'), context);
+
+    expect(response.status).toBe(200);
+    expect(response.jsonBody.webhooks).toEqual([{
+      id: '0123456789abcdef',
+      url: 'https://hooks.example.test/vpn',
+      events: ['session.running'],
+      createdBy: 'admin-1',
+      createdAt: '2026-03-01T00:00:00.000Z',
+    }]);
+  });
+
+  it('creates a subscription to every event with a generated secret kept in Key Vault', async () => {
+    const response = await handler(makeRequest('POST', { url: 'https://hooks.example.test/vpn' }), context);
+
+    expect(response.status).toBe(201);
+    const { id, secret, events } = response.jsonBody;
+    expect(id).toMatch(/^[0-9a-f]{16}$/);
+    expect(secret.length).toBeGreaterThanOrEqual(32);
+    expect(events).toEqual(EVENT_TYPES);
+    expect(secretClient.setSecret).toHaveBeenCalledWith(`webhook-secret-${id}`, secret, { contentType: 'text/plain' });
+    expect(tableClient.createEntity).toHaveBeenCalledWith({
+      partitionKey: 'webhooks',
+      rowKey: id,
+      url: 'https://hooks.example.test/vpn',
+      events: JSON.stringify(EVENT_TYPES),
+      createdBy: 'admin-1',
+      createdAt: expect.any(String),
+    });
+    expect(JSON.stringify(tableClient.createEntity.mock.calls[0][0])).not.toContain(secret);
+  });
+
+  it('stores a caller-supplied secret and event subset', async () => {
+    const response = await handler(makeRequest('POST', {
+      url: 'https://hooks.example.test/vpn',
+      events: ['session.failed', 'session.reaped', 'session.failed'],
+      secret: 'correct-horse-battery-staple',
+    }), context);
+
+    expect(response.status).toBe(201);
+    expect(response.jsonBody.events).toEqual(['session.failed', 'session.reaped']);
+    expect(secretClient.setSecret).toHaveBeenCalledWith(
+      expect.any(String), 'correct-horse-battery-staple', expect.any(Object)
+    );
+  });
+
+  it.each([
+    [{ url: 'http://hooks.example.test/vpn' }, /https URL/],
+    [{ url: 'not a url' }, /https URL/],
+    [{ url: 'https://hooks.example.test', events: ['session.deleted'] }, /events must be a non-empty list/],
+    [{ url: 'https://hooks.example.test', events: [] }, /events must be a non-empty list/],
+    [{ url: 'https://hooks.example.test', secret: 'short' }, /secret must be a string of at least 16/],
+  ])('rejects %j with 400', async (body, error) => {
+    const response = await handler(makeRequest('POST', body), context);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(error);
+    expect(secretClient.setSecret).not.toHaveBeenCalled();
+  });
+
+  it('deletes a subscription and its secret', async () => {
+    const response = await handler(makeRequest('DELETE', { id: '0123456789abcdef' }), context);
+
+    expect(response.status).toBe(200);
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('webhooks', '0123456789abcdef');
+    expect(secretClient.beginDeleteSecret).toHaveBeenCalledWith('webhook-secret-0123456789abcdef');
+  });
+
+  it('returns 404 when deleting an unknown subscription', async () => {
+    tableClient.deleteEntity.mockRejectedValue({ statusCode: 404 });
+
+    const response = await handler(makeRequest('DELETE', { id: 'fedcba9876543210' }), context);
+
+    expect(response.status).toBe(404);
+    expect(secretClient.beginDeleteSecret).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for a malformed id', async () => {
+    const response = await handler(makeRequest('DELETE', { id: '../other' }), context);
+
+    expect(response.status).toBe(400);
+  });
+});
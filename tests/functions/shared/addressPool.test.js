@@ -0,0 +1,266 @@
+'use strict';
+
+const {
+  ipv6ToBigInt,
+  bigIntToIpv6,
+  parseTunnelSubnet,
+  pairedAddressV6,
+  allocatePeerAddress,
+  releasePeerAddress,
+  readPoolBitmap,
+  bitmapAddresses,
+} = require('../../../src/functions/shared/addressPool');
+
+/**
+ * Minimal in-memory TableClient with Table Storage's conflict semantics: createEntity
+ * 409s on an existing key, ETag-conditional updates 412 on a stale ETag.
+ */
+const makeTable = () => {
+  const rows = new Map();
+  let version = 0;
+  const key = (pk, rk) => `${pk}|${rk}`;
+  const conflict = (statusCode) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+  const table = {
+    rows,
+    getEntity: jest.fn(async (pk, rk) => {
+      if (!rows.has(key(pk, rk))) throw conflict(404);
+      return { ...rows.get(key(pk, rk)) };
+    }),
+    createEntity: jest.fn(async (entity) => {
+      // Yield first so concurrent callers interleave between read and write
+      await Promise.resolve();
+      if (rows.has(key(entity.partitionKey, entity.rowKey))) throw conflict(409);
+      rows.set(key(entity.partitionKey, entity.rowKey), { ...entity, etag: `v${++version}` });
+    }),
+    updateEntity: jest.fn(async (entity, _mode, { etag }) => {
+      await Promise.resolve();
+      const current = rows.get(key(entity.partitionKey, entity.rowKey));
+      if (!current) throw conflict(404);
+      if (current.etag !== etag) throw conflict(412);
+      rows.set(key(entity.partitionKey, entity.rowKey), { ...entity, etag: `v${++version}` });
+    }),
+    deleteEntity: jest.fn(async (pk, rk) => {
+      if (!rows.delete(key(pk, rk))) throw conflict(404);
+    }),
+    listEntities: jest.fn(({ queryOptions }) => {
+      const [, pk] = /PartitionKey eq '(\w+)'/.exec(queryOptions.filter);
+      const matches = [...rows.values()].filter((row) => row.partitionKey === pk);
+      return (async function* iterate() {
+        for (const row of matches) yield row;
+      })();
+    }),
+  };
+  return table;
+};
+
+const allocateAll = async (table, pool) => {
+  const addresses = [];
+  for (;;) {
+    const address = await allocatePeerAddress(table, pool, `s${addresses.length}`);
+    if (!address) return addresses;
+    addresses.push(address);
+  }
+};
+
+describe('parseTunnelSubnet', () => {
+  it('derives the network, server address and pool size from the CIDR', () => {
+    expect(parseTunnelSubnet('10.8.0.0/22')).toEqual({
+      subnet: '10.8.0.0/22', network: 0x0a080000, prefix: 22, size: 1024, serverAddress: '10.8.0.1/22', reserved: [], v6: null,
+    });
+  });
+
+  it('normalizes host bits in the configured base address', () => {
+    expect(parseTunnelSubnet('10.8.3.77/22').subnet).toBe('10.8.0.0/22');
+  });
+
+  it('parses reserved addresses, ranges and blocks as offsets', () => {
+    const pool = parseTunnelSubnet('10.8.0.0/24', { reserved: '10.8.0.5, 10.8.0.10-10.8.0.12,10.8.0.128/30' });
+
+    expect(pool.reserved).toEqual([[5, 5], [10, 12], [128, 131]]);
+  });
+
+  it.each([
+    ['10.8.0.0', /between \/16 and \/30/],
+    ['10.8.0.0/31', /between \/16 and \/30/],
+    ['10.0.0.0/8', /between \/16 and \/30/],
+    ['10.8.0.300/24', /Invalid IPv4 address/],
+  ])('rejects %s', (subnet, error) => {
+    expect(() => parseTunnelSubnet(subnet)).toThrow(error);
+  });
+
+  it('rejects reserved ranges outside the subnet', () => {
+    expect(() => parseTunnelSubnet('10.8.0.0/24', { reserved: '10.9.0.1' })).toThrow(/not inside the tunnel subnet/);
+  });
+
+  it('adds an IPv6 server address when dual-stack', () => {
+    const pool = parseTunnelSubnet('10.8.0.0/24', { tunnelSubnetV6: 'FD00:8:0:0::1234/64' });
+
+    expect(pool.v6).toEqual({ subnet: 'fd00:8::/64', network: ipv6ToBigInt('fd00:8::'), prefix: 64, serverAddress: 'fd00:8::1/64' });
+    expect(pool.serverAddress).toBe('10.8.0.1/24, fd00:8::1/64');
+  });
+
+  it('rejects an IPv6 subnet too small to mirror the IPv4 pool', () => {
+    expect(() => parseTunnelSubnet('10.8.0.0/22', { tunnelSubnetV6: 'fd00:8::/120' })).toThrow(/at least as large/);
+  });
+});
+
+describe('IPv6 helpers', () => {
+  it.each([
+    ['::', '::'],
+    ['::1', '::1'],
+    ['fd00:0008:0000:0000:0000:0000:0000:0001', 'fd00:8::1'],
+    ['2001:db8:0:1:0:0:0:1', '2001:db8:0:1::1'],
+    ['2001:0:0:1:0:0:0:1', '2001:0:0:1::1'],
+    ['1:0:2:3:4:5:6:7', '1:0:2:3:4:5:6:7'],
+  ])('formats %s canonically as %s', (input, expected) => {
+    expect(bigIntToIpv6(ipv6ToBigInt(input))).toBe(expected);
+  });
+
+  it.each(['1::2::3', 'fd00:8', '12345::', '1:2:3:4:5:6:7:8::', '10.8.0.1'])('rejects %s', (input) => {
+    expect(() => ipv6ToBigInt(input)).toThrow(/Invalid IPv6 address/);
+  });
+
+  it('pairs each IPv4 peer with the IPv6 address at the same host offset', () => {
+    const pool = parseTunnelSubnet('10.8.0.0/22', { tunnelSubnetV6: 'fd00:8::/64' });
+
+    expect(pairedAddressV6(pool, '10.8.0.2')).toBe('fd00:8::2');
+    expect(pairedAddressV6(pool, '10.8.3.254')).toBe('fd00:8::3fe');
+    expect(pairedAddressV6(parseTunnelSubnet('10.8.0.0/24'), '10.8.0.2')).toBeNull();
+  });
+});
+
+describe('allocatePeerAddress', () => {
+  it('uses the whole of a /22 rather than stopping at the first /24', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/22');
+
+    const addresses = await allocateAll(table, pool);
+
+    // 1024 addresses less network, server and broadcast
+    expect(addresses).toHaveLength(1021);
+    expect(addresses[0]).toBe('10.8.0.2');
+    expect(addresses).toContain('10.8.0.255');
+    expect(addresses).toContain('10.8.1.0');
+    expect(addresses[addresses.length - 1]).toBe('10.8.3.254');
+  });
+
+  it('stays inside a /28 and never hands out its broadcast address', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.16/28');
+
+    const addresses = await allocateAll(table, pool);
+
+    expect(addresses).toEqual(Array.from({ length: 13 }, (_, i) => `10.8.0.${18 + i}`));
+  });
+
+  it('skips reserved ranges', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/29', { reserved: '10.8.0.3-10.8.0.4' });
+
+    expect(await allocateAll(table, pool)).toEqual(['10.8.0.2', '10.8.0.5', '10.8.0.6']);
+  });
+
+  it('keeps allocation state in the bitmap row instead of rescanning addresses', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/24');
+
+    await allocatePeerAddress(table, pool, 'first');
+    table.listEntities.mockClear();
+    const second = await allocatePeerAddress(table, pool, 'second', 'abcd1234');
+
+    expect(second).toBe('10.8.0.3');
+    expect(table.listEntities).not.toHaveBeenCalled();
+    expect(table.rows.get('addresses|10.8.0.3')).toEqual(expect.objectContaining({ sessionId: 'second', peerId: 'abcd1234' }));
+    expect(bitmapAddresses(await readPoolBitmap(table))).toEqual(['10.8.0.2', '10.8.0.3']);
+  });
+
+  it('builds the bitmap from existing addresses rows on first use', async () => {
+    const table = makeTable();
+    await table.createEntity({ partitionKey: 'addresses', rowKey: '10.8.0.2', sessionId: 'legacy' });
+
+    const address = await allocatePeerAddress(table, parseTunnelSubnet('10.8.0.0/24'), 'next');
+
+    expect(address).toBe('10.8.0.3');
+    expect(bitmapAddresses(await readPoolBitmap(table))).toEqual(['10.8.0.2', '10.8.0.3']);
+  });
+
+  it('hands out unique addresses to concurrent callers', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/24');
+
+    const addresses = await Promise.all(
+      Array.from({ length: 5 }, (_, i) => allocatePeerAddress(table, pool, `s${i}`))
+    );
+
+    expect(new Set(addresses).size).toBe(5);
+    expect(bitmapAddresses(await readPoolBitmap(table)).sort()).toEqual([...addresses].sort());
+  });
+
+  it('moves on when an address is locked but missing from the bitmap', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/24');
+    await allocatePeerAddress(table, pool, 'first');
+    // Lock row written by a caller whose bitmap update was later lost
+    await table.createEntity({ partitionKey: 'addresses', rowKey: '10.8.0.3', sessionId: 'drifted' });
+
+    expect(await allocatePeerAddress(table, pool, 'second')).toBe('10.8.0.4');
+    expect(table.rows.get('addresses|10.8.0.3').sessionId).toBe('drifted');
+  });
+
+  it('rescans before reporting exhaustion when the bitmap has stale bits', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/30');
+    await allocatePeerAddress(table, pool, 'first');
+    // Release that dropped the lock row but never cleared the bit
+    await table.deleteEntity('addresses', '10.8.0.2');
+
+    expect(await allocatePeerAddress(table, pool, 'second')).toBe('10.8.0.2');
+  });
+
+  it('returns null when the pool is exhausted', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/30');
+    await allocatePeerAddress(table, pool, 'first');
+
+    expect(await allocatePeerAddress(table, pool, 'second')).toBeNull();
+  });
+});
+
+describe('releasePeerAddress', () => {
+  it('drops the lock row and clears the bit so the address is reused', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/24');
+    await allocatePeerAddress(table, pool, 'a');
+    await allocatePeerAddress(table, pool, 'b');
+
+    await releasePeerAddress(table, '10.8.0.2');
+
+    expect(table.rows.has('addresses|10.8.0.2')).toBe(false);
+    expect(bitmapAddresses(await readPoolBitmap(table))).toEqual(['10.8.0.3']);
+    table.listEntities.mockClear();
+    expect(await allocatePeerAddress(table, pool, 'c')).toBe('10.8.0.2');
+    expect(table.listEntities).not.toHaveBeenCalled();
+  });
+
+  it('clears the bit even when the lock row is already gone', async () => {
+    const table = makeTable();
+    const pool = parseTunnelSubnet('10.8.0.0/24');
+    await allocatePeerAddress(table, pool, 'a');
+    await table.deleteEntity('addresses', '10.8.0.2');
+
+    await releasePeerAddress(table, '10.8.0.2');
+
+    expect(bitmapAddresses(await readPoolBitmap(table))).toEqual([]);
+  });
+
+  it('leaves the bitmap alone for addresses outside the indexed subnet', async () => {
+    const table = makeTable();
+    await allocatePeerAddress(table, parseTunnelSubnet('10.8.0.0/24'), 'a');
+    await table.createEntity({ partitionKey: 'addresses', rowKey: '10.9.0.2', sessionId: 'old-subnet' });
+    table.updateEntity.mockClear();
+
+    await releasePeerAddress(table, '10.9.0.2');
+
+    expect(table.updateEntity).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { generateKeyPairSync, sign } = require('crypto');
+const { mkdtempSync, writeFileSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Local JWKS file stands in for the Entra ID discovery endpoint
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: ecPrivateKey, publicKey: ecPublicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const { privateKey: rogueKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksPath = join(mkdtempSync(join(tmpdir(), 'jwks-')), 'jwks.json');
+writeFileSync(jwksPath, JSON.stringify({
+  keys: [
+    { ...publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' },
+    { ...ecPublicKey.export({ format: 'jwk' }), kid: 'ec-1', use: 'sig' },
+  ],
+}));
+
+process.env.AUTH_ISSUER = 'https://login.example.test/tenant/v2.0';
+process.env.AUTH_AUDIENCE = 'api://az-demand-vpn';
+process.env.AUTH_JWKS_URI = jwksPath;
+
+const { authenticate, canAccessSession } = require('../../../src/functions/shared/auth');
+
+const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+const makeToken = (claims = {}, { alg = 'RS256', kid = 'rsa-1', key = privateKey } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url({ alg, kid, typ: 'JWT' });
+  const payload = b64url({
+    iss: process.env.AUTH_ISSUER,
+    aud: process.env.AUTH_AUDIENCE,
+    oid: 'caller-oid',
+    iat: now,
+    exp: now + 3600,
+    ...claims,
+  });
+  const signature = alg === 'ES256'
+    ? sign('sha256', Buffer.from(`${header}.${payload}`), { key, dsaEncoding: 'ieee-p1363' })
+    : sign('sha256', Buffer.from(`${header}.${payload}`), key);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+};
+
+const makeRequest = (authorization) => ({
+  headers: { get: (name) => (name === 'authorization' ? authorization : null) },
+});
+
+describe('shared/auth', () => {
+  it('accepts a valid RS256 token and derives callerId from oid', async () => {
+    const { caller, response } = await authenticate(makeRequest(`Bearer ${makeToken()}`));
+
+    expect(response).toBeUndefined();
+    expect(caller).toEqual({ callerId: 'caller-oid', isAdmin: false });
+  });
+
+  it('accepts a valid ES256 token and falls back to sub', async () => {
+    const token = makeToken({ oid: undefined, sub: 'caller-sub' }, { alg: 'ES256', kid: 'ec-1', key: ecPrivateKey });
+
+    const { caller } = await authenticate(makeRequest(`Bearer ${token}`));
+
+    expect(caller.callerId).toBe('caller-sub');
+  });
+
+  it('grants admin when the roles claim includes the admin role', async () => {
+    const { caller } = await authenticate(makeRequest(`Bearer ${makeToken({ roles: ['VPN.Admin'] })}`));
+
+    expect(caller.isAdmin).toBe(true);
+  });
+
+  it.each([
+    ['missing header', undefined, /Bearer token required/],
+    ['wrong audience', `Bearer ${makeToken({ aud: 'api://other' })}`, /audience/],
+    ['wrong issuer', `Bearer ${makeToken({ iss: 'https://evil.example' })}`, /issuer/],
+    ['expired token', `Bearer ${makeToken({ exp: Math.floor(Date.now() / 1000) - 600 })}`, /expired/],
+    ['not-yet-valid token', `Bearer ${makeToken({ nbf: Math.floor(Date.now() / 1000) + 600 })}`, /not yet valid/],
+    ['forged signature', `Bearer ${makeToken({}, { key: rogueKey })}`, /signature/],
+    ['unknown kid', `Bearer ${makeToken({}, { kid: 'rotated-away' })}`, /key not found/],
+    ['alg none', `Bearer ${b64url({ alg: 'none' })}.${b64url({})}.`, /Unsupported/],
+    ['garbage', 'Bearer not.a.jwt', /Malformed/],
+    ['null segments', 'Bearer bnVsbA.bnVsbA.x', /Malformed/],
+  ])('returns 401 for %s', async (_label, header, message) => {
+    const { caller, response } = await authenticate(makeRequest(header));
+
+    expect(caller).toBeUndefined();
+    expect(response.status).toBe(401);
+    expect(response.headers['WWW-Authenticate']).toMatch(/^Bearer /);
+    expect(JSON.parse(response.body).error).toMatch(message);
+  });
+
+  it('keeps the token algorithm out of the WWW-Authenticate header', async () => {
+    const alg = 'x"\r\nSet-Cookie: a=b';
+
+    const { response } = await authenticate(makeRequest(`Bearer ${b64url({ alg })}.${b64url({})}.`));
+
+    expect(response.status).toBe(401);
+    expect(response.headers['WWW-Authenticate']).not.toMatch(/[\r\n]|Set-Cookie/);
+    expect(JSON.parse(response.body).error).toBe('Unsupported token algorithm');
+  });
+
+  it('limits session access to the owner or an admin', () => {
+    expect(canAccessSession({ callerId: 'a', isAdmin: false }, { callerId: 'a' })).toBe(true);
+    expect(canAccessSession({ callerId: 'a', isAdmin: false }, { callerId: 'b' })).toBe(false);
+    expect(canAccessSession({ callerId: 'a', isAdmin: false }, null)).toBe(false);
+    expect(canAccessSession({ callerId: 'a', isAdmin: true }, { callerId: 'b' })).toBe(true);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const {
+  parseClientConfig,
+  renderNetworkManagerKeyfile,
+  tunnelName,
+  clientConfigResponse,
+} = require('../../../src/functions/shared/clientConfigFormats');
+
+const dualStackConfig = [
+  '[Interface]',
+  'PrivateKey = yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=',
+  'Address = 10.8.0.2/32, fd00:8::2/128',
+  'DNS = 1.1.1.1, 2606:4700:4700::1111',
+  'MTU = 1380',
+  '',
+  '[Peer]',
+  'PublicKey = xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=',
+  'Endpoint = 20.51.123.45:51820',
+  'AllowedIPs = 0.0.0.0/0, ::/0',
+  'PersistentKeepalive = 25',
+].join('\n');
+
+describe('parseClientConfig', () => {
+  it('maps [Interface] and [Peer] keys to structured fields', () => {
+    expect(parseClientConfig(dualStackConfig)).toEqual({
+      interface: {
+        privateKey: 'yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=',
+        addresses: ['10.8.0.2/32', 'fd00:8::2/128'],
+        dns: ['1.1.1.1', '2606:4700:4700::1111'],
+        mtu: 1380,
+      },
+      peers: [{
+        publicKey: 'xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=',
+        endpoint: '20.51.123.45:51820',
+        allowedIps: ['0.0.0.0/0', '::/0'],
+        persistentKeepalive: 25,
+      }],
+    });
+  });
+
+  it('reads the preshared key of a PSK session', () => {
+    const psk = Buffer.alloc(32, 3).toString('base64');
+    const parsed = parseClientConfig(dualStackConfig.replace('Endpoint', `PresharedKey = ${psk}\nEndpoint`));
+
+    expect(parsed.peers[0].presharedKey).toBe(psk);
+  });
+
+  it('skips comments, including the BYOK private key placeholder', () => {
+    const parsed = parseClientConfig('[Interface]\n# PrivateKey = <private key matching your public key>\nAddress=10.8.0.3/32');
+
+    expect(parsed.interface).toEqual({ addresses: ['10.8.0.3/32'] });
+    expect(parsed.peers).toEqual([]);
+  });
+});
+
+describe('renderNetworkManagerKeyfile', () => {
+  it('splits addresses and DNS per family and carries peer settings', () => {
+    const keyfile = renderNetworkManagerKeyfile(parseClientConfig(dualStackConfig), 'vpn-abc');
+
+    expect(keyfile).toContain('[connection]\nid=vpn-abc\ntype=wireguard\ninterface-name=vpn-abc\n');
+    expect(keyfile).toContain('[wireguard]\nprivate-key=yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=\nmtu=1380\n');
+    expect(keyfile).toContain([
+      '[wireguard-peer.xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=]',
+      'endpoint=20.51.123.45:51820',
+      'allowed-ips=0.0.0.0/0;::/0;',
+      'persistent-keepalive=25',
+    ].join('\n'));
+    expect(keyfile).toContain('[ipv4]\naddress1=10.8.0.2/32\ndns=1.1.1.1;\nmethod=manual\n');
+    expect(keyfile).toContain('[ipv6]\naddress1=fd00:8::2/128\ndns=2606:4700:4700::1111;\nmethod=manual\n');
+  });
+
+  it('stores the preshared key in the peer section', () => {
+    const psk = Buffer.alloc(32, 3).toString('base64');
+    const parsed = parseClientConfig(dualStackConfig.replace('Endpoint', `PresharedKey = ${psk}\nEndpoint`));
+
+    const keyfile = renderNetworkManagerKeyfile(parsed, 'vpn-abc');
+
+    expect(keyfile).toContain([
+      '[wireguard-peer.xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=]',
+      `preshared-key=${psk}`,
+      'preshared-key-flags=0',
+      'endpoint=20.51.123.45:51820',
+    ].join('\n'));
+  });
+
+  it('disables IPv6 for IPv4-only tunnels and leaves a placeholder for BYOK keys', () => {
+    const keyfile = renderNetworkManagerKeyfile(parseClientConfig('[Interface]\nAddress = 10.8.0.3/32\n'), 'vpn-abc');
+
+    expect(keyfile).toContain('# private-key=<private key matching your public key>');
+    expect(keyfile).not.toContain('mtu=');
+    expect(keyfile).toContain('[ipv6]\nmethod=disabled\n');
+  });
+});
+
+describe('tunnelName', () => {
+  it('keeps names within the 15 character interface limit', () => {
+    expect(tunnelName('vpn-1718900000000-x1y2z3')).toBe('vpn-17189000000');
+    expect(tunnelName('vpn-1718900000-abcd')).toBe('vpn-1718900000');
+    expect(tunnelName('multi-session', 'ab12cd34')).toBe('multi-ab12cd34');
+    expect(tunnelName('vpn-1718900000000-x1y2z3', 'ab12cd34')).toBe('vpn-17-ab12cd34');
+  });
+});
+
+describe('clientConfigResponse', () => {
+  it('serves attachments with a file name and headers that keep key material out of caches', () => {
+    const response = clientConfigResponse(dualStackConfig, 'conf', 'vpn-abc');
+
+    expect(response.headers).toEqual({
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      Pragma: 'no-cache',
+      Expires: '0',
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="vpn-abc.conf"',
+    });
+    expect(response.body).toBe(`${dualStackConfig}\n`);
+  });
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+jest.mock('../../../src/functions/shared/azureClient', () => ({
+  getContainerClient: jest.fn(),
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+const { getContainerClient } = require('../../../src/functions/shared/azureClient');
+const {
+  createAciProvider, createMemoryProvider, getComputeProvider,
+} = require('../../../src/functions/shared/compute');
+const { detectFailure } = require('../../../src/functions/shared/sessionState');
+
+const loadCompute = (env = {}) => {
+  let compute;
+  jest.isolateModules(() => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      compute = require('../../../src/functions/shared/compute');
+    } finally {
+      process.env = saved;
+    }
+  });
+  return compute;
+};
+
+const spec = () => ({
+  location: 'eastus2',
+  properties: {
+    containers: [{
+      name: 'vpn-server',
+      properties: {
+        image: 'acr.example/wg:1',
+        environmentVariables: [
+          { name: 'WG_SERVER_PRIVATE_KEY', secureValue: 'server-key' },
+          { name: 'WG_PEER_PUBLIC_KEY', value: 'peer-key' },
+        ],
+      },
+    }],
+    ipAddress: { type: 'Public', ports: [{ protocol: 'UDP', port: 51820 }], dnsNameLabel: 'vpn-sess' },
+  },
+});
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('createMemoryProvider', () => {
+  let clock;
+  const now = () => clock;
+  beforeEach(() => { clock = Date.parse('2026-03-01T12:00:00.000Z'); });
+
+  it('reads Creating until the provisioning delay has passed, then Running with an IP', async () => {
+    const compute = createMemoryProvider({ provisioningSeconds: 30, failureRate: 0, now });
+    await compute.create('test-rg', 'vpn-sess', spec());
+
+    const creating = await compute.get('test-rg', 'vpn-sess');
+    expect(creating.name).toBe('vpn-sess');
+    expect(creating.properties.provisioningState).toBe('Creating');
+    expect(creating.properties.ipAddress.ip).toBeUndefined();
+
+    clock += 30000;
+    const running = await compute.get('test-rg', 'vpn-sess');
+    expect(running.properties.provisioningState).toBe('Succeeded');
+    expect(running.properties.ipAddress.ip).toMatch(/^203\.0\.113\.\d+$/);
+    expect(running.properties.ipAddress.fqdn).toBe('vpn-sess.eastus2.azurecontainer.io');
+    expect(running.properties.containers[0].properties.instanceView.currentState).toEqual({
+      state: 'Running', startTime: '2026-03-01T12:00:30.000Z', detailStatus: '',
+    });
+    expect(detectFailure(running, { status: 'Provisioning', createdAt: '2026-03-01T12:00:00.000Z' }, clock)).toBeNull();
+  });
+
+  it('never reads secure environment values back, as ACI does not', async () => {
+    const compute = createMemoryProvider({ provisioningSeconds: 0, now });
+    await compute.create('test-rg', 'vpn-sess', spec());
+
+    const group = await compute.get('test-rg', 'vpn-sess');
+    expect(group.properties.containers[0].properties.environmentVariables).toEqual([
+      { name: 'WG_SERVER_PRIVATE_KEY' },
+      { name: 'WG_PEER_PUBLIC_KEY', value: 'peer-key' },
+    ]);
+  });
+
+  it('fails the share of groups drawn by the failure rate the way detectFailure recognizes', async () => {
+    const compute = createMemoryProvider({ provisioningSeconds: 10, failureRate: 0.25, random: () => 0.2, now });
+    await compute.create('test-rg', 'vpn-sess', spec());
+    clock += 10000;
+
+    const group = await compute.get('test-rg', 'vpn-sess');
+    expect(group.properties.provisioningState).toBe('Failed');
+    expect(group.properties.ipAddress.ip).toBeUndefined();
+    expect(detectFailure(group, { status: 'Provisioning' }, clock)).toEqual({
+      reason: 'provisioning_failed', message: 'Simulated provisioning failure (VPN_LOCAL_FAILURE_RATE)',
+    });
+  });
+
+  it('restarts provisioning on a recreate and keeps the IP', async () => {
+    const compute = createMemoryProvider({ provisioningSeconds: 10, failureRate: 0, now });
+    await compute.create('test-rg', 'vpn-sess', spec());
+    clock += 10000;
+    const before = await compute.get('test-rg', 'vpn-sess');
+
+    await compute.create('test-rg', 'vpn-sess', before);
+    expect((await compute.get('test-rg', 'vpn-sess')).properties.provisioningState).toBe('Creating');
+    clock += 10000;
+    const after = await compute.get('test-rg', 'vpn-sess');
+    expect(after.properties.ipAddress.ip).toBe(before.properties.ipAddress.ip);
+    expect(after.properties.containers[0].properties.instanceView.currentState.startTime)
+      .toBe('2026-03-01T12:00:20.000Z');
+  });
+
+  it('answers 404 for unknown and deleted groups, and deletes idempotently', async () => {
+    const compute = createMemoryProvider({ now });
+    await expect(compute.get('test-rg', 'vpn-missing')).rejects.toMatchObject({ statusCode: 404 });
+
+    await compute.create('test-rg', 'vpn-sess', spec());
+    await compute.delete('test-rg', 'vpn-sess');
+    await expect(compute.get('test-rg', 'vpn-sess')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(compute.delete('test-rg', 'vpn-sess')).resolves.toBeUndefined();
+  });
+
+  it('lists the groups of one resource group', async () => {
+    const compute = createMemoryProvider({ now });
+    await compute.create('test-rg', 'vpn-a', spec());
+    await compute.create('weu-rg', 'vpn-b', spec());
+
+    expect((await collect(compute.list('test-rg'))).map((group) => group.name)).toEqual(['vpn-a']);
+    expect((await collect(compute.list('weu-rg'))).map((group) => group.name)).toEqual(['vpn-b']);
+  });
+});
+
+describe('createAciProvider', () => {
+  const makeContainerClient = () => {
+    const poller = { pollUntilDone: jest.fn().mockResolvedValue({}) };
+    return {
+      poller,
+      containerGroups: {
+        get: jest.fn().mockResolvedValue({ name: 'vpn-sess' }),
+        beginCreateOrUpdate: jest.fn().mockResolvedValue(poller),
+        beginDelete: jest.fn().mockResolvedValue(poller),
+        listByResourceGroup: jest.fn(() => (async function* () { yield { name: 'vpn-sess' }; })()),
+      },
+    };
+  };
+
+  it('accepts a create without waiting for the rollout', async () => {
+    const containerClient = makeContainerClient();
+    await createAciProvider(containerClient).create('test-rg', 'vpn-sess', spec());
+
+    expect(containerClient.containerGroups.beginCreateOrUpdate).toHaveBeenCalledWith('test-rg', 'vpn-sess', spec());
+    expect(containerClient.poller.pollUntilDone).not.toHaveBeenCalled();
+  });
+
+  it('waits for a delete to finish', async () => {
+    const containerClient = makeContainerClient();
+    await createAciProvider(containerClient).delete('test-rg', 'vpn-sess');
+
+    expect(containerClient.containerGroups.beginDelete).toHaveBeenCalledWith('test-rg', 'vpn-sess');
+    expect(containerClient.poller.pollUntilDone).toHaveBeenCalled();
+  });
+
+  it('reads and lists container groups', async () => {
+    const containerClient = makeContainerClient();
+    const compute = createAciProvider(containerClient);
+
+    expect(await compute.get('test-rg', 'vpn-sess')).toEqual({ name: 'vpn-sess' });
+    expect(await collect(compute.list('test-rg'))).toEqual([{ name: 'vpn-sess' }]);
+    expect(containerClient.containerGroups.listByResourceGroup).toHaveBeenCalledWith('test-rg');
+  });
+});
+
+describe('getComputeProvider', () => {
+  it('wraps the ACI client by default', async () => {
+    const containerClient = { containerGroups: { get: jest.fn().mockResolvedValue({ name: 'vpn-sess' }) } };
+    getContainerClient.mockReturnValue(containerClient);
+
+    await getComputeProvider().get('test-rg', 'vpn-sess');
+
+    expect(containerClient.containerGroups.get).toHaveBeenCalledWith('test-rg', 'vpn-sess');
+  });
+
+  it('shares one in-memory provider across invocations', async () => {
+    const local = loadCompute({ VPN_COMPUTE_PROVIDER: 'memory' });
+    await local.getComputeProvider().create('test-rg', 'vpn-sess', spec());
+
+    expect(local.getComputeProvider()).toBe(local.getComputeProvider());
+    expect((await local.getComputeProvider().get('test-rg', 'vpn-sess')).name).toBe('vpn-sess');
+  });
+
+  it.each([
+    [{ VPN_COMPUTE_PROVIDER: 'docker' }, /VPN_COMPUTE_PROVIDER must be one of: aci, memory/],
+    [{ VPN_LOCAL_FAILURE_RATE: '1.5' }, /VPN_LOCAL_FAILURE_RATE must be a number from 0 to 1/],
+    [{ VPN_LOCAL_PROVISIONING_SECONDS: 'soon' }, /VPN_LOCAL_PROVISIONING_SECONDS must be a non-negative number/],
+  ])('fails fast on %j', (env, error) => {
+    expect(() => loadCompute(env)).toThrow(error);
+  });
+});
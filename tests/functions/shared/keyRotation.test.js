@@ -0,0 +1,350 @@
+'use strict';
+
+jest.mock('../../../src/functions/shared/azureClient', () => ({
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+const {
+  withRotatedKeys,
+  rotateSessionKeys,
+  rotationApplied,
+  refreshPeerConfigs,
+  graceElapsed,
+  retirePreviousVersions,
+  rotationDue,
+} = require('../../../src/functions/shared/keyRotation');
+const { openSealedBox } = require('../../../src/functions/shared/sealedBox');
+const { generateWireGuardKeyPair, deriveDevicePresharedKey } = require('../../../src/functions/shared/wireguard');
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const now = Date.parse('2026-03-01T12:00:00.000Z');
+const warn = jest.fn();
+
+const deployedGroup = () => ({
+  location: 'eastus',
+  tags: { purpose: 'vpn' },
+  properties: {
+    osType: 'Linux',
+    provisioningState: 'Succeeded',
+    containers: [{
+      name: 'wireguard',
+      properties: {
+        image: 'wg:latest',
+        environmentVariables: [
+          { name: 'WG_SERVER_PRIVATE_KEY' },
+          { name: 'WG_PEER_PUBLIC_KEY', value: 'old-peer-key' },
+          { name: 'WG_PORT', value: '51820' },
+        ],
+      },
+    }],
+  },
+});
+
+const sessionRow = (fields = {}) => ({
+  partitionKey: 'sessions', rowKey: 'sess', status: 'Running', etag: 'e1',
+  clientKeySource: 'generated', clientPublicKey: 'old-peer-key', createdAt: '2026-03-01T08:00:00.000Z',
+  ...fields,
+});
+
+const makeClients = ({ peers = [], group = deployedGroup(), createError } = {}) => ({
+  compute: {
+    get: jest.fn().mockResolvedValue(group),
+    create: createError ? jest.fn().mockRejectedValue(createError) : jest.fn().mockResolvedValue(),
+  },
+  secretClient: {
+    getSecret: jest.fn((name) => Promise.resolve({ name, value: `old-${name}`, properties: { version: `v-${name}` } })),
+    setSecret: jest.fn().mockResolvedValue({}),
+    updateSecretProperties: jest.fn().mockResolvedValue({}),
+  },
+  tableClient: {
+    listEntities: jest.fn(() => rows(peers)),
+    getEntity: jest.fn().mockResolvedValue(sessionRow({ status: 'Rotating', etag: 'e2' })),
+    updateEntity: jest.fn().mockResolvedValue({}),
+  },
+});
+
+describe('withRotatedKeys', () => {
+  it('replaces the server key and peer key and keeps everything else', () => {
+    const group = withRotatedKeys(deployedGroup(), 'new-server', 'new-peer');
+
+    expect(group.location).toBe('eastus');
+    expect(group.properties.osType).toBe('Linux');
+    expect(group.properties.containers[0].properties.image).toBe('wg:latest');
+    expect(group.properties.containers[0].properties.environmentVariables).toEqual([
+      { name: 'WG_SERVER_PRIVATE_KEY', secureValue: 'new-server' },
+      { name: 'WG_PEER_PUBLIC_KEY', value: 'new-peer' },
+      { name: 'WG_PORT', value: '51820' },
+    ]);
+  });
+});
+
+describe('rotateSessionKeys', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('claims the session, writes new keys and recreates the group', async () => {
+    const clients = makeClients({ peers: [{ sessionId: 'sess', peerId: 'ab12cd34' }] });
+
+    const result = await rotateSessionKeys(clients, sessionRow({ keyVersion: 2 }), {}, warn, now);
+
+    expect(result).toEqual({ keyVersion: 3 });
+    const [claim, mode, options] = clients.tableClient.updateEntity.mock.calls[0];
+    expect(claim).toMatchObject({ status: 'Rotating', keyVersion: 3, keysRotatedAt: '2026-03-01T12:00:00.000Z' });
+    expect(claim.clientPublicKey).not.toBe('old-peer-key');
+    expect(JSON.parse(claim.previousSecretVersions)).toEqual([
+      { name: 'wg-server-key-sess', version: 'v-wg-server-key-sess' },
+      { name: 'wg-client-key-sess', version: 'v-wg-client-key-sess' },
+      { name: 'wg-peer-config-sess', version: 'v-wg-peer-config-sess' },
+      { name: 'wg-device-config-sess-ab12cd34', version: 'v-wg-device-config-sess-ab12cd34' },
+    ]);
+    expect(mode).toBe('Merge');
+    expect(options).toEqual({ etag: 'e1' });
+
+    const written = clients.secretClient.setSecret.mock.calls.map(([name]) => name);
+    expect(written).toEqual(['wg-server-key-sess', 'wg-client-key-sess']);
+    const { create } = clients.compute;
+    const [resourceGroup, name, group] = create.mock.calls[0];
+    expect([resourceGroup, name]).toEqual(['test-rg', 'vpn-sess']);
+    const env = group.properties.containers[0].properties.environmentVariables;
+    expect(env).toContainEqual({ name: 'WG_PEER_PUBLIC_KEY', value: claim.clientPublicKey });
+  });
+
+  it('replaces the preshared key of a PSK session, which ACI never reads back', async () => {
+    const clients = makeClients({ peers: [{ sessionId: 'sess', peerId: 'ab12cd34', usesPresharedKey: true }] });
+    const group = deployedGroup();
+    group.properties.containers[0].properties.environmentVariables.push({ name: 'WG_PEER_PRESHARED_KEY' });
+    clients.compute.get.mockResolvedValue(group);
+
+    await rotateSessionKeys(clients, sessionRow({ usesPresharedKey: true }), {}, warn, now);
+
+    const pskCall = clients.secretClient.setSecret.mock.calls.find(([name]) => name === 'wg-psk-sess');
+    expect(Buffer.from(pskCall[1], 'base64')).toHaveLength(32);
+    expect(JSON.parse(clients.tableClient.updateEntity.mock.calls[0][0].previousSecretVersions))
+      .toContainEqual({ name: 'wg-psk-sess', version: 'v-wg-psk-sess' });
+    expect(JSON.parse(clients.tableClient.updateEntity.mock.calls[0][0].previousSecretVersions))
+      .toContainEqual({ name: 'wg-device-psk-sess-ab12cd34', version: 'v-wg-device-psk-sess-ab12cd34' });
+    const [, , recreated] = clients.compute.create.mock.calls[0];
+    expect(recreated.properties.containers[0].properties.environmentVariables)
+      .toContainEqual({ name: 'WG_PEER_PRESHARED_KEY', secureValue: pskCall[1] });
+  });
+
+  it('seals the new config of a sealed session instead of storing the client key', async () => {
+    const recipient = generateWireGuardKeyPair();
+    const clients = makeClients();
+    const row = sessionRow({ configRecipientKey: recipient.publicKey, peerAddress: '10.8.0.2', location: 'westeurope' });
+
+    await rotateSessionKeys(clients, row, {}, warn, now);
+
+    const written = Object.fromEntries(clients.secretClient.setSecret.mock.calls.map(([name, value]) => [name, value]));
+    expect(Object.keys(written)).toEqual(['wg-server-key-sess', 'wg-peer-config-sess']);
+    const config = openSealedBox(recipient.privateKey, written['wg-peer-config-sess']);
+    expect(config).toMatch(/^PrivateKey = /m);
+    expect(config).toContain('Endpoint = vpn-sess.westeurope.azurecontainer.io:51820');
+    expect(JSON.parse(clients.tableClient.updateEntity.mock.calls[0][0].previousSecretVersions).map(({ name }) => name))
+      .toEqual(['wg-server-key-sess', 'wg-peer-config-sess']);
+  });
+
+  it('keeps a bring-your-own key unless a new one is supplied', async () => {
+    const clients = makeClients();
+
+    const row = sessionRow({ clientKeySource: 'provided' });
+    await rotateSessionKeys(clients, row, { clientPublicKey: 'new-byok' }, warn, now);
+
+    expect(clients.tableClient.updateEntity.mock.calls[0][0].clientPublicKey).toBe('new-byok');
+    expect(clients.secretClient.setSecret.mock.calls.map(([name]) => name)).toEqual(['wg-server-key-sess']);
+  });
+
+  it('reports a conflict without touching secrets when the row changed', async () => {
+    const clients = makeClients();
+    clients.tableClient.updateEntity.mockRejectedValueOnce({ statusCode: 412 });
+
+    const result = await rotateSessionKeys(clients, sessionRow(), {}, warn, now);
+
+    expect(result).toEqual({ conflict: true });
+    expect(clients.secretClient.setSecret).not.toHaveBeenCalled();
+    expect(clients.compute.create).not.toHaveBeenCalled();
+  });
+
+  it('restores the old secrets and returns the session to Running when the recreate fails', async () => {
+    const clients = makeClients({ createError: new Error('quota exceeded') });
+
+    await expect(rotateSessionKeys(clients, sessionRow(), {}, warn, now)).rejects.toThrow('quota exceeded');
+
+    expect(clients.secretClient.setSecret).toHaveBeenCalledWith(
+      'wg-server-key-sess', 'old-wg-server-key-sess', { contentType: 'text/plain' }
+    );
+    expect(clients.secretClient.setSecret).toHaveBeenCalledWith(
+      'wg-client-key-sess', 'old-wg-client-key-sess', { contentType: 'text/plain' }
+    );
+    expect(clients.tableClient.updateEntity).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        status: 'Running', keyVersion: 1, clientPublicKey: 'old-peer-key', previousSecretVersions: '',
+      }),
+      'Merge',
+      { etag: 'e2' }
+    );
+  });
+});
+
+describe('rotationApplied', () => {
+  const row = sessionRow({ status: 'Rotating', keysRotatedAt: '2026-03-01T12:00:00.000Z' });
+  const groupStarted = (startTime, provisioningState = 'Succeeded') => ({
+    properties: {
+      provisioningState,
+      containers: [{ properties: { instanceView: { currentState: { state: 'Running', startTime } } } }],
+    },
+  });
+
+  it('is true once a container started after the rotation is running', () => {
+    expect(rotationApplied(groupStarted('2026-03-01T12:01:00Z'), row)).toBe(true);
+  });
+
+  it('is false while the replaced container is still the one reported', () => {
+    expect(rotationApplied(groupStarted('2026-03-01T08:00:00Z'), row)).toBe(false);
+  });
+
+  it('is false until the group has provisioned', () => {
+    expect(rotationApplied(groupStarted('2026-03-01T12:01:00Z', 'Updating'), row)).toBe(false);
+  });
+});
+
+describe('refreshPeerConfigs', () => {
+  const { privateKey: serverPrivateKey, publicKey: serverPublicKey } = generateWireGuardKeyPair();
+  const server = { serverPrivateKey, endpoint: '5.6.7.8:51820' };
+  beforeEach(() => jest.clearAllMocks());
+
+  it('re-keys generated devices and rewrites every device config', async () => {
+    const clients = makeClients({
+      peers: [
+        { sessionId: 'sess', peerId: 'aaaaaaaa', peerAddress: '10.8.0.3', keySource: 'generated', etag: 'p1' },
+        { sessionId: 'sess', peerId: 'bbbbbbbb', peerAddress: '10.8.0.4', keySource: 'provided', etag: 'p2' },
+      ],
+    });
+
+    await refreshPeerConfigs(clients, sessionRow(), server, warn);
+
+    const configs = Object.fromEntries(clients.secretClient.setSecret.mock.calls.map(([name, value]) => [name, value]));
+    expect(configs['wg-device-config-sess-aaaaaaaa']).toMatch(/PrivateKey = [A-Za-z0-9+/]{43}=/);
+    expect(configs['wg-device-config-sess-aaaaaaaa']).toContain('Endpoint = 5.6.7.8:51820');
+    expect(configs['wg-device-config-sess-bbbbbbbb']).toContain(`PublicKey = ${serverPublicKey}`);
+    expect(configs['wg-device-config-sess-bbbbbbbb']).not.toContain('PresharedKey');
+    expect(clients.tableClient.updateEntity).toHaveBeenCalledTimes(1);
+    expect(clients.tableClient.updateEntity).toHaveBeenCalledWith(
+      { partitionKey: 'peers', rowKey: 'sess_aaaaaaaa', publicKey: expect.any(String) }, 'Merge', { etag: 'p1' }
+    );
+  });
+
+  it('stores and renders the preshared key derived from the new server key', async () => {
+    const clients = makeClients({
+      peers: [{
+        sessionId: 'sess', peerId: 'aaaaaaaa', peerAddress: '10.8.0.3', keySource: 'provided', usesPresharedKey: true,
+      }],
+    });
+
+    await refreshPeerConfigs(clients, sessionRow({ usesPresharedKey: true }), server, warn);
+
+    const psk = deriveDevicePresharedKey(serverPrivateKey, 'aaaaaaaa');
+    const configs = Object.fromEntries(clients.secretClient.setSecret.mock.calls.map(([name, value]) => [name, value]));
+    expect(configs['wg-device-psk-sess-aaaaaaaa']).toBe(psk);
+    expect(configs['wg-device-config-sess-aaaaaaaa']).toContain(`PresharedKey = ${psk}`);
+  });
+
+  it.each([404, 412])('skips a generated device whose row is gone or changed (%i)', async (statusCode) => {
+    const clients = makeClients({
+      peers: [{ sessionId: 'sess', peerId: 'aaaaaaaa', peerAddress: '10.8.0.3', keySource: 'generated', etag: 'p1' }],
+    });
+    clients.tableClient.updateEntity.mockRejectedValueOnce({ statusCode });
+
+    await refreshPeerConfigs(clients, sessionRow(), server, warn);
+
+    expect(clients.secretClient.setSecret).not.toHaveBeenCalled();
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('warns and carries on when one device cannot be refreshed', async () => {
+    const clients = makeClients({
+      peers: [
+        { sessionId: 'sess', peerId: 'aaaaaaaa', peerAddress: '10.8.0.3', keySource: 'provided' },
+        { sessionId: 'sess', peerId: 'bbbbbbbb', peerAddress: '10.8.0.4', keySource: 'provided' },
+      ],
+    });
+    clients.secretClient.setSecret.mockRejectedValueOnce(new Error('throttled'));
+
+    await refreshPeerConfigs(clients, sessionRow(), server, warn);
+
+    expect(clients.secretClient.setSecret).toHaveBeenCalledTimes(2);
+    expect(warn).toHaveBeenCalledWith('Could not refresh config for peer aaaaaaaa on sess:', 'throttled');
+  });
+});
+
+describe('graceElapsed', () => {
+  const rotated = (fields) => sessionRow({
+    keysRotatedAt: '2026-03-01T10:00:00.000Z', previousSecretVersions: '[{"name":"a","version":"1"}]', ...fields,
+  });
+
+  it('is true an hour after a finished rotation', () => {
+    expect(graceElapsed(rotated(), now)).toBe(true);
+  });
+
+  it('is false inside the grace period', () => {
+    expect(graceElapsed(rotated({ keysRotatedAt: '2026-03-01T11:30:00.000Z' }), now)).toBe(false);
+  });
+
+  it('is false while the rotation is still in progress', () => {
+    expect(graceElapsed(rotated({ status: 'Rotating' }), now)).toBe(false);
+  });
+
+  it('is false with nothing to retire', () => {
+    expect(graceElapsed(rotated({ previousSecretVersions: '' }), now)).toBe(false);
+  });
+});
+
+describe('retirePreviousVersions', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('disables each superseded version, skipping deleted ones, and clears the list', async () => {
+    const clients = makeClients();
+    clients.secretClient.updateSecretProperties
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce({ statusCode: 404 });
+    const row = sessionRow({
+      previousSecretVersions: JSON.stringify([{ name: 'a', version: '1' }, { name: 'b', version: '2' }]),
+    });
+
+    const disabled = await retirePreviousVersions(clients, row);
+
+    expect(disabled).toBe(1);
+    expect(clients.secretClient.updateSecretProperties).toHaveBeenCalledWith('a', '1', { enabled: false });
+    expect(clients.secretClient.updateSecretProperties).toHaveBeenCalledWith('b', '2', { enabled: false });
+    expect(clients.tableClient.updateEntity).toHaveBeenCalledWith(
+      { partitionKey: 'sessions', rowKey: 'sess', previousSecretVersions: '' }, 'Merge', { etag: 'e1' }
+    );
+  });
+});
+
+describe('rotationDue', () => {
+  it('is off unless VPN_KEY_ROTATION_INTERVAL_HOURS is set', () => {
+    expect(rotationDue(sessionRow({ createdAt: '2025-01-01T00:00:00.000Z' }), now)).toBe(false);
+  });
+
+  it('counts from the last rotation, else from creation', () => {
+    let scheduled;
+    jest.isolateModules(() => {
+      process.env.VPN_KEY_ROTATION_INTERVAL_HOURS = '24';
+      try {
+        ({ rotationDue: scheduled } = require('../../../src/functions/shared/keyRotation'));
+      } finally {
+        delete process.env.VPN_KEY_ROTATION_INTERVAL_HOURS;
+      }
+    });
+
+    expect(scheduled(sessionRow({ createdAt: '2026-02-28T11:00:00.000Z' }), now)).toBe(true);
+    expect(scheduled(sessionRow({ createdAt: '2026-02-28T13:00:00.000Z' }), now)).toBe(false);
+    expect(scheduled(sessionRow({
+      createdAt: '2026-02-20T00:00:00.000Z', keysRotatedAt: '2026-03-01T00:00:00.000Z',
+    }), now)).toBe(false);
+    expect(scheduled(sessionRow({ createdAt: '2026-02-28T11:00:00.000Z', protocol: 'openvpn' }), now)).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { createTableOnFirstUse } = require('../../../src/functions/shared/localTable');
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const makeTableClient = () => {
+  const calls = [];
+  return {
+    calls,
+    createTable: jest.fn(async () => { calls.push('createTable'); }),
+    getEntity: jest.fn(async (partitionKey, rowKey) => { calls.push('getEntity'); return { partitionKey, rowKey }; }),
+    createEntity: jest.fn().mockResolvedValue({}),
+    updateEntity: jest.fn().mockResolvedValue({}),
+    deleteEntity: jest.fn().mockResolvedValue({}),
+    listEntities: jest.fn(() => {
+      calls.push('listEntities');
+      return Object.assign(rows([{ rowKey: 'a' }, { rowKey: 'b' }]), {
+        byPage: () => rows([Object.assign([{ rowKey: 'a' }], { continuationToken: 'next' })]),
+      });
+    }),
+  };
+};
+
+describe('createTableOnFirstUse', () => {
+  it('creates the table once, before the first call, for concurrent callers too', async () => {
+    const tableClient = makeTableClient();
+    const client = createTableOnFirstUse(tableClient);
+
+    const [first, second] = await Promise.all([client.getEntity('sessions', 's1'), client.getEntity('sessions', 's2')]);
+    await client.deleteEntity('sessions', 's1');
+
+    expect(first).toEqual({ partitionKey: 'sessions', rowKey: 's1' });
+    expect(second.rowKey).toBe('s2');
+    expect(tableClient.createTable).toHaveBeenCalledTimes(1);
+    expect(tableClient.calls[0]).toBe('createTable');
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('sessions', 's1');
+  });
+
+  it('creates the table before listing, whether iterated or read page by page', async () => {
+    const tableClient = makeTableClient();
+    const client = createTableOnFirstUse(tableClient);
+    const query = { queryOptions: { filter: "PartitionKey eq 'sessions'" } };
+
+    const listed = [];
+    for await (const entity of client.listEntities(query)) listed.push(entity.rowKey);
+    const { value: page } = await client.listEntities(query).byPage({ maxPageSize: 1 }).next();
+
+    expect(listed).toEqual(['a', 'b']);
+    expect(page.continuationToken).toBe('next');
+    expect(tableClient.listEntities).toHaveBeenCalledWith(query);
+    expect(tableClient.calls.slice(0, 2)).toEqual(['createTable', 'listEntities']);
+  });
+
+  it('retries a failed create on the next call instead of failing every call after it', async () => {
+    const tableClient = makeTableClient();
+    tableClient.createTable.mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:10002'));
+    const client = createTableOnFirstUse(tableClient);
+
+    await expect(client.createEntity({ partitionKey: 'sessions', rowKey: 's1' })).rejects.toThrow(/ECONNREFUSED/);
+    await expect(client.createEntity({ partitionKey: 'sessions', rowKey: 's1' })).resolves.toEqual({});
+
+    expect(tableClient.createTable).toHaveBeenCalledTimes(2);
+    expect(tableClient.createEntity).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { createMemorySecretClient } = require('../../../src/functions/shared/memorySecrets');
+
+describe('createMemorySecretClient', () => {
+  it('adds a version on every set and reads the latest', async () => {
+    const secretClient = createMemorySecretClient();
+    const first = await secretClient.setSecret('wg-server-key-sess', 'one', { contentType: 'text/plain' });
+    const second = await secretClient.setSecret('wg-server-key-sess', 'two', { contentType: 'text/plain' });
+
+    expect(second.properties.version).not.toBe(first.properties.version);
+    expect(await secretClient.getSecret('wg-server-key-sess')).toMatchObject({
+      name: 'wg-server-key-sess', value: 'two', properties: { contentType: 'text/plain', enabled: true },
+    });
+    const { value } = await secretClient.getSecret('wg-server-key-sess', { version: first.properties.version });
+    expect(value).toBe('one');
+  });
+
+  it('disables a superseded version by name and version', async () => {
+    const secretClient = createMemorySecretClient();
+    const { properties } = await secretClient.setSecret('wg-psk-sess', 'old');
+    await secretClient.setSecret('wg-psk-sess', 'new');
+
+    await secretClient.updateSecretProperties('wg-psk-sess', properties.version, { enabled: false });
+
+    const old = await secretClient.getSecret('wg-psk-sess', { version: properties.version });
+    expect(old.properties.enabled).toBe(false);
+    expect((await secretClient.getSecret('wg-psk-sess')).properties.enabled).toBe(true);
+    await expect(secretClient.updateSecretProperties('wg-psk-sess', 'unknown', { enabled: false }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('answers 404 the way Key Vault does for missing and deleted secrets', async () => {
+    const secretClient = createMemorySecretClient();
+    await expect(secretClient.getSecret('wg-client-key-sess')).rejects.toMatchObject({ statusCode: 404 });
+
+    await secretClient.setSecret('wg-client-key-sess', 'key');
+    const poller = await secretClient.beginDeleteSecret('wg-client-key-sess');
+    await poller.pollUntilDone();
+
+    await expect(secretClient.getSecret('wg-client-key-sess')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(secretClient.beginDeleteSecret('wg-client-key-sess')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('lists the latest properties of every secret', async () => {
+    const secretClient = createMemorySecretClient();
+    await secretClient.setSecret('wg-server-key-a', 'one');
+    const latest = await secretClient.setSecret('wg-server-key-a', 'two');
+    await secretClient.setSecret('webhook-secret-b', 'three');
+
+    const listed = [];
+    for await (const properties of secretClient.listPropertiesOfSecrets()) listed.push(properties);
+
+    expect(listed.map(({ name, version }) => [name, version])).toEqual([
+      ['wg-server-key-a', latest.properties.version],
+      ['webhook-secret-b', expect.any(String)],
+    ]);
+    expect(listed[0]).not.toHaveProperty('value');
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { PROTOCOLS, resolveProtocol, protocolDriver } = require('../../../src/functions/shared/protocols');
+
+const region = { name: 'eastus2', image: 'acr.example/wg:1', openvpnImage: 'acr.example/ovpn:1' };
+const peer = { publicKey: 'peer-key', address: '10.8.0.2', addressV6: 'fd00:8::2', presharedKey: 'psk' };
+
+describe('resolveProtocol', () => {
+  it('defaults to WireGuard', () => {
+    expect(resolveProtocol(undefined, region).driver).toBe(PROTOCOLS.wireguard);
+    expect(resolveProtocol('openvpn', region).driver).toBe(PROTOCOLS.openvpn);
+  });
+
+  it('rejects unknown protocols', () => {
+    expect(resolveProtocol('ipsec', region)).toEqual({ error: 'protocol must be one of: wireguard, openvpn' });
+    expect(resolveProtocol('toString', region).error).toMatch(/must be one of/);
+    expect(resolveProtocol(42, region).error).toMatch(/must be one of/);
+  });
+
+  it('rejects a protocol the region has no image for', () => {
+    expect(resolveProtocol('openvpn', { ...region, openvpnImage: undefined })).toEqual({
+      error: 'protocol openvpn is not available in eastus2',
+    });
+  });
+});
+
+describe('protocolDriver', () => {
+  it('reads the driver off the sessions row, WireGuard for rows without one', () => {
+    expect(protocolDriver({ protocol: 'openvpn' })).toBe(PROTOCOLS.openvpn);
+    expect(protocolDriver({})).toBe(PROTOCOLS.wireguard);
+    expect(protocolDriver(null)).toBe(PROTOCOLS.wireguard);
+  });
+});
+
+describe('drivers', () => {
+  it('register the WireGuard peer through WG_* variables', () => {
+    const env = PROTOCOLS.wireguard.containerEnvironment({
+      serverPrivateKey: 'server-key', serverAddress: '10.8.0.1', peer,
+    });
+
+    expect(env).toEqual([
+      { name: 'WG_SERVER_PRIVATE_KEY', secureValue: 'server-key' },
+      { name: 'WG_SERVER_ADDRESS', value: '10.8.0.1' },
+      { name: 'WG_SERVER_PORT', value: '51820' },
+      { name: 'WG_PEER_PUBLIC_KEY', value: 'peer-key' },
+      { name: 'WG_PEER_ADDRESS', value: '10.8.0.2/32, fd00:8::2/128' },
+      { name: 'WG_PEER_PRESHARED_KEY', secureValue: 'psk' },
+    ]);
+  });
+
+  it('register the OpenVPN peer through OVPN_* variables, secrets as secure values', () => {
+    const env = PROTOCOLS.openvpn.containerEnvironment({
+      serverPrivateKey: 'server-pem', serverAddress: '10.8.0.1', peer,
+    });
+
+    expect(env).toEqual([
+      { name: 'OVPN_SERVER_CREDENTIALS', secureValue: 'server-pem' },
+      { name: 'OVPN_SERVER_ADDRESS', value: '10.8.0.1' },
+      { name: 'OVPN_SERVER_PORT', value: '1194' },
+      { name: 'OVPN_PEER_FINGERPRINT', value: 'peer-key' },
+      { name: 'OVPN_PEER_ADDRESS', value: '10.8.0.2/32, fd00:8::2/128' },
+      { name: 'OVPN_TLS_CRYPT_KEY', secureValue: 'psk' },
+    ]);
+  });
+
+  it('render a client config that pins the server credentials', () => {
+    for (const driver of Object.values(PROTOCOLS)) {
+      const server = driver.generateServerCredentials('sess');
+      const client = driver.generateClientCredentials('sess');
+      const config = driver.renderClientConfig({
+        privateKey: client.privateKey,
+        address: '10.8.0.2',
+        serverPublicKey: driver.serverPublicKey(server.privateKey),
+        presharedKey: driver.generatePresharedKey(),
+        endpoint: `20.51.123.45:${driver.port}`,
+        routing: { allowedIps: ['0.0.0.0/0'], mtu: null, persistentKeepalive: 25, dns: ['1.1.1.1'] },
+      });
+
+      expect(driver.serverPublicKey(server.privateKey)).toBe(server.publicKey);
+      expect(config).toContain(server.publicKey);
+      expect(config).toContain('20.51.123.45');
+    }
+  });
+
+  it('derive device preshared keys the way peer-sync.sh does with openssl', () => {
+    // printf 'wg-device-psk:0a1b2c3d' | openssl dgst -sha256 -mac HMAC -macopt hexkey:<server key as hex> -binary | base64
+    const serverPrivateKey = 'ACCMyGx9XSDVi+DfNGEDBw8DtKj9rxXeehN34MjsY3o=';
+    expect(PROTOCOLS.wireguard.devicePresharedKey(serverPrivateKey, '0a1b2c3d'))
+      .toBe('1/LT5JpiCQAtuBJXf0B5NHCCOu36pfiPe/IxhzICJks=');
+    expect(PROTOCOLS.wireguard.devicePresharedKey(serverPrivateKey, '0a1b2c3e'))
+      .not.toBe('1/LT5JpiCQAtuBJXf0B5NHCCOu36pfiPe/IxhzICJks=');
+    expect(PROTOCOLS.openvpn.devicePresharedKey).toBeNull();
+  });
+});
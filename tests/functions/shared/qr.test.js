@@ -0,0 +1,191 @@
+'use strict';
+
+const { inflateSync } = require('zlib');
+const { encodeQr, renderSvg, renderPng } = require('../../../src/functions/shared/qr');
+
+// GF(2^8) log tables for syndrome checks, built independently of the encoder
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+// Block layout from ISO/IEC 18004 table 9 for the versions exercised below
+const LAYOUTS = {
+  '1M': { ecc: 10, data: [16] },
+  '7M': { ecc: 18, data: [31, 31, 31, 31] },
+  '12M': { ecc: 22, data: [36, 36, 36, 36, 36, 36, 37, 37] },
+  '3L': { ecc: 15, data: [55] },
+};
+const ALIGNMENT = { 1: [], 3: [6, 22], 7: [6, 22, 38], 12: [6, 32, 58] };
+const LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+const UNMASK = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * Reads a byte-mode symbol back: format information, unmasking, zigzag codeword order,
+ * de-interleaving, a Reed-Solomon syndrome check per block, and the segment header.
+ */
+const decodeQr = ({ size, modules }) => {
+  const version = (size - 17) / 4;
+  const isFunction = (x, y) => {
+    if ((x <= 8 && y <= 8) || (x >= size - 8 && y <= 8) || (x <= 8 && y >= size - 8)) return true;
+    if (x === 6 || y === 6) return true;
+    if (version >= 7 && ((x >= size - 11 && x <= size - 9 && y <= 5) || (y >= size - 11 && y <= size - 9 && x <= 5))) return true;
+    const centres = ALIGNMENT[version];
+    return centres.some((cx, i) => centres.some((cy, j) => {
+      const last = centres.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return false;
+      return Math.abs(x - cx) <= 2 && Math.abs(y - cy) <= 2;
+    }));
+  };
+
+  // Format bits 14..0 run down column 8 then left along row 8 around the top-left finder
+  const formatCells = [[0, 8], [1, 8], [2, 8], [3, 8], [4, 8], [5, 8], [7, 8], [8, 8], [8, 7], [8, 5], [8, 4], [8, 3], [8, 2],
+    [8, 1], [8, 0]];
+  const format = formatCells.reduce((bits, [y, x], i) => bits | (Number(modules[y][x]) << i), 0) ^ 0x5412;
+  let check = format >>> 10;
+  for (let i = 0; i < 10; i++) check = (check << 1) ^ ((check >>> 9) * 0x537);
+  expect(check & 0x3ff).toBe(format & 0x3ff);
+  const level = LEVELS[format >>> 13];
+  const mask = (format >>> 10) & 7;
+
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (const x of [right, right - 1]) {
+        if (!isFunction(x, y)) bits.push(modules[y][x] !== UNMASK[mask](x, y) ? 1 : 0);
+      }
+    }
+  }
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((b, bit) => (b << 1) | bit, 0));
+
+  const layout = LAYOUTS[`${version}${level}`];
+  const blocks = layout.data.map(() => []);
+  let k = 0;
+  for (let i = 0; i < Math.max(...layout.data); i++) {
+    layout.data.forEach((length, j) => { if (i < length) blocks[j].push(codewords[k++]); });
+  }
+  for (let i = 0; i < layout.ecc; i++) blocks.forEach((block) => block.push(codewords[k++]));
+  for (const block of blocks) {
+    for (let i = 0; i < layout.ecc; i++) {
+      const syndrome = block.reduce((acc, c) => gfMul(acc, EXP[i]) ^ c, 0);
+      expect(syndrome).toBe(0);
+    }
+  }
+
+  const data = blocks.flatMap((block, j) => block.slice(0, layout.data[j]));
+  const stream = data.flatMap((byte) => Array.from({ length: 8 }, (_, i) => (byte >>> (7 - i)) & 1));
+  const read = (offset, length) => stream.slice(offset, offset + length).reduce((v, bit) => v * 2 + bit, 0);
+  expect(read(0, 4)).toBe(0b0100);
+  const countBits = version <= 9 ? 8 : 16;
+  const length = read(4, countBits);
+  const bytes = Array.from({ length }, (_, i) => read(4 + countBits + i * 8, 8));
+  return { version, level, mask, text: Buffer.from(bytes).toString('utf8') };
+};
+
+const sampleConfig = [
+  '[Interface]',
+  'PrivateKey = yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=',
+  'Address = 10.8.0.2/32, fd00:8::2/128',
+  'DNS = 1.1.1.1',
+  '',
+  '[Peer]',
+  'PublicKey = xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=',
+  'Endpoint = 20.51.123.45:51820',
+  'AllowedIPs = 0.0.0.0/0, ::/0',
+  'PersistentKeepalive = 25',
+].join('\n');
+
+describe('encodeQr', () => {
+  it('picks the smallest version that holds the text', () => {
+    expect(encodeQr('hello').version).toBe(1);
+    expect(encodeQr('x'.repeat(14)).version).toBe(1);
+    expect(encodeQr('x'.repeat(15)).version).toBe(2);
+    expect(encodeQr('x'.repeat(53), { errorCorrection: 'L' }).version).toBe(3);
+  });
+
+  it.each([
+    ['a short string', 'hello', {}, '1M'],
+    ['a lower error correction level', 'x'.repeat(53), { errorCorrection: 'L' }, '3L'],
+    ['a symbol with version information', 'w'.repeat(110), {}, '7M'],
+    ['a WireGuard client config', sampleConfig, {}, '12M'],
+    ['multi-byte UTF-8', 'Café ☕', {}, '1M'],
+  ])('round-trips %s', (_label, text, options, layout) => {
+    const qr = encodeQr(text, options);
+
+    const decoded = decodeQr(qr);
+
+    expect(`${decoded.version}${decoded.level}`).toBe(layout);
+    expect(decoded.text).toBe(text);
+  });
+
+  it('draws finder and timing patterns where scanners look for them', () => {
+    const { size, modules } = encodeQr(sampleConfig);
+    const finderRow = [true, true, true, true, true, true, true, false];
+
+    for (const [x, y] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+      expect(modules[y + 3].slice(x, x + 7)).toEqual([true, false, true, true, true, false, true]);
+    }
+    expect(modules[0].slice(0, 8)).toEqual(finderRow);
+    expect(modules[6].slice(8, size - 8)).toEqual(Array.from({ length: size - 16 }, (_, i) => i % 2 === 0));
+  });
+
+  it('rejects text beyond a version 40 symbol and unknown levels', () => {
+    expect(() => encodeQr('x'.repeat(2332))).toThrow(/too long for a QR code/);
+    expect(() => encodeQr('x', { errorCorrection: 'Z' })).toThrow(/Unknown QR error correction level/);
+  });
+});
+
+describe('renderers', () => {
+  const qr = encodeQr('hello');
+
+  it('renders an SVG with a quiet zone and one square per dark module', () => {
+    const svg = renderSvg(qr, { scale: 10 });
+    const dark = qr.modules.flat().filter(Boolean).length;
+
+    expect(svg).toContain('viewBox="0 0 29 29"');
+    expect(svg).toContain('width="290" height="290"');
+    expect(svg.match(/h1v1h-1z/g)).toHaveLength(dark);
+    expect(svg).toContain('M4,4h1v1h-1z');
+  });
+
+  it('renders a 1-bit PNG with the modules scaled up', () => {
+    const png = renderPng(qr, { scale: 2, margin: 4 });
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+    const width = png.readUInt32BE(16);
+    expect(width).toBe(58);
+    expect([png[24], png[25]]).toEqual([1, 0]);
+
+    const idatLength = png.readUInt32BE(33);
+    expect(png.toString('ascii', 37, 41)).toBe('IDAT');
+    const raw = inflateSync(png.subarray(41, 41 + idatLength));
+    const rowBytes = Math.ceil(width / 8);
+    const pixelIsWhite = (px, py) => (raw[py * (rowBytes + 1) + 1 + (px >>> 3)] & (0x80 >>> (px & 7))) !== 0;
+
+    expect(pixelIsWhite(0, 0)).toBe(true);
+    // First module of the top-left finder starts after the 4-module quiet zone
+    expect(pixelIsWhite(8, 8)).toBe(false);
+    expect(pixelIsWhite(9, 9)).toBe(false);
+    qr.modules[10].forEach((dark, x) => expect(pixelIsWhite((x + 4) * 2, (10 + 4) * 2)).toBe(!dark));
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+jest.mock('../../../src/functions/shared/azureClient', () => ({
+  RESOURCE_GROUP: 'test-rg',
+}));
+
+const loadRegions = (env = {}) => {
+  let regions;
+  jest.isolateModules(() => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      regions = require('../../../src/functions/shared/regions');
+    } finally {
+      process.env = saved;
+    }
+  });
+  return regions;
+};
+
+const { distanceKm, countryCoordinates } = require('../../../src/functions/shared/geo');
+
+describe('geo', () => {
+  it('measures great-circle distance in kilometres', () => {
+    const london = { latitude: 51.5, longitude: -0.13 };
+    const newYork = { latitude: 40.71, longitude: -74.01 };
+
+    expect(distanceKm(london, newYork)).toBeCloseTo(5570, -1);
+    expect(distanceKm(london, london)).toBe(0);
+  });
+
+  it('looks up country coordinates case-insensitively', () => {
+    expect(countryCoordinates('de')).toEqual({ latitude: 51.0, longitude: 9.5 });
+    expect(countryCoordinates('XX')).toBeNull();
+    expect(countryCoordinates(42)).toBeNull();
+  });
+});
+
+describe('region catalog', () => {
+  it('offers only the default region when VPN_REGIONS is empty', () => {
+    const { listRegions, regionConfig } = loadRegions({
+      VPN_DEFAULT_LOCATION: 'East US 2', VPN_SUBNET_ID: '/subnets/vpn', VPN_CONTAINER_IMAGE: 'img:1',
+    });
+
+    expect(listRegions()).toEqual([
+      { name: 'eastus2', displayName: 'East US 2', latitude: 36.6681, longitude: -78.3889, default: true },
+    ]);
+    expect(regionConfig('EASTUS2')).toEqual(expect.objectContaining({
+      resourceGroup: 'test-rg', subnetId: '/subnets/vpn', image: 'img:1',
+    }));
+  });
+
+  it('applies per-region settings and keeps the deployment subnet to its own region', () => {
+    const { regionConfig, resourceGroupFor, resourceGroups } = loadRegions({
+      VPN_SUBNET_ID: '/subnets/vpn',
+      VPN_CONTAINER_IMAGE: 'img:1',
+      VPN_REGIONS: JSON.stringify({
+        eastus2: {},
+        westeurope: { resourceGroup: 'weu-rg', image: 'img:weu' },
+        onprem: { displayName: 'Lab', latitude: 1.5, longitude: 2.5, resourceGroup: 'weu-rg' },
+      }),
+    });
+
+    expect(regionConfig('westeurope')).toEqual(expect.objectContaining({ resourceGroup: 'weu-rg', image: 'img:weu' }));
+    expect(regionConfig('westeurope').subnetId).toBeUndefined();
+    expect(regionConfig('onprem')).toEqual(expect.objectContaining({ displayName: 'Lab', latitude: 1.5, image: 'img:1' }));
+    expect(resourceGroupFor('westeurope')).toBe('weu-rg');
+    expect(resourceGroupFor('retiredregion')).toBe('test-rg');
+    expect(resourceGroupFor(undefined)).toBe('test-rg');
+    expect(resourceGroups()).toEqual(['test-rg', 'weu-rg']);
+  });
+
+  it.each([
+    [{ VPN_REGIONS: '{' }, /VPN_REGIONS is invalid/],
+    [{ VPN_REGIONS: '{"mars": {}}' }, /region mars is not in the bundled region table/],
+    [{ VPN_REGIONS: '{"westeurope": {}}' }, /default region eastus2 .* is not in the catalog/],
+  ])('fails fast on %j', (env, error) => {
+    expect(() => loadRegions(env)).toThrow(error);
+  });
+
+  it('lists vpn-* container groups across every catalog resource group', async () => {
+    const { listVpnContainerGroups } = loadRegions({
+      VPN_REGIONS: JSON.stringify({ eastus2: {}, westeurope: { resourceGroup: 'weu-rg' } }),
+    });
+    const byGroup = {
+      'test-rg': [{ name: 'vpn-a' }, { name: 'unrelated' }],
+      'weu-rg': [{ name: 'vpn-b' }],
+    };
+    const compute = {
+      list: (rg) => (async function* () { yield* byGroup[rg]; })(),
+    };
+
+    const found = [];
+    for await (const { resourceGroup, group } of listVpnContainerGroups(compute)) {
+      found.push([resourceGroup, group.name]);
+    }
+
+    expect(found).toEqual([['test-rg', 'vpn-a'], ['weu-rg', 'vpn-b']]);
+  });
+});
+
+describe('resolveLocation', () => {
+  const { resolveLocation, listRegions } = loadRegions({
+    VPN_REGIONS: JSON.stringify({ eastus2: {}, westeurope: {}, australiaeast: {} }),
+  });
+
+  it('defaults to the deployment region', () => {
+    expect(resolveLocation(undefined)).toEqual({ location: 'eastus2' });
+    expect(resolveLocation('auto')).toEqual({ location: 'eastus2' });
+  });
+
+  it('accepts catalog regions in any spelling ARM accepts', () => {
+    expect(resolveLocation('West Europe')).toEqual({ location: 'westeurope' });
+  });
+
+  it('picks the nearest region for a country or a coordinate hint', () => {
+    expect(resolveLocation('auto', { country: 'FR' })).toEqual({ location: 'westeurope' });
+    expect(resolveLocation('AUTO', { country: 'nz' })).toEqual({ location: 'australiaeast' });
+    expect(resolveLocation('auto', { latitude: 40.7, longitude: -74.0 })).toEqual({ location: 'eastus2' });
+  });
+
+  it.each([
+    ['eastus', undefined, /"eastus" is not offered; choose one of: auto, eastus2, westeurope, australiaeast/],
+    [42, undefined, /location must be a string/],
+    ['auto', { country: 'ZZ' }, /not a known ISO 3166 country code/],
+    ['auto', { latitude: 91, longitude: 0 }, /latitude \(-90..90\)/],
+    ['auto', 'DE', /locationHint must be an object/],
+  ])('rejects location %j with hint %j', (location, hint, error) => {
+    expect(resolveLocation(location, hint).error).toMatch(error);
+  });
+
+  it('orders regions nearest first with distances when given a point', () => {
+    const regions = listRegions({ latitude: -33.9, longitude: 151.2 });
+
+    expect(regions.map((r) => r.name)).toEqual(['australiaeast', 'eastus2', 'westeurope']);
+    expect(regions[0].distanceKm).toBeLessThan(500);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const loadRouting = (env = {}) => {
+  let routing;
+  jest.isolateModules(() => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      routing = require('../../../src/functions/shared/routing');
+    } finally {
+      process.env = saved;
+    }
+  });
+  return routing;
+};
+
+const { buildClientConfig } = require('../../../src/functions/shared/wireguard');
+
+describe('resolveRoutingProfile', () => {
+  const { resolveRoutingProfile, sessionRoutingProfile, defaultRoutingProfile } = loadRouting({
+    VPN_VNET_ADDRESS_SPACE: '10.20.0.0/16, 10.21.0.0/24',
+    VPN_ROUTING_PRESETS: JSON.stringify({ 'lab-net': ['192.168.50.0/24', 'fd00:50::/64'] }),
+  });
+
+  it('defaults to a full tunnel with keepalive and the deployment DNS server', () => {
+    expect(resolveRoutingProfile(undefined)).toEqual({
+      profile: {
+        routes: ['full'], allowedIps: ['0.0.0.0/0', '::/0'], mtu: null, persistentKeepalive: 25, dns: ['1.1.1.1'],
+      },
+    });
+  });
+
+  it('expands presets and normalizes CIDRs for a split tunnel', () => {
+    const { profile } = resolveRoutingProfile({ routes: ['azure-vnet', 'lab-net', '172.16.5.9/16', '10.20.0.0/16'] });
+
+    expect(profile.routes).toEqual(['azure-vnet', 'lab-net', '172.16.5.9/16', '10.20.0.0/16']);
+    expect(profile.allowedIps).toEqual(['10.20.0.0/16', '10.21.0.0/24', '192.168.50.0/24', 'fd00:50::/64', '172.16.0.0/16']);
+  });
+
+  it('takes MTU, keepalive and DNS overrides', () => {
+    const { profile } = resolveRoutingProfile({ mtu: 1380, persistentKeepalive: 0, dns: ['10.20.0.4', 'fd00::53'] });
+
+    expect(profile).toEqual(expect.objectContaining({ mtu: 1380, persistentKeepalive: 0, dns: ['10.20.0.4', 'fd00::53'] }));
+  });
+
+  it.each([
+    [[], /routing must be an object/],
+    [{ routes: [] }, /routing.routes must be a list/],
+    [{ routes: ['intranet'] }, /"intranet" is neither a CIDR nor one of: full, azure-vnet, private, lab-net/],
+    [{ routes: ['10.0.0.0/33'] }, /neither a CIDR/],
+    [{ routes: ['toString'] }, /neither a CIDR/],
+    [{ mtu: 9000 }, /routing.mtu must be an integer between 1280 and 1500/],
+    [{ persistentKeepalive: -1 }, /persistentKeepalive/],
+    [{ dns: ['dns.example.com'] }, /routing.dns must be a list of 1-4 IP addresses/],
+  ])('rejects %j', (requested, error) => {
+    expect(resolveRoutingProfile(requested).error).toMatch(error);
+  });
+
+  it('reads the stored profile back from a sessions row, defaulting for legacy rows', () => {
+    const { profile } = resolveRoutingProfile({ routes: ['azure-vnet'], mtu: 1400 });
+
+    expect(sessionRoutingProfile({ routing: JSON.stringify(profile) })).toEqual(profile);
+    expect(sessionRoutingProfile({})).toEqual(defaultRoutingProfile());
+    expect(sessionRoutingProfile(null)).toEqual(defaultRoutingProfile());
+  });
+});
+
+describe('VPN_ROUTING_PRESETS', () => {
+  it('fails fast on an invalid preset table', () => {
+    expect(() => loadRouting({ VPN_ROUTING_PRESETS: '{"bad": ["not-a-cidr"]}' })).toThrow(/VPN_ROUTING_PRESETS is invalid/);
+    expect(() => loadRouting({ VPN_ROUTING_PRESETS: '{' })).toThrow(/VPN_ROUTING_PRESETS is invalid/);
+  });
+});
+
+describe('buildClientConfig', () => {
+  const { resolveRoutingProfile } = loadRouting();
+  const params = { privateKey: 'priv', address: '10.8.0.2', serverPublicKey: 'pub', endpoint: '1.2.3.4:51820' };
+
+  it('renders the default full tunnel as before', () => {
+    const config = buildClientConfig({ ...params, routing: resolveRoutingProfile().profile });
+
+    expect(config).toBe([
+      '[Interface]',
+      'PrivateKey = priv',
+      'Address = 10.8.0.2/32',
+      'DNS = 1.1.1.1',
+      '',
+      '[Peer]',
+      'PublicKey = pub',
+      'Endpoint = 1.2.3.4:51820',
+      'AllowedIPs = 0.0.0.0/0, ::/0',
+      'PersistentKeepalive = 25',
+    ].join('\n'));
+  });
+
+  it('renders a split tunnel with MTU and without keepalive', () => {
+    const { profile } = resolveRoutingProfile({
+      routes: ['10.0.0.0/16', '192.168.1.0/24'], mtu: 1380, persistentKeepalive: 0, dns: ['10.0.0.4', '1.1.1.1'],
+    });
+
+    const config = buildClientConfig({ ...params, routing: profile });
+
+    expect(config).toContain('DNS = 10.0.0.4, 1.1.1.1\nMTU = 1380\n');
+    expect(config).toContain('AllowedIPs = 10.0.0.0/16, 192.168.1.0/24');
+    expect(config).not.toContain('PersistentKeepalive');
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const { createDecipheriv, createPublicKey, diffieHellman, generateKeyPairSync, hkdfSync } = require('crypto');
+const {
+  SEALED_BOX_ALGORITHM,
+  sealToRecipient,
+  openSealedBox,
+  isValidRecipientKey,
+  sealForSession,
+  clientConfigFields,
+} = require('../../../src/functions/shared/sealedBox');
+const { generateWireGuardKeyPair } = require('../../../src/functions/shared/wireguard');
+
+const recipient = generateWireGuardKeyPair();
+const config = '[Interface]\nPrivateKey = yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=\n';
+
+describe('sealToRecipient', () => {
+  it('seals so that the recipient private key opens it', () => {
+    const sealed = sealToRecipient(recipient.publicKey, config);
+
+    expect(sealed).not.toContain('PrivateKey');
+    // ephemeral key + ciphertext + tag
+    expect(Buffer.from(sealed, 'base64')).toHaveLength(32 + Buffer.byteLength(config) + 16);
+    expect(openSealedBox(recipient.privateKey, sealed)).toBe(config);
+  });
+
+  it('uses a fresh ephemeral key for every box', () => {
+    const first = Buffer.from(sealToRecipient(recipient.publicKey, config), 'base64');
+    const second = Buffer.from(sealToRecipient(recipient.publicKey, config), 'base64');
+
+    expect(first.subarray(0, 32).equals(second.subarray(0, 32))).toBe(false);
+  });
+
+  it('follows the format documented for client tooling', () => {
+    const { privateKey, publicKey } = generateKeyPairSync('x25519');
+    const rawPublic = publicKey.export({ type: 'spki', format: 'der' }).subarray(-32);
+    const box = Buffer.from(sealToRecipient(rawPublic.toString('base64'), config), 'base64');
+
+    const epk = box.subarray(0, 32);
+    const shared = diffieHellman({
+      privateKey,
+      publicKey: createPublicKey({
+        key: Buffer.concat([Buffer.from('302a300506032b656e032100', 'hex'), epk]), format: 'der', type: 'spki',
+      }),
+    });
+    const key = Buffer.from(hkdfSync('sha256', shared, Buffer.concat([epk, rawPublic]),
+      'az-demand-vpn sealed client config v1', 32));
+    const decipher = createDecipheriv('chacha20-poly1305', key, Buffer.alloc(12), { authTagLength: 16 });
+    decipher.setAuthTag(box.subarray(-16));
+    expect(Buffer.concat([decipher.update(box.subarray(32, -16)), decipher.final()]).toString('utf8')).toBe(config);
+  });
+
+  it('refuses a low-order recipient key', () => {
+    expect(() => sealToRecipient(Buffer.alloc(32).toString('base64'), config)).toThrow(/not usable/);
+  });
+});
+
+describe('openSealedBox', () => {
+  it('rejects a tampered box', () => {
+    const box = Buffer.from(sealToRecipient(recipient.publicKey, config), 'base64');
+    box[40] ^= 1;
+
+    expect(() => openSealedBox(recipient.privateKey, box.toString('base64'))).toThrow();
+  });
+
+  it('rejects another key', () => {
+    const sealed = sealToRecipient(recipient.publicKey, config);
+
+    expect(() => openSealedBox(generateWireGuardKeyPair().privateKey, sealed)).toThrow();
+  });
+
+  it('rejects a truncated box', () => {
+    expect(() => openSealedBox(recipient.privateKey, Buffer.alloc(20).toString('base64'))).toThrow(/truncated/);
+  });
+});
+
+describe('isValidRecipientKey', () => {
+  it('accepts an X25519 public key', () => {
+    expect(isValidRecipientKey(recipient.publicKey)).toBe(true);
+  });
+
+  it('rejects malformed and low-order keys', () => {
+    expect(isValidRecipientKey('not-a-key')).toBe(false);
+    expect(isValidRecipientKey(undefined)).toBe(false);
+    expect(isValidRecipientKey(Buffer.alloc(32).toString('base64'))).toBe(false);
+  });
+});
+
+describe('sealForSession', () => {
+  it('seals for sessions with a recipient key and passes the rest through', () => {
+    const sealed = sealForSession({ configRecipientKey: recipient.publicKey }, config);
+
+    expect(openSealedBox(recipient.privateKey, sealed)).toBe(config);
+    expect(sealForSession({}, config)).toBe(config);
+  });
+});
+
+describe('clientConfigFields', () => {
+  it('names the stored config by whether it is sealed', () => {
+    expect(clientConfigFields({ configRecipientKey: recipient.publicKey }, 'c2VhbGVk')).toEqual({
+      clientConfig: null, encryptedClientConfig: 'c2VhbGVk', configEncryption: SEALED_BOX_ALGORITHM,
+    });
+    expect(clientConfigFields({}, config)).toEqual({ clientConfig: config });
+    expect(clientConfigFields(null, null)).toEqual({ clientConfig: null });
+  });
+});
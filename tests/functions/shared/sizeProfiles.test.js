@@ -0,0 +1,64 @@
+'use strict';
+
+const loadSizeProfiles = (env = {}) => {
+  let sizeProfiles;
+  jest.isolateModules(() => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      sizeProfiles = require('../../../src/functions/shared/sizeProfiles');
+    } finally {
+      process.env = saved;
+    }
+  });
+  return sizeProfiles;
+};
+
+const member = { callerId: 'user-1', isAdmin: false };
+const admin = { callerId: 'admin-1', isAdmin: true };
+
+describe('resolveSizeProfile', () => {
+  it('offers built-in small, standard and admin-only large profiles', () => {
+    const { resolveSizeProfile } = loadSizeProfiles();
+
+    expect(resolveSizeProfile(undefined, member)).toEqual({
+      profile: { name: 'standard', cpu: 1, memoryInGB: 2, adminOnly: false },
+    });
+    expect(resolveSizeProfile('small', member).profile).toEqual(expect.objectContaining({ cpu: 0.5, memoryInGB: 1 }));
+    expect(resolveSizeProfile('large', member)).toEqual({ error: 'sizeProfile large requires the admin role', forbidden: true });
+    expect(resolveSizeProfile('large', admin).profile).toEqual(expect.objectContaining({ cpu: 2, memoryInGB: 4 }));
+  });
+
+  it('adds configured profiles, overrides built-ins and honours the configured default', () => {
+    const { resolveSizeProfile } = loadSizeProfiles({
+      VPN_SIZE_PROFILES: JSON.stringify({
+        large: { cpu: 4, memoryInGB: 8 },
+        team: { cpu: 2, memoryInGB: 3.5, adminOnly: true },
+      }),
+      VPN_DEFAULT_SIZE_PROFILE: 'small',
+    });
+
+    expect(resolveSizeProfile(undefined, member).profile.name).toBe('small');
+    expect(resolveSizeProfile('large', member).profile).toEqual({ name: 'large', cpu: 4, memoryInGB: 8, adminOnly: false });
+    expect(resolveSizeProfile('team', member).forbidden).toBe(true);
+    expect(resolveSizeProfile('team', admin).profile.memoryInGB).toBe(3.5);
+  });
+
+  it.each([['xl'], [2], [null], ['toString']])('rejects %j', (requested) => {
+    const { resolveSizeProfile } = loadSizeProfiles();
+
+    expect(resolveSizeProfile(requested, admin)).toEqual({ error: 'sizeProfile must be one of: small, standard, large' });
+  });
+});
+
+describe('VPN_SIZE_PROFILES', () => {
+  it.each([
+    [{ VPN_SIZE_PROFILES: '{' }, /VPN_SIZE_PROFILES is invalid/],
+    [{ VPN_SIZE_PROFILES: '{"tiny": {"cpu": 0, "memoryInGB": 1}}' }, /profile tiny: cpu must be a number above 0/],
+    [{ VPN_SIZE_PROFILES: '{"huge": {"cpu": 2, "memoryInGB": 64}}' }, /profile huge: memoryInGB .* at most 16/],
+    [{ VPN_SIZE_PROFILES: '{"odd": {"cpu": 1, "memoryInGB": 2, "adminOnly": "yes"}}' }, /adminOnly must be true or false/],
+    [{ VPN_DEFAULT_SIZE_PROFILE: 'medium' }, /VPN_DEFAULT_SIZE_PROFILE medium is not a configured size profile/],
+  ])('fails fast on %j', (env, error) => {
+    expect(() => loadSizeProfiles(env)).toThrow(error);
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+const { createHmac } = require('crypto');
+const {
+  signPayload,
+  backoffSeconds,
+  attemptDelivery,
+  emitEvent,
+  listDueDeliveries,
+  pruneDeliveryLog,
+} = require('../../../src/functions/shared/webhooks');
+
+async function* rows(items) {
+  for (const item of items) yield item;
+}
+
+const webhookRow = (id, events) => ({
+  partitionKey: 'webhooks', rowKey: id, url: `https://hooks.example.test/${id}`, events: JSON.stringify(events),
+});
+const secretClient = { getSecret: jest.fn().mockResolvedValue({ value: 'signing-secret-0123456789' }) };
+const now = Date.parse('2026-03-01T12:00:00.000Z');
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signPayload('secret', '1700000000', '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+});
+
+describe('backoffSeconds', () => {
+  it('doubles the delay after every failed attempt', () => {
+    expect([1, 2, 3, 4].map(backoffSeconds)).toEqual([30, 60, 120, 240]);
+  });
+});
+
+describe('emitEvent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn().mockResolvedValue({ status: 204 });
+  });
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  it('logs and signs a delivery to each subscribed webhook only', async () => {
+    const tableClient = {
+      listEntities: jest.fn().mockReturnValue(rows([
+        webhookRow('aaaaaaaaaaaaaaaa', ['session.running', 'session.stopped']),
+        webhookRow('bbbbbbbbbbbbbbbb', ['session.failed']),
+      ])),
+      createEntity: jest.fn().mockResolvedValue({}),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    };
+    const warn = jest.fn();
+
+    await emitEvent(tableClient, secretClient, {
+      type: 'session.running',
+      sessionId: 'hook-session',
+      sessionRow: { callerId: 'owner-1', location: 'eastus2' },
+      data: { endpoint: '1.2.3.4:51820' },
+    }, warn, now);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.test/aaaaaaaaaaaaaaaa');
+    expect(JSON.parse(init.body)).toEqual({
+      id: expect.stringMatching(/^2026-03-01T12:00:00\.000Z-[0-9a-f]{8}$/),
+      type: 'session.running',
+      occurredAt: '2026-03-01T12:00:00.000Z',
+      sessionId: 'hook-session',
+      callerId: 'owner-1',
+      location: 'eastus2',
+      data: { endpoint: '1.2.3.4:51820' },
+    });
+    expect(init.headers).toEqual(expect.objectContaining({
+      'X-VPN-Event': 'session.running',
+      'X-VPN-Delivery': JSON.parse(init.body).id,
+      'X-VPN-Timestamp': String(now / 1000),
+      'X-VPN-Signature': signPayload('signing-secret-0123456789', String(now / 1000), init.body),
+    }));
+    expect(secretClient.getSecret).toHaveBeenCalledWith('webhook-secret-aaaaaaaaaaaaaaaa');
+    expect(tableClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'deliveries', webhookId: 'aaaaaaaaaaaaaaaa', status: 'pending', attempts: 0,
+    }));
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'delivered', attempts: 1, lastStatusCode: 204,
+    }), 'Replace');
+    expect(tableClient.updateEntity.mock.calls[0][0]).not.toHaveProperty('nextAttemptAt');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('leaves a rejected delivery pending for the retry timer', async () => {
+    fetch.mockResolvedValue({ status: 500 });
+    const tableClient = {
+      listEntities: jest.fn().mockReturnValue(rows([webhookRow('aaaaaaaaaaaaaaaa', ['session.reaped'])])),
+      createEntity: jest.fn().mockResolvedValue({}),
+      updateEntity: jest.fn().mockResolvedValue({}),
+    };
+    const warn = jest.fn();
+
+    await emitEvent(tableClient, secretClient, {
+      type: 'session.reaped', sessionId: 's1', data: { reason: 'idle' },
+    }, warn, now);
+
+    expect(tableClient.updateEntity).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'pending',
+      attempts: 1,
+      lastStatusCode: 500,
+      lastError: 'Receiver responded 500',
+      nextAttemptAt: '2026-03-01T12:00:30.000Z',
+    }), 'Replace');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('did not accept session.reaped'), 'Receiver responded 500');
+  });
+
+  it('never throws when the subscriptions cannot be read', async () => {
+    const tableClient = { listEntities: jest.fn(() => { throw new Error('table down'); }) };
+    const warn = jest.fn();
+
+    await expect(emitEvent(tableClient, secretClient, { type: 'session.stopped', sessionId: 's1' }, warn, now))
+      .resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledWith('Could not emit session.stopped for s1:', 'table down');
+  });
+});
+
+describe('attemptDelivery', () => {
+  const delivery = {
+    rowKey: '2026-03-01T11:00:00.000Z-0a0b0c0d',
+    webhookId: 'aaaaaaaaaaaaaaaa',
+    event: 'session.failed',
+    sessionId: 's1',
+    payload: '{}',
+    createdAt: '2026-03-01T11:00:00.000Z',
+  };
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('gives up after the last attempt', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const tableClient = { updateEntity: jest.fn().mockResolvedValue({}) };
+
+    const result = await attemptDelivery(
+      tableClient, secretClient, { ...delivery, attempts: 5 }, { url: 'https://x.test' }, now
+    );
+
+    expect(result).toEqual(expect.objectContaining({ status: 'failed', attempts: 6, lastError: 'connect ECONNREFUSED' }));
+    expect(result).not.toHaveProperty('nextAttemptAt');
+  });
+
+  it('clears the previous error once a retry succeeds', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ status: 200 });
+    const tableClient = { updateEntity: jest.fn().mockResolvedValue({}) };
+
+    const result = await attemptDelivery(tableClient, secretClient, {
+      ...delivery, attempts: 2, lastError: 'Receiver responded 502', nextAttemptAt: '2026-03-01T11:02:00.000Z',
+    }, { url: 'https://x.test' }, now);
+
+    expect(result).toEqual({
+      partitionKey: 'deliveries',
+      ...delivery,
+      status: 'delivered',
+      attempts: 3,
+      lastAttemptAt: '2026-03-01T12:00:00.000Z',
+      lastStatusCode: 200,
+    });
+  });
+
+  it('treats a redirect as a failure', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ status: 302 });
+    const tableClient = { updateEntity: jest.fn().mockResolvedValue({}) };
+
+    const result = await attemptDelivery(tableClient, secretClient, delivery, { url: 'https://x.test' }, now);
+
+    expect(result.status).toBe('pending');
+    expect(fetch.mock.calls[0][1].redirect).toBe('manual');
+  });
+});
+
+describe('delivery log queries', () => {
+  it('selects pending deliveries that are due', async () => {
+    const tableClient = { listEntities: jest.fn().mockReturnValue(rows([{ rowKey: 'd1' }])) };
+
+    expect(await listDueDeliveries(tableClient, now)).toEqual([{ rowKey: 'd1' }]);
+    expect(tableClient.listEntities).toHaveBeenCalledWith({
+      queryOptions: {
+        filter: "PartitionKey eq 'deliveries' and status eq 'pending' and nextAttemptAt le '2026-03-01T12:00:00.000Z'",
+      },
+    });
+  });
+
+  it('prunes finished deliveries older than the retention window', async () => {
+    const tableClient = {
+      listEntities: jest.fn().mockReturnValue(rows([{ rowKey: 'old-1' }, { rowKey: 'old-2' }])),
+      deleteEntity: jest.fn().mockResolvedValue({}),
+    };
+
+    expect(await pruneDeliveryLog(tableClient, now)).toBe(2);
+    expect(tableClient.listEntities.mock.calls[0][0].queryOptions.filter)
+      .toBe("PartitionKey eq 'deliveries' and RowKey lt '2026-02-26T12:00:00.000Z' and status ne 'pending'");
+    expect(tableClient.deleteEntity).toHaveBeenCalledWith('deliveries', 'old-2');
+  });
+});